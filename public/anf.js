@@ -0,0 +1,156 @@
+/**
+ * Reed–Muller expansions (algebraic normal form)
+ * Writes a function as an XOR of AND terms, f = c0 ⊕ c1·A ⊕ c2·B ⊕ c3·AB ⊕ …,
+ * from its truth table by the Möbius transform. Fixed-polarity variants use
+ * each variable either always plain or always complemented.
+ */
+
+class ReedMuller {
+  /**
+   * variables: input names; values: output per truth table row (1 or 0),
+   * rows in the usual order, variables[0] being the most significant bit
+   */
+  constructor(variables, values) {
+    this.variables = [...variables];
+    this.values = Uint8Array.from(values);
+    // Positive-polarity coefficients, indexed by monomial: bit n-1-j set means variables[j] is in the term
+    this.anf = ReedMuller.mobius(this.values);
+  }
+
+  /**
+   * Expansion of a BooleanExpression, from its compiled evaluator
+   */
+  static fromExpression(expression) {
+    return new ReedMuller(expression.variables, expression.evaluator.values());
+  }
+
+  /**
+   * Möbius transform over GF(2): coefficient[m] is the XOR of f over every
+   * row whose set bits are a subset of m
+   */
+  static mobius(values) {
+    const coefficients = Uint8Array.from(values);
+    for (let bit = 1; bit < coefficients.length; bit <<= 1) {
+      for (let i = 0; i < coefficients.length; i++) {
+        if (i & bit) coefficients[i] ^= coefficients[i ^ bit];
+      }
+    }
+    return coefficients;
+  }
+
+  /**
+   * Fixed-polarity expansion: variables whose bit is set in `polarity` appear
+   * complemented in every term. Returns { polarity, terms: [monomial, ...] }.
+   */
+  expansion(polarity = 0) {
+    const coefficients = new Uint8Array(this.values.length);
+    this.values.forEach((value, i) => { coefficients[i ^ polarity] = value; });
+    return { polarity, terms: ReedMuller.terms(ReedMuller.mobius(coefficients)) };
+  }
+
+  /**
+   * Monomials with a coefficient of 1, constant term first, then by degree
+   */
+  static terms(coefficients) {
+    const terms = [];
+    coefficients.forEach((c, m) => { if (c) terms.push(m); });
+    const degree = m => { let d = 0; for (; m; m &= m - 1) d++; return d; };
+    return terms.sort((a, b) => degree(a) - degree(b) || b - a);
+  }
+
+  /**
+   * The fixed-polarity expansion with the fewest terms (ties keep the fewest
+   * complemented variables), found by walking every polarity in Gray-code
+   * order: complementing variable j only changes the coefficients of terms
+   * without j, c[m] ^= c[m | j], so each step is one pass over the table.
+   * Returns null above MAX_POLARITY_VARIABLES inputs.
+   */
+  bestPolarity() {
+    const n = this.variables.length;
+    if (n > ReedMuller.MAX_POLARITY_VARIABLES) return null;
+
+    const coefficients = Uint8Array.from(this.anf);
+    const count = () => coefficients.reduce((sum, c) => sum + c, 0);
+    const weight = p => { let w = 0; for (; p; p &= p - 1) w++; return w; };
+    let polarity = 0;
+    let best = { polarity: 0, size: count() };
+
+    for (let step = 1; step < (1 << n); step++) {
+      // Gray code: flip the lowest set bit of the step counter
+      const bit = step & -step;
+      polarity ^= bit;
+      for (let m = 0; m < coefficients.length; m++) {
+        if (!(m & bit)) coefficients[m] ^= coefficients[m | bit];
+      }
+      const size = count();
+      if (size < best.size || (size === best.size && weight(polarity) < weight(best.polarity))) {
+        best = { polarity, size };
+      }
+    }
+    return { ...this.expansion(best.polarity), polarities: 1 << n };
+  }
+
+  /**
+   * AST of an expansion: a balanced XOR tree of balanced AND trees
+   */
+  toAst({ polarity, terms }) {
+    const n = this.variables.length;
+    const balanced = (nodes, type, operator) => {
+      if (nodes.length === 1) return nodes[0];
+      const mid = Math.ceil(nodes.length / 2);
+      return {
+        type,
+        left: balanced(nodes.slice(0, mid), type, operator),
+        right: balanced(nodes.slice(mid), type, operator),
+        operator
+      };
+    };
+    if (terms.length === 0) return { type: 'CONST', value: 0 };
+
+    const products = terms.map(m => {
+      const literals = [];
+      this.variables.forEach((v, j) => {
+        const bit = 1 << (n - 1 - j);
+        if (!(m & bit)) return;
+        const variable = { type: 'VAR', value: v };
+        literals.push(polarity & bit ? { type: 'NOT', operand: variable, operator: "'" } : variable);
+      });
+      return literals.length ? balanced(literals, 'AND', '*') : { type: 'CONST', value: 1 };
+    });
+    return balanced(products, 'XOR', '^');
+  }
+
+  /**
+   * Plain-text form, e.g. "1 ⊕ A ⊕ BC'"; name(v) gives each variable's
+   * display name and `separator` goes between the literals of a term
+   */
+  toText({ polarity, terms }, name = v => v, separator = '') {
+    if (terms.length === 0) return '0';
+    const n = this.variables.length;
+    return terms.map(m => {
+      const literals = this.variables
+        .filter((v, j) => m & (1 << (n - 1 - j)))
+        .map(v => name(v) + (polarity & (1 << (n - 1 - this.variables.indexOf(v))) ? "'" : ''));
+      return literals.length ? literals.join(separator) : '1';
+    }).join(' ⊕ ');
+  }
+
+  /**
+   * Complemented variables of a polarity, by name
+   */
+  complemented(polarity) {
+    const n = this.variables.length;
+    return this.variables.filter((v, j) => polarity & (1 << (n - 1 - j)));
+  }
+}
+
+// Largest input count whose truth table is transformed
+ReedMuller.MAX_VARIABLES = 20;
+
+// Largest input count for the exhaustive fixed-polarity search (4^n steps)
+ReedMuller.MAX_POLARITY_VARIABLES = 12;
+
+// Export for use in other files
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = ReedMuller;
+}
@@ -4,48 +4,148 @@
 
 document.addEventListener('DOMContentLoaded', () => {
   const expressionInput = document.getElementById('expressionInput');
+  const identifierModeSelect = document.getElementById('identifierMode');
   const copyCSVBtn = document.getElementById('copyCSVBtn');
   const copyHTMLBtn = document.getElementById('copyHTMLBtn');
   const copyKMapCSVBtn = document.getElementById('copyKMapCSVBtn');
   const copyKMapHTMLBtn = document.getElementById('copyKMapHTMLBtn');
   const errorMessage = document.getElementById('errorMessage');
+  const expressionHighlight = document.getElementById('expressionHighlight');
+  const derivedExpression = document.getElementById('derivedExpression');
+  const copyFormatButtons = document.querySelectorAll('#copyFormats button');
   const truthTableContainer = document.getElementById('truthTableContainer');
   const kmapContainer = document.getElementById('kmapContainer');
+  const hazardContainer = document.getElementById('hazardContainer');
+  const minimizeContainer = document.getElementById('minimizeContainer');
+  const simplifyContainer = document.getElementById('simplifyContainer');
+  const compareContainer = document.getElementById('compareContainer');
+  const compareLeftInput = document.getElementById('compareLeftInput');
+  const compareRightInput = document.getElementById('compareRightInput');
+  const compareBtn = document.getElementById('compareBtn');
+  const compareError = document.getElementById('compareError');
   const gatesSvg = document.getElementById('gatesSvg');
+  const gateStyleSelect = document.getElementById('gateStyleSelect');
+  const gateCountInfo = document.getElementById('gateCountInfo');
+  const maxFanInSelect = document.getElementById('maxFanInSelect');
   const cmosSvg = document.getElementById('cmosSvg');
+  const cmosOutputRow = document.getElementById('cmosOutputRow');
+  const cmosOutputSelect = document.getElementById('cmosOutputSelect');
+  const bddSvg = document.getElementById('bddSvg');
+  const bddInfo = document.getElementById('bddInfo');
+  const siftBddBtn = document.getElementById('siftBddBtn');
+  const analysisContainer = document.getElementById('analysisContainer');
+  const propertiesContainer = document.getElementById('propertiesContainer');
+  const reedMullerContainer = document.getElementById('reedMullerContainer');
+  const reedMullerFormSelect = document.getElementById('reedMullerFormSelect');
+  const reedMullerSvg = document.getElementById('reedMullerSvg');
+  const criticalPathCheckbox = document.getElementById('criticalPathCheckbox');
+  const gateDelays = document.getElementById('gateDelays');
+  const stimulusSelect = document.getElementById('stimulusSelect');
+  const periodInput = document.getElementById('periodInput');
+  const vectorsInput = document.getElementById('vectorsInput');
+  const waveformError = document.getElementById('waveformError');
+  const waveformInfo = document.getElementById('waveformInfo');
+  const waveformSvg = document.getElementById('waveformSvg');
 
   const tabBlockDiagram = document.getElementById('tabBlockDiagram');
   const tabCMOS = document.getElementById('tabCMOS');
   const tabTruthTable = document.getElementById('tabTruthTable');
   const tabKMap = document.getElementById('tabKMap');
+  const tabMinimize = document.getElementById('tabMinimize');
+  const tabSimplify = document.getElementById('tabSimplify');
+  const tabCompare = document.getElementById('tabCompare');
+  const tabBDD = document.getElementById('tabBDD');
+  const tabAnalysis = document.getElementById('tabAnalysis');
+  const tabReedMuller = document.getElementById('tabReedMuller');
+  const tabWaveforms = document.getElementById('tabWaveforms');
 
   const blockDiagramTab = document.getElementById('blockDiagramTab');
   const cmosTab = document.getElementById('cmosTab');
   const truthTableTab = document.getElementById('truthTableTab');
   const kmapTab = document.getElementById('kmapTab');
+  const minimizeTab = document.getElementById('minimizeTab');
+  const simplifyTab = document.getElementById('simplifyTab');
+  const compareTab = document.getElementById('compareTab');
+  const bddTab = document.getElementById('bddTab');
+  const analysisTab = document.getElementById('analysisTab');
+  const reedMullerTab = document.getElementById('reedMullerTab');
+  const waveformTab = document.getElementById('waveformTab');
 
   // Format help modal elements
   const formatHelpBtn = document.getElementById('formatHelpBtn');
   const formatHelpModal = document.getElementById('formatHelpModal');
-  const modalClose = document.querySelector('.modal-close');
+
+  // Truth table import modal elements
+  const importTableBtn = document.getElementById('importTableBtn');
+  const importModal = document.getElementById('importModal');
+  const importTableInput = document.getElementById('importTableInput');
+  const importTableSubmit = document.getElementById('importTableSubmit');
+  const importError = document.getElementById('importError');
 
   let currentVisualizer = null;
+  // The truth table view's controls, to mark the row the gate diagram simulates
+  let truthTableView = null;
+  // Minimization is exponential: only run it once its tab is shown
+  let minimizeStale = true;
+  let simplifyStale = true;
+  let bddStale = true;
+  let analysisStale = true;
+  let reedMullerStale = true;
+  let waveformStale = true;
+  let hazardStale = true;
 
   // Format help modal handlers
   formatHelpBtn.addEventListener('click', () => {
     formatHelpModal.style.display = 'block';
   });
 
-  modalClose.addEventListener('click', () => {
-    formatHelpModal.style.display = 'none';
+  // Close buttons and backdrop clicks close whichever modal they belong to
+  document.querySelectorAll('.modal-close').forEach(closeBtn => {
+    closeBtn.addEventListener('click', () => {
+      closeBtn.closest('.modal').style.display = 'none';
+    });
   });
 
   window.addEventListener('click', (e) => {
-    if (e.target === formatHelpModal) {
-      formatHelpModal.style.display = 'none';
+    if (e.target.classList && e.target.classList.contains('modal')) {
+      e.target.style.display = 'none';
     }
   });
 
+  // Truth table import handlers
+  importTableBtn.addEventListener('click', () => {
+    importError.style.display = 'none';
+    importModal.style.display = 'block';
+    importTableInput.focus();
+  });
+
+  // Pasting a copied HTML table (e.g. from "Copy Table" or a document)
+  // gives tab-separated cells instead of the flattened plain text
+  importTableInput.addEventListener('paste', (e) => {
+    const html = e.clipboardData && e.clipboardData.getData('text/html');
+    if (!html || !/<table[\s>]/i.test(html)) return;
+    e.preventDefault();
+    const cells = BooleanFunction.parseTableCells(html);
+    importTableInput.value = cells.map(row => row.join('\t')).join('\n');
+  });
+
+  importTableSubmit.addEventListener('click', () => {
+    let fn;
+    try {
+      fn = BooleanFunction.fromTable(importTableInput.value, { identifierMode: identifierModeSelect.value });
+    } catch (error) {
+      importError.textContent = error.message;
+      importError.style.display = 'block';
+      return;
+    }
+    importModal.style.display = 'none';
+    // Σm notation round-trips the table exactly, including don't-cares
+    identifierModeSelect.value = fn.identifierMode;
+    expressionInput.value = fn.toString();
+    clearError();
+    render(fn);
+  });
+
   // Visualize on Enter key
   expressionInput.addEventListener('keypress', (e) => {
     if (e.key === 'Enter') {
@@ -53,31 +153,281 @@ document.addEventListener('DOMContentLoaded', () => {
     }
   });
 
+  // Keep the error underline overlay aligned with the input text
+  expressionInput.addEventListener('scroll', () => {
+    expressionHighlight.scrollLeft = expressionInput.scrollLeft;
+  });
+
+  // Underlines refer to the text that was parsed; drop them once it changes
+  expressionInput.addEventListener('input', () => {
+    expressionHighlight.innerHTML = '';
+  });
+
+  // Re-render when switching between single-letter and multi-letter names
+  identifierModeSelect.addEventListener('change', () => {
+    if (expressionInput.value.trim()) {
+      visualize();
+    }
+  });
+
   function visualize() {
-    const expression = expressionInput.value.trim();
-    if (!expression) {
+    // Not trimmed: diagnostic offsets must line up with the input's text
+    const expression = expressionInput.value;
+    if (!expression.trim()) {
       showError('Enter expression');
       return;
     }
 
     try {
       clearError();
-      const boolExpr = new BooleanExpression(expression);
-      currentVisualizer = new Visualizer(boolExpr);
-
-      gatesSvg.setAttribute('viewBox', '0 0 1200 600');
-      currentVisualizer.renderGateDiagram(gatesSvg);
-      
-      cmosSvg.setAttribute('viewBox', '0 0 900 450');
-      currentVisualizer.renderCMOSDiagram(cmosSvg);
-      
-      currentVisualizer.renderTruthTable(truthTableContainer);
-      currentVisualizer.renderKMap(kmapContainer);
+      const options = { identifierMode: identifierModeSelect.value };
+      let boolExpr;
+      if (BooleanFunction.isMintermNotation(expression)) {
+        boolExpr = BooleanFunction.fromMintermNotation(expression, options);
+      } else if (BooleanSystem.isSystem(expression)) {
+        boolExpr = new BooleanSystem(expression, options);
+      } else {
+        boolExpr = new BooleanExpression(expression, options);
+      }
+      render(boolExpr);
     } catch (error) {
-      showError(error.message);
+      if (error.diagnostics) {
+        showDiagnostics(error);
+      } else {
+        showError(error.message);
+      }
     }
   }
 
+  // Draw every view for a parsed expression, system or function
+  function render(boolExpr) {
+    currentVisualizer = new Visualizer(boolExpr);
+    populateCMOSOutputs();
+
+    // Functions given as minterms or a table: show the expression they expand to
+    if (boolExpr instanceof BooleanFunction) {
+      derivedExpression.textContent = 'Expression: ' + boolExpr.toExpression();
+      derivedExpression.style.display = 'block';
+    } else {
+      derivedExpression.style.display = 'none';
+    }
+
+    // Preview each notation in its copy button's tooltip
+    copyFormatButtons.forEach(button => {
+      button.title = currentVisualizer.formatExpression(button.dataset.style);
+    });
+
+    renderGates();
+    
+    renderCMOS();
+    
+    truthTableView = currentVisualizer.renderTruthTable(truthTableContainer);
+    currentVisualizer.renderKMap(kmapContainer);
+    showSimulatedRow(currentVisualizer.simulatedRow);
+    hazardStale = true;
+    if (kmapTab.style.display !== 'none') renderHazards();
+
+    minimizeStale = true;
+    if (minimizeTab.style.display !== 'none') renderMinimize();
+    simplifyStale = true;
+    if (simplifyTab.style.display !== 'none') renderSimplify();
+    bddStale = true;
+    if (bddTab.style.display !== 'none') renderBDD();
+    analysisStale = true;
+    if (analysisTab.style.display !== 'none') renderAnalysis();
+    reedMullerStale = true;
+    if (reedMullerTab.style.display !== 'none') renderReedMuller();
+    waveformStale = true;
+    if (waveformTab.style.display !== 'none') renderWaveforms();
+  }
+
+  function renderGates() {
+    if (!currentVisualizer) return;
+    const gates = gateStyleSelect.value || null;
+    const maxFanIn = Number(maxFanInSelect.value) || Infinity;
+    const delays = criticalPathCheckbox.checked ? readGateDelays() : null;
+    gatesSvg.setAttribute('viewBox', '0 0 1200 600');
+    currentVisualizer.renderGateDiagram(gatesSvg, { gates, maxFanIn, delays, simulate: true, onSimulate: showSimulatedRow });
+    currentVisualizer.renderGateCounts(gateCountInfo, gates, maxFanIn, delays);
+  }
+
+  // The input assignment simulated on the gate diagram, in the truth table and K-map
+  function showSimulatedRow(row) {
+    if (truthTableView) truthTableView.showRow(row);
+    currentVisualizer.highlightKMapCell(kmapContainer, row);
+  }
+
+  // The waveforms simulate the circuit the block diagram draws
+  const redrawCircuit = () => {
+    renderGates();
+    waveformStale = true;
+    if (waveformTab.style.display !== 'none') renderWaveforms();
+  };
+  gateStyleSelect.addEventListener('change', redrawCircuit);
+  maxFanInSelect.addEventListener('change', redrawCircuit);
+  criticalPathCheckbox.addEventListener('change', renderGates);
+
+  // One delay input per gate type, starting at the simulator's defaults
+  Object.entries(TimingSimulator.DEFAULT_DELAYS).forEach(([type, delay]) => {
+    const label = document.createElement('label');
+    label.textContent = `${type} `;
+    const input = document.createElement('input');
+    input.type = 'number';
+    input.min = '0';
+    input.value = String(delay);
+    input.dataset.gate = type;
+    input.addEventListener('change', redrawCircuit);
+    label.appendChild(input);
+    gateDelays.appendChild(label);
+  });
+
+  // Delays as entered; blank or negative ones fall back to the defaults
+  function readGateDelays() {
+    const delays = { ...TimingSimulator.DEFAULT_DELAYS };
+    gateDelays.querySelectorAll('input[data-gate]').forEach(input => {
+      const delay = Number(input.value);
+      if (input.value !== '' && delay >= 0) delays[input.dataset.gate] = delay;
+    });
+    return delays;
+  }
+
+  function renderWaveforms() {
+    if (!currentVisualizer || !waveformStale) return;
+    waveformStale = false;
+    waveformError.style.display = 'none';
+    try {
+      currentVisualizer.renderWaveforms(waveformSvg, waveformInfo, {
+        gates: gateStyleSelect.value || null,
+        maxFanIn: Number(maxFanInSelect.value) || Infinity,
+        delays: readGateDelays(),
+        stimulus: stimulusSelect.value,
+        vectors: vectorsInput.value,
+        period: Number(periodInput.value) > 0 ? Number(periodInput.value) : null
+      });
+    } catch (error) {
+      waveformSvg.innerHTML = '';
+      waveformInfo.textContent = '';
+      waveformError.textContent = error.message;
+      waveformError.style.display = 'block';
+    }
+  }
+
+  const restimulate = () => {
+    vectorsInput.style.display = stimulusSelect.value === 'custom' ? 'block' : 'none';
+    waveformStale = true;
+    renderWaveforms();
+  };
+  stimulusSelect.addEventListener('change', restimulate);
+  periodInput.addEventListener('change', restimulate);
+  vectorsInput.addEventListener('change', restimulate);
+
+  copyFormatButtons.forEach(button => {
+    button.addEventListener('click', () => {
+      if (!currentVisualizer) return;
+      navigator.clipboard.writeText(currentVisualizer.formatExpression(button.dataset.style));
+    });
+  });
+
+  function renderMinimize() {
+    if (!currentVisualizer || !minimizeStale) return;
+    minimizeStale = false;
+    currentVisualizer.renderMinimization(minimizeContainer, useMinimized);
+  }
+
+  // Redraw everything from a minimized result. Other outputs keep their first
+  // minimal form of the same kind, so a system stays a system.
+  function useMinimized(outputIndex, form, alternative) {
+    const outputs = currentVisualizer.outputs;
+    const texts = outputs.map((output, idx) => {
+      const report = currentVisualizer.minimize(idx)[form];
+      return report.expressions[idx === outputIndex ? alternative : 0];
+    });
+    expressionInput.value = outputs.length === 1
+      ? texts[0]
+      : outputs.map((output, idx) => `${output.name} = ${texts[idx]}`).join('; ');
+    expressionHighlight.innerHTML = '';
+    visualize();
+  }
+
+  // Hazard analysis needs the minimal SOP, so it waits for the K-map tab too
+  function renderHazards() {
+    if (!currentVisualizer || !hazardStale) return;
+    hazardStale = false;
+    currentVisualizer.renderHazards(hazardContainer, kmapContainer);
+  }
+
+  function renderBDD() {
+    if (!currentVisualizer || !bddStale) return;
+    bddStale = false;
+    currentVisualizer.renderBDD(bddSvg, bddInfo);
+  }
+
+  siftBddBtn.addEventListener('click', () => {
+    if (!currentVisualizer) return;
+    currentVisualizer.siftBDD();
+    currentVisualizer.renderBDD(bddSvg, bddInfo);
+  });
+
+  function renderAnalysis() {
+    if (!currentVisualizer || !analysisStale) return;
+    analysisStale = false;
+    currentVisualizer.renderSatAnalysis(analysisContainer);
+    currentVisualizer.renderFunctionProperties(propertiesContainer);
+  }
+
+  function renderReedMuller() {
+    if (!currentVisualizer || !reedMullerStale) return;
+    reedMullerStale = false;
+    currentVisualizer.renderReedMuller(reedMullerContainer, reedMullerSvg, reedMullerFormSelect.value);
+  }
+
+  reedMullerFormSelect.addEventListener('change', () => {
+    reedMullerStale = true;
+    renderReedMuller();
+  });
+
+  function renderSimplify() {
+    if (!currentVisualizer || !simplifyStale) return;
+    simplifyStale = false;
+    currentVisualizer.renderSimplification(simplifyContainer, useSimplified, text => navigator.clipboard.writeText(text));
+  }
+
+  // Redraw everything from a simplified result; like useMinimized, the other
+  // outputs are replaced by their own simplified forms
+  function useSimplified() {
+    const outputs = currentVisualizer.outputs;
+    const texts = outputs.map((output, idx) => {
+      const { simplifier, derivation } = currentVisualizer.simplify(idx);
+      return simplifier.format(derivation.result).text;
+    });
+    expressionInput.value = outputs.length === 1
+      ? texts[0]
+      : outputs.map((output, idx) => `${output.name} = ${texts[idx]}`).join('; ');
+    expressionHighlight.innerHTML = '';
+    visualize();
+  }
+
+  // One CMOS network per output: offer a picker when there are several
+  function populateCMOSOutputs() {
+    cmosOutputSelect.innerHTML = '';
+    currentVisualizer.outputs.forEach((output, idx) => {
+      const option = document.createElement('option');
+      option.value = String(idx);
+      option.textContent = output.name;
+      cmosOutputSelect.appendChild(option);
+    });
+    cmosOutputRow.style.display = currentVisualizer.outputs.length > 1 ? 'flex' : 'none';
+  }
+
+  function renderCMOS() {
+    cmosSvg.setAttribute('viewBox', '0 0 900 450');
+    currentVisualizer.renderCMOSDiagram(cmosSvg, Number(cmosOutputSelect.value) || 0);
+  }
+
+  cmosOutputSelect.addEventListener('change', () => {
+    if (currentVisualizer) renderCMOS();
+  });
+
   // Build Google-Docs-friendly HTML from a table element.
   // If rawOnly is true, returns just the styled table HTML (no <html> wrapper).
   function buildCopyableHTML(tableEl, rawOnly) {
@@ -107,22 +457,23 @@ document.addEventListener('DOMContentLoaded', () => {
     return rows.join('\n');
   }
 
-  // Copy as CSV (comma-separated)
+  // Copy as CSV (comma-separated), assembled from row chunks rather than
+  // one string so large tables don't run out of memory
   copyCSVBtn.addEventListener('click', () => {
     if (!currentVisualizer) return;
-    const vars = currentVisualizer.variables;
-    const table = currentVisualizer.truthTable;
-    let csv = vars.map(v => v.toUpperCase()).join(',') + ',Output\n';
-    table.forEach(row => {
-      csv += vars.map(v => row[v]).join(',') + ',' + row.output + '\n';
-    });
-    navigator.clipboard.writeText(csv);
+    const blob = new Blob([...currentVisualizer.csvChunks()], { type: 'text/plain' });
+    navigator.clipboard.write([new ClipboardItem({ 'text/plain': blob })]);
   });
 
-  // Copy rendered HTML table (preserves formatting in Google Docs, Word, etc.)
+  // Copy the whole table as HTML (preserves formatting in Google Docs, Word, etc.);
+  // the view only holds the rows on screen, so the copy is built separately
   copyHTMLBtn.addEventListener('click', () => {
-    const tableEl = truthTableContainer.querySelector('table');
-    if (!tableEl) return;
+    if (!currentVisualizer) return;
+    if (currentVisualizer.expr.rowCount > Visualizer.MAX_HTML_COPY_ROWS) {
+      showError(`Tables over ${Visualizer.MAX_HTML_COPY_ROWS} rows can only be copied as CSV`);
+      return;
+    }
+    const tableEl = currentVisualizer.buildTruthTable();
     const htmlStr = buildCopyableHTML(tableEl);
     const plainText = getPlainText(tableEl);
     const blob = new Blob([htmlStr], { type: 'text/html' });
@@ -135,18 +486,30 @@ document.addEventListener('DOMContentLoaded', () => {
     ]);
   });
 
+  // Labels to print above a K-map table: the output name (multi-output systems,
+  // first table of each output only) and the sub-map label (5+ variables)
+  function kmapLabels(tableEl) {
+    const labels = [];
+    const section = tableEl.closest('.kmap-output');
+    if (section && section.querySelector('table') === tableEl) {
+      labels.push(section.querySelector('.kmap-output-label').textContent);
+    }
+    const submap = tableEl.closest('.kmap-submap');
+    if (submap) {
+      const labelEl = submap.querySelector('.kmap-submap-label');
+      if (labelEl) labels.push(labelEl.textContent);
+    }
+    return labels;
+  }
+
   // Copy K-map as CSV
   copyKMapCSVBtn.addEventListener('click', () => {
     const tables = kmapContainer.querySelectorAll('table');
     if (!tables.length) return;
     const parts = [];
     tables.forEach((tableEl, idx) => {
-      // Include sub-map label if present
-      const label = tableEl.closest('.kmap-submap');
-      if (label) {
-        const labelEl = label.querySelector('.kmap-submap-label');
-        if (labelEl) parts.push(labelEl.textContent);
-      }
+      // Include output / sub-map labels if present
+      parts.push(...kmapLabels(tableEl));
       const rows = [];
       tableEl.querySelectorAll('tr').forEach(tr => {
         const cells = [];
@@ -165,14 +528,10 @@ document.addEventListener('DOMContentLoaded', () => {
     const htmlParts = [];
     const textParts = [];
     tables.forEach(tableEl => {
-      const label = tableEl.closest('.kmap-submap');
-      if (label) {
-        const labelEl = label.querySelector('.kmap-submap-label');
-        if (labelEl) {
-          htmlParts.push('<p><b>' + labelEl.textContent + '</b></p>');
-          textParts.push(labelEl.textContent);
-        }
-      }
+      kmapLabels(tableEl).forEach(label => {
+        htmlParts.push('<p><b>' + label + '</b></p>');
+        textParts.push(label);
+      });
       htmlParts.push(buildCopyableHTML(tableEl, true));
       textParts.push(getPlainText(tableEl));
     });
@@ -189,8 +548,8 @@ document.addEventListener('DOMContentLoaded', () => {
   });
 
   // Tab switching
-  const tabs = { block: tabBlockDiagram, cmos: tabCMOS, truth: tabTruthTable, kmap: tabKMap };
-  const contents = { block: blockDiagramTab, cmos: cmosTab, truth: truthTableTab, kmap: kmapTab };
+  const tabs = { block: tabBlockDiagram, cmos: tabCMOS, truth: tabTruthTable, kmap: tabKMap, minimize: tabMinimize, simplify: tabSimplify, compare: tabCompare, bdd: tabBDD, analysis: tabAnalysis, reedMuller: tabReedMuller, waveforms: tabWaveforms };
+  const contents = { block: blockDiagramTab, cmos: cmosTab, truth: truthTableTab, kmap: kmapTab, minimize: minimizeTab, simplify: simplifyTab, compare: compareTab, bdd: bddTab, analysis: analysisTab, reedMuller: reedMullerTab, waveforms: waveformTab };
 
   Object.keys(tabs).forEach(key => {
     tabs[key].addEventListener('click', () => {
@@ -198,6 +557,50 @@ document.addEventListener('DOMContentLoaded', () => {
       Object.values(contents).forEach(c => c.style.display = 'none');
       tabs[key].classList.add('active');
       contents[key].style.display = 'block';
+      if (key === 'minimize') renderMinimize();
+      if (key === 'simplify') renderSimplify();
+      if (key === 'compare') openCompare();
+      if (key === 'bdd') renderBDD();
+      if (key === 'analysis') renderAnalysis();
+      if (key === 'reedMuller') renderReedMuller();
+      if (key === 'waveforms') renderWaveforms();
+      if (key === 'kmap') renderHazards();
+    });
+  });
+
+  // Compare mode: the first side starts out as the main input when that is
+  // a single expression
+  function openCompare() {
+    const expression = expressionInput.value;
+    if (compareLeftInput.value.trim() || !expression.trim()) return;
+    if (BooleanFunction.isMintermNotation(expression) || BooleanSystem.isSystem(expression)) return;
+    compareLeftInput.value = expression;
+    compareRightInput.focus();
+  }
+
+  function compare() {
+    compareError.style.display = 'none';
+    compareContainer.innerHTML = '';
+    if (!compareLeftInput.value.trim() || !compareRightInput.value.trim()) {
+      compareError.textContent = 'Enter two expressions';
+      compareError.style.display = 'block';
+      return;
+    }
+    try {
+      const checker = new EquivalenceChecker(compareLeftInput.value, compareRightInput.value, {
+        identifierMode: identifierModeSelect.value
+      });
+      new Visualizer(checker.left).renderComparison(compareContainer, checker);
+    } catch (error) {
+      compareError.textContent = error.message;
+      compareError.style.display = 'block';
+    }
+  }
+
+  compareBtn.addEventListener('click', compare);
+  [compareLeftInput, compareRightInput].forEach(input => {
+    input.addEventListener('keypress', (e) => {
+      if (e.key === 'Enter') compare();
     });
   });
 
@@ -206,8 +609,51 @@ document.addEventListener('DOMContentLoaded', () => {
     errorMessage.style.display = 'block';
   }
 
+  // List every syntax error with a caret line and underline the spans in the input
+  function showDiagnostics(error) {
+    errorMessage.innerHTML = '';
+    const list = document.createElement('ul');
+    list.className = 'diagnostics';
+    error.diagnostics.forEach(d => {
+      const item = document.createElement('li');
+      const pre = document.createElement('pre');
+      pre.textContent = error.formatCaret(d);
+      item.appendChild(pre);
+      list.appendChild(item);
+    });
+    errorMessage.appendChild(list);
+    errorMessage.style.display = 'block';
+    highlightSpans(error.source, error.diagnostics);
+  }
+
+  // Mirror the input text in the overlay, wrapping each error span in <mark>.
+  // Zero-width spans (e.g. a missing ')' at the end) get a small placeholder.
+  function highlightSpans(source, diagnostics) {
+    expressionHighlight.innerHTML = '';
+    const spans = diagnostics
+      .map(d => ({ start: d.start, end: d.end }))
+      .sort((a, b) => a.start - b.start);
+    let pos = 0;
+    spans.forEach(span => {
+      if (span.start < pos) return;
+      expressionHighlight.appendChild(document.createTextNode(source.substring(pos, span.start)));
+      const mark = document.createElement('mark');
+      if (span.end > span.start) {
+        mark.textContent = source.substring(span.start, span.end);
+      } else {
+        mark.className = 'empty-span';
+        mark.textContent = ' ';
+      }
+      expressionHighlight.appendChild(mark);
+      pos = span.end;
+    });
+    expressionHighlight.appendChild(document.createTextNode(source.substring(pos)));
+    expressionHighlight.scrollLeft = expressionInput.scrollLeft;
+  }
+
   function clearError() {
     errorMessage.style.display = 'none';
+    expressionHighlight.innerHTML = '';
   }
 
   console.log('Boolean Algebra Visualizer loaded');
@@ -0,0 +1,341 @@
+/**
+ * Reduced ordered binary decision diagrams
+ * A shared node store for several functions over the same variables.
+ * Nodes are integer ids: 0 and 1 are the terminals, every other node tests
+ * one variable and has a low (variable = 0) and a high (variable = 1)
+ * child. Nodes are unique per (variable, low, high), so two functions are
+ * equal exactly when they are the same node, and tautology, equivalence and
+ * satisfiability checks are constant time once the diagram is built.
+ */
+
+class BDD {
+  /**
+   * variables: input names; the initial order tests variables[0] first
+   */
+  constructor(variables) {
+    this.variables = [...variables];
+    // Variable tested by each node, and the node's children (terminals use -1)
+    this.nodeVar = [-1, -1];
+    this.low = [0, 1];
+    this.high = [0, 1];
+    // "var,low,high" → node id
+    this.unique = new Map();
+    // levelOf[var] = position in the order; order[level] = var
+    this.order = this.variables.map((v, i) => i);
+    this.levelOf = this.variables.map((v, i) => i);
+    this.cache = new Map();
+  }
+
+  /**
+   * Level of a node in the current order; terminals sit below every variable
+   */
+  level(node) {
+    return node <= 1 ? this.variables.length : this.levelOf[this.nodeVar[node]];
+  }
+
+  /**
+   * The node testing `v` with the given children, reusing an existing one.
+   * Equal children make the test redundant.
+   */
+  mk(v, low, high) {
+    if (low === high) return low;
+    const key = `${v},${low},${high}`;
+    let node = this.unique.get(key);
+    if (node === undefined) {
+      node = this.nodeVar.length;
+      this.nodeVar.push(v);
+      this.low.push(low);
+      this.high.push(high);
+      this.unique.set(key, node);
+    }
+    return node;
+  }
+
+  /**
+   * Function of a single variable, by name
+   */
+  variable(name) {
+    const v = this.variables.indexOf(name);
+    if (v === -1) throw new Error(`Unknown variable: ${name}`);
+    return this.mk(v, BDD.FALSE, BDD.TRUE);
+  }
+
+  /**
+   * Children of `node` with respect to the variable at `level`
+   * (both are the node itself if it doesn't test that variable)
+   */
+  cofactors(node, level) {
+    if (this.level(node) !== level) return [node, node];
+    return [this.low[node], this.high[node]];
+  }
+
+  /**
+   * If-then-else: f ? g : h. Every binary operator can be written with it.
+   */
+  ite(f, g, h) {
+    if (f === BDD.TRUE) return g;
+    if (f === BDD.FALSE) return h;
+    if (g === h) return g;
+    if (g === BDD.TRUE && h === BDD.FALSE) return f;
+
+    const key = `ite,${f},${g},${h}`;
+    const cached = this.cache.get(key);
+    if (cached !== undefined) return cached;
+
+    const top = Math.min(this.level(f), this.level(g), this.level(h));
+    const [f0, f1] = this.cofactors(f, top);
+    const [g0, g1] = this.cofactors(g, top);
+    const [h0, h1] = this.cofactors(h, top);
+    const result = this.mk(this.order[top], this.ite(f0, g0, h0), this.ite(f1, g1, h1));
+    this.cache.set(key, result);
+    return result;
+  }
+
+  not(f) {
+    return this.ite(f, BDD.FALSE, BDD.TRUE);
+  }
+
+  /**
+   * Combine two functions with a binary operator (the parser's node types:
+   * AND, OR, NAND, NOR, XOR, XNOR, IMPLIES, IFF)
+   */
+  apply(op, f, g) {
+    const table = BDD.OPERATORS[op];
+    if (!table) throw new Error(`Unknown operator: ${op}`);
+    if (f <= 1 && g <= 1) return table[f * 2 + g];
+
+    const key = `${op},${f},${g}`;
+    const cached = this.cache.get(key);
+    if (cached !== undefined) return cached;
+
+    const top = Math.min(this.level(f), this.level(g));
+    const [f0, f1] = this.cofactors(f, top);
+    const [g0, g1] = this.cofactors(g, top);
+    const result = this.mk(this.order[top], this.apply(op, f0, g0), this.apply(op, f1, g1));
+    this.cache.set(key, result);
+    return result;
+  }
+
+  /**
+   * Build the diagram of a parsed expression
+   */
+  fromAst(ast) {
+    if (ast.type === 'VAR') return this.variable(ast.value);
+    if (ast.type === 'CONST') return ast.value === 1 ? BDD.TRUE : BDD.FALSE;
+    if (ast.type === 'NOT') return this.not(this.fromAst(ast.operand));
+    return this.apply(ast.type, this.fromAst(ast.left), this.fromAst(ast.right));
+  }
+
+  isTautology(f) {
+    return f === BDD.TRUE;
+  }
+
+  isSatisfiable(f) {
+    return f !== BDD.FALSE;
+  }
+
+  equivalent(f, g) {
+    return f === g;
+  }
+
+  /**
+   * Number of assignments to all variables that make f true
+   */
+  satCount(f) {
+    const memo = new Map();
+    const count = node => {
+      if (node <= 1) return node;
+      if (memo.has(node)) return memo.get(node);
+      const level = this.level(node);
+      const c = ['low', 'high'].reduce((sum, side) => {
+        const child = this[side][node];
+        return sum + count(child) * Math.pow(2, this.level(child) - level - 1);
+      }, 0);
+      memo.set(node, c);
+      return c;
+    };
+    return count(f) * Math.pow(2, this.level(f));
+  }
+
+  /**
+   * One satisfying assignment { name: 0|1 } (untested variables are 0),
+   * or null when f is unsatisfiable
+   */
+  anySat(f) {
+    if (f === BDD.FALSE) return null;
+    const assignment = {};
+    this.variables.forEach(v => { assignment[v] = 0; });
+    let node = f;
+    while (node > 1) {
+      const name = this.variables[this.nodeVar[node]];
+      if (this.low[node] !== BDD.FALSE) {
+        node = this.low[node];
+      } else {
+        assignment[name] = 1;
+        node = this.high[node];
+      }
+    }
+    return assignment;
+  }
+
+  /**
+   * Nodes reachable from the roots (terminals included), in depth-first order
+   */
+  reachable(roots) {
+    const seen = new Set();
+    const visit = node => {
+      if (seen.has(node)) return;
+      seen.add(node);
+      if (node > 1) {
+        visit(this.low[node]);
+        visit(this.high[node]);
+      }
+    };
+    roots.forEach(visit);
+    return [...seen];
+  }
+
+  /**
+   * Size of the shared diagram for the roots, terminals included
+   */
+  size(roots) {
+    return this.reachable(roots).length;
+  }
+
+  /**
+   * Node counts: { nodes, levels: [{ variable, nodes }] } in the current order
+   */
+  stats(roots) {
+    const nodes = this.reachable(roots);
+    const levels = this.order.map(v => ({ variable: this.variables[v], nodes: 0 }));
+    nodes.forEach(node => {
+      if (node > 1) levels[this.level(node)].nodes++;
+    });
+    return { nodes: nodes.length, levels };
+  }
+
+  /**
+   * Exchange the variables at `level` and `level + 1` in place. Node ids keep
+   * their functions, so roots held by callers stay valid.
+   */
+  swap(level) {
+    const x = this.order[level];
+    const y = this.order[level + 1];
+    const labelled = [];
+    for (let node = 2; node < this.nodeVar.length; node++) {
+      if (this.nodeVar[node] === x) labelled.push(node);
+    }
+
+    this.order[level] = y;
+    this.order[level + 1] = x;
+    this.levelOf[x] = level + 1;
+    this.levelOf[y] = level;
+    this.cache.clear();
+
+    labelled.forEach(node => {
+      const low = this.low[node];
+      const high = this.high[node];
+      const testsY = child => child > 1 && this.nodeVar[child] === y;
+      if (!testsY(low) && !testsY(high)) return;
+
+      // node = x ? (y ? f11 : f10) : (y ? f01 : f00) becomes a test on y
+      const [f00, f01] = testsY(low) ? [this.low[low], this.high[low]] : [low, low];
+      const [f10, f11] = testsY(high) ? [this.low[high], this.high[high]] : [high, high];
+      this.unique.delete(`${x},${low},${high}`);
+      const newLow = this.mk(x, f00, f10);
+      const newHigh = this.mk(x, f01, f11);
+      this.nodeVar[node] = y;
+      this.low[node] = newLow;
+      this.high[node] = newHigh;
+      this.unique.set(`${y},${newLow},${newHigh}`, node);
+    });
+  }
+
+  /**
+   * Drop nodes no root can reach from the unique table. Ids are not reused,
+   * so the dropped entries only stop being swapped and looked up.
+   */
+  collectGarbage(roots) {
+    const live = new Set(this.reachable(roots));
+    for (let node = 2; node < this.nodeVar.length; node++) {
+      if (live.has(node) || this.nodeVar[node] === -1) continue;
+      this.unique.delete(`${this.nodeVar[node]},${this.low[node]},${this.high[node]}`);
+      this.nodeVar[node] = -1;
+    }
+    this.cache.clear();
+  }
+
+  /**
+   * Rudell's sifting: move each variable (busiest level first) through every
+   * position by adjacent swaps and leave it where the diagram was smallest.
+   * A direction is abandoned once the diagram grows past MAX_GROWTH times
+   * the best size. Returns { before, after, order }.
+   */
+  sift(roots) {
+    const before = this.size(roots);
+    const n = this.variables.length;
+    const counts = this.stats(roots).levels;
+    const byBusiness = this.order
+      .map((v, level) => ({ v, nodes: counts[level].nodes }))
+      .sort((a, b) => b.nodes - a.nodes)
+      .map(entry => entry.v);
+
+    byBusiness.forEach(v => {
+      this.collectGarbage(roots);
+      let level = this.levelOf[v];
+      let best = this.size(roots);
+      let bestLevel = level;
+
+      const move = (step, limit) => {
+        while (level !== limit) {
+          this.swap(step > 0 ? level : level - 1);
+          level += step;
+          const size = this.size(roots);
+          if (size < best) {
+            best = size;
+            bestLevel = level;
+          } else if (size > best * BDD.MAX_GROWTH) {
+            break;
+          }
+        }
+      };
+      // Try the nearer end first
+      if (level < n / 2) {
+        move(-1, 0);
+        move(1, n - 1);
+      } else {
+        move(1, n - 1);
+        move(-1, 0);
+      }
+      while (level > bestLevel) this.swap(--level);
+      while (level < bestLevel) this.swap(level++);
+    });
+
+    this.collectGarbage(roots);
+    return { before, after: this.size(roots), order: this.order.map(v => this.variables[v]) };
+  }
+}
+
+// Terminal nodes
+BDD.FALSE = 0;
+BDD.TRUE = 1;
+
+// Truth tables of the binary operators, indexed by f * 2 + g
+BDD.OPERATORS = {
+  AND: [0, 0, 0, 1],
+  OR: [0, 1, 1, 1],
+  NAND: [1, 1, 1, 0],
+  NOR: [1, 0, 0, 0],
+  XOR: [0, 1, 1, 0],
+  XNOR: [1, 0, 0, 1],
+  IMPLIES: [1, 1, 0, 1],
+  IFF: [1, 0, 0, 1]
+};
+
+// Sifting stops moving a variable once the diagram is this many times its best size
+BDD.MAX_GROWTH = 1.2;
+
+// Export for use in other files
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = BDD;
+}
@@ -0,0 +1,60 @@
+/**
+ * Shared subexpressions
+ * Hash-conses gate ASTs into a DAG: structurally equal subtrees become one
+ * node object, so a subexpression used twice is a single gate whose output
+ * fans out, and each variable is a single input terminal. Nodes keep the
+ * AST shape (VAR, CONST, NOT and n-ary gates) so the renderers walk them
+ * like trees and recognise sharing by object identity.
+ */
+
+class GateDag {
+  constructor() {
+    // Canonical node by structural key
+    this.table = new Map();
+    // Small id per canonical node, used to build the keys of its parents
+    this.ids = new Map();
+    // Canonical node already found for each AST node (shared ASTs are interned once)
+    this.interned = new WeakMap();
+  }
+
+  /**
+   * Canonical node for an AST, binary or n-ary. All gate types except →
+   * are commutative, so gates with the same type and the same inputs in any
+   * order are one node; the first one interned keeps its input order.
+   */
+  intern(ast) {
+    const known = this.interned.get(ast);
+    if (known) return known;
+
+    let key;
+    let make;
+    if (ast.type === 'VAR' || ast.type === 'CONST') {
+      key = `${ast.type} ${ast.value}`;
+      make = () => ({ type: ast.type, value: ast.value });
+    } else if (ast.type === 'NOT') {
+      const operand = this.intern(ast.operand);
+      key = `NOT ${this.ids.get(operand)}`;
+      make = () => ({ type: 'NOT', operand });
+    } else {
+      const operands = (ast.operands || [ast.left, ast.right]).map(input => this.intern(input));
+      const ids = operands.map(input => this.ids.get(input));
+      if (ast.type !== 'IMPLIES') ids.sort((a, b) => a - b);
+      key = `${ast.type} ${ids.join(',')}`;
+      make = () => ({ type: ast.type, operands });
+    }
+
+    let node = this.table.get(key);
+    if (!node) {
+      node = make();
+      this.table.set(key, node);
+      this.ids.set(node, this.ids.size);
+    }
+    this.interned.set(ast, node);
+    return node;
+  }
+}
+
+// Export for use in other files
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = GateDag;
+}
@@ -0,0 +1,73 @@
+/**
+ * Equivalence checking
+ * Compares two expressions over the union of their variables and lists the
+ * input assignments on which they disagree.
+ */
+
+class EquivalenceChecker {
+  /**
+   * Parse both sources (options are passed through to BooleanExpression,
+   * e.g. identifierMode) and rebuild them over a shared, naturally sorted
+   * variable list so their truth tables line up row for row. A variable
+   * used by only one side simply doesn't affect the other.
+   * options.names: output names for the two sides (default ['F', 'G']).
+   */
+  constructor(leftSource, rightSource, options = {}) {
+    const names = options.names || ['F', 'G'];
+    const sources = [leftSource, rightSource];
+    const parsed = sources.map(source => new BooleanExpression(source, options));
+
+    this.variables = [...new Set(parsed.flatMap(p => p.variables))]
+      .sort(BooleanExpression.compareNames);
+    [this.left, this.right] = sources.map((source, i) => new BooleanExpression(source, {
+      ...options,
+      variables: this.variables,
+      name: names[i]
+    }));
+
+    // Inputs that only one side mentions
+    this.onlyLeft = parsed[0].variables.filter(v => !parsed[1].variables.includes(v));
+    this.onlyRight = parsed[1].variables.filter(v => !parsed[0].variables.includes(v));
+
+    this.differences = this.findDifferences();
+    this.equivalent = this.differences.length === 0;
+  }
+
+  /**
+   * Indexes of the truth table rows where the two sides differ, compared
+   * 32 rows at a time with the compiled evaluators
+   */
+  findDifferences() {
+    const differences = [];
+    const left = this.left.evaluator;
+    const right = this.right.evaluator;
+    for (let base = 0; base < left.rowCount; base += 32) {
+      let diff = left.evaluateBlock(base) ^ right.evaluateBlock(base);
+      while (diff) {
+        differences.push(base + 31 - Math.clz32(diff & -diff));
+        diff &= diff - 1;
+      }
+    }
+    return differences;
+  }
+
+  /**
+   * A distinguishing assignment: { row, inputs: { var: 0|1 }, left, right }
+   */
+  counterexample(rowIndex) {
+    const row = this.left.row(rowIndex);
+    const inputs = {};
+    this.variables.forEach(v => { inputs[v] = row[v]; });
+    return {
+      row: rowIndex,
+      inputs,
+      left: row.output,
+      right: this.right.row(rowIndex).output
+    };
+  }
+}
+
+// Export for use in other files
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = EquivalenceChecker;
+}
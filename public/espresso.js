@@ -0,0 +1,650 @@
+/**
+ * Heuristic two-level minimization (Espresso-style)
+ * Works on cube lists instead of truth tables, so functions with 16–20+
+ * inputs can be minimized: covers are built straight from the AST or a
+ * minterm list, then improved with expand / irredundant / reduce loops.
+ *
+ * A cube is { z, o }: bit j of z is set when variable j may be 0, bit j of
+ * o when it may be 1. Both set = variable absent, z only = complemented
+ * literal, o only = plain literal, neither = empty cube.
+ */
+
+class Espresso {
+  /**
+   * numVars: number of inputs (variable j is bit j of a cube; in a row index
+   *   it is bit numVars-1-j, matching the truth table order)
+   * The time budget (MAX_MILLISECONDS) starts here for building covers and
+   * starts again with each minimize().
+   */
+  constructor(numVars) {
+    if (numVars > Espresso.MAX_VARIABLES) {
+      throw new Error(`Heuristic minimization supports at most ${Espresso.MAX_VARIABLES} variables`);
+    }
+    this.numVars = numVars;
+    this.full = Math.pow(2, numVars) - 1;
+    this.deadline = Date.now() + Espresso.MAX_MILLISECONDS;
+  }
+
+  /**
+   * Minimize the on-set cover `onSet` with don't-care cover `dontCares`.
+   * Returns {
+   *   cubes, terms: ['1-0', ...], cost: { terms, literals }, essentials,
+   *   lowerBound (fewest terms any cover can have), iterations, elapsed (ms)
+   * }
+   */
+  minimize(onSet, dontCares = []) {
+    const started = Date.now();
+    this.deadline = started + Espresso.MAX_MILLISECONDS;
+    const given = this.removeContained(onSet);
+    const initial = this.mergeAdjacent(given);
+    const offSet = this.complement([...initial, ...dontCares]);
+
+    let cover = this.irredundant(this.expand(initial, offSet), dontCares);
+
+    // Essential primes are in every cover: set them aside and treat their
+    // minterms as don't-cares while the rest is improved
+    const essentials = this.essentialPrimes(cover, dontCares);
+    cover = cover.filter(c => !essentials.includes(c));
+    const relaxed = [...dontCares, ...essentials];
+
+    let cost = this.cost(cover);
+    let iterations = 1;
+    while (cover.length > 0 && iterations < Espresso.MAX_ITERATIONS) {
+      this.checkTime();
+      let next = this.irredundant(this.expand(this.reduce(cover, relaxed), offSet), relaxed);
+      if (!this.cheaper(this.cost(next), cost)) {
+        next = this.lastGasp(cover, relaxed, offSet);
+      }
+      const nextCost = this.cost(next);
+      iterations++;
+      if (!this.cheaper(nextCost, cost)) break;
+      cover = next;
+      cost = nextCost;
+    }
+    cover = [...essentials, ...cover];
+
+    return {
+      cubes: cover,
+      terms: cover.map(c => this.cubeToTerm(c)),
+      cost: this.cost(cover),
+      essentials: essentials.length,
+      lowerBound: Math.max(this.lowerBound(given, offSet), essentials.length + (cover.length > essentials.length ? 1 : 0)),
+      iterations,
+      elapsed: Date.now() - started
+    };
+  }
+
+  /**
+   * Cover of a parsed expression. `variables` gives the bit of each name.
+   */
+  astCover(ast, variables) {
+    switch (ast.type) {
+      case 'VAR':
+        return [this.literal(variables.indexOf(ast.value), 1)];
+      case 'CONST':
+        return ast.value ? [this.universe()] : [];
+      case 'NOT':
+        return this.complement(this.astCover(ast.operand, variables));
+    }
+
+    const left = this.astCover(ast.left, variables);
+    const right = this.astCover(ast.right, variables);
+    switch (ast.type) {
+      case 'AND':
+        return this.product(left, right);
+      case 'OR':
+        return this.removeContained([...left, ...right]);
+      case 'NAND':
+        return this.complement(this.product(left, right));
+      case 'NOR':
+        return this.complement([...left, ...right]);
+      case 'XOR':
+        return this.removeContained([
+          ...this.product(left, this.complement(right)),
+          ...this.product(this.complement(left), right)
+        ]);
+      case 'XNOR':
+      case 'IFF':
+        return this.removeContained([
+          ...this.product(left, right),
+          ...this.product(this.complement(left), this.complement(right))
+        ]);
+      case 'IMPLIES':
+        return this.removeContained([...this.complement(left), ...right]);
+      default:
+        throw new Error(`Unknown node type: ${ast.type}`);
+    }
+  }
+
+  /**
+   * Cover with one cube per row index
+   */
+  mintermCover(indices) {
+    return indices.map(index => {
+      let z = 0;
+      let o = 0;
+      for (let j = 0; j < this.numVars; j++) {
+        if ((index >> (this.numVars - 1 - j)) & 1) o |= 1 << j;
+        else z |= 1 << j;
+      }
+      return { z, o };
+    });
+  }
+
+  // ---- Cube operations ----
+
+  universe() {
+    return { z: this.full, o: this.full };
+  }
+
+  /**
+   * Cube for variable j (value 1) or its complement (value 0)
+   */
+  literal(j, value) {
+    const bit = 1 << j;
+    return value ? { z: this.full & ~bit, o: this.full } : { z: this.full, o: this.full & ~bit };
+  }
+
+  intersect(a, b) {
+    return { z: a.z & b.z, o: a.o & b.o };
+  }
+
+  isEmpty(c) {
+    return (c.z | c.o) !== this.full;
+  }
+
+  contains(a, b) {
+    return (a.z & b.z) === b.z && (a.o & b.o) === b.o;
+  }
+
+  /**
+   * Bits of the variables that appear as literals in the cube
+   */
+  fixedMask(c) {
+    return this.full & ~(c.z & c.o);
+  }
+
+  literalCount(c) {
+    let mask = this.fixedMask(c);
+    let count = 0;
+    while (mask) {
+      mask &= mask - 1;
+      count++;
+    }
+    return count;
+  }
+
+  /**
+   * Cube as a term string over '0', '1' and '-', variable 0 first
+   */
+  cubeToTerm(c) {
+    let term = '';
+    for (let j = 0; j < this.numVars; j++) {
+      const bit = 1 << j;
+      if ((c.z & bit) && (c.o & bit)) term += '-';
+      else term += (c.o & bit) ? '1' : '0';
+    }
+    return term;
+  }
+
+  // ---- Cover operations ----
+
+  /**
+   * Single-cube containment: drop cubes inside another cube of the cover
+   */
+  removeContained(cover) {
+    const sorted = [...cover].sort((a, b) => this.literalCount(a) - this.literalCount(b));
+    const kept = [];
+    sorted.forEach(c => {
+      if (this.isEmpty(c)) return;
+      if (!kept.some(k => this.contains(k, c))) kept.push(c);
+    });
+    this.checkSize(kept);
+    return kept;
+  }
+
+  /**
+   * Merge pairs of cubes that differ only in the polarity of one variable
+   * (xy + xy' = x) until none are left. Cheap, and shrinks minterm lists and
+   * fragmented covers a lot before the costlier steps run.
+   */
+  mergeAdjacent(cover) {
+    let cubes = cover;
+    let merged = true;
+    while (merged) {
+      merged = false;
+      for (let j = 0; j < this.numVars; j++) {
+        const bit = 1 << j;
+        const byRest = new Map();
+        const next = [];
+        cubes.forEach(c => {
+          const fixed = !((c.z & bit) && (c.o & bit));
+          const key = `${c.z | bit},${c.o | bit}`;
+          const partner = fixed && byRest.get(key);
+          if (partner && partner.c.o !== c.o) {
+            next[partner.index] = { z: c.z | bit, o: c.o | bit };
+            byRest.delete(key);
+            merged = true;
+          } else {
+            if (fixed) byRest.set(key, { c, index: next.length });
+            next.push(c);
+          }
+        });
+        cubes = next;
+      }
+    }
+    return this.removeContained(cubes);
+  }
+
+  /**
+   * Intersection of two covers (AND)
+   */
+  product(a, b) {
+    const result = [];
+    a.forEach(x => {
+      b.forEach(y => {
+        const c = this.intersect(x, y);
+        if (!this.isEmpty(c)) result.push(c);
+      });
+    });
+    this.checkSize(result);
+    return this.removeContained(result);
+  }
+
+  /**
+   * Cofactor of a cover with respect to cube p: the cubes meeting p, with
+   * p's variables freed
+   */
+  cofactor(cover, p) {
+    const fixed = this.fixedMask(p);
+    const result = [];
+    cover.forEach(c => {
+      if (!this.isEmpty(this.intersect(c, p))) {
+        result.push({ z: c.z | fixed, o: c.o | fixed });
+      }
+    });
+    return result;
+  }
+
+  /**
+   * Variable to split on: the most binate one (appearing in both polarities),
+   * else the one in the most cubes; -1 when the cover has no literals.
+   * Returns { index, binate }.
+   */
+  splitVariable(cover) {
+    let best = -1;
+    let bestScore = 0;
+    let bestBinate = false;
+    for (let j = 0; j < this.numVars; j++) {
+      const bit = 1 << j;
+      let ones = 0;
+      let zeros = 0;
+      cover.forEach(c => {
+        const hasZero = c.z & bit;
+        const hasOne = c.o & bit;
+        if (hasOne && !hasZero) ones++;
+        else if (hasZero && !hasOne) zeros++;
+      });
+      const binate = ones > 0 && zeros > 0;
+      const score = ones + zeros;
+      if (score === 0) continue;
+      if ((binate && !bestBinate) || (binate === bestBinate && score > bestScore)) {
+        best = j;
+        bestScore = score;
+        bestBinate = binate;
+      }
+    }
+    return { index: best, binate: bestBinate };
+  }
+
+  /**
+   * Does the cover contain every minterm? (unate reduction + Shannon split)
+   */
+  tautology(cover) {
+    this.checkTime();
+    if (cover.length === 0) return false;
+    if (cover.some(c => c.z === this.full && c.o === this.full)) return true;
+
+    // Too little volume to fill the space, even without overlaps
+    let volume = 0;
+    cover.forEach(c => { volume += Math.pow(2, -this.literalCount(c)); });
+    if (volume < 1) return false;
+
+    // A unate cover is a tautology only if it holds the universe cube
+    const split = this.splitVariable(cover);
+    if (!split.binate) return false;
+
+    return this.tautology(this.cofactor(cover, this.literal(split.index, 1))) &&
+      this.tautology(this.cofactor(cover, this.literal(split.index, 0)));
+  }
+
+  /**
+   * Is cube c inside the union of the cover?
+   */
+  covers(cover, c) {
+    return this.tautology(this.cofactor(cover, c));
+  }
+
+  /**
+   * Complement of a cover, by Shannon expansion with merging of the halves
+   */
+  complement(cover) {
+    this.checkTime();
+    if (cover.length === 0) return [this.universe()];
+    if (cover.some(c => c.z === this.full && c.o === this.full)) return [];
+
+    if (cover.length === 1) {
+      // De Morgan on a single cube: one cube per complemented literal
+      const c = cover[0];
+      const result = [];
+      for (let j = 0; j < this.numVars; j++) {
+        const bit = 1 << j;
+        if ((c.z & bit) && (c.o & bit)) continue;
+        result.push(this.literal(j, (c.o & bit) ? 0 : 1));
+      }
+      return result;
+    }
+
+    const j = this.splitVariable(cover).index;
+    const bit = 1 << j;
+    const one = this.literal(j, 1);
+    const zero = this.literal(j, 0);
+    const ones = this.complement(this.cofactor(cover, one));
+    const zeros = this.complement(this.cofactor(cover, zero));
+
+    // Cubes present in both halves lose the split variable
+    const key = c => `${c.z},${c.o}`;
+    const zeroKeys = new Set(zeros.map(key));
+    const shared = new Set();
+    const result = [];
+    ones.forEach(c => {
+      if (zeroKeys.has(key(c))) {
+        shared.add(key(c));
+        result.push(c);
+      } else {
+        result.push(this.intersect(c, one));
+      }
+    });
+    zeros.forEach(c => {
+      if (!shared.has(key(c))) result.push(this.intersect(c, zero));
+    });
+    return this.removeContained(result);
+  }
+
+  /**
+   * Guard against covers too large to handle interactively
+   */
+  checkSize(cover) {
+    if (cover.length > Espresso.MAX_CUBES) {
+      throw new Error(`The function needs more than ${Espresso.MAX_CUBES} cubes; it is too large to minimize`);
+    }
+  }
+
+  /**
+   * Give up once the time budget is spent, so the page never hangs
+   */
+  checkTime() {
+    if (Date.now() > this.deadline) {
+      throw new Error(`Minimization took longer than ${Espresso.MAX_MILLISECONDS} ms; the function is too large to minimize`);
+    }
+  }
+
+  // ---- Espresso steps ----
+
+  /**
+   * Grow each cube into a prime implicant: free one literal at a time while
+   * the cube stays clear of the off-set, preferring the literal that brings
+   * it closest to the other cubes. Cubes swallowed on the way are dropped.
+   */
+  expand(cover, offSet) {
+    const cubes = [...cover].sort((a, b) => this.literalCount(a) - this.literalCount(b));
+    const result = [];
+    const done = new Array(cubes.length).fill(false);
+
+    cubes.forEach((start, i) => {
+      if (done[i]) return;
+      this.checkTime();
+      let c = start;
+      // For each off-set cube, the variables in which c is disjoint from it;
+      // c may free any variable except the last one left in such a mask
+      let blocking = offSet.map(r => this.full & ~((c.z & r.z) | (c.o & r.o)));
+      const freeable = () => {
+        let forbidden = 0;
+        blocking.forEach(mask => {
+          if ((mask & (mask - 1)) === 0) forbidden |= mask;
+        });
+        return this.fixedMask(c) & ~forbidden;
+      };
+      const free = freed => {
+        c = { z: c.z | freed, o: c.o | freed };
+        blocking = blocking.map(mask => mask & ~freed);
+      };
+
+      // First swallow whole cubes: grow c to the smallest cube enclosing it
+      // and a neighbour (at most one conflicting variable), picking the one
+      // whose enclosure covers the most
+      let candidates = freeable();
+      while (candidates) {
+        let best = null;
+        let bestGain = 0;
+        cubes.forEach((other, k) => {
+          if (done[k] || k === i || this.contains(c, other)) return;
+          const conflicts = this.full & ~((c.z & other.z) | (c.o & other.o));
+          if (conflicts & (conflicts - 1)) return;
+          const enclosing = { z: c.z | other.z, o: c.o | other.o };
+          const freed = this.fixedMask(c) & ~this.fixedMask(enclosing);
+          if ((freed & ~candidates) || !blocking.every(mask => (mask & ~freed) !== 0)) return;
+          let gain = 0;
+          cubes.forEach((d, m) => {
+            if (!done[m] && !this.contains(c, d) && this.contains(enclosing, d)) gain++;
+          });
+          if (gain > bestGain) {
+            best = freed;
+            bestGain = gain;
+          }
+        });
+        if (!best) break;
+        free(best);
+        candidates = freeable();
+      }
+
+      // Then free single literals
+      while (candidates) {
+        let best = -1;
+        let bestScore = -1;
+        for (let j = 0; j < this.numVars; j++) {
+          const bit = 1 << j;
+          if (!(candidates & bit)) continue;
+          // Cubes that disagree with c in variable j come closer when it is freed
+          let score = 0;
+          cubes.forEach((other, k) => {
+            if (done[k] || k === i) return;
+            if (!((c.z & other.z) & bit) && !((c.o & other.o) & bit)) score++;
+          });
+          if (score > bestScore) {
+            best = j;
+            bestScore = score;
+          }
+        }
+        free(1 << best);
+        candidates = freeable();
+      }
+
+      cubes.forEach((other, k) => {
+        if (!done[k] && this.contains(c, other)) done[k] = true;
+      });
+      result.push(c);
+    });
+
+    return this.removeContained(result);
+  }
+
+  /**
+   * Drop cubes covered by the rest of the cover and the don't-cares.
+   * While few cubes are redundant, remove the one that leaves the most of
+   * the others still redundant (so more can go); otherwise try the smallest
+   * cubes first.
+   */
+  irredundant(cover, dontCares) {
+    const kept = new Set(cover.map((c, i) => i));
+    const redundant = (i, without = -1) => {
+      const rest = [...kept].filter(k => k !== i && k !== without).map(k => cover[k]);
+      return this.covers([...rest, ...dontCares], cover[i]);
+    };
+
+    let candidates = [...kept].filter(i => redundant(i));
+    while (candidates.length > 0) {
+      let remove = candidates[0];
+      if (candidates.length <= Espresso.MAX_IRREDUNDANT_CHOICES) {
+        let bestScore = -1;
+        candidates.forEach(i => {
+          const score = candidates.filter(k => k !== i && redundant(k, i)).length;
+          const tie = score === bestScore && this.literalCount(cover[i]) > this.literalCount(cover[remove]);
+          if (score > bestScore || tie) {
+            remove = i;
+            bestScore = score;
+          }
+        });
+      } else {
+        remove = candidates.reduce((a, b) => (this.literalCount(cover[b]) > this.literalCount(cover[a]) ? b : a));
+      }
+      kept.delete(remove);
+      candidates = candidates.filter(i => i !== remove && redundant(i));
+    }
+
+    return cover.filter((c, i) => kept.has(i));
+  }
+
+  /**
+   * Shrink each cube to the smallest cube holding the minterms only it
+   * covers, so the next expand can head in a different direction.
+   * Cubes reduced to nothing are redundant and dropped.
+   */
+  reduce(cover, dontCares) {
+    const cubes = [...cover].sort((a, b) => this.literalCount(a) - this.literalCount(b));
+    const result = [];
+
+    cubes.forEach((c, i) => {
+      const rest = [...result, ...cubes.slice(i + 1), ...dontCares];
+      const uncovered = this.complement(this.cofactor(rest, c));
+      if (uncovered.length === 0) return;
+
+      let z = 0;
+      let o = 0;
+      uncovered.forEach(u => {
+        z |= u.z;
+        o |= u.o;
+      });
+      result.push(this.intersect(c, { z, o }));
+    });
+
+    return result;
+  }
+
+  /**
+   * Primes of the cover that every cover must use: p is essential when the
+   * consensus of p with the other cubes and the don't-cares leaves part of
+   * p uncovered
+   */
+  essentialPrimes(cover, dontCares) {
+    return cover.filter((p, i) => {
+      const consensus = [];
+      [...cover.slice(0, i), ...cover.slice(i + 1), ...dontCares].forEach(q => {
+        const conflicts = this.full & ~((p.z & q.z) | (p.o & q.o));
+        if (conflicts & (conflicts - 1)) return;
+        consensus.push({ z: (p.z & q.z) | conflicts, o: (p.o & q.o) | conflicts });
+      });
+      return !this.covers(consensus, p);
+    });
+  }
+
+  /**
+   * Last attempt once the loop stalls: reduce every cube on its own (not
+   * sequentially), expand the reduced cubes towards each other and let
+   * irredundant choose among the old and new primes
+   */
+  lastGasp(cover, dontCares, offSet) {
+    const reduced = [];
+    cover.forEach((c, i) => {
+      const rest = [...cover.slice(0, i), ...cover.slice(i + 1), ...dontCares];
+      const uncovered = this.complement(this.cofactor(rest, c));
+      if (uncovered.length === 0) return;
+      let z = 0;
+      let o = 0;
+      uncovered.forEach(u => {
+        z |= u.z;
+        o |= u.o;
+      });
+      reduced.push(this.intersect(c, { z, o }));
+    });
+    const primes = this.expand(reduced, offSet);
+    return this.irredundant(this.removeContained([...primes, ...cover]), dontCares);
+  }
+
+  // ---- Cost and quality ----
+
+  cost(cover) {
+    return {
+      terms: cover.length,
+      literals: cover.reduce((sum, c) => sum + this.literalCount(c), 0)
+    };
+  }
+
+  cheaper(a, b) {
+    return a.terms < b.terms || (a.terms === b.terms && a.literals < b.literals);
+  }
+
+  /**
+   * Lower bound on the number of terms in any cover: a set of on-set
+   * minterms no two of which fit in one implicant (their smallest enclosing
+   * cube meets the off-set) needs one term each
+   */
+  lowerBound(onSet, offSet) {
+    if (onSet.length === 0) return 0;
+    if (offSet.length === 0) return 1;
+
+    const samples = [];
+    const seen = new Set();
+    onSet.forEach(c => {
+      // Lowest minterm of the cube: free variables set to 0
+      const o = c.o & ~c.z;
+      if (seen.has(o) || samples.length >= Espresso.MAX_BOUND_SAMPLES) return;
+      seen.add(o);
+      samples.push({ z: this.full & ~o, o });
+    });
+
+    const independent = [];
+    samples.forEach(m => {
+      const clash = independent.every(s => {
+        const enclosing = { z: m.z | s.z, o: m.o | s.o };
+        return offSet.some(r => !this.isEmpty(this.intersect(enclosing, r)));
+      });
+      if (clash) independent.push(m);
+    });
+    return independent.length;
+  }
+}
+
+// Bit-mask cubes: variables must fit in a 31-bit integer
+Espresso.MAX_VARIABLES = 30;
+
+// Largest cover (or intermediate complement) handled before giving up:
+// a 12-input parity function (2048 cubes each way) takes about a second
+Espresso.MAX_CUBES = 3000;
+
+// Time a minimization (or building its covers) may take before giving up
+Espresso.MAX_MILLISECONDS = 1000;
+
+// Reduce / expand / irredundant rounds after the first pass
+Espresso.MAX_ITERATIONS = 20;
+
+// Redundant cubes weighed against each other in irredundant
+Espresso.MAX_IRREDUNDANT_CHOICES = 24;
+
+// On-set minterms examined for the lower bound
+Espresso.MAX_BOUND_SAMPLES = 400;
+
+// Export for use in other files
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = Espresso;
+}
@@ -0,0 +1,501 @@
+/**
+ * Boolean functions given by their minterms
+ * Parses sum-of-minterms / product-of-maxterms notation with don't-cares,
+ * e.g. "F(A,B,C,D) = Σm(0,2,5,7) + d(1,3)" or "F(A,B,C) = ΠM(1,4)", or a
+ * pasted truth table (CSV, tab-separated or HTML), and exposes the same
+ * interface as BooleanExpression (variables, outputs, truthTable, ast) so
+ * every renderer can use it. Don't-care rows have the output value 'X'.
+ */
+
+class BooleanFunction {
+  /**
+   * variables: input names, most significant bit first (minterm i sets
+   *   variables[j] to bit (n-1-j) of i)
+   * outputs: [{ name, minterms, dontCares, form }] where form is 'sum'
+   *   (drawn as canonical SOP) or 'product' (drawn as canonical POS)
+   * options.identifierMode: 'single' | 'multi', as for BooleanExpression
+   */
+  constructor(variables, outputs, options = {}) {
+    this.identifierMode = options.identifierMode === 'multi' ? 'multi' : 'single';
+    this.variables = [...variables];
+    this.outputs = outputs.map(o => {
+      const minterms = [...new Set(o.minterms)].sort((a, b) => a - b);
+      const dontCares = [...new Set(o.dontCares || [])].sort((a, b) => a - b);
+      const form = o.form === 'product' ? 'product' : 'sum';
+      return {
+        name: o.name,
+        minterms,
+        dontCares,
+        form,
+        ast: form === 'product'
+          ? this.posAst(this.maxtermsOf(minterms, dontCares))
+          : this.sopAst(minterms)
+      };
+    });
+    this.ast = this.outputs[0].ast;
+    this.originalExpression = options.source !== undefined ? options.source : this.toString();
+    this.onSets = this.outputs.map(o => new Set(o.minterms));
+    this.dcSets = this.outputs.map(o => new Set(o.dontCares));
+  }
+
+  /**
+   * Maxterms: rows that are neither minterms nor don't-cares
+   */
+  maxtermsOf(minterms, dontCares) {
+    const taken = new Set([...minterms, ...dontCares]);
+    const maxterms = [];
+    for (let i = 0; i < Math.pow(2, this.variables.length); i++) {
+      if (!taken.has(i)) maxterms.push(i);
+    }
+    return maxterms;
+  }
+
+  /**
+   * Literal for variable j in row index i: the variable itself when its bit
+   * equals `positiveBit`, otherwise its complement
+   */
+  literal(index, j, positiveBit) {
+    const n = this.variables.length;
+    const bit = (index >> (n - 1 - j)) & 1;
+    const node = { type: 'VAR', value: this.variables[j] };
+    return bit === positiveBit ? node : { type: 'NOT', operand: node, operator: "'" };
+  }
+
+  /**
+   * Chain nodes into a left-leaning binary tree of one operator type,
+   * the same shape the parser produces for "a + b + c"
+   */
+  chain(type, nodes) {
+    return nodes.reduce((left, right) => ({ type, left, right, operator: type.toLowerCase() }));
+  }
+
+  /**
+   * Canonical sum of products: one AND term per minterm
+   */
+  sopAst(minterms) {
+    if (minterms.length === 0) return { type: 'CONST', value: 0 };
+    if (this.variables.length === 0) return { type: 'CONST', value: 1 };
+    return this.chain('OR', minterms.map(m =>
+      this.chain('AND', this.variables.map((_, j) => this.literal(m, j, 1)))));
+  }
+
+  /**
+   * Canonical product of sums: one OR term per maxterm
+   * (a maxterm's literal is complemented where its bit is 1)
+   */
+  posAst(maxterms) {
+    if (maxterms.length === 0) return { type: 'CONST', value: 1 };
+    if (this.variables.length === 0) return { type: 'CONST', value: 0 };
+    return this.chain('AND', maxterms.map(m =>
+      this.chain('OR', this.variables.map((_, j) => this.literal(m, j, 0)))));
+  }
+
+  /**
+   * Truth table rows with outputs[] in the order of this.outputs:
+   * 1 for minterms, 'X' for don't-cares, 0 otherwise
+   */
+  generateTruthTable() {
+    return [...this.rows()];
+  }
+
+  /**
+   * Number of truth table rows (2^n)
+   */
+  get rowCount() {
+    return Math.pow(2, this.variables.length);
+  }
+
+  /**
+   * One truth table row, looked up in the minterm lists on demand
+   */
+  row(index) {
+    const numVars = this.variables.length;
+    const row = {};
+    for (let j = 0; j < numVars; j++) {
+      row[this.variables[j]] = Math.floor(index / Math.pow(2, numVars - 1 - j)) % 2;
+    }
+    row.outputs = this.outputsAt(index);
+    row.output = row.outputs[0];
+    return row;
+  }
+
+  /**
+   * Just the output values of row `index` (no row object), for fast scans
+   */
+  outputsAt(index) {
+    return this.outputs.map((_, k) => {
+      if (this.dcSets[k].has(index)) return 'X';
+      return this.onSets[k].has(index) ? 1 : 0;
+    });
+  }
+
+  /**
+   * Rows start..end-1 one at a time, without keeping the whole table
+   */
+  * rows(start = 0, end = this.rowCount) {
+    for (let i = start; i < end; i++) yield this.row(i);
+  }
+
+  /**
+   * The whole truth table, built on first use
+   */
+  get truthTable() {
+    if (!this.cachedTruthTable) this.cachedTruthTable = this.generateTruthTable();
+    return this.cachedTruthTable;
+  }
+
+  /**
+   * Name of a variable as shown in diagrams and tables
+   */
+  displayName(name) {
+    return this.identifierMode === 'multi' ? name : name.toUpperCase();
+  }
+
+  /**
+   * Σm / ΠM notation for one output, e.g. "F(A,B,C) = Σm(0,2) + d(1)"
+   */
+  formatOutput(output, sumSymbol = 'Σm', productSymbol = 'ΠM') {
+    const args = this.variables.map(v => this.displayName(v)).join(',');
+    const terms = output.form === 'product'
+      ? `${productSymbol}(${this.maxtermsOf(output.minterms, output.dontCares).join(',')})`
+      : `${sumSymbol}(${output.minterms.join(',')})`;
+    const dc = output.dontCares.length > 0 ? ` + d(${output.dontCares.join(',')})` : '';
+    return `${output.name}(${args}) = ${terms}${dc}`;
+  }
+
+  /**
+   * Canonical sum-of-products text of one output in input syntax
+   * ("A'B + AB'"). Don't-cares are left out (treated as 0).
+   */
+  sopText(output) {
+    const n = this.variables.length;
+    const separator = this.identifierMode === 'multi' ? ' ' : '';
+    if (output.minterms.length === 0) return '0';
+    if (n === 0 || output.minterms.length === Math.pow(2, n)) return '1';
+    return output.minterms.map(m => this.variables.map((v, j) => {
+      const name = this.displayName(v);
+      return (m >> (n - 1 - j)) & 1 ? name : name + "'";
+    }).join(separator)).join(' + ');
+  }
+
+  /**
+   * Canonical sum-of-products text for every output, in input syntax
+   * ("F = A'B + AB'; G = ...") so it can be typed back into the app.
+   */
+  toExpression() {
+    return this.outputs.map(o => `${o.name} = ${this.sopText(o)}`).join('; ');
+  }
+
+  /**
+   * Convert to LaTeX, one equation per output
+   */
+  toLatex() {
+    return this.outputs
+      .map(o => this.formatOutput(o, '\\sum m', '\\prod M'))
+      .join(' \\\\ ');
+  }
+
+  /**
+   * Get the function in Σm / ΠM notation
+   */
+  toString() {
+    return this.outputs.map(o => this.formatOutput(o)).join('; ');
+  }
+
+  /**
+   * Split pasted table text into rows of trimmed cell strings.
+   * Accepts the HTML produced by "Copy Table", tab-separated text (as
+   * pasted from a spreadsheet) and comma-, semicolon- or space-separated text.
+   */
+  static parseTableCells(text) {
+    if (/<table[\s>]/i.test(text)) {
+      const decode = s => s
+        .replace(/<[^>]*>/g, '')
+        .replace(/&nbsp;/g, ' ')
+        .replace(/&lt;/g, '<')
+        .replace(/&gt;/g, '>')
+        .replace(/&#39;/g, "'")
+        .replace(/&quot;/g, '"')
+        .replace(/&amp;/g, '&')
+        .trim();
+      return (text.match(/<tr[\s\S]*?<\/tr>/gi) || [])
+        .map(tr => (tr.match(/<t[hd][^>]*>[\s\S]*?<\/t[hd]>/gi) || []).map(decode))
+        .filter(cells => cells.length > 0);
+    }
+
+    const lines = text.split(/\r?\n/).filter(line => line.trim() !== '');
+    let delimiter = /\s+/;
+    if (lines.some(line => line.includes('\t'))) delimiter = /\t/;
+    else if (lines.some(line => line.includes(','))) delimiter = /,/;
+    else if (lines.some(line => line.includes(';'))) delimiter = /;/;
+    return lines.map(line => line.trim().split(delimiter).map(cell => cell.trim()));
+  }
+
+  /**
+   * Build a function from a pasted truth table.
+   * The table has 2^n data rows: the first n columns are inputs (0/1), the
+   * remaining columns are outputs (0/1, or X / - / ? for don't-care). Rows may
+   * be in any order. An optional header row names the columns; without one,
+   * inputs are named a, b, c, ... and outputs F (or F1, F2, ...).
+   * Header names that aren't single letters switch to multi-letter mode.
+   */
+  static fromTable(text, options = {}) {
+    const rows = BooleanFunction.parseTableCells(text);
+    if (rows.length === 0) throw new Error('The table is empty');
+
+    const isValue = cell => /^([01xX?*-])$/.test(cell);
+    const hasHeader = !rows[0].every(isValue);
+    const header = hasHeader ? rows[0] : null;
+    const data = hasHeader ? rows.slice(1) : rows;
+    const width = (header || data[0] || []).length;
+
+    const n = Math.log2(data.length);
+    if (data.length === 0 || !Number.isInteger(n)) {
+      throw new Error(`Expected 2^n data rows (2, 4, 8, ...) but found ${data.length}`);
+    }
+    if (width <= n) {
+      throw new Error(`${data.length} rows need ${n} input columns plus at least one output column, but the table has ${width} columns`);
+    }
+
+    // Column names: header cells, or a, b, c... for inputs and F / F1, F2... for outputs
+    const outputCount = width - n;
+    let names;
+    let identifierMode = options.identifierMode === 'multi' ? 'multi' : 'single';
+    if (header) {
+      names = header.map((cell, col) => cell.replace(/\s+/g, '') || (col < n ? `x${col}` : `F${col - n + 1}`));
+      const single = /^[a-z](_?\d+)?(\[\d+\])?$/i;
+      if (identifierMode === 'single' && !names.slice(0, n).every(name => single.test(name))) {
+        identifierMode = 'multi';
+      }
+    } else {
+      names = [
+        ...Array.from({ length: n }, (_, j) => String.fromCharCode(97 + j)),
+        ...Array.from({ length: outputCount }, (_, k) => (outputCount === 1 ? 'F' : `F${k + 1}`))
+      ];
+    }
+    const variables = names.slice(0, n).map(name => (identifierMode === 'single' ? name.toLowerCase() : name));
+    const duplicate = variables.find((v, j) => variables.indexOf(v) !== j);
+    if (duplicate) throw new Error(`Input column '${duplicate}' appears twice`);
+
+    const outputs = names.slice(n).map(name => ({ name, minterms: [], dontCares: [] }));
+    const seen = new Map();
+    data.forEach((cells, r) => {
+      const line = r + (hasHeader ? 2 : 1);
+      if (cells.length !== width) {
+        throw new Error(`Row ${line} has ${cells.length} cells, expected ${width}`);
+      }
+      let index = 0;
+      for (let j = 0; j < n; j++) {
+        if (cells[j] !== '0' && cells[j] !== '1') {
+          throw new Error(`Row ${line}, column ${names[j]}: inputs must be 0 or 1 but found '${cells[j]}'`);
+        }
+        index = index * 2 + Number(cells[j]);
+      }
+      if (seen.has(index)) {
+        throw new Error(`Row ${line} repeats the input combination of row ${seen.get(index)}`);
+      }
+      seen.set(index, line);
+      outputs.forEach((output, k) => {
+        const cell = cells[n + k];
+        if (cell === '1') output.minterms.push(index);
+        else if (/^[xX?*-]$/.test(cell)) output.dontCares.push(index);
+        else if (cell !== '0') {
+          throw new Error(`Row ${line}, column ${output.name}: outputs must be 0, 1 or X but found '${cell}'`);
+        }
+      });
+    });
+
+    return new BooleanFunction(variables, outputs, { ...options, identifierMode });
+  }
+
+  /**
+   * Whether the input is written in Σm / ΠM notation
+   */
+  static isMintermNotation(source) {
+    return /[Σ∑Π∏]/.test(source) || /=\s*(sum|prod)?\s*[mM]?\s*\(\s*[\d\s,]*\)/i.test(source);
+  }
+
+  /**
+   * Parse "F(A,B,C) = Σm(...) [+ d(...)]" statements separated by ';' or
+   * newlines. All statements must list the same variables. Every problem is
+   * reported as a positioned diagnostic in one BooleanSyntaxError.
+   */
+  static fromMintermNotation(source, options = {}) {
+    const multi = options.identifierMode === 'multi';
+    const diagnostics = [];
+    const outputs = [];
+    let variables = null;
+
+    BooleanSystem.splitStatements(source).forEach(stmt => {
+      const text = source.substring(0, stmt.end);
+      let pos = stmt.start;
+
+      const skipSpace = () => {
+        while (pos < stmt.end && /\s/.test(text[pos])) pos++;
+      };
+      const take = re => {
+        skipSpace();
+        re.lastIndex = pos;
+        const m = re.exec(text);
+        if (!m) return null;
+        pos += m[0].length;
+        return m;
+      };
+      const fail = (message, expected, hint) => {
+        skipSpace();
+        const found = pos < stmt.end ? `'${text[pos]}'` : 'end of statement';
+        diagnostics.push({
+          message: `${message} but found ${found}`,
+          start: pos,
+          end: Math.min(pos + 1, stmt.end),
+          expected,
+          hint
+        });
+        return null;
+      };
+      const takeIndexList = (label) => {
+        const list = [];
+        if (!take(/\(/y)) return fail("Expected '('", ['('], `write the ${label} as a list like (0,2,5)`);
+        skipSpace();
+        if (take(/\)/y)) return list;
+        do {
+          const m = take(/\d+/y);
+          if (!m) return fail(`Expected a ${label} index`, ['number']);
+          list.push({ value: Number(m[0]), start: pos - m[0].length, end: pos });
+        } while (take(/,/y));
+        if (!take(/\)/y)) return fail("Expected ')'", [',', ')']);
+        return list;
+      };
+
+      const parseStatement = () => {
+        const nameMatch = take(/[A-Za-z_][A-Za-z0-9_]*/y);
+        if (!nameMatch) return fail('Expected a function name', ['name'], 'start with e.g. F(A,B,C) =');
+        if (!take(/\(/y)) return fail("Expected '(' and the variable list", ['('], 'list the inputs, e.g. F(A,B,C)');
+
+        const varRe = multi ? /[A-Za-z_][A-Za-z0-9_]*(\[\d+\])?/y : /[A-Za-z](_?\d+)?(\[\d+\])?/y;
+        const vars = [];
+        do {
+          const m = take(varRe);
+          if (!m) return fail('Expected a variable name', ['variable']);
+          const name = multi ? m[0] : m[0].toLowerCase();
+          if (vars.includes(name)) {
+            diagnostics.push({
+              message: `Variable '${m[0]}' is listed twice`,
+              start: pos - m[0].length,
+              end: pos,
+              expected: [],
+              hint: 'each input may appear only once'
+            });
+          }
+          vars.push(name);
+        } while (take(/,/y));
+        if (!take(/\)/y)) return fail("Expected ')' after the variable list", [',', ')']);
+        if (!take(/=/y)) return fail("Expected '='", ['=']);
+
+        const opStart = (skipSpace(), pos);
+        const op = take(/(Σ|∑|sum|Π|∏|prod)?\s*([mM])?/iy);
+        const symbol = (op && op[1]) || '';
+        const letter = (op && op[2]) || '';
+        const isSum = /^(Σ|∑|sum)$/i.test(symbol);
+        const isProduct = /^(Π|∏|prod)$/i.test(symbol);
+        if (!symbol && !letter) {
+          return fail('Expected Σm or ΠM', ['Σm', 'ΠM', 'm', 'M'], 'write minterms as Σm(...) or maxterms as ΠM(...)');
+        }
+        if ((isSum && letter === 'M') || (isProduct && letter === 'm')) {
+          diagnostics.push({
+            message: `'${op[0]}' mixes a sum with maxterms (or a product with minterms)`,
+            start: opStart,
+            end: pos,
+            expected: ['Σm', 'ΠM'],
+            hint: 'use Σm for minterms and ΠM for maxterms'
+          });
+          return null;
+        }
+        const form = isProduct || (!isSum && letter === 'M') ? 'product' : 'sum';
+
+        const terms = takeIndexList(form === 'sum' ? 'minterm' : 'maxterm');
+        if (!terms) return null;
+        let dontCares = [];
+        const separator = take(/[+*·,]/y);
+        if (take(/[dD]/y)) {
+          dontCares = takeIndexList("don't-care");
+          if (!dontCares) return null;
+        } else if (separator) {
+          return fail("Expected don't-cares d(...)", ['d(...)']);
+        }
+        skipSpace();
+        if (pos < stmt.end) return fail('Unexpected text', ['d(...)', 'end of statement']);
+        return { name: nameMatch[0], vars, form, terms, dontCares };
+      };
+
+      const parsed = parseStatement();
+      if (!parsed) return;
+
+      if (variables === null) {
+        variables = parsed.vars;
+      } else if (parsed.vars.join(',') !== variables.join(',')) {
+        diagnostics.push({
+          message: `'${parsed.name}' lists different variables from the first function`,
+          start: stmt.start,
+          end: stmt.end,
+          expected: [],
+          hint: 'all functions in one input must share the same variable list'
+        });
+        return;
+      }
+
+      // Range and overlap checks, reported at the offending number
+      const size = Math.pow(2, parsed.vars.length);
+      const terms = new Set();
+      [...parsed.terms, ...parsed.dontCares].forEach((t, idx) => {
+        const isDontCare = idx >= parsed.terms.length;
+        if (t.value >= size) {
+          diagnostics.push({
+            message: `Index ${t.value} is out of range`,
+            start: t.start,
+            end: t.end,
+            expected: [],
+            hint: `${parsed.vars.length} variables allow indices 0 to ${size - 1}`
+          });
+        } else if (isDontCare && terms.has(t.value)) {
+          diagnostics.push({
+            message: `Index ${t.value} is both a ${parsed.form === 'sum' ? 'minterm' : 'maxterm'} and a don't-care`,
+            start: t.start,
+            end: t.end,
+            expected: [],
+            hint: 'remove it from one of the lists'
+          });
+        }
+        if (!isDontCare) terms.add(t.value);
+      });
+
+      const listed = parsed.terms.map(t => t.value).filter(v => v < size);
+      const dontCares = parsed.dontCares.map(t => t.value).filter(v => v < size && !terms.has(v));
+      const dcSet = new Set(dontCares);
+      const minterms = parsed.form === 'sum'
+        ? listed
+        : [...Array(size).keys()].filter(i => !terms.has(i) && !dcSet.has(i));
+      outputs.push({ name: parsed.name, minterms, dontCares, form: parsed.form });
+    });
+
+    if (diagnostics.length === 0 && outputs.length === 0) {
+      diagnostics.push({
+        message: 'No functions found',
+        start: 0,
+        end: source.length,
+        expected: ['F(A,B,...) ='],
+        hint: 'e.g. F(A,B,C) = Σm(0,2,5)'
+      });
+    }
+    if (diagnostics.length > 0) {
+      throw new BooleanSyntaxError(source, diagnostics);
+    }
+
+    return new BooleanFunction(variables, outputs, { ...options, source });
+  }
+}
+
+// Export for use in other files
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = BooleanFunction;
+}
@@ -0,0 +1,165 @@
+/**
+ * Static hazard detection
+ * Finds the single-input changes that can make an expression, built as
+ * written with arbitrary gate delays, glitch although its value should stay
+ * the same. Each is found by ternary simulation: the changing input is set
+ * to X (unknown, as it is mid-transition) and the expression can glitch
+ * exactly when its value comes out X. A static-1 hazard glitches 1 → 0 → 1,
+ * a static-0 hazard 0 → 1 → 0.
+ */
+
+class HazardAnalyzer {
+  /**
+   * variables: input names, most significant bit first (row index order);
+   * ast: the expression as written; dontCares: rows that never occur, so
+   * changes into or out of them are not checked
+   */
+  constructor(variables, ast, dontCares = []) {
+    this.variables = variables;
+    this.numVars = variables.length;
+    this.ast = ast;
+    this.dontCares = new Set(dontCares);
+  }
+
+  /**
+   * Value of an AST under inputs { variable: 0 | 1 | 'X' }: 0, 1, or 'X'
+   * when it depends on the unknown inputs
+   */
+  static ternary(node, values) {
+    const X = 'X';
+    switch (node.type) {
+      case 'VAR': return values[node.value];
+      case 'CONST': return node.value;
+      case 'NOT': {
+        const a = HazardAnalyzer.ternary(node.operand, values);
+        return a === X ? X : 1 - a;
+      }
+    }
+    const a = HazardAnalyzer.ternary(node.left, values);
+    const b = HazardAnalyzer.ternary(node.right, values);
+    const not = v => (v === X ? X : 1 - v);
+    const and = (p, q) => (p === 0 || q === 0 ? 0 : p === 1 && q === 1 ? 1 : X);
+    const or = (p, q) => (p === 1 || q === 1 ? 1 : p === 0 && q === 0 ? 0 : X);
+    const xor = (p, q) => (p === X || q === X ? X : p ^ q);
+    switch (node.type) {
+      case 'AND': return and(a, b);
+      case 'OR': return or(a, b);
+      case 'XOR': return xor(a, b);
+      case 'NAND': return not(and(a, b));
+      case 'NOR': return not(or(a, b));
+      case 'XNOR':
+      case 'IFF': return not(xor(a, b));
+      case 'IMPLIES': return or(not(a), b);
+      default: throw new Error(`Unknown AST node type: ${node.type}`);
+    }
+  }
+
+  /**
+   * Inputs { variable: 0|1 } of a row index
+   */
+  inputs(row) {
+    const values = {};
+    this.variables.forEach((v, j) => {
+      values[v] = Math.floor(row / Math.pow(2, this.numVars - 1 - j)) % 2;
+    });
+    return values;
+  }
+
+  /**
+   * Every hazardous single-input change: [{ variable, from, to, value }],
+   * from and to being the rows with that variable 0 and 1 (adjacent K-map
+   * cells) and value the output both give: 1 for a static-1 hazard, 0 for
+   * a static-0 one
+   */
+  hazards() {
+    return this.changes().filter(({ variable, from }) =>
+      HazardAnalyzer.ternary(this.ast, { ...this.inputs(from), [variable]: 'X' }) === 'X');
+  }
+
+  /**
+   * Every single-input change that leaves the output unchanged, in the
+   * same form as hazards()
+   */
+  changes() {
+    const found = [];
+    const rowCount = Math.pow(2, this.numVars);
+    const values = [];
+    for (let row = 0; row < rowCount; row++) {
+      values.push(this.dontCares.has(row) ? 'X' : HazardAnalyzer.ternary(this.ast, this.inputs(row)));
+    }
+    for (let from = 0; from < rowCount; from++) {
+      if (values[from] === 'X') continue;
+      this.variables.forEach((variable, j) => {
+        const weight = Math.pow(2, this.numVars - 1 - j);
+        if (Math.floor(from / weight) % 2 === 1) return;
+        const to = from + weight;
+        if (values[to] === values[from]) found.push({ variable, from, to, value: values[from] });
+      });
+    }
+    return found;
+  }
+
+  /**
+   * The products of the expression as written, as QuineMcCluskey terms
+   * ('1', '0' or '-' per variable), when it is a sum of products; products
+   * with both x and x' are always 0 and are left out. null otherwise.
+   */
+  writtenSOP() {
+    const products = [];
+    const sum = node => (node.type === 'OR' ? [...sum(node.left), ...sum(node.right)] : [node]);
+    const literals = node => (node.type === 'AND' ? [...literals(node.left), ...literals(node.right)] : [node]);
+    for (const product of sum(this.ast)) {
+      const bits = new Array(this.numVars).fill('-');
+      let zero = false;
+      for (const literal of literals(product)) {
+        const negated = literal.type === 'NOT';
+        const inner = negated ? literal.operand : literal;
+        if (inner.type === 'CONST') {
+          if ((negated ? 1 - inner.value : inner.value) === 0) zero = true;
+          continue;
+        }
+        if (inner.type !== 'VAR') return null;
+        const j = this.variables.indexOf(inner.value);
+        const bit = negated ? '0' : '1';
+        if (bits[j] !== '-' && bits[j] !== bit) zero = true;
+        bits[j] = bit;
+      }
+      if (!zero) products.push(bits.join(''));
+    }
+    return products;
+  }
+
+  /**
+   * Terms of a hazard-free SOP: `terms` (the starting cover) plus, for
+   * every change between two 1s that no single term covers, the prime
+   * implicant (from `primes`) covering the most such changes. These added
+   * terms are the consensus terms; a sum of products without complementary
+   * literals has no static-0 hazards. Every starting term is kept, even
+   * one inside another, so the result reads as the cover it started from.
+   * Returns { terms, added }.
+   */
+  hazardFreeCover(terms, primes) {
+    const covers = (term, row) => term.split('').every((bit, j) =>
+      bit === '-' || Number(bit) === Math.floor(row / Math.pow(2, this.numVars - 1 - j)) % 2);
+    const bridges = (term, change) => covers(term, change.from) && covers(term, change.to);
+
+    let open = this.changes().filter(change => change.value === 1 && !terms.some(term => bridges(term, change)));
+    const added = [];
+    while (open.length) {
+      const best = primes.reduce((a, b) =>
+        (open.filter(change => bridges(b, change)).length > open.filter(change => bridges(a, change)).length ? b : a));
+      if (!open.some(change => bridges(best, change))) throw new Error('No prime implicant covers a static-1 change');
+      added.push(best);
+      open = open.filter(change => !bridges(best, change));
+    }
+    return { terms: [...terms, ...added], added };
+  }
+}
+
+// Hazard analysis checks every single-input change, up to this many variables
+HazardAnalyzer.MAX_VARIABLES = 10;
+
+// Export for use in other files
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = HazardAnalyzer;
+}
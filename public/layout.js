@@ -0,0 +1,374 @@
+/**
+ * Layered circuit layout
+ * Sugiyama-style placement of a gate network drawn left to right: nodes are
+ * ranked by their longest path from the inputs, a wire spanning several
+ * columns gets a dummy node in each column it crosses, barycentric sweeps
+ * reorder the columns to reduce crossings, and nodes are placed vertically
+ * to straighten wires. Between two columns every net that has to turn gets
+ * a vertical track of its own, so wires never overlap or pass through gates.
+ */
+
+class LayeredLayout {
+  constructor() {
+    this.nodes = [];
+  }
+
+  /**
+   * Add a node and return its id. height: vertical space it needs; pins: y
+   * offsets of its input pins from its centre, top to bottom; sink: place it
+   * in the last column (outputs); commutative: inputs may use any pin.
+   */
+  addNode({ height, pins = [], sink = false, commutative = true }) {
+    const id = this.nodes.length;
+    this.nodes.push({ id, height, pins, sink, commutative, inputs: [], outputs: [], dummy: false });
+    return id;
+  }
+
+  /**
+   * Wire node `from`'s output to the next input of node `to`
+   */
+  connect(from, to) {
+    this.nodes[to].inputs.push(from);
+    this.nodes[from].outputs.push(to);
+  }
+
+  /**
+   * Run every phase. Afterwards each node has `layer`, `y` (its centre and
+   * output), `pinOf` (pin used by each input) and `sources` (node, or dummy,
+   * in the previous column feeding each input); `layers` lists the node ids
+   * of each column top to bottom and `channels[L]` the nets between columns
+   * L and L + 1: { nets: [{ source, y, top, bottom, targets: [{ node,
+   * input, y }], track }], tracks }, track being null for a straight wire.
+   */
+  layout() {
+    this.assignLayers();
+    this.insertDummies();
+    this.orderLayers();
+    this.assignPins();
+    this.placeVertically();
+    this.routeChannels();
+    return this;
+  }
+
+  /**
+   * Longest path from the inputs; sinks all go one column past the rest
+   */
+  assignLayers() {
+    const layerOf = node => {
+      if (node.layer === undefined) {
+        node.layer = node.inputs.reduce((max, id) => Math.max(max, layerOf(this.nodes[id]) + 1), 0);
+      }
+      return node.layer;
+    };
+    const inner = this.nodes.filter(node => !node.sink);
+    const last = Math.max(0, ...inner.map(layerOf)) + 1;
+    this.nodes.forEach(node => { if (node.sink) node.layer = last; });
+    this.layerCount = this.nodes.length ? Math.max(...this.nodes.map(node => node.layer)) + 1 : 0;
+  }
+
+  /**
+   * Give every net a chain of dummies through the columns up to its farthest
+   * target, shared by all its targets, and point each input at the chain
+   * element one column to its left
+   */
+  insertDummies() {
+    const real = this.nodes.slice();
+    const chains = new Map();
+    real.forEach(node => {
+      if (!node.outputs.length) return;
+      const farthest = Math.max(...node.outputs.map(id => this.nodes[id].layer));
+      const chain = [node.id];
+      for (let layer = node.layer + 1; layer < farthest; layer++) {
+        const id = this.nodes.length;
+        this.nodes.push({ id, height: 0, pins: [0], sink: false, commutative: true, dummy: true,
+          inputs: [chain[chain.length - 1]], outputs: [], layer, net: node.id });
+        chain.push(id);
+      }
+      chains.set(node.id, chain);
+    });
+    this.nodes.forEach(node => {
+      node.sources = node.dummy
+        ? node.inputs.slice()
+        : node.inputs.map(id => chains.get(id)[node.layer - 1 - this.nodes[id].layer]);
+    });
+    // Successors along those links, each listed once however many of its inputs they feed
+    this.nodes.forEach(node => { node.next = []; });
+    this.nodes.forEach(node => node.sources.forEach(id => {
+      if (!this.nodes[id].next.includes(node.id)) this.nodes[id].next.push(node.id);
+    }));
+  }
+
+  /**
+   * Order each column: an initial downward barycentre pass from the order
+   * the nodes were added, then alternating down and up sweeps, keeping the
+   * ordering with the fewest crossings
+   */
+  orderLayers() {
+    this.layers = Array.from({ length: this.layerCount }, () => []);
+    this.nodes.forEach(node => this.layers[node.layer].push(node.id));
+    this.updatePositions();
+    for (let layer = 1; layer < this.layerCount; layer++) this.sortLayer(layer, 'sources');
+
+    let best = { crossings: this.countCrossings(), layers: this.layers.map(ids => ids.slice()) };
+    for (let sweep = 0; sweep < LayeredLayout.ORDER_SWEEPS && best.crossings > 0; sweep++) {
+      for (let layer = 1; layer < this.layerCount; layer++) this.sortLayer(layer, 'sources');
+      for (let layer = this.layerCount - 2; layer >= 0; layer--) this.sortLayer(layer, 'next');
+      const crossings = this.countCrossings();
+      if (crossings < best.crossings) best = { crossings, layers: this.layers.map(ids => ids.slice()) };
+    }
+    this.layers = best.layers;
+    this.crossings = best.crossings;
+    this.updatePositions();
+  }
+
+  updatePositions() {
+    this.layers.forEach(ids => ids.forEach((id, i) => { this.nodes[id].position = i; }));
+  }
+
+  /**
+   * Sort one column by the mean position of each node's neighbours in the
+   * adjacent column (`sources` or `next`); nodes without any keep their place
+   */
+  sortLayer(layer, neighbours) {
+    const key = id => {
+      const linked = this.nodes[id][neighbours];
+      if (!linked.length) return this.nodes[id].position;
+      return linked.reduce((sum, other) => sum + this.nodes[other].position, 0) / linked.length;
+    };
+    const keys = new Map(this.layers[layer].map(id => [id, key(id)]));
+    this.layers[layer].sort((a, b) => keys.get(a) - keys.get(b) || this.nodes[a].position - this.nodes[b].position);
+    this.layers[layer].forEach((id, i) => { this.nodes[id].position = i; });
+  }
+
+  /**
+   * Wire crossings between adjacent columns. Inputs of one node never count:
+   * assignPins wires them to the pins in source order.
+   */
+  countCrossings() {
+    let crossings = 0;
+    for (let layer = 1; layer < this.layerCount; layer++) {
+      const edges = [];
+      this.layers[layer].forEach(id => this.nodes[id].sources.forEach(source => {
+        edges.push([this.nodes[source].position, this.nodes[id].position]);
+      }));
+      for (let i = 0; i < edges.length; i++) {
+        for (let j = i + 1; j < edges.length; j++) {
+          if ((edges[i][0] - edges[j][0]) * (edges[i][1] - edges[j][1]) < 0) crossings++;
+        }
+      }
+    }
+    return crossings;
+  }
+
+  /**
+   * Wire the inputs of commutative nodes to the pins top to bottom in the
+   * order of their sources
+   */
+  assignPins() {
+    this.nodes.forEach(node => {
+      const slots = node.sources.map((source, input) => input);
+      if (node.commutative) {
+        slots.sort((a, b) => this.nodes[node.sources[a]].position - this.nodes[node.sources[b]].position || a - b);
+      }
+      node.pinOf = [];
+      slots.forEach((input, pin) => { node.pinOf[input] = pin; });
+    });
+  }
+
+  /**
+   * y offset from a node's centre of the pin used by an input
+   */
+  pinOffset(node, input) {
+    return node.pins[node.pinOf[input]] || 0;
+  }
+
+  /**
+   * Vertical placement: start from the columns stacked tightly, then
+   * alternately pull each column toward the wires coming in from the left
+   * and going out to the right, keeping order and minimum gaps
+   */
+  placeVertically() {
+    this.layers.forEach(ids => {
+      let y = 0;
+      ids.forEach((id, i) => {
+        if (i > 0) y += this.separation(this.nodes[ids[i - 1]], this.nodes[id]);
+        this.nodes[id].y = y;
+      });
+    });
+
+    const fromLeft = node => node.sources.map((source, input) => this.nodes[source].y - this.pinOffset(node, input));
+    const fromRight = node => {
+      const wanted = [];
+      node.next.forEach(id => {
+        const target = this.nodes[id];
+        target.sources.forEach((source, input) => {
+          if (source === node.id) wanted.push(target.y + this.pinOffset(target, input));
+        });
+      });
+      return wanted;
+    };
+
+    for (let pass = 0; pass < LayeredLayout.PLACEMENT_PASSES; pass++) {
+      for (let layer = 1; layer < this.layerCount; layer++) this.alignLayer(layer, fromLeft);
+      for (let layer = this.layerCount - 2; layer >= 0; layer--) this.alignLayer(layer, fromRight);
+    }
+    for (let layer = 0; layer < this.layerCount; layer++) {
+      this.alignLayer(layer, node => [...fromLeft(node), ...fromRight(node)]);
+    }
+
+    const top = Math.min(...this.nodes.map(node => node.y - node.height / 2));
+    this.nodes.forEach(node => { node.y -= top; });
+    this.height = Math.max(0, ...this.nodes.map(node => node.y + node.height / 2));
+  }
+
+  /**
+   * Smallest distance between the centres of two nodes stacked in a column
+   */
+  separation(a, b) {
+    const gap = a.dummy || b.dummy ? LayeredLayout.WIRE_GAP : LayeredLayout.NODE_GAP;
+    return (a.height + b.height) / 2 + gap;
+  }
+
+  /**
+   * Move a column's nodes as close as possible (least squares) to the y
+   * values `wanted(node)` asks for, keeping their order and separations.
+   * Subtracting each node's cumulative separation turns this into isotonic
+   * regression, solved exactly by pooling adjacent violators.
+   */
+  alignLayer(layer, wanted) {
+    const ids = this.layers[layer];
+    const blocks = [];
+    let offset = 0;
+    ids.forEach((id, i) => {
+      const node = this.nodes[id];
+      if (i > 0) offset += this.separation(this.nodes[ids[i - 1]], node);
+      const values = wanted(node);
+      const weight = values.length || 1e-3;
+      const target = values.length ? values.reduce((sum, v) => sum + v, 0) / values.length : node.y;
+      let block = { weight, mean: target - offset, count: 1 };
+      while (blocks.length && blocks[blocks.length - 1].mean >= block.mean) {
+        const prev = blocks.pop();
+        const total = prev.weight + block.weight;
+        block = { weight: total, mean: (prev.mean * prev.weight + block.mean * block.weight) / total, count: prev.count + block.count };
+      }
+      blocks.push(block);
+    });
+
+    let i = 0;
+    offset = 0;
+    blocks.forEach(block => {
+      for (let k = 0; k < block.count; k++, i++) {
+        if (i > 0) offset += this.separation(this.nodes[ids[i - 1]], this.nodes[ids[i]]);
+        this.nodes[ids[i]].y = block.mean + offset;
+      }
+    });
+  }
+
+  /**
+   * Nets in each channel and their tracks. A net whose ends are all level
+   * is a straight wire; the rest each get a track, ordered left to right to
+   * reduce crossings and never let one net's horizontal run along another's.
+   */
+  routeChannels() {
+    this.channels = [];
+    for (let layer = 0; layer + 1 < this.layerCount; layer++) {
+      const nets = [];
+      this.layers[layer].forEach(id => {
+        const source = this.nodes[id];
+        const targets = [];
+        source.next.forEach(targetId => {
+          const target = this.nodes[targetId];
+          target.sources.forEach((s, input) => {
+            if (s === id) targets.push({ node: targetId, input, y: target.y + this.pinOffset(target, input) });
+          });
+        });
+        if (!targets.length) return;
+        const ys = [source.y, ...targets.map(t => t.y)];
+        nets.push({ source: id, y: source.y, top: Math.min(...ys), bottom: Math.max(...ys), targets, track: null });
+      });
+
+      const turning = nets.filter(net => net.bottom - net.top > LayeredLayout.EPSILON);
+      // Nets going down first, lowest source first, then nets going up, highest source first
+      const down = net => net.targets.reduce((sum, t) => sum + t.y, 0) / net.targets.length >= net.y;
+      turning.sort((a, b) => (down(b) - down(a)) || (down(a) ? b.y - a.y : a.y - b.y));
+      this.siftTracks(turning);
+      turning.forEach((net, i) => { net.track = i; });
+      this.channels.push({ nets, tracks: turning.length });
+    }
+  }
+
+  /**
+   * Move the whole drawing down by dy
+   */
+  shift(dy) {
+    this.nodes.forEach(node => { node.y += dy; });
+    this.channels.forEach(channel => channel.nets.forEach(net => {
+      net.y += dy;
+      net.top += dy;
+      net.bottom += dy;
+      net.targets.forEach(target => { target.y += dy; });
+    }));
+  }
+
+  /**
+   * Improve a left-to-right track order in place by sifting: take each net
+   * out and put it back where the total cost against all the others is
+   * lowest, until no move helps
+   */
+  siftTracks(order) {
+    for (let pass = 0, improved = true; improved && pass < LayeredLayout.SIFT_PASSES; pass++) {
+      improved = false;
+      order.slice().forEach(net => {
+        const from = order.indexOf(net);
+        order.splice(from, 1);
+        // Cost with net at position p: everything before it is to its left
+        let cost = order.reduce((sum, other) => sum + this.trackCost(net, other), 0);
+        let best = { cost, at: 0 };
+        order.forEach((other, i) => {
+          cost += this.trackCost(other, net) - this.trackCost(net, other);
+          if (cost < best.cost) best = { cost, at: i + 1 };
+        });
+        const current = order.slice(0, from).reduce((sum, other) => sum + this.trackCost(other, net), 0) +
+          order.slice(from).reduce((sum, other) => sum + this.trackCost(net, other), 0);
+        if (best.cost < current) improved = true;
+        order.splice(best.cost < current ? best.at : from, 0, net);
+      });
+    }
+  }
+
+  /**
+   * Cost of giving net `a` the track left of net `b`: one per crossing, and
+   * a large penalty where b's incoming wire would run along one of a's
+   * outgoing ones at the same height
+   */
+  trackCost(a, b) {
+    const inside = (y, net) => y > net.top + LayeredLayout.EPSILON && y < net.bottom - LayeredLayout.EPSILON;
+    let cost = inside(b.y, a) ? 1 : 0;
+    a.targets.forEach(t => {
+      if (inside(t.y, b)) cost++;
+      if (Math.abs(t.y - b.y) <= LayeredLayout.EPSILON) cost += 1000;
+    });
+    return cost;
+  }
+}
+
+// Down-and-up barycentre sweeps tried when ordering columns
+LayeredLayout.ORDER_SWEEPS = 12;
+
+// Sifting passes when ordering the tracks of a channel
+LayeredLayout.SIFT_PASSES = 8;
+
+// Left-and-right alignment passes when placing nodes vertically
+LayeredLayout.PLACEMENT_PASSES = 8;
+
+// Vertical clearance between two nodes, and next to a wire passing through a column
+LayeredLayout.NODE_GAP = 40;
+LayeredLayout.WIRE_GAP = 24;
+
+// Heights closer than this are level
+LayeredLayout.EPSILON = 0.5;
+
+// Export for use in other files
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = LayeredLayout;
+}
@@ -0,0 +1,316 @@
+/**
+ * Two-level logic minimization
+ * Exact Quine–McCluskey prime implicant generation with Petrick's method
+ * for the covering step. Keeps every intermediate table so the working
+ * can be shown step by step.
+ */
+
+class QuineMcCluskey {
+  /**
+   * variables: input names, most significant bit first (row index order)
+   * minterms / dontCares: row indices where the output is 1 / X
+   * options.names: display names for variables (default: variables)
+   * options.identifierMode: 'single' | 'multi' — decides how literals are
+   *   joined so the produced expressions can be parsed back in
+   */
+  constructor(variables, minterms, dontCares = [], options = {}) {
+    this.variables = variables;
+    this.numVars = variables.length;
+    this.names = options.names || variables;
+    this.identifierMode = options.identifierMode === 'multi' ? 'multi' : 'single';
+    this.minterms = [...new Set(minterms)].sort((a, b) => a - b);
+    this.dontCares = [...new Set(dontCares)].filter(d => !this.minterms.includes(d)).sort((a, b) => a - b);
+  }
+
+  /**
+   * Minimal sum-of-products: cover the minterms
+   */
+  minimizeSOP() {
+    return this.solve('sop', this.minterms);
+  }
+
+  /**
+   * Minimal product-of-sums: cover the maxterms (minimal SOP of F'),
+   * then complement each implicant into a sum term
+   */
+  minimizePOS() {
+    const taken = new Set([...this.minterms, ...this.dontCares]);
+    const maxterms = [];
+    for (let i = 0; i < Math.pow(2, this.numVars); i++) {
+      if (!taken.has(i)) maxterms.push(i);
+    }
+    return this.solve('pos', maxterms);
+  }
+
+  /**
+   * Run the full procedure for one target set.
+   * Returns {
+   *   form, targets, dontCares,
+   *   groupingTables: [{ pass, groups: [{ ones, rows: [{ term, covers, combined }] }] }],
+   *   primeImplicants: [{ label, term, covers, literals, essential }],
+   *   chart: { columns, rows: [{ label, term, marks }] },
+   *   essential: [labels], petrick: string,
+   *   covers: [[prime implicant]], expressions: [string]
+   * }
+   */
+  solve(form, targets) {
+    const report = {
+      form,
+      targets,
+      dontCares: this.dontCares,
+      groupingTables: [],
+      primeImplicants: [],
+      chart: { columns: targets, rows: [] },
+      essential: [],
+      petrick: '',
+      covers: [],
+      expressions: []
+    };
+
+    if (targets.length === 0) {
+      // F = 0 (SOP) or F = 1 (POS): nothing to cover
+      report.covers = [[]];
+      report.expressions = [form === 'sop' ? '0' : '1'];
+      return report;
+    }
+
+    const primes = this.primeImplicants([...targets, ...this.dontCares], report.groupingTables);
+
+    // Prime implicants made only of don't-cares never need to be chosen
+    const targetSet = new Set(targets);
+    report.primeImplicants = primes
+      .filter(p => p.covers.some(m => targetSet.has(m)))
+      .map((p, i) => ({
+        label: `P${i + 1}`,
+        term: p.term,
+        covers: p.covers,
+        literals: p.term.replace(/-/g, '').length,
+        essential: false
+      }));
+    const pis = report.primeImplicants;
+
+    report.chart.rows = pis.map(p => ({
+      label: p.label,
+      term: p.term,
+      marks: p.covers.filter(m => targetSet.has(m))
+    }));
+
+    // Essential prime implicants: sole cover of some minterm
+    targets.forEach(m => {
+      const coveringPIs = pis.filter(p => p.covers.includes(m));
+      if (coveringPIs.length === 1) coveringPIs[0].essential = true;
+    });
+    const essentials = pis.filter(p => p.essential);
+    report.essential = essentials.map(p => p.label);
+
+    const covered = new Set(essentials.flatMap(p => p.covers));
+    const remaining = targets.filter(m => !covered.has(m));
+
+    let choices = [[]];
+    if (remaining.length > 0) {
+      const sums = remaining.map(m => pis.filter(p => !p.essential && p.covers.includes(m)));
+      report.petrick = sums.map(sum => '(' + sum.map(p => p.label).join(' + ') + ')').join('');
+      choices = this.petrick(sums);
+    }
+
+    // Keep every cover of minimum cost: fewest terms, then fewest literals
+    const cost = cover => [cover.length, cover.reduce((sum, p) => sum + p.literals, 0)];
+    const full = choices.map(choice => [...essentials, ...choice]);
+    const best = full.map(cost).reduce((a, b) => (b[0] < a[0] || (b[0] === a[0] && b[1] < a[1]) ? b : a));
+    report.covers = full.filter(cover => {
+      const c = cost(cover);
+      return c[0] === best[0] && c[1] === best[1];
+    });
+    report.expressions = report.covers.map(cover => this.coverToText(cover, form));
+    return report;
+  }
+
+  /**
+   * Repeatedly merge implicants that differ in one bit, grouped by their
+   * number of 1s. Each pass is recorded in `tables`. Returns the implicants
+   * that were never merged (the prime implicants).
+   */
+  primeImplicants(indices, tables) {
+    let current = indices
+      .sort((a, b) => a - b)
+      .map(i => ({ term: this.toBits(i), covers: [i] }));
+    const primes = [];
+    let pass = 1;
+
+    while (current.length > 0) {
+      const groups = new Map();
+      current.forEach(imp => {
+        const ones = imp.term.split('').filter(c => c === '1').length;
+        if (!groups.has(ones)) groups.set(ones, []);
+        groups.get(ones).push(imp);
+      });
+      const onesCounts = [...groups.keys()].sort((a, b) => a - b);
+
+      const merged = new Map();
+      const combined = new Set();
+      onesCounts.forEach(ones => {
+        if (!groups.has(ones + 1)) return;
+        groups.get(ones).forEach(a => {
+          groups.get(ones + 1).forEach(b => {
+            const term = this.merge(a.term, b.term);
+            if (term === null) return;
+            combined.add(a);
+            combined.add(b);
+            if (!merged.has(term)) {
+              merged.set(term, { term, covers: [...new Set([...a.covers, ...b.covers])].sort((x, y) => x - y) });
+            }
+          });
+        });
+      });
+
+      tables.push({
+        pass,
+        groups: onesCounts.map(ones => ({
+          ones,
+          rows: groups.get(ones).map(imp => ({ term: imp.term, covers: imp.covers, combined: combined.has(imp) }))
+        }))
+      });
+
+      current.forEach(imp => {
+        if (!combined.has(imp)) primes.push(imp);
+      });
+      current = [...merged.values()];
+      pass++;
+    }
+
+    return primes;
+  }
+
+  /**
+   * Merge two terms that differ in exactly one fixed bit ('0' vs '1'),
+   * or return null
+   */
+  merge(a, b) {
+    let diff = -1;
+    for (let i = 0; i < a.length; i++) {
+      if (a[i] === b[i]) continue;
+      if (a[i] === '-' || b[i] === '-' || diff !== -1) return null;
+      diff = i;
+    }
+    if (diff === -1) return null;
+    return a.substring(0, diff) + '-' + a.substring(diff + 1);
+  }
+
+  /**
+   * Petrick's method: multiply out the product of sums (one sum of prime
+   * implicants per uncovered minterm), applying absorption (X + XY = X)
+   * after every step. Products with more implicants than a greedy cover
+   * needs can never be minimal and are dropped as they appear.
+   * Returns each surviving product as a list of PIs.
+   */
+  petrick(sums) {
+    const pis = [...new Set(sums.flat())];
+    const bitOf = new Map(pis.map((pi, i) => [pi, 1n << BigInt(i)]));
+    const limit = this.greedyCoverSize(sums);
+
+    // A sum containing another is implied by it (column dominance); short
+    // sums first keeps the intermediate products small
+    const masks = sums.map(sum => sum.reduce((m, pi) => m | bitOf.get(pi), 0n));
+    const ordered = sums
+      .filter((sum, i) => !masks.some((m, k) => (m & masks[i]) === m && (m !== masks[i] || k < i)))
+      .sort((a, b) => a.length - b.length);
+    let products = [{ mask: 0n, size: 0 }];
+    for (const sum of ordered) {
+      const next = [];
+      products.forEach(product => {
+        sum.forEach(pi => {
+          const bit = bitOf.get(pi);
+          if (product.mask & bit) {
+            next.push(product);
+          } else if (product.size < limit) {
+            next.push({ mask: product.mask | bit, size: product.size + 1 });
+          }
+        });
+      });
+      products = this.absorb(next);
+      if (products.length > QuineMcCluskey.MAX_PETRICK_TERMS) {
+        throw new Error(`Petrick's method produced more than ${QuineMcCluskey.MAX_PETRICK_TERMS} terms; the function is too large for exact minimization`);
+      }
+    }
+    return products.map(product => pis.filter(pi => product.mask & bitOf.get(pi)));
+  }
+
+  /**
+   * Number of implicants a greedy cover uses (most sums satisfied first):
+   * an upper bound on the size of a minimal cover
+   */
+  greedyCoverSize(sums) {
+    let open = sums;
+    let size = 0;
+    while (open.length > 0) {
+      const counts = new Map();
+      open.forEach(sum => sum.forEach(pi => counts.set(pi, (counts.get(pi) || 0) + 1)));
+      const best = [...counts.keys()].reduce((a, b) => (counts.get(b) > counts.get(a) ? b : a));
+      open = open.filter(sum => !sum.includes(best));
+      size++;
+    }
+    return size;
+  }
+
+  /**
+   * Remove duplicate products and any product that contains another
+   */
+  absorb(products) {
+    const unique = new Map();
+    products.forEach(p => unique.set(p.mask, p));
+    const sorted = [...unique.values()].sort((a, b) => a.size - b.size);
+    const kept = [];
+    sorted.forEach(p => {
+      const absorbed = kept.some(k => k.size < p.size && (k.mask & p.mask) === k.mask);
+      if (!absorbed) kept.push(p);
+    });
+    return kept;
+  }
+
+  /**
+   * Row index as an n-bit string, most significant variable first
+   */
+  toBits(index) {
+    if (this.numVars === 0) return '';
+    return index.toString(2).padStart(this.numVars, '0');
+  }
+
+  /**
+   * Implicant as text. SOP product: "AB'" ('1' → A, '0' → A').
+   * POS sum: "(A' + B)" ('1' → A', '0' → A, since it covers a maxterm).
+   */
+  termToText(term, form) {
+    const literals = [];
+    term.split('').forEach((bit, j) => {
+      if (bit === '-') return;
+      const complemented = form === 'sop' ? bit === '0' : bit === '1';
+      literals.push(this.names[j] + (complemented ? "'" : ''));
+    });
+    if (form === 'sop') {
+      if (literals.length === 0) return '1';
+      return literals.join(this.identifierMode === 'multi' ? ' ' : '');
+    }
+    if (literals.length === 0) return '0';
+    return literals.length === 1 ? literals[0] : '(' + literals.join(' + ') + ')';
+  }
+
+  /**
+   * A whole cover as an expression in input syntax
+   */
+  coverToText(cover, form) {
+    const terms = cover.map(p => this.termToText(p.term, form));
+    if (form === 'sop') return terms.join(' + ');
+    return terms.join(this.identifierMode === 'multi' ? ' ' : '');
+  }
+}
+
+// Petrick expansion limit; beyond this the covering problem is impractical
+QuineMcCluskey.MAX_PETRICK_TERMS = 20000;
+
+// Exact minimization is offered up to this many variables
+QuineMcCluskey.MAX_VARIABLES = 12;
+
+// Export for use in other files
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = QuineMcCluskey;
+}
@@ -0,0 +1,132 @@
+/**
+ * Multi-input gates
+ * The parser builds associative chains as left-leaning binary trees, so ABCD
+ * is three cascaded 2-input ANDs. GateFlattener collapses such chains into
+ * n-ary nodes, { type, operands: [...] }, for AND, OR and XOR (and the
+ * inverted NAND, NOR and XNOR), then splits any gate wider than the maximum
+ * fan-in back into a balanced tree.
+ */
+
+class GateFlattener {
+  /**
+   * maxFanIn: widest gate allowed (Infinity for no limit); gates: 'NAND' or
+   * 'NOR' when the network may only use that gate, so splits stay universal
+   */
+  constructor(maxFanIn = GateFlattener.DEFAULT_MAX_FAN_IN, gates = null) {
+    if (!(maxFanIn >= 2)) throw new Error(`Fan-in must be at least 2: ${maxFanIn}`);
+    this.maxFanIn = maxFanIn;
+    this.gates = gates;
+    // Flattened node for each node seen, so shared subtrees (tied inverter inputs) stay shared
+    this.flattened = new WeakMap();
+  }
+
+  /**
+   * N-ary AST for a binary one. Implications become an OR with an inverted
+   * first input and biconditionals an XNOR, as the gate diagram draws them.
+   */
+  flatten(node) {
+    if (node.type === 'VAR' || node.type === 'CONST') return node;
+    let result = this.flattened.get(node);
+    if (result) return result;
+
+    if (node.type === 'NOT') {
+      result = { type: 'NOT', operand: this.flatten(node.operand) };
+    } else if (UniversalGateConverter.isInverter(node)) {
+      const input = this.flatten(node.left);
+      result = { type: node.type, operands: [input, input] };
+    } else if (node.type === 'IMPLIES') {
+      const operands = [{ type: 'NOT', operand: this.flatten(node.left) }, ...this.chain(node.right, 'OR')];
+      result = this.limit('OR', operands);
+    } else if (node.type === 'XOR' || node.type === 'XNOR' || node.type === 'IFF') {
+      const { operands, inverted } = this.parity(node);
+      result = this.limit(inverted ? 'XNOR' : 'XOR', operands);
+    } else if (GateFlattener.BASE[node.type]) {
+      const base = GateFlattener.BASE[node.type];
+      result = this.limit(node.type, [...this.chain(node.left, base), ...this.chain(node.right, base)]);
+    } else {
+      throw new Error(`Unknown AST node type: ${node.type}`);
+    }
+
+    this.flattened.set(node, result);
+    return result;
+  }
+
+  /**
+   * Flattened inputs of a chain of `base` (AND or OR) gates rooted at node.
+   * An inverter on a NAND is an AND (on a NOR, an OR), so universal
+   * networks collapse too.
+   */
+  chain(node, base) {
+    if (node.type === base) {
+      return [...this.chain(node.left, base), ...this.chain(node.right, base)];
+    }
+    if (UniversalGateConverter.isInverter(node)) {
+      const inner = node.left;
+      if (GateFlattener.BASE[inner.type] === base && inner.type !== base && !UniversalGateConverter.isInverter(inner)) {
+        return [...this.chain(inner.left, base), ...this.chain(inner.right, base)];
+      }
+    }
+    return [this.flatten(node)];
+  }
+
+  /**
+   * Inputs of an XOR/XNOR chain and whether the whole chain is inverted:
+   * each XNOR (or ↔) in it complements the result once
+   */
+  parity(node) {
+    const isParity = n => (n.type === 'XOR' || n.type === 'XNOR' || n.type === 'IFF') && !UniversalGateConverter.isInverter(n);
+    const operands = [];
+    let inverted = false;
+    const visit = n => {
+      if (!isParity(n)) {
+        operands.push(this.flatten(n));
+        return;
+      }
+      if (n.type !== 'XOR') inverted = !inverted;
+      visit(n.left);
+      visit(n.right);
+    };
+    visit(node);
+    return { operands, inverted };
+  }
+
+  /**
+   * Gate of `type` over operands, split into a balanced tree when wider
+   * than maxFanIn: the operands go in nearly equal groups under gates of the
+   * base type, and only the root keeps any inversion
+   */
+  limit(type, operands) {
+    if (operands.length <= this.maxFanIn) return { type, operands };
+    const groupCount = Math.ceil(operands.length / this.maxFanIn);
+    const groups = [];
+    let start = 0;
+    for (let i = 0; i < groupCount; i++) {
+      const end = start + Math.ceil((operands.length - start) / (groupCount - i));
+      const chunk = operands.slice(start, end);
+      groups.push(chunk.length === 1 ? chunk[0] : this.group(GateFlattener.BASE[type], chunk));
+      start = end;
+    }
+    return this.limit(type, groups);
+  }
+
+  /**
+   * Inner gate of a split. With a universal gate set an AND is a NAND plus
+   * an inverter (an OR a NOR plus one); otherwise just the base gate.
+   */
+  group(base, operands) {
+    if (!this.gates) return { type: base, operands };
+    const gate = { type: this.gates, operands };
+    return { type: this.gates, operands: [gate, gate] };
+  }
+}
+
+// Associative function each gate type computes before any output inversion
+GateFlattener.BASE = { AND: 'AND', OR: 'OR', XOR: 'XOR', NAND: 'AND', NOR: 'OR', XNOR: 'XOR' };
+
+// Widest gate drawn unless the user picks another limit
+GateFlattener.DEFAULT_MAX_FAN_IN = 4;
+
+// Export for use in other files
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = GateFlattener;
+}
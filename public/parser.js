@@ -4,137 +4,221 @@
  */
 
 class BooleanExpression {
-  constructor(expression) {
+  /**
+   * options.identifierMode:
+   *   'single' (default) - variables are single letters, so adjacent letters
+   *                        are an implicit AND (AB = A·B). A letter may carry
+   *                        an index suffix: a1, x_0, s[2].
+   *   'multi'            - variables are whole identifiers (clk, en, A1, x_0,
+   *                        sel[2]); adjacent names need whitespace or an
+   *                        operator between them. Names are case-sensitive.
+   * options.variables: explicit input list for the truth table, e.g. when
+   *   several expressions must share columns. Must include every variable
+   *   the expression uses; extra inputs simply don't affect the output.
+   * options.name: output name shown in tables and diagrams (default 'Output').
+   * options.sourceOffset: where this expression starts inside a larger text
+   *   (e.g. one equation of a BooleanSystem); diagnostics use that text's offsets.
+   */
+  constructor(expression, options = {}) {
     this.originalExpression = expression;
-    this.normalizedExpression = this.normalize(expression);
+    this.identifierMode = options.identifierMode === 'multi' ? 'multi' : 'single';
+    this.sourceOffset = options.sourceOffset || 0;
+    this.diagnostics = [];
+    this.tokens = this.tokenize(expression);
     this.variables = this.extractVariables();
-    this.ast = this.parse();
-    this.truthTable = this.generateTruthTable();
-  }
-
-  /**
-   * Normalize expression: convert various formats to canonical form
-   * Supports all symbol variants for each operator
-   */
-  normalize(expr) {
-    return expr
-      // NOT variants
-      .replace(/'/g, '!')           // ' to !
-      .replace(/\u2018/g, '!')      // ' to ! (left single quote)
-      .replace(/\u2019/g, '!')      // ' to ! (right single quote/apostrophe)
-      .replace(/`/g, '!')           // ` to ! (backtick)
-      .replace(/¯/g, '!')           // Overline to !
-      .replace(/~/g, '!')           // ~ to !
-      // NOR variants
-      .replace(/⊽/g, ' nor ')       // NOR symbol
-      .replace(/↓/g, ' nor ')       // NOR arrow symbol
-      // NAND variants
-      .replace(/⊼/g, ' nand ')      // NAND symbol
-      .replace(/↑/g, ' nand ')      // NAND arrow symbol
-      // XOR variants
-      .replace(/⊕/g, ' xor ')       // XOR symbol
-      .replace(/\^/g, ' xor ')      // ^ to xor
-      // XNOR variants
-      .replace(/⊙/g, ' xnor ')      // XNOR symbol
-      .replace(/≡/g, ' xnor ')      // Equivalence symbol
-      // OR variants
-      .replace(/\|/g, ' or ')       // | to or
-      .replace(/\+/g, ' or ')       // + to or
-      // AND variants
-      .replace(/&/g, ' and ')       // & to and
-      .replace(/\*/g, ' and ')      // * to and
-      .replace(/·/g, ' and ')       // · to and
-      .toLowerCase()
-      .trim();
-  }
-
-  /**
-   * Extract all unique variables from expression.
-   * Strips keyword operators before matching single-letter variables
-   * so "a nor b" yields ['a','b'] not ['a','b','n','o','r'].
+    this.parsedAst = this.parse();
+    if (this.diagnostics.length > 0) {
+      throw new BooleanSyntaxError(expression, this.diagnostics);
+    }
+    if (options.variables) {
+      const missing = this.variables.filter(v => !options.variables.includes(v));
+      if (missing.length > 0) {
+        throw new Error(`Variable list is missing: ${missing.join(', ')}`);
+      }
+      this.variables = [...options.variables];
+    }
+    this.ast = this.foldConstants(this.parsedAst);
+    this.outputs = [{ name: options.name || 'Output', ast: this.ast, parsedAst: this.parsedAst }];
+  }
+
+  /**
+   * Extract all unique variables from the token stream, in natural order
+   * so x2 sorts before x10 and sel[2] before sel[10].
    */
   extractVariables() {
-    const stripped = this.normalizedExpression
-      .replace(/\b(xnor|nand|xor|nor|not|and|or)\b/g, ' ');
-    const matches = stripped.match(/[a-z]/g) || [];
-    return [...new Set(matches)].sort();
+    const names = this.tokens.filter(t => t.type === 'VAR' && /^[a-z_]/i.test(t.value)).map(t => t.value);
+    return [...new Set(names)].sort(BooleanExpression.compareNames);
+  }
+
+  /**
+   * Natural-order comparison of variable names (digit runs compare numerically)
+   */
+  static compareNames(a, b) {
+    const partsA = a.match(/\d+|\D+/g);
+    const partsB = b.match(/\d+|\D+/g);
+    for (let i = 0; i < Math.min(partsA.length, partsB.length); i++) {
+      const pa = partsA[i];
+      const pb = partsB[i];
+      if (pa === pb) continue;
+      if (/^\d/.test(pa) && /^\d/.test(pb)) return Number(pa) - Number(pb);
+      return pa < pb ? -1 : 1;
+    }
+    return partsA.length - partsB.length;
   }
 
   /**
-   * Tokenize expression into meaningful units
-   * Supports: keywords (and, or, not, nand, nor, xor, xnor) and ! for NOT
+   * Name of a variable as shown in diagrams and tables.
+   * Single-letter mode keeps the traditional uppercase look (a → A);
+   * multi-letter identifiers are shown exactly as typed.
+   */
+  displayName(name) {
+    return this.identifierMode === 'multi' ? name : name.toUpperCase();
+  }
+
+  /**
+   * Tokenize the expression as typed so every token carries start/end
+   * offsets into the user's original text.
+   * Supports: keywords (and, or, not, nand, nor, xor, xnor, implies, iff),
+   * ! for NOT, and every symbol variant listed in SYMBOLS and ARROWS.
+   * Unknown characters are reported to this.diagnostics and skipped.
    */
   tokenize(expr) {
     const tokens = [];
+    const push = (type, value, start, end) => {
+      tokens.push({ type, value, start, end, text: expr.substring(start, end) });
+    };
     let i = 0;
     while (i < expr.length) {
       const char = expr[i];
+      const symbol = BooleanExpression.SYMBOLS[char];
+      const arrow = Object.keys(BooleanExpression.ARROWS).find(a => expr.startsWith(a, i));
 
       if (/\s/.test(char)) {
         // Skip whitespace
         i++;
       } else if (char === '(') {
-        tokens.push({ type: 'LPAREN', value: '(' });
+        push('LPAREN', '(', i, i + 1);
         i++;
       } else if (char === ')') {
-        tokens.push({ type: 'RPAREN', value: ')' });
+        push('RPAREN', ')', i, i + 1);
         i++;
-      } else if (char === '!') {
-        tokens.push({ type: 'NOT', value: '!' });
+      } else if (arrow) {
+        const type = BooleanExpression.ARROWS[arrow];
+        push(type, type.toLowerCase(), i, i + arrow.length);
+        i += arrow.length;
+      } else if (symbol) {
+        push(symbol, symbol === 'NOT' ? '!' : symbol.toLowerCase(), i, i + 1);
         i++;
-      } else if (/[a-z]/.test(char)) {
-        // Check for keyword operators or variables
-        const remaining = expr.substring(i);
-        if (remaining.startsWith('nand')) {
-          tokens.push({ type: 'NAND', value: 'nand' });
-          i += 4;
-        } else if (remaining.startsWith('nor')) {
-          tokens.push({ type: 'NOR', value: 'nor' });
-          i += 3;
-        } else if (remaining.startsWith('not')) {
-          tokens.push({ type: 'NOT', value: 'not' });
-          i += 3;
-        } else if (remaining.startsWith('xnor')) {
-          tokens.push({ type: 'XNOR', value: 'xnor' });
-          i += 4;
-        } else if (remaining.startsWith('xor')) {
-          tokens.push({ type: 'XOR', value: 'xor' });
-          i += 3;
-        } else if (remaining.startsWith('and')) {
-          tokens.push({ type: 'AND', value: 'and' });
-          i += 3;
-        } else if (remaining.startsWith('or')) {
-          tokens.push({ type: 'OR', value: 'or' });
-          i += 2;
+      } else if (this.identifierMode === 'multi' && /[a-z_]/i.test(char)) {
+        // Whole identifier: letters, digits, underscores, optional [index]
+        const name = expr.substring(i).match(/^[a-z_][a-z0-9_]*(\[\d+\])?/i)[0];
+        const keyword = BooleanExpression.KEYWORDS[name.toLowerCase()];
+        push(keyword || 'VAR', keyword ? name.toLowerCase() : name, i, i + name.length);
+        i += name.length;
+      } else if (/[a-z]/i.test(char)) {
+        // Check for keyword operators (longest first) or variables
+        const keyword = ['implies', 'nand', 'xnor', 'nor', 'not', 'xor', 'and', 'iff', 'or']
+          .find(k => expr.substr(i, k.length).toLowerCase() === k);
+        if (keyword) {
+          push(BooleanExpression.KEYWORDS[keyword], keyword, i, i + keyword.length);
+          i += keyword.length;
         } else {
-          // Single character variable
-          tokens.push({ type: 'VAR', value: char });
-          i++;
+          // Single letter variable with optional index: a, a1, x_0, s[2]
+          const name = expr.substring(i).match(/^[a-z](_?\d+)?(\[\d+\])?/i)[0];
+          push('VAR', name.toLowerCase(), i, i + name.length);
+          i += name.length;
         }
       } else if (/[0-9]/.test(char)) {
-        // Numeric constant
-        tokens.push({ type: 'VAR', value: char });
-        i++;
+        // Boolean constant: only 0 and 1 are meaningful
+        const digits = expr.substring(i).match(/^\d+/)[0];
+        if (digits !== '0' && digits !== '1') {
+          this.report(`Invalid constant '${digits}'`, i, i + digits.length, {
+            expected: ['0', '1'],
+            hint: 'only the constants 0 and 1 are allowed'
+          });
+        }
+        push('CONST', digits === '1' ? '1' : '0', i, i + digits.length);
+        i += digits.length;
       } else {
-        throw new Error(`Unknown character: '${char}' at position ${i}`);
+        this.report(`Unknown character '${char}'`, i, i + 1, {
+          hint: 'remove it or use one of the operators listed under "?"'
+        });
+        i++;
       }
     }
     return tokens;
   }
 
+  /**
+   * Record a syntax diagnostic against a span [start, end) of the original text
+   */
+  report(message, start, end, { expected = [], hint = '' } = {}) {
+    this.diagnostics.push({
+      message,
+      start: start + this.sourceOffset,
+      end: end + this.sourceOffset,
+      expected,
+      hint
+    });
+  }
+
   /**
    * Recursive descent parser with operator precedence:
    * 1. NOT (highest)
    * 2. AND, NAND (medium)
    * 3. XOR, XNOR (medium-low)
-   * 4. OR, NOR (lowest)
+   * 4. OR, NOR (low)
+   * 5. IMPLIES (lower, right-associative: a → b → c = a → (b → c))
+   * 6. IFF (lowest)
+   *
+   * The parser recovers from errors (missing operands, unbalanced
+   * parentheses, stray tokens) so that every problem in the input is
+   * reported to this.diagnostics in one pass. The returned AST is only
+   * meaningful when no diagnostics were recorded.
    */
   parse() {
-    const tokens = this.tokenize(this.normalizedExpression);
+    const tokens = this.tokens;
+    const source = this.originalExpression;
     let position = 0;
 
     const peek = () => tokens[position];
     const consume = () => tokens[position++];
+    const column = offset => offset + this.sourceOffset + 1;
+    const describe = token => (token ? `'${token.text}'` : 'end of expression');
+    const operandStart = ['variable', 'constant', '(', 'NOT'];
+    const binaryTypes = ['AND', 'OR', 'NAND', 'NOR', 'XOR', 'XNOR', 'IMPLIES', 'IFF'];
+    const isBinary = token => token && binaryTypes.includes(token.type);
+    const errorNode = { type: 'ERROR' };
+
+    const parseIff = () => {
+      let left = parseImplies();
+      while (peek() && peek().type === 'IFF') {
+        const op = consume();
+        const right = parseImplies();
+        left = {
+          type: op.type,
+          left: left,
+          right: right,
+          operator: op.value
+        };
+      }
+      return left;
+    };
+
+    const parseImplies = () => {
+      const left = parseOr();
+      if (peek() && peek().type === 'IMPLIES') {
+        const op = consume();
+        const right = parseImplies(); // right-associative
+        return {
+          type: op.type,
+          left: left,
+          right: right,
+          operator: op.value
+        };
+      }
+      return left;
+    };
 
     const parseOr = () => {
       let left = parseXor();
@@ -179,7 +263,7 @@ class BooleanExpression {
             right: right,
             operator: op.value
           };
-        } else if (peek().type === 'VAR' || peek().type === 'NOT' || peek().type === 'LPAREN') {
+        } else if (peek().type === 'VAR' || peek().type === 'CONST' || peek().type === 'NOT' || peek().type === 'LPAREN') {
           // Implicit AND: adjacent terms like XYZ, X'Y, (A+B)C
           const right = parseNot();
           left = {
@@ -222,18 +306,37 @@ class BooleanExpression {
       return node;
     };
 
+    // Explain a missing operand in terms of the token that needed it
+    const missingOperandHint = () => {
+      const prev = tokens[position - 1];
+      if (isBinary(prev)) return `'${prev.text}' at column ${column(prev.start)} needs an operand on its right`;
+      if (prev && prev.type === 'LPAREN') return `'(' at column ${column(prev.start)} is empty`;
+      if (prev && prev.type === 'NOT') return `'${prev.text}' at column ${column(prev.start)} needs something to negate`;
+      return 'add a variable or constant here';
+    };
+
     const parsePrimary = () => {
       const token = peek();
 
       if (!token) {
-        throw new Error('Unexpected end of expression');
+        this.report('Unexpected end of expression', source.length, source.length, {
+          expected: operandStart,
+          hint: missingOperandHint()
+        });
+        return errorNode;
       }
 
       if (token.type === 'LPAREN') {
         consume(); // consume (
-        const expr = parseOr();
+        const expr = parseIff();
         if (!peek() || peek().type !== 'RPAREN') {
-          throw new Error('Expected closing parenthesis');
+          const next = peek();
+          this.report(`Expected ')' but found ${describe(next)}`,
+            next ? next.start : source.length, next ? next.end : source.length, {
+              expected: [')'],
+              hint: `missing ')' to close '(' opened at column ${column(token.start)}`
+            });
+          return expr;
         }
         consume(); // consume )
         return expr;
@@ -243,27 +346,101 @@ class BooleanExpression {
           type: 'VAR',
           value: token.value
         };
-      } else {
-        throw new Error(`Unexpected token: ${token.value}`);
+      } else if (token.type === 'CONST') {
+        consume();
+        return {
+          type: 'CONST',
+          value: Number(token.value)
+        };
       }
+
+      // Operand missing before an operator or ')': report without consuming
+      // so the caller can carry on from the operator.
+      this.report(`Expected an operand but found ${describe(token)}`, token.start, token.end, {
+        expected: operandStart,
+        hint: position === 0 ? `'${token.text}' needs an operand on its left` : missingOperandHint()
+      });
+      return errorNode;
     };
 
-    const ast = parseOr();
+    const ast = parseIff();
 
-    if (position < tokens.length) {
-      throw new Error('Unexpected tokens at end of expression');
+    // Anything left over is a stray token (typically an unmatched ')').
+    // Report it, skip it and keep parsing so later errors are found too.
+    while (position < tokens.length) {
+      const token = consume();
+      if (token.type === 'RPAREN') {
+        this.report("Unmatched ')'", token.start, token.end, {
+          hint: "remove it or add a matching '(' before it"
+        });
+      } else {
+        this.report(`Unexpected ${describe(token)}`, token.start, token.end, {
+          expected: ['operator', 'end of expression']
+        });
+      }
+      if (isBinary(peek())) consume();
+      if (peek()) parseIff();
     }
 
     return ast;
   }
 
+  /**
+   * Constant folding: propagate 0/1 through the tree and apply the
+   * identity/annihilator laws (A·1 → A, A·0 → 0, A+1 → 1, A⊕1 → A', ...)
+   * so constants only survive when the whole expression is constant.
+   */
+  foldConstants(ast) {
+    if (ast.type === 'VAR' || ast.type === 'CONST') return ast;
+
+    const constant = value => ({ type: 'CONST', value: value ? 1 : 0 });
+    const not = operand => ({ type: 'NOT', operand, operator: "'" });
+
+    if (ast.type === 'NOT') {
+      const operand = this.foldConstants(ast.operand);
+      if (operand.type === 'CONST') return constant(!operand.value);
+      return { ...ast, operand };
+    }
+
+    const left = this.foldConstants(ast.left);
+    const right = this.foldConstants(ast.right);
+    if (left.type !== 'CONST' && right.type !== 'CONST') {
+      return { ...ast, left, right };
+    }
+    if (left.type === 'CONST' && right.type === 'CONST') {
+      return constant(this.evaluateAst({ type: ast.type, left, right }, {}));
+    }
+
+    // Implication is not symmetric: 1 → B = B, 0 → B = 1, A → 1 = 1, A → 0 = A'
+    if (ast.type === 'IMPLIES') {
+      if (left.type === 'CONST') return left.value ? right : constant(1);
+      return right.value ? constant(1) : not(left);
+    }
+
+    // Exactly one side is constant
+    const c = left.type === 'CONST' ? left.value : right.value;
+    const other = left.type === 'CONST' ? right : left;
+    switch (ast.type) {
+      case 'AND':  return c ? other : constant(0);
+      case 'OR':   return c ? constant(1) : other;
+      case 'NAND': return c ? not(other) : constant(1);
+      case 'NOR':  return c ? constant(0) : not(other);
+      case 'XOR':  return c ? not(other) : other;
+      case 'XNOR':
+      case 'IFF':  return c ? other : not(other);
+    }
+    throw new Error(`Unknown AST node type: ${ast.type}`);
+  }
+
   /**
    * Evaluate AST safely using symbol table (no eval())
-   * Supports: AND, OR, NOT, NAND, NOR, XOR, XNOR
+   * Supports: AND, OR, NOT, NAND, NOR, XOR, XNOR, IMPLIES, IFF
    */
   evaluateAst(ast, symbolTable) {
     if (ast.type === 'VAR') {
       return symbolTable[ast.value];
+    } else if (ast.type === 'CONST') {
+      return ast.value === 1;
     } else if (ast.type === 'NOT') {
       return !this.evaluateAst(ast.operand, symbolTable);
     } else if (ast.type === 'AND') {
@@ -278,67 +455,163 @@ class BooleanExpression {
       return this.evaluateAst(ast.left, symbolTable) !== this.evaluateAst(ast.right, symbolTable);
     } else if (ast.type === 'XNOR') {
       return this.evaluateAst(ast.left, symbolTable) === this.evaluateAst(ast.right, symbolTable);
+    } else if (ast.type === 'IMPLIES') {
+      return !this.evaluateAst(ast.left, symbolTable) || this.evaluateAst(ast.right, symbolTable);
+    } else if (ast.type === 'IFF') {
+      return this.evaluateAst(ast.left, symbolTable) === this.evaluateAst(ast.right, symbolTable);
     }
     throw new Error(`Unknown AST node type: ${ast.type}`);
   }
 
   /**
-   * Generate truth table for all variable combinations
+   * Number of truth table rows (2^n)
    */
-  generateTruthTable() {
-    const numVars = this.variables.length;
-    const numRows = Math.pow(2, numVars);
-    const table = [];
-
-    for (let i = 0; i < numRows; i++) {
-      const row = {};
-      const symbolTable = {};
-
-      // Set variable values based on binary representation of i
-      for (let j = 0; j < numVars; j++) {
-        const bit = (i >> (numVars - 1 - j)) & 1;
-        symbolTable[this.variables[j]] = bit === 1;
-        row[this.variables[j]] = bit;
-      }
+  get rowCount() {
+    return Math.pow(2, this.variables.length);
+  }
 
-      // Evaluate expression for this row
-      row.output = this.evaluateAst(this.ast, symbolTable) ? 1 : 0;
-      table.push(row);
+  /**
+   * One truth table row, computed on demand. Row i sets variables[j] to
+   * bit (n-1-j) of i; outputs[] mirrors this.outputs.
+   */
+  row(index) {
+    const numVars = this.variables.length;
+    const row = {};
+    for (let j = 0; j < numVars; j++) {
+      row[this.variables[j]] = Math.floor(index / Math.pow(2, numVars - 1 - j)) % 2;
     }
+    row.outputs = this.outputsAt(index);
+    row.output = row.outputs[0];
+    return row;
+  }
 
-    return table;
+  /**
+   * Just the output values of row `index` (no row object), for fast scans.
+   * Past CompiledEvaluator.MAX_VARIABLES the AST is interpreted instead.
+   */
+  outputsAt(index) {
+    const numVars = this.variables.length;
+    if (numVars <= CompiledEvaluator.MAX_VARIABLES) return [this.evaluator.evaluate(index)];
+    const symbolTable = {};
+    this.variables.forEach((v, j) => {
+      symbolTable[v] = Math.floor(index / Math.pow(2, numVars - 1 - j)) % 2 === 1;
+    });
+    return [this.evaluateAst(this.ast, symbolTable) ? 1 : 0];
   }
 
   /**
-   * Convert AST to LaTeX format
+   * Bit-parallel evaluator of this.ast, compiled on first use
    */
-  toLatex(ast = this.ast) {
+  get evaluator() {
+    if (!this.compiledEvaluator) this.compiledEvaluator = new CompiledEvaluator(this.ast, this.variables);
+    return this.compiledEvaluator;
+  }
+
+  /**
+   * Rows start..end-1 one at a time, without keeping the whole table
+   */
+  * rows(start = 0, end = this.rowCount) {
+    for (let i = start; i < end; i++) yield this.row(i);
+  }
+
+  /**
+   * The whole truth table, built on first use. Large inputs should page
+   * through row() / rows() instead.
+   */
+  get truthTable() {
+    if (!this.cachedTruthTable) this.cachedTruthTable = this.generateTruthTable();
+    return this.cachedTruthTable;
+  }
+
+  /**
+   * Generate truth table for all variable combinations
+   */
+  generateTruthTable() {
+    return [...this.rows()];
+  }
+
+  /**
+   * Convert AST to LaTeX format. Operands that bind more loosely than their
+   * operator are parenthesized; nodes in the `highlight` Set are boxed.
+   */
+  toLatex(ast = this.ast, highlight = null) {
+    // NAND, NOR and XNOR are drawn as a bar over the plain operator
+    const inner = { NAND: 'AND', NOR: 'OR', XNOR: 'XOR' }[ast.type] || ast.type;
+    const operand = (child, side) => {
+      const text = this.toLatex(child, highlight);
+      return this.latexNeedsParens(inner, child, side) ? `\\left(${text}\\right)` : text;
+    };
+
+    let latex;
     if (ast.type === 'VAR') {
-      return ast.value;
+      latex = this.latexName(this.displayName(ast.value));
+    } else if (ast.type === 'CONST') {
+      latex = String(ast.value);
     } else if (ast.type === 'NOT') {
-      return `\\overline{${this.toLatex(ast.operand)}}`;
+      latex = `\\overline{${this.toLatex(ast.operand, highlight)}}`;
     } else if (ast.type === 'AND') {
-      return `${this.toLatex(ast.left)} \\cdot ${this.toLatex(ast.right)}`;
+      latex = `${operand(ast.left, 'left')} \\cdot ${operand(ast.right, 'right')}`;
     } else if (ast.type === 'OR') {
-      return `${this.toLatex(ast.left)} + ${this.toLatex(ast.right)}`;
+      latex = `${operand(ast.left, 'left')} + ${operand(ast.right, 'right')}`;
     } else if (ast.type === 'NAND') {
-      return `\\overline{${this.toLatex(ast.left)} \\cdot ${this.toLatex(ast.right)}}`;
+      latex = `\\overline{${operand(ast.left, 'left')} \\cdot ${operand(ast.right, 'right')}}`;
     } else if (ast.type === 'NOR') {
-      return `\\overline{${this.toLatex(ast.left)} + ${this.toLatex(ast.right)}}`;
+      latex = `\\overline{${operand(ast.left, 'left')} + ${operand(ast.right, 'right')}}`;
     } else if (ast.type === 'XOR') {
-      return `${this.toLatex(ast.left)} \\oplus ${this.toLatex(ast.right)}`;
+      latex = `${operand(ast.left, 'left')} \\oplus ${operand(ast.right, 'right')}`;
     } else if (ast.type === 'XNOR') {
-      return `\\overline{${this.toLatex(ast.left)} \\oplus ${this.toLatex(ast.right)}}`;
+      latex = `\\overline{${operand(ast.left, 'left')} \\oplus ${operand(ast.right, 'right')}}`;
+    } else if (ast.type === 'IMPLIES') {
+      latex = `${operand(ast.left, 'left')} \\rightarrow ${operand(ast.right, 'right')}`;
+    } else if (ast.type === 'IFF') {
+      latex = `${operand(ast.left, 'left')} \\leftrightarrow ${operand(ast.right, 'right')}`;
     } else {
       return '';
     }
+    return highlight && highlight.has(ast) ? `\\boxed{${latex}}` : latex;
+  }
+
+  /**
+   * Does `child`, as the left or right operand of a `type` operator, need
+   * parentheses in LaTeX? Overlined nodes are self-delimiting.
+   */
+  latexNeedsParens(type, child, side) {
+    if (['NOT', 'NAND', 'NOR', 'XNOR'].includes(child.type)) return false;
+    return BooleanExpression.needsParens(type, child, side);
+  }
+
+  /**
+   * Does `child`, as the left or right operand of a `type` operator, need
+   * parentheses to be read back the same way? Chains of one associative
+   * operator need none; implication groups to the right, everything else
+   * to the left.
+   */
+  static needsParens(type, child, side) {
+    const parent = BooleanExpression.PRECEDENCE[type];
+    const own = BooleanExpression.PRECEDENCE[child.type];
+    if (own !== parent) return own < parent;
+    if (child.type === type && ['AND', 'OR', 'XOR'].includes(type)) return false;
+    return type === 'IMPLIES' ? side === 'left' : side === 'right';
+  }
+
+  /**
+   * Typeset a variable name: trailing digits become a subscript (x_0 → x_{0}),
+   * multi-letter stems are set upright-italic as one word (\mathit{clk}).
+   */
+  latexName(name) {
+    const m = name.match(/^(.*?)_?(\d+)?(\[\d+\])?$/);
+    const stem = m[1].replace(/_/g, '\\_');
+    let out = stem.length > 1 ? `\\mathit{${stem}}` : stem;
+    if (m[2] !== undefined) out += `_{${m[2]}}`;
+    if (m[3] !== undefined) out += m[3];
+    return out;
   }
 
   /**
-   * Get expression in standard notation
+   * Get expression in standard notation, e.g. (A + B)C'
    */
   toString() {
-    return this.normalizedExpression;
+    return new ExpressionPrinter('standard', this).print(this.parsedAst);
   }
 
   /**
@@ -349,7 +622,388 @@ class BooleanExpression {
   }
 }
 
+// Binding strength of each node type, loosest first (matches parse())
+BooleanExpression.PRECEDENCE = {
+  IFF: 1,
+  IMPLIES: 2,
+  OR: 3, NOR: 3,
+  XOR: 4, XNOR: 4,
+  AND: 5, NAND: 5,
+  NOT: 6,
+  VAR: 7, CONST: 7
+};
+
+// Keyword operators (matched case-insensitively)
+BooleanExpression.KEYWORDS = {
+  nand: 'NAND',
+  nor: 'NOR',
+  not: 'NOT',
+  xnor: 'XNOR',
+  xor: 'XOR',
+  and: 'AND',
+  or: 'OR',
+  implies: 'IMPLIES',
+  iff: 'IFF'
+};
+
+// Single-character operator symbols: every accepted variant of each operator
+BooleanExpression.SYMBOLS = {
+  '!': 'NOT', '\'': 'NOT', '\u2018': 'NOT', '\u2019': 'NOT', '`': 'NOT', '¯': 'NOT', '~': 'NOT',
+  '⊽': 'NOR', '↓': 'NOR',
+  '⊼': 'NAND', '↑': 'NAND',
+  '⊕': 'XOR', '^': 'XOR',
+  '⊙': 'XNOR', '≡': 'XNOR',
+  '|': 'OR', '+': 'OR',
+  '&': 'AND', '*': 'AND', '·': 'AND',
+  '→': 'IMPLIES', '⇒': 'IMPLIES',
+  '↔': 'IFF', '⇔': 'IFF'
+};
+
+// Multi-character ASCII arrows, longest first so <-> is not read as < ->
+BooleanExpression.ARROWS = {
+  '<->': 'IFF',
+  '<=>': 'IFF',
+  '->': 'IMPLIES',
+  '=>': 'IMPLIES'
+};
+
+/**
+ * Syntax error carrying every diagnostic found by the recovering parser.
+ * Each diagnostic is { message, start, end, expected, hint } with
+ * start/end as offsets into the original input.
+ */
+class BooleanSyntaxError extends Error {
+  constructor(source, diagnostics) {
+    // Lexer and parser diagnostics are collected separately; list them in text order
+    diagnostics = [...diagnostics].sort((a, b) => a.start - b.start);
+    const first = diagnostics[0];
+    const more = diagnostics.length > 1 ? ` (+${diagnostics.length - 1} more)` : '';
+    super(`${first.message} at column ${first.start + 1}${more}`);
+    this.name = 'BooleanSyntaxError';
+    this.source = source;
+    this.diagnostics = diagnostics;
+  }
+
+  /**
+   * Render one diagnostic as the source line with a caret underline:
+   *   (a + b
+   *         ^ Expected ')' but found end of expression
+   */
+  formatCaret(diagnostic) {
+    const width = Math.max(1, diagnostic.end - diagnostic.start);
+    const marker = ' '.repeat(diagnostic.start) + '^' + '~'.repeat(width - 1);
+    const hint = diagnostic.hint ? ` (${diagnostic.hint})` : '';
+    return `${this.source}\n${marker} ${diagnostic.message}${hint}`;
+  }
+}
+
+/**
+ * Bit-parallel evaluator: the AST is compiled once into nested closures
+ * (no eval) that compute 32 consecutive truth table rows per call, one row
+ * per bit of a 32-bit word. Bit k of evaluateBlock(base) is the output of
+ * row base + k.
+ */
+class CompiledEvaluator {
+  /**
+   * variables: input names, most significant first (row i sets
+   * variables[j] to bit n-1-j of i)
+   */
+  constructor(ast, variables) {
+    if (variables.length > CompiledEvaluator.MAX_VARIABLES) {
+      throw new Error(`Compiled evaluation supports at most ${CompiledEvaluator.MAX_VARIABLES} variables`);
+    }
+    this.variables = [...variables];
+    this.rowCount = Math.pow(2, variables.length);
+    this.program = this.compile(ast);
+    this.cachedBase = -1;
+    this.cachedWord = 0;
+  }
+
+  /**
+   * Closure computing the 32-row word of `node` for a block starting at base
+   */
+  compile(node) {
+    if (node.type === 'VAR') {
+      const j = this.variables.indexOf(node.value);
+      if (j === -1) throw new Error(`Unknown variable: ${node.value}`);
+      const bit = this.variables.length - 1 - j;
+      // The low five bits of the row index vary inside a block, the rest are fixed
+      if (bit < 5) {
+        const pattern = CompiledEvaluator.PATTERNS[bit];
+        return () => pattern;
+      }
+      return base => -((base >> bit) & 1);
+    }
+    if (node.type === 'CONST') {
+      const word = node.value === 1 ? -1 : 0;
+      return () => word;
+    }
+    if (node.type === 'NOT') {
+      const operand = this.compile(node.operand);
+      return base => ~operand(base);
+    }
+
+    const left = this.compile(node.left);
+    const right = this.compile(node.right);
+    switch (node.type) {
+      case 'AND': return base => left(base) & right(base);
+      case 'OR': return base => left(base) | right(base);
+      case 'NAND': return base => ~(left(base) & right(base));
+      case 'NOR': return base => ~(left(base) | right(base));
+      case 'XOR': return base => left(base) ^ right(base);
+      case 'XNOR':
+      case 'IFF': return base => ~(left(base) ^ right(base));
+      case 'IMPLIES': return base => ~left(base) | right(base);
+      default: throw new Error(`Unknown AST node type: ${node.type}`);
+    }
+  }
+
+  /**
+   * Outputs of rows base..base+31 (base a multiple of 32); bits past the
+   * last row are 0
+   */
+  evaluateBlock(base) {
+    const word = this.program(base);
+    const valid = this.rowCount - base;
+    return valid < 32 ? word & ((1 << valid) - 1) : word;
+  }
+
+  /**
+   * Output of a single row (0 or 1). The last block is kept, so scanning
+   * rows in order costs one block evaluation per 32 rows.
+   */
+  evaluate(index) {
+    const base = index - (index & 31);
+    if (base !== this.cachedBase) {
+      this.cachedWord = this.evaluateBlock(base);
+      this.cachedBase = base;
+    }
+    return (this.cachedWord >>> (index & 31)) & 1;
+  }
+
+  /**
+   * Number of rows where the output is 1
+   */
+  countOnes() {
+    let count = 0;
+    for (let base = 0; base < this.rowCount; base += 32) {
+      let word = this.evaluateBlock(base);
+      while (word) {
+        word &= word - 1;
+        count++;
+      }
+    }
+    return count;
+  }
+
+  /**
+   * Output of every row (1 or 0), in row order
+   */
+  values() {
+    const values = new Uint8Array(this.rowCount);
+    for (let base = 0; base < this.rowCount; base += 32) {
+      const word = this.evaluateBlock(base);
+      const end = Math.min(32, this.rowCount - base);
+      for (let i = 0; i < end; i++) values[base + i] = (word >>> i) & 1;
+    }
+    return values;
+  }
+}
+
+// Word of a variable whose value is bit b of the row index, for b < 5:
+// bit k of PATTERNS[b] is bit b of k
+CompiledEvaluator.PATTERNS = [0xAAAAAAAA | 0, 0xCCCCCCCC | 0, 0xF0F0F0F0 | 0, 0xFF00FF00 | 0, 0xFFFF0000 | 0];
+
+// Row indexes are shifted as 32-bit integers, which holds up to this many variables
+CompiledEvaluator.MAX_VARIABLES = 30;
+
+/**
+ * Serializes an AST in one of several notations (ExpressionPrinter.STYLES),
+ * adding only the parentheses that the notation's own precedence and
+ * associativity require. Operators a notation lacks are rewritten in terms
+ * of the ones it has, e.g. A NAND B as !(A && B).
+ */
+class ExpressionPrinter {
+  /**
+   * style: a key of ExpressionPrinter.STYLES; expression: the
+   * BooleanExpression supplying display names (and toLatex for 'latex')
+   */
+  constructor(style, expression) {
+    this.style = ExpressionPrinter.STYLES[style];
+    if (!this.style) throw new Error(`Unknown notation: ${style}`);
+    this.expression = expression;
+  }
+
+  print(ast) {
+    if (this.style.latex) return this.expression.toLatex(ast);
+    return this.visit(ast).text;
+  }
+
+  /**
+   * { text, type, precedence } of a node; type is after any rewriting
+   */
+  visit(node) {
+    const style = this.style;
+    const atom = ExpressionPrinter.ATOM;
+    if (style.rewrite && style.rewrite[node.type]) return this.visit(style.rewrite[node.type](node));
+
+    if (node.type === 'VAR') {
+      return { text: this.expression.displayName(node.value), type: 'VAR', precedence: atom };
+    }
+    if (node.type === 'CONST') {
+      return { text: style.constants[node.value], type: 'CONST', precedence: atom };
+    }
+    if (node.type === 'NOT') {
+      // A complement that a rewrite introduced cancels this one: ~~(A ^ B) → A ^ B
+      const rewrite = style.rewrite && style.rewrite[node.operand.type];
+      const rewritten = rewrite && rewrite(node.operand);
+      if (rewritten && rewritten.type === 'NOT') return this.visit(rewritten.operand);
+      const operand = this.visit(node.operand);
+      if (style.overline) return { text: ExpressionPrinter.complement(operand), type: 'NOT', precedence: atom };
+      const text = operand.precedence < style.precedence.NOT ? `(${operand.text})` : operand.text;
+      return { text: style.not(text), type: 'NOT', precedence: style.precedence.NOT };
+    }
+
+    // Overlined operators (textbook NAND, NOR, XNOR) bar their whole group
+    if (style.overline && style.overline[node.type]) {
+      const inner = this.visit({ ...node, type: style.overline[node.type] });
+      return { text: ExpressionPrinter.complement(inner), type: node.type, precedence: atom };
+    }
+
+    const precedence = style.precedence[node.type];
+    const operand = (child, side) => {
+      const out = this.visit(child);
+      let parens = out.precedence < precedence;
+      if (out.precedence === precedence) {
+        if (out.type === node.type && style.associative.includes(node.type)) parens = false;
+        else if (style.nonAssociative && style.nonAssociative.includes(node.type)) parens = true;
+        else parens = node.type === 'IMPLIES' ? side === 'left' : side === 'right';
+      }
+      return parens ? `(${out.text})` : out.text;
+    };
+    const left = operand(node.left, 'left');
+    const right = operand(node.right, 'right');
+    let symbol = style.symbols[node.type];
+    if (symbol === undefined) {
+      // Juxtaposed AND: never let a digit run into a name
+      symbol = this.expression.identifierMode === 'multi' ? style.multiAnd : '';
+      if (symbol === '' && ((/\d$/.test(left) && /^\w/.test(right)) || /^\d/.test(right))) symbol = '·';
+    }
+    return { text: left + symbol + right, type: node.type, precedence };
+  }
+
+  /**
+   * Overlined text of a visited node. A name or constant is barred as it is;
+   * a group keeps its parentheses under the bar, so (AB)' cannot read as
+   * A'B', and drops its spaces so the bar has no gaps.
+   */
+  static complement(out) {
+    if (out.precedence === ExpressionPrinter.ATOM) return ExpressionPrinter.overline(out.text);
+    return ExpressionPrinter.overline(`(${out.text.replace(/ /g, '')})`);
+  }
+
+  /**
+   * Text with one more combining overline on every character (an overline
+   * already there is part of its character, not a character of its own)
+   */
+  static overline(text) {
+    return text.replace(/[^\u0305]\u0305*/gu, c => c + '\u0305');
+  }
+}
+
+// Precedence of names and constants, above every operator
+ExpressionPrinter.ATOM = 10;
+
+// AST builders for the rewrites below
+ExpressionPrinter.not = operand => ({ type: 'NOT', operand });
+ExpressionPrinter.binary = (type, left, right) => ({ type, left, right });
+
+// Rewrites shared by notations without NAND, NOR or implication
+ExpressionPrinter.BASIC_REWRITES = {
+  NAND: n => ExpressionPrinter.not(ExpressionPrinter.binary('AND', n.left, n.right)),
+  NOR: n => ExpressionPrinter.not(ExpressionPrinter.binary('OR', n.left, n.right)),
+  IMPLIES: n => ExpressionPrinter.binary('OR', ExpressionPrinter.not(n.left), n.right)
+};
+
+// Notations: operator symbols (AND without a symbol is juxtaposition),
+// precedence (higher binds tighter), associative operators, and rewrites
+// of the operators the notation lacks
+ExpressionPrinter.STYLES = {
+  // The app's own input syntax, e.g. (A + B)C'
+  standard: {
+    label: 'Standard',
+    symbols: { OR: ' + ', NAND: ' ↑ ', NOR: ' ↓ ', XOR: ' ⊕ ', XNOR: ' ⊙ ', IMPLIES: ' → ', IFF: ' ↔ ' },
+    multiAnd: ' ',
+    precedence: BooleanExpression.PRECEDENCE,
+    associative: ['AND', 'OR', 'XOR'],
+    not: text => `${text}'`,
+    constants: ['0', '1']
+  },
+  // Overbars and juxtaposition: A̅B + C
+  textbook: {
+    label: 'Textbook',
+    symbols: { OR: ' + ', XOR: ' ⊕ ', IMPLIES: ' → ', IFF: ' ↔ ' },
+    multiAnd: '·',
+    overline: { NAND: 'AND', NOR: 'OR', XNOR: 'XOR' },
+    precedence: BooleanExpression.PRECEDENCE,
+    associative: ['AND', 'OR', 'XOR'],
+    constants: ['0', '1']
+  },
+  // C / Java / JavaScript logical operators: !A && B || C
+  programming: {
+    label: 'Programming',
+    symbols: { AND: ' && ', OR: ' || ', XOR: ' != ', XNOR: ' == ' },
+    precedence: { OR: 1, AND: 2, XOR: 3, XNOR: 3, NOT: 4 },
+    associative: ['AND', 'OR'],
+    rewrite: { ...ExpressionPrinter.BASIC_REWRITES, IFF: n => ({ ...n, type: 'XNOR' }) },
+    not: text => `!${text}`,
+    constants: ['false', 'true']
+  },
+  // Bitwise operators, valid in Verilog and C: ~A & B | C
+  verilog: {
+    label: 'Verilog / C',
+    symbols: { AND: ' & ', OR: ' | ', XOR: ' ^ ' },
+    precedence: { OR: 1, XOR: 2, AND: 3, NOT: 4 },
+    associative: ['AND', 'OR', 'XOR'],
+    rewrite: {
+      ...ExpressionPrinter.BASIC_REWRITES,
+      XNOR: n => ExpressionPrinter.not(ExpressionPrinter.binary('XOR', n.left, n.right)),
+      IFF: n => ExpressionPrinter.not(ExpressionPrinter.binary('XOR', n.left, n.right))
+    },
+    not: text => `~${text}`,
+    constants: ["1'b0", "1'b1"]
+  },
+  // Python keywords: not A and B or C. Comparisons chain in Python, so
+  // != and == never share a level unparenthesized.
+  python: {
+    label: 'Python',
+    symbols: { AND: ' and ', OR: ' or ', XOR: ' != ', XNOR: ' == ' },
+    precedence: { OR: 1, AND: 2, NOT: 3, XOR: 4, XNOR: 4 },
+    associative: ['AND', 'OR'],
+    nonAssociative: ['XOR', 'XNOR'],
+    rewrite: { ...ExpressionPrinter.BASIC_REWRITES, IFF: n => ({ ...n, type: 'XNOR' }) },
+    not: text => `not ${text}`,
+    constants: ['False', 'True']
+  },
+  // Logic symbols: ¬A ∧ B ∨ C
+  unicode: {
+    label: 'Unicode',
+    symbols: { AND: ' ∧ ', OR: ' ∨ ', NAND: ' ↑ ', NOR: ' ↓ ', XOR: ' ⊕ ', XNOR: ' ⊙ ', IMPLIES: ' → ', IFF: ' ↔ ' },
+    precedence: BooleanExpression.PRECEDENCE,
+    associative: ['AND', 'OR', 'XOR'],
+    not: text => `¬${text}`,
+    constants: ['⊥', '⊤']
+  },
+  latex: {
+    label: 'LaTeX',
+    latex: true
+  }
+};
+
 // Export for use in other files
 if (typeof module !== 'undefined' && module.exports) {
   module.exports = BooleanExpression;
+  module.exports.BooleanSyntaxError = BooleanSyntaxError;
+  module.exports.CompiledEvaluator = CompiledEvaluator;
+  module.exports.ExpressionPrinter = ExpressionPrinter;
 }
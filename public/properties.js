@@ -0,0 +1,129 @@
+/**
+ * Function properties
+ * Classifies a function from its truth table: Post's five classes (0- and
+ * 1-preserving, monotone, self-dual, linear), symmetry, the unateness of
+ * each variable and which inputs the output depends on at all.
+ */
+
+class FunctionProperties {
+  /**
+   * variables: input names; values: output per truth table row (1 or 0),
+   * variables[j] being bit n-1-j of the row index
+   */
+  constructor(variables, values) {
+    this.variables = [...variables];
+    this.values = Uint8Array.from(values);
+    this.n = this.variables.length;
+    this.mask = this.values.length - 1;
+
+    this.preservesZero = this.values[0] === 0;
+    this.preservesOne = this.values[this.mask] === 1;
+    this.unateness = this.variables.map((v, j) => this.unatenessOf(1 << (this.n - 1 - j)));
+    this.irrelevant = this.variables.filter((v, j) => this.unateness[j] === 'independent');
+    this.monotone = this.unateness.every(u => u === 'positive' || u === 'independent');
+    this.selfDual = this.values.every((value, i) => value !== this.values[this.mask ^ i]);
+    this.linear = this.findLinearForm();
+    this.symmetryGroups = this.findSymmetryGroups();
+    this.symmetric = this.n <= 1 || (this.symmetryGroups.length === 1 && this.symmetryGroups[0].length === this.n);
+    // Post: a single function is complete on its own when it is in none of the five classes
+    this.complete = !this.preservesZero && !this.preservesOne && !this.monotone && !this.selfDual && !this.linear;
+  }
+
+  /**
+   * Properties of a BooleanExpression, from its compiled evaluator
+   */
+  static fromExpression(expression) {
+    return new FunctionProperties(expression.variables, expression.evaluator.values());
+  }
+
+  /**
+   * How the output moves when the variable at `bit` goes from 0 to 1:
+   * 'positive' (never falls), 'negative' (never rises), 'binate' (both)
+   * or 'independent' (never changes)
+   */
+  unatenessOf(bit) {
+    let rises = false;
+    let falls = false;
+    for (let i = 0; i <= this.mask && !(rises && falls); i++) {
+      if (i & bit) continue;
+      const low = this.values[i];
+      const high = this.values[i | bit];
+      if (low < high) rises = true;
+      if (low > high) falls = true;
+    }
+    if (rises && falls) return 'binate';
+    if (rises) return 'positive';
+    return falls ? 'negative' : 'independent';
+  }
+
+  /**
+   * For an affine function c ⊕ x_i ⊕ x_j ⊕ …, { constant, variables };
+   * otherwise null. Read off the algebraic normal form: every term must
+   * have degree 1 or less.
+   */
+  findLinearForm() {
+    const anf = ReedMuller.mobius(this.values);
+    for (let m = 0; m <= this.mask; m++) {
+      if (anf[m] && (m & (m - 1))) return null;
+    }
+    return {
+      constant: anf[0],
+      variables: this.variables.filter((v, j) => anf[1 << (this.n - 1 - j)])
+    };
+  }
+
+  /**
+   * Is the output unchanged when the variables at bits a and b swap values?
+   */
+  swapSymmetric(a, b) {
+    for (let i = 0; i <= this.mask; i++) {
+      // Only rows where the two differ change, and each pair is checked once from its a = 1 side
+      if ((i & a) && !(i & b) && this.values[i] !== this.values[i ^ a ^ b]) return false;
+    }
+    return true;
+  }
+
+  /**
+   * Classes of variables that can be permuted freely without changing the
+   * output (swap symmetry is transitive), largest first; singletons are left
+   * out. One class holding every variable means the function is symmetric.
+   */
+  findSymmetryGroups() {
+    const groups = [];
+    const assigned = new Array(this.n).fill(false);
+    for (let j = 0; j < this.n; j++) {
+      if (assigned[j]) continue;
+      const group = [j];
+      for (let k = j + 1; k < this.n; k++) {
+        if (!assigned[k] && this.swapSymmetric(1 << (this.n - 1 - j), 1 << (this.n - 1 - k))) {
+          group.push(k);
+          assigned[k] = true;
+        }
+      }
+      if (group.length > 1) groups.push(group.map(i => this.variables[i]));
+    }
+    return groups.sort((a, b) => b.length - a.length);
+  }
+
+  /**
+   * For a symmetric function, the numbers of 1 inputs that make it 1
+   */
+  onesCounts() {
+    const counts = new Set();
+    this.values.forEach((value, i) => {
+      if (!value) return;
+      let w = 0;
+      for (let m = i; m; m &= m - 1) w++;
+      counts.add(w);
+    });
+    return [...counts].sort((a, b) => a - b);
+  }
+}
+
+// Largest input count classified (pairwise symmetry checks take n² · 2ⁿ steps)
+FunctionProperties.MAX_VARIABLES = 16;
+
+// Export for use in other files
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = FunctionProperties;
+}
@@ -0,0 +1,551 @@
+/**
+ * Satisfiability analysis
+ * Encodes an expression's AST as CNF (Tseitin: one variable per gate) and
+ * decides it with a conflict-driven clause-learning (CDCL) solver, so
+ * tautology, contradiction and satisfiability questions are answered
+ * without listing the truth table.
+ */
+
+class SatSolver {
+  /**
+   * numVars: variables are 1..numVars; literals are +v / -v (DIMACS style)
+   */
+  constructor(numVars) {
+    this.numVars = numVars;
+    this.clauses = [];
+    // watches[watchIndex(lit)]: clauses watching lit, revisited when lit becomes false
+    this.watches = Array.from({ length: 2 * numVars + 2 }, () => []);
+    // 1 true, -1 false, 0 unassigned
+    this.values = new Int8Array(numVars + 1);
+    this.levels = new Int32Array(numVars + 1);
+    this.reasons = new Int32Array(numVars + 1).fill(-1);
+    this.activity = new Float64Array(numVars + 1);
+    // Last value of each variable, reused when branching on it again
+    this.phase = new Int8Array(numVars + 1).fill(-1);
+    this.trail = [];
+    this.trailLimits = [];
+    this.head = 0;
+    this.increment = 1;
+    this.ok = true;
+    this.model = null;
+    this.stats = { decisions: 0, conflicts: 0, propagations: 0, restarts: 0 };
+  }
+
+  watchIndex(lit) {
+    return lit > 0 ? 2 * lit : -2 * lit + 1;
+  }
+
+  /**
+   * 1 if lit is true, -1 if false, 0 if unassigned
+   */
+  valueOf(lit) {
+    const value = this.values[Math.abs(lit)];
+    return lit > 0 ? value : -value;
+  }
+
+  decisionLevel() {
+    return this.trailLimits.length;
+  }
+
+  assign(lit, reason) {
+    const v = Math.abs(lit);
+    this.values[v] = lit > 0 ? 1 : -1;
+    this.levels[v] = this.decisionLevel();
+    this.reasons[v] = reason;
+    this.trail.push(lit);
+  }
+
+  /**
+   * Add a clause (array of literals) permanently. Returns false once the
+   * clauses are unsatisfiable.
+   */
+  addClause(literals) {
+    if (!this.ok) return false;
+    this.backtrack(0);
+
+    const clause = [];
+    for (const lit of literals) {
+      if (clause.includes(-lit) || this.valueOf(lit) === 1) return true;
+      if (!clause.includes(lit) && this.valueOf(lit) === 0) clause.push(lit);
+    }
+    if (clause.length === 0) {
+      this.ok = false;
+    } else if (clause.length === 1) {
+      this.assign(clause[0], -1);
+      if (this.propagate() !== -1) this.ok = false;
+    } else {
+      this.attach(clause);
+    }
+    return this.ok;
+  }
+
+  attach(clause) {
+    const index = this.clauses.length;
+    this.clauses.push(clause);
+    this.watches[this.watchIndex(clause[0])].push(index);
+    this.watches[this.watchIndex(clause[1])].push(index);
+    return index;
+  }
+
+  /**
+   * Unit propagation with two watched literals per clause. Returns the
+   * index of a conflicting clause, or -1.
+   */
+  propagate() {
+    while (this.head < this.trail.length) {
+      const falseLit = -this.trail[this.head++];
+      const list = this.watches[this.watchIndex(falseLit)];
+      let i = 0;
+      let j = 0;
+      while (i < list.length) {
+        const index = list[i++];
+        const clause = this.clauses[index];
+        // Keep the false watch in position 1
+        if (clause[0] === falseLit) {
+          clause[0] = clause[1];
+          clause[1] = falseLit;
+        }
+        if (this.valueOf(clause[0]) === 1) {
+          list[j++] = index;
+          continue;
+        }
+
+        let moved = false;
+        for (let k = 2; k < clause.length; k++) {
+          if (this.valueOf(clause[k]) !== -1) {
+            clause[1] = clause[k];
+            clause[k] = falseLit;
+            this.watches[this.watchIndex(clause[1])].push(index);
+            moved = true;
+            break;
+          }
+        }
+        if (moved) continue;
+
+        list[j++] = index;
+        if (this.valueOf(clause[0]) === -1) {
+          while (i < list.length) list[j++] = list[i++];
+          list.length = j;
+          this.head = this.trail.length;
+          return index;
+        }
+        this.assign(clause[0], index);
+        this.stats.propagations++;
+      }
+      list.length = j;
+    }
+    return -1;
+  }
+
+  /**
+   * First-UIP conflict analysis. Returns { learnt, level }: the learnt
+   * clause (asserting literal first) and the level to jump back to.
+   */
+  analyze(conflict) {
+    const seen = new Uint8Array(this.numVars + 1);
+    const learnt = [0];
+    let pending = 0;
+    let lit = 0;
+    let index = this.trail.length - 1;
+    let clause = this.clauses[conflict];
+
+    for (;;) {
+      for (const q of clause) {
+        if (q === lit) continue;
+        const v = Math.abs(q);
+        if (seen[v] || this.levels[v] === 0) continue;
+        seen[v] = 1;
+        this.bump(v);
+        if (this.levels[v] === this.decisionLevel()) pending++;
+        else learnt.push(q);
+      }
+      // Next literal of the current level on the trail that is part of the conflict
+      while (!seen[Math.abs(this.trail[index])]) index--;
+      lit = this.trail[index--];
+      seen[Math.abs(lit)] = 0;
+      if (--pending === 0) break;
+      clause = this.clauses[this.reasons[Math.abs(lit)]];
+    }
+    learnt[0] = -lit;
+
+    // Watch the literal of the highest remaining level second
+    let level = 0;
+    for (let k = 1; k < learnt.length; k++) {
+      const l = this.levels[Math.abs(learnt[k])];
+      if (l > level) {
+        level = l;
+        [learnt[1], learnt[k]] = [learnt[k], learnt[1]];
+      }
+    }
+    return { learnt, level };
+  }
+
+  bump(v) {
+    this.activity[v] += this.increment;
+    if (this.activity[v] > 1e100) {
+      for (let k = 1; k <= this.numVars; k++) this.activity[k] *= 1e-100;
+      this.increment *= 1e-100;
+    }
+  }
+
+  backtrack(level) {
+    if (this.decisionLevel() <= level) return;
+    const limit = this.trailLimits[level];
+    while (this.trail.length > limit) {
+      const lit = this.trail.pop();
+      const v = Math.abs(lit);
+      this.phase[v] = lit > 0 ? 1 : -1;
+      this.values[v] = 0;
+      this.reasons[v] = -1;
+    }
+    this.trailLimits.length = level;
+    this.head = this.trail.length;
+  }
+
+  /**
+   * Unassigned variable with the highest activity, or 0 when all are set
+   */
+  pickBranch() {
+    let best = 0;
+    for (let v = 1; v <= this.numVars; v++) {
+      if (this.values[v] === 0 && (best === 0 || this.activity[v] > this.activity[best])) best = v;
+    }
+    return best;
+  }
+
+  /**
+   * Search for an assignment satisfying every clause and the assumption
+   * literals. Returns true (this.model holds it, indexed by variable),
+   * false, or null when maxConflicts ran out first.
+   */
+  solve(assumptions = [], maxConflicts = SatSolver.MAX_CONFLICTS) {
+    this.model = null;
+    if (!this.ok) return false;
+    this.backtrack(0);
+    if (this.propagate() !== -1) {
+      this.ok = false;
+      return false;
+    }
+
+    let conflicts = 0;
+    let interval = SatSolver.RESTART_INTERVAL;
+    let restartAt = interval;
+    for (;;) {
+      const conflict = this.propagate();
+      if (conflict !== -1) {
+        this.stats.conflicts++;
+        conflicts++;
+        if (this.decisionLevel() === 0) {
+          this.ok = false;
+          return false;
+        }
+        const { learnt, level } = this.analyze(conflict);
+        this.backtrack(level);
+        if (learnt.length === 1) {
+          this.assign(learnt[0], -1);
+        } else {
+          this.assign(learnt[0], this.attach(learnt));
+        }
+        this.increment /= SatSolver.ACTIVITY_DECAY;
+
+        if (conflicts >= maxConflicts) {
+          this.backtrack(0);
+          return null;
+        }
+        if (conflicts >= restartAt) {
+          interval = Math.floor(interval * 1.5);
+          restartAt = conflicts + interval;
+          this.stats.restarts++;
+          this.backtrack(0);
+        }
+        continue;
+      }
+
+      // Assumptions are decided first, one level each
+      if (this.decisionLevel() < assumptions.length) {
+        const lit = assumptions[this.decisionLevel()];
+        const value = this.valueOf(lit);
+        if (value === -1) {
+          this.backtrack(0);
+          return false;
+        }
+        this.trailLimits.push(this.trail.length);
+        if (value === 0) this.assign(lit, -1);
+        continue;
+      }
+
+      const v = this.pickBranch();
+      if (v === 0) {
+        this.model = Int8Array.from(this.values);
+        this.backtrack(0);
+        return true;
+      }
+      this.stats.decisions++;
+      this.trailLimits.push(this.trail.length);
+      this.assign(this.phase[v] === 1 ? v : -v, -1);
+    }
+  }
+}
+
+// Conflicts allowed per solve() call before it gives up
+SatSolver.MAX_CONFLICTS = 200000;
+
+// Conflicts before the first restart; later intervals grow by half
+SatSolver.RESTART_INTERVAL = 100;
+
+// Variable activities fade by this factor per conflict
+SatSolver.ACTIVITY_DECAY = 0.95;
+
+class SatAnalyzer {
+  /**
+   * ast: parsed expression; variables: its inputs, which become CNF
+   * variables 1..n. Gates get the following numbers.
+   */
+  constructor(ast, variables) {
+    this.ast = ast;
+    this.variables = [...variables];
+    this.clauses = [];
+    this.numVars = this.variables.length;
+    this.gates = new Map();
+    this.root = this.encode(ast);
+  }
+
+  /**
+   * Tseitin encoding: returns the literal equal to `node`, adding the
+   * clauses that define each gate variable. Identical gates are shared.
+   */
+  encode(node) {
+    if (node.type === 'VAR') return this.variables.indexOf(node.value) + 1;
+    if (node.type === 'CONST') {
+      if (!this.trueVar) {
+        this.trueVar = ++this.numVars;
+        this.clauses.push([this.trueVar]);
+      }
+      return node.value === 1 ? this.trueVar : -this.trueVar;
+    }
+    if (node.type === 'NOT') return -this.encode(node.operand);
+
+    const a = this.encode(node.left);
+    const b = this.encode(node.right);
+    switch (node.type) {
+      case 'AND': return this.gate('AND', a, b);
+      case 'NAND': return -this.gate('AND', a, b);
+      case 'OR': return this.gate('OR', a, b);
+      case 'NOR': return -this.gate('OR', a, b);
+      case 'IMPLIES': return this.gate('OR', -a, b);
+      case 'XOR': return this.gate('XOR', a, b);
+      case 'XNOR':
+      case 'IFF': return -this.gate('XOR', a, b);
+      default: throw new Error(`Unknown AST node type: ${node.type}`);
+    }
+  }
+
+  /**
+   * Variable g with g ⇔ (a op b)
+   */
+  gate(op, a, b) {
+    const key = `${op},${Math.min(a, b)},${Math.max(a, b)}`;
+    if (this.gates.has(key)) return this.gates.get(key);
+    const g = ++this.numVars;
+    if (op === 'AND') {
+      this.clauses.push([-g, a], [-g, b], [g, -a, -b]);
+    } else if (op === 'OR') {
+      this.clauses.push([g, -a], [g, -b], [-g, a, b]);
+    } else {
+      this.clauses.push([-g, a, b], [-g, -a, -b], [g, -a, b], [g, a, -b]);
+    }
+    this.gates.set(key, g);
+    return g;
+  }
+
+  /**
+   * Fresh solver loaded with the encoding
+   */
+  createSolver() {
+    const solver = new SatSolver(this.numVars);
+    this.clauses.forEach(clause => solver.addClause(clause));
+    return solver;
+  }
+
+  /**
+   * Input assignment { name: 0|1 } read from a solver model
+   */
+  inputsOf(model) {
+    const inputs = {};
+    this.variables.forEach((v, i) => { inputs[v] = model[i + 1] === 1 ? 1 : 0; });
+    return inputs;
+  }
+
+  /**
+   * Decide the expression: { status, model, counterexample, stats }.
+   * status is 'tautology', 'contradiction', 'satisfiable' or 'unknown'
+   * (the conflict limit ran out); model is a satisfying input assignment
+   * and counterexample a falsifying one, when they exist.
+   */
+  analyze() {
+    const solver = this.createSolver();
+    const satisfiable = solver.solve([this.root]);
+    const model = satisfiable ? this.inputsOf(solver.model) : null;
+    const falsifiable = satisfiable === false ? true : solver.solve([-this.root]);
+    const counterexample = falsifiable && solver.model ? this.inputsOf(solver.model) : null;
+
+    let status;
+    if (satisfiable === null || falsifiable === null) status = 'unknown';
+    else if (!satisfiable) status = 'contradiction';
+    else if (!falsifiable) status = 'tautology';
+    else status = 'satisfiable';
+
+    return {
+      status,
+      model,
+      counterexample,
+      stats: { variables: this.numVars, clauses: this.clauses.length, ...solver.stats }
+    };
+  }
+
+  /**
+   * Value of the expression under a partial input assignment
+   * (values[i] is 1, 0 or null for unassigned): 1, 0, or null if it
+   * depends on the unassigned inputs
+   */
+  evaluatePartial(node, values) {
+    switch (node.type) {
+      case 'VAR': return values[this.variables.indexOf(node.value)];
+      case 'CONST': return node.value;
+      case 'NOT': {
+        const v = this.evaluatePartial(node.operand, values);
+        return v === null ? null : 1 - v;
+      }
+    }
+    const a = this.evaluatePartial(node.left, values);
+    const b = this.evaluatePartial(node.right, values);
+    const not = v => (v === null ? null : 1 - v);
+    const and = (x, y) => {
+      if (x === 0 || y === 0) return 0;
+      return x === 1 && y === 1 ? 1 : null;
+    };
+    const or = (x, y) => not(and(not(x), not(y)));
+    const xor = (x, y) => (x === null || y === null ? null : x ^ y);
+    switch (node.type) {
+      case 'AND': return and(a, b);
+      case 'NAND': return not(and(a, b));
+      case 'OR': return or(a, b);
+      case 'NOR': return not(or(a, b));
+      case 'IMPLIES': return or(not(a), b);
+      case 'XOR': return xor(a, b);
+      default: return not(xor(a, b));
+    }
+  }
+
+  /**
+   * Number of satisfying input assignments, by DPLL-style splitting on the
+   * inputs: a branch stops once the partial assignment fixes the value, or
+   * when the solver shows it unsatisfiable. Returns { count, exact }; after
+   * MAX_COUNT_BRANCHES branches the count so far is a lower bound.
+   */
+  count() {
+    const solver = this.createSolver();
+    const n = this.variables.length;
+    const values = new Array(n).fill(null);
+    const order = this.branchOrder();
+    let branches = 0;
+    let exact = true;
+
+    const visit = (depth, assumptions) => {
+      const value = this.evaluatePartial(this.ast, values);
+      if (value !== null) return value === 1 ? Math.pow(2, n - depth) : 0;
+      if (++branches > SatAnalyzer.MAX_COUNT_BRANCHES) {
+        exact = false;
+        return 0;
+      }
+      const result = solver.solve([...assumptions, this.root]);
+      if (result === false) return 0;
+      if (result === null) {
+        exact = false;
+        return 0;
+      }
+
+      const i = order[depth];
+      let total = 0;
+      for (const bit of [0, 1]) {
+        values[i] = bit;
+        total += visit(depth + 1, [...assumptions, bit ? i + 1 : -(i + 1)]);
+        values[i] = null;
+      }
+      return total;
+    };
+
+    return { count: visit(0, []), exact };
+  }
+
+  /**
+   * Inputs by how often they occur in the expression, most frequent first
+   */
+  branchOrder() {
+    const uses = new Array(this.variables.length).fill(0);
+    const visit = node => {
+      if (node.type === 'VAR') uses[this.variables.indexOf(node.value)]++;
+      else if (node.type === 'NOT') visit(node.operand);
+      else if (node.left) {
+        visit(node.left);
+        visit(node.right);
+      }
+    };
+    visit(this.ast);
+    return this.variables.map((v, i) => i).sort((a, b) => uses[b] - uses[a] || a - b);
+  }
+
+  /**
+   * Satisfying assignments as cubes { name: 0|1 } (missing inputs may take
+   * either value), each found by the solver and widened by dropping inputs
+   * that don't matter, then blocked. An input is only dropped while the cube
+   * stays clear of the cubes already listed, so the cubes are disjoint and
+   * their sizes add up to the model count. Returns { cubes, complete }.
+   */
+  models(limit = SatAnalyzer.MAX_MODELS) {
+    const solver = this.createSolver();
+    solver.addClause([this.root]);
+    const cubes = [];
+    // The values of each listed cube, null where it is free
+    const listed = [];
+    const clear = values => listed.every(other =>
+      other.some((value, i) => value !== null && values[i] !== null && value !== values[i]));
+
+    while (cubes.length < limit) {
+      const result = solver.solve();
+      if (result === false) return { cubes, complete: true };
+      if (result === null) return { cubes, complete: false };
+
+      const values = this.variables.map((v, i) => (solver.model[i + 1] === 1 ? 1 : 0));
+      for (let i = values.length - 1; i >= 0; i--) {
+        const kept = values[i];
+        values[i] = null;
+        if (this.evaluatePartial(this.ast, values) !== 1 || !clear(values)) values[i] = kept;
+      }
+      listed.push([...values]);
+
+      const cube = {};
+      const blocking = [];
+      values.forEach((value, i) => {
+        if (value === null) return;
+        cube[this.variables[i]] = value;
+        blocking.push(value ? -(i + 1) : i + 1);
+      });
+      cubes.push(cube);
+      if (!solver.addClause(blocking)) return { cubes, complete: true };
+    }
+    return { cubes, complete: false };
+  }
+}
+
+// Branches the model counter explores before settling for a lower bound
+SatAnalyzer.MAX_COUNT_BRANCHES = 20000;
+
+// Cubes listed by models() by default
+SatAnalyzer.MAX_MODELS = 256;
+
+// Export for use in other files
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = SatAnalyzer;
+  module.exports.SatSolver = SatSolver;
+}
@@ -0,0 +1,589 @@
+/**
+ * Step-by-step algebraic simplification
+ * Rewrites a parsed expression one named identity at a time and records
+ * every step, so the derivation can be shown the way it is written by hand.
+ * The expression is first expanded into a simplified sum of products
+ * (De Morgan, distributivity, absorption, consensus, ...), then common
+ * factors are pulled out again where that saves literals.
+ */
+
+class AlgebraicSimplifier {
+  /**
+   * expression: a BooleanExpression. The derivation starts from its
+   * parsedAst (before constant folding) and uses its displayName and
+   * toLatex for output.
+   */
+  constructor(expression) {
+    this.expression = expression;
+    this.identifierMode = expression.identifierMode;
+  }
+
+  /**
+   * Apply laws until none is left. Returns {
+   *   start, result,
+   *   steps: [{ law, pattern, from, to, ast, focus }],
+   *   complete: false when the step or size limit ended the derivation early
+   * }
+   * from / to are the rewritten subexpression before and after the step,
+   * ast is the whole expression after it, and focus is the Set of nodes of
+   * ast that the step produced.
+   */
+  simplify() {
+    const start = this.expression.parsedAst;
+    const steps = [];
+    let ast = start;
+
+    const simplifying = [
+      this.involution, this.constants, this.idempotence, this.complement,
+      this.absorption, this.redundantLiteral, this.consensus, this.deMorgan,
+      this.definitions
+    ];
+    const phases = [[...simplifying, this.distribute], [...simplifying, this.factor]];
+
+    // Expression key → number of steps taken to reach it
+    const seen = new Map([[this.key(start), 0]]);
+    let applied = 0;
+
+    for (const rules of phases) {
+      for (;;) {
+        if (applied >= AlgebraicSimplifier.MAX_STEPS || this.size(ast) > AlgebraicSimplifier.MAX_NODES) {
+          return { start, result: ast, steps, complete: false };
+        }
+        const step = this.applyFirst(ast, rules);
+        if (!step) break;
+        applied++;
+        ast = step.ast;
+        const key = this.key(ast);
+        if (seen.has(key)) {
+          // Came back to an earlier expression (e.g. factoring undoing an
+          // expansion that led nowhere): drop the detour
+          steps.length = seen.get(key);
+          seen.forEach((count, k) => { if (count > steps.length) seen.delete(k); });
+          ast = steps.length ? steps[steps.length - 1].ast : start;
+        } else {
+          steps.push(step);
+          seen.set(key, steps.length);
+        }
+      }
+    }
+
+    return { start, result: ast, steps, complete: true };
+  }
+
+  /**
+   * Try the rules in order; the first that applies anywhere in the tree
+   * (innermost nodes first) gives the step
+   */
+  applyFirst(ast, rules) {
+    for (const rule of rules) {
+      const hit = this.rewrite(ast, rule);
+      if (hit) {
+        return {
+          law: hit.law,
+          pattern: hit.pattern,
+          from: hit.from,
+          to: hit.to,
+          ast: hit.node,
+          focus: new Set(hit.focus)
+        };
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Apply `rule` once, at the first node (children before parents) where it
+   * fits. AND / OR chains are treated as one n-ary node. Returns the rule's
+   * result with `node` replaced by the rebuilt tree, or null.
+   */
+  rewrite(node, rule) {
+    if (node.type === 'AND' || node.type === 'OR') {
+      const operands = this.operands(node, node.type);
+      for (let i = 0; i < operands.length; i++) {
+        const hit = this.rewrite(operands[i], rule);
+        if (hit) {
+          const rebuilt = [...operands];
+          rebuilt[i] = hit.node;
+          return { ...hit, node: this.chain(node.type, rebuilt) };
+        }
+      }
+    } else if (node.type === 'NOT') {
+      const hit = this.rewrite(node.operand, rule);
+      if (hit) return { ...hit, node: this.not(hit.node) };
+    } else if (node.left) {
+      for (const side of ['left', 'right']) {
+        const hit = this.rewrite(node[side], rule);
+        if (hit) return { ...hit, node: { ...node, [side]: hit.node } };
+      }
+    }
+    return rule.call(this, node);
+  }
+
+  // ---- Laws ----
+  // Each takes a node and returns null or { law, pattern, node, focus, from, to }
+
+  /**
+   * x'' = x
+   */
+  involution(node) {
+    if (node.type !== 'NOT' || node.operand.type !== 'NOT') return null;
+    const inner = node.operand.operand;
+    return { law: 'Involution', pattern: "x'' = x", node: inner, focus: [inner], from: node, to: inner };
+  }
+
+  /**
+   * 0' = 1, x·1 = x, x·0 = 0, x + 0 = x, x + 1 = 1
+   */
+  constants(node) {
+    if (node.type === 'NOT' && node.operand.type === 'CONST') {
+      const value = this.constant(1 - node.operand.value);
+      return {
+        law: 'Complement',
+        pattern: `${node.operand.value}' = ${value.value}`,
+        node: value, focus: [value], from: node, to: value
+      };
+    }
+    if (node.type !== 'AND' && node.type !== 'OR') return null;
+
+    const operands = this.operands(node, node.type);
+    const index = operands.findIndex(o => o.type === 'CONST');
+    if (index === -1) return null;
+    const isAnd = node.type === 'AND';
+    const dominant = isAnd ? 0 : 1;
+
+    if (operands[index].value === dominant) {
+      const value = this.constant(dominant);
+      return {
+        law: 'Annihilation',
+        pattern: isAnd ? 'x·0 = 0' : 'x + 1 = 1',
+        node: value, focus: [value], from: node, to: value
+      };
+    }
+    const rest = this.chain(node.type, operands.filter((o, i) => i !== index));
+    return {
+      law: 'Identity',
+      pattern: isAnd ? 'x·1 = x' : 'x + 0 = x',
+      node: rest, focus: [rest], from: node, to: rest
+    };
+  }
+
+  /**
+   * x·x = x, x + x = x
+   */
+  idempotence(node) {
+    if (node.type !== 'AND' && node.type !== 'OR') return null;
+    const operands = this.operands(node, node.type);
+    const keys = operands.map(o => this.key(o));
+    const j = keys.findIndex((k, i) => keys.indexOf(k) !== i);
+    if (j === -1) return null;
+    const kept = operands[keys.indexOf(keys[j])];
+    return {
+      law: 'Idempotence',
+      pattern: node.type === 'AND' ? 'x·x = x' : 'x + x = x',
+      node: this.chain(node.type, operands.filter((o, i) => i !== j)),
+      focus: [kept],
+      from: this.chain(node.type, [kept, operands[j]]),
+      to: kept
+    };
+  }
+
+  /**
+   * x·x' = 0, x + x' = 1
+   */
+  complement(node) {
+    if (node.type !== 'AND' && node.type !== 'OR') return null;
+    const operands = this.operands(node, node.type);
+    const keys = operands.map(o => this.key(o));
+    for (let i = 0; i < operands.length; i++) {
+      const j = keys.indexOf(this.complementKey(operands[i]));
+      if (j === -1) continue;
+      const value = this.constant(node.type === 'AND' ? 0 : 1);
+      const rebuilt = operands.filter((o, k) => k !== i && k !== j);
+      rebuilt.splice(Math.min(i, j), 0, value);
+      return {
+        law: 'Complement',
+        pattern: node.type === 'AND' ? "x·x' = 0" : "x + x' = 1",
+        node: this.chain(node.type, rebuilt),
+        focus: [value],
+        from: this.chain(node.type, [operands[i], operands[j]]),
+        to: value
+      };
+    }
+    return null;
+  }
+
+  /**
+   * x + xy = x, x(x + y) = x
+   */
+  absorption(node) {
+    if (node.type !== 'AND' && node.type !== 'OR') return null;
+    const inner = this.dual(node.type);
+    const operands = this.operands(node, node.type);
+    const factors = operands.map(o => new Set(this.operands(o, inner).map(f => this.key(f))));
+
+    for (let i = 0; i < operands.length; i++) {
+      for (let j = 0; j < operands.length; j++) {
+        if (i === j || factors[j].size <= factors[i].size) continue;
+        if (![...factors[i]].every(k => factors[j].has(k))) continue;
+        return {
+          law: 'Absorption',
+          pattern: node.type === 'OR' ? 'x + xy = x' : 'x(x + y) = x',
+          node: this.chain(node.type, operands.filter((o, k) => k !== j)),
+          focus: [operands[i]],
+          from: this.chain(node.type, [operands[i], operands[j]]),
+          to: operands[i]
+        };
+      }
+    }
+    return null;
+  }
+
+  /**
+   * x + x'y = x + y, x(x' + y) = xy
+   */
+  redundantLiteral(node) {
+    if (node.type !== 'AND' && node.type !== 'OR') return null;
+    const inner = this.dual(node.type);
+    const operands = this.operands(node, node.type);
+
+    for (let i = 0; i < operands.length; i++) {
+      if (operands[i].type === inner) continue;
+      const opposite = this.complementKey(operands[i]);
+      for (let j = 0; j < operands.length; j++) {
+        if (i === j) continue;
+        const factors = this.operands(operands[j], inner);
+        const index = factors.findIndex(f => this.key(f) === opposite);
+        if (index === -1 || factors.length < 2) continue;
+        const reduced = this.chain(inner, factors.filter((f, k) => k !== index));
+        const rebuilt = [...operands];
+        rebuilt[j] = reduced;
+        return {
+          law: 'Absorption',
+          pattern: node.type === 'OR' ? "x + x'y = x + y" : "x(x' + y) = xy",
+          node: this.chain(node.type, rebuilt),
+          focus: [reduced],
+          from: this.chain(node.type, [operands[i], operands[j]]),
+          to: this.chain(node.type, [operands[i], reduced])
+        };
+      }
+    }
+    return null;
+  }
+
+  /**
+   * xy + x'z + yz = xy + x'z, and its dual
+   */
+  consensus(node) {
+    if (node.type !== 'AND' && node.type !== 'OR') return null;
+    const inner = this.dual(node.type);
+    const operands = this.operands(node, node.type);
+    const factors = operands.map(o => this.operands(o, inner).map(f => this.key(f)));
+
+    for (let i = 0; i < operands.length; i++) {
+      for (let j = i + 1; j < operands.length; j++) {
+        // Exactly one variable appears with opposite polarity in the two terms
+        const opposed = factors[i].filter(k => factors[j].includes(this.complementOfKey(k)));
+        if (opposed.length !== 1) continue;
+        const clash = opposed[0];
+        const term = new Set([
+          ...factors[i].filter(k => k !== clash),
+          ...factors[j].filter(k => k !== this.complementOfKey(clash))
+        ]);
+
+        for (let k = 0; k < operands.length; k++) {
+          if (k === i || k === j) continue;
+          if (![...term].every(f => factors[k].includes(f))) continue;
+          return {
+            law: 'Consensus',
+            pattern: node.type === 'OR' ? "xy + x'z + yz = xy + x'z" : "(x + y)(x' + z)(y + z) = (x + y)(x' + z)",
+            node: this.chain(node.type, operands.filter((o, m) => m !== k)),
+            focus: [operands[i], operands[j]],
+            from: this.chain(node.type, [operands[i], operands[j], operands[k]]),
+            to: this.chain(node.type, [operands[i], operands[j]])
+          };
+        }
+      }
+    }
+    return null;
+  }
+
+  /**
+   * (xy)' = x' + y', (x + y)' = x'y'
+   */
+  deMorgan(node) {
+    if (node.type !== 'NOT') return null;
+    const inner = node.operand;
+    if (inner.type !== 'AND' && inner.type !== 'OR') return null;
+    const result = this.chain(this.dual(inner.type), this.operands(inner, inner.type).map(o => this.not(o)));
+    return {
+      law: 'De Morgan',
+      pattern: inner.type === 'AND' ? "(xy)' = x' + y'" : "(x + y)' = x'y'",
+      node: result, focus: [result], from: node, to: result
+    };
+  }
+
+  /**
+   * Rewrite NAND, NOR and implication with AND, OR and NOT.
+   * XOR, XNOR and equivalence are kept as they are.
+   */
+  definitions(node) {
+    let result;
+    let law;
+    let pattern;
+    if (node.type === 'NAND') {
+      result = this.not(this.chain('AND', [node.left, node.right]));
+      law = 'Definition of NAND';
+      pattern = "x ↑ y = (xy)'";
+    } else if (node.type === 'NOR') {
+      result = this.not(this.chain('OR', [node.left, node.right]));
+      law = 'Definition of NOR';
+      pattern = "x ↓ y = (x + y)'";
+    } else if (node.type === 'IMPLIES') {
+      result = this.chain('OR', [this.not(node.left), node.right]);
+      law = 'Implication';
+      pattern = "x → y = x' + y";
+    } else {
+      return null;
+    }
+    return { law, pattern, node: result, focus: [result], from: node, to: result };
+  }
+
+  /**
+   * x(y + z) = xy + xz (expanding towards a sum of products)
+   */
+  distribute(node) {
+    if (node.type !== 'AND') return null;
+    const operands = this.operands(node, 'AND');
+    const index = operands.findIndex(o => o.type === 'OR');
+    if (index === -1) return null;
+
+    const terms = this.operands(operands[index], 'OR').map(summand => this.chain('AND', operands.map(
+      (o, i) => (i === index ? this.clone(summand) : this.clone(o))
+    )));
+    const result = this.chain('OR', terms);
+    return {
+      law: 'Distributivity',
+      pattern: 'x(y + z) = xy + xz',
+      node: result, focus: [result], from: node, to: result
+    };
+  }
+
+  /**
+   * xy + xz = x(y + z), pulling out the factor shared by the most terms
+   */
+  factor(node) {
+    if (node.type !== 'OR') return null;
+    const operands = this.operands(node, 'OR');
+    const factors = operands.map(o => this.operands(o, 'AND'));
+
+    const counts = new Map();
+    factors.forEach(list => {
+      new Set(list.map(f => this.key(f))).forEach(k => counts.set(k, (counts.get(k) || 0) + 1));
+    });
+    let best = null;
+    counts.forEach((count, k) => {
+      if (count >= 2 && (!best || count > counts.get(best))) best = k;
+    });
+    if (!best) return null;
+
+    const members = [];
+    factors.forEach((list, i) => {
+      const at = list.findIndex(f => this.key(f) === best);
+      if (at !== -1) members.push({ index: i, common: list[at], rest: list.filter((f, k) => k !== at) });
+    });
+    // A term equal to the factor itself is left to absorption
+    if (members.some(m => m.rest.length === 0)) return null;
+
+    const factored = this.chain('AND', [
+      members[0].common,
+      this.chain('OR', members.map(m => this.chain('AND', m.rest)))
+    ]);
+    const memberIndexes = members.map(m => m.index);
+    const rebuilt = [];
+    operands.forEach((o, i) => {
+      if (i === memberIndexes[0]) rebuilt.push(factored);
+      else if (!memberIndexes.includes(i)) rebuilt.push(o);
+    });
+    return {
+      law: 'Distributivity',
+      pattern: 'xy + xz = x(y + z)',
+      node: this.chain('OR', rebuilt),
+      focus: [factored],
+      from: this.chain('OR', memberIndexes.map(i => operands[i])),
+      to: factored
+    };
+  }
+
+  // ---- Tree helpers ----
+
+  /**
+   * Operands of a chain of `type` nodes (a + b + c → [a, b, c]);
+   * any other node is a chain of one
+   */
+  operands(node, type) {
+    if (node.type !== type) return [node];
+    return [...this.operands(node.left, type), ...this.operands(node.right, type)];
+  }
+
+  /**
+   * Left-leaning chain of `type` nodes, the shape the parser produces.
+   * No operands gives the operator's identity element.
+   */
+  chain(type, nodes) {
+    if (nodes.length === 0) return this.constant(type === 'AND' ? 1 : 0);
+    return nodes.reduce((left, right) => ({ type, left, right, operator: type.toLowerCase() }));
+  }
+
+  not(operand) {
+    return { type: 'NOT', operand, operator: "'" };
+  }
+
+  constant(value) {
+    return { type: 'CONST', value };
+  }
+
+  dual(type) {
+    return type === 'AND' ? 'OR' : 'AND';
+  }
+
+  clone(node) {
+    return JSON.parse(JSON.stringify(node));
+  }
+
+  size(node) {
+    if (node.type === 'NOT') return 1 + this.size(node.operand);
+    if (node.left) return 1 + this.size(node.left) + this.size(node.right);
+    return 1;
+  }
+
+  /**
+   * Structural key, equal for expressions that differ only in the order of
+   * commutative operands
+   */
+  key(node) {
+    switch (node.type) {
+      case 'VAR':
+        return node.value;
+      case 'CONST':
+        return `#${node.value}`;
+      case 'NOT':
+        return `!${this.key(node.operand)}`;
+      case 'AND':
+      case 'OR':
+        return `${node.type}(${this.operands(node, node.type).map(o => this.key(o)).sort().join(',')})`;
+      case 'IMPLIES':
+        return `${node.type}(${this.key(node.left)},${this.key(node.right)})`;
+      default:
+        return `${node.type}(${[this.key(node.left), this.key(node.right)].sort().join(',')})`;
+    }
+  }
+
+  complementKey(node) {
+    return this.complementOfKey(this.key(node));
+  }
+
+  complementOfKey(key) {
+    return key.startsWith('!') ? key.substring(1) : `!${key}`;
+  }
+
+  // ---- Output ----
+
+  /**
+   * Expression in input syntax, with the character ranges of the nodes in
+   * `focus` (for highlighting). Returns { text, marks: [[start, end], ...] }.
+   */
+  format(ast, focus = new Set()) {
+    const symbols = { OR: ' + ', NAND: ' ↑ ', NOR: ' ↓ ', XOR: ' ⊕ ', XNOR: ' ⊙ ', IMPLIES: ' → ', IFF: ' ↔ ' };
+    const join = (left, separator, right) => ({
+      text: left.text + separator + right.text,
+      marks: [...left.marks, ...right.marks.map(([s, e]) => [
+        s + left.text.length + separator.length,
+        e + left.text.length + separator.length
+      ])]
+    });
+    const wrap = (inner, open, close) => ({
+      text: open + inner.text + close,
+      marks: inner.marks.map(([s, e]) => [s + open.length, e + open.length])
+    });
+
+    const visit = node => {
+      let out;
+      const operand = (child, side) => {
+        const inner = visit(child);
+        return BooleanExpression.needsParens(node.type, child, side) ? wrap(inner, '(', ')') : inner;
+      };
+      if (node.type === 'VAR') {
+        out = { text: this.expression.displayName(node.value), marks: [] };
+      } else if (node.type === 'CONST') {
+        out = { text: String(node.value), marks: [] };
+      } else if (node.type === 'NOT') {
+        const inner = visit(node.operand);
+        const atomic = ['VAR', 'CONST', 'NOT'].includes(node.operand.type);
+        out = atomic ? wrap(inner, '', "'") : wrap(inner, '(', ")'");
+      } else if (node.type === 'AND') {
+        const left = operand(node.left, 'left');
+        const right = operand(node.right, 'right');
+        // Juxtapose single-letter names, but never let a digit run into a name
+        let separator = this.identifierMode === 'multi' ? ' ' : '';
+        if (separator === '' && ((/\d$/.test(left.text) && /^\w/.test(right.text)) || /^\d/.test(right.text))) {
+          separator = '·';
+        }
+        out = join(left, separator, right);
+      } else {
+        out = join(operand(node.left, 'left'), symbols[node.type], operand(node.right, 'right'));
+      }
+      if (focus.has(node)) out.marks.push([0, out.text.length]);
+      return out;
+    };
+
+    return visit(ast);
+  }
+
+  /**
+   * Check a result against truth table rows (an array or a rows() iterator;
+   * rows carry outputs[]), skipping don't-care rows. Returns
+   * { equivalent, checked, skipped } or, on the first disagreement,
+   * { equivalent: false, row, expected, actual }.
+   */
+  verify(ast, rows, outputIndex = 0) {
+    let checked = 0;
+    let skipped = 0;
+    let index = 0;
+    for (const row of rows) {
+      const expected = row.outputs[outputIndex];
+      if (expected === 'X') {
+        skipped++;
+      } else {
+        const symbols = {};
+        this.expression.variables.forEach(v => { symbols[v] = row[v] === 1; });
+        const actual = this.expression.evaluateAst(ast, symbols) ? 1 : 0;
+        if (actual !== expected) return { equivalent: false, row: index, expected, actual };
+        checked++;
+      }
+      index++;
+    }
+    return { equivalent: true, checked, skipped };
+  }
+
+  /**
+   * The derivation as a LaTeX aligned block, one law per line
+   */
+  toLatex(derivation, name) {
+    const lines = [`${this.expression.latexName(name)} &= ${this.expression.toLatex(derivation.start)}`];
+    derivation.steps.forEach(step => {
+      lines.push(`&= ${this.expression.toLatex(step.ast, step.focus)} && \\text{${step.law}}`);
+    });
+    return `\\begin{aligned}\n${lines.join(' \\\\\n')}\n\\end{aligned}`;
+  }
+}
+
+// A derivation stops after this many steps
+AlgebraicSimplifier.MAX_STEPS = 200;
+
+// ...or once the expanded expression has this many nodes
+AlgebraicSimplifier.MAX_NODES = 2000;
+
+// Export for use in other files
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = AlgebraicSimplifier;
+}
@@ -0,0 +1,60 @@
+/**
+ * Logic simulation
+ * Evaluates a gate circuit (the GateDag nodes the block diagram draws) for
+ * one input assignment, giving the value on every net. Each distinct node
+ * is computed once however many gates its output fans out to.
+ */
+
+class LogicSimulator {
+  /**
+   * networks: one circuit node per output
+   */
+  constructor(networks) {
+    this.networks = networks;
+  }
+
+  /**
+   * Value of every node for inputs { variable: 0|1 }: a Map node → 0|1
+   */
+  evaluate(inputs) {
+    const values = new Map();
+    const value = node => {
+      let result = values.get(node);
+      if (result !== undefined) return result;
+      if (node.type === 'VAR') {
+        result = inputs[node.value];
+        if (result !== 0 && result !== 1) throw new Error(`No value for input: ${node.value}`);
+      } else if (node.type === 'CONST') {
+        result = node.value;
+      } else if (node.type === 'NOT') {
+        result = 1 - value(node.operand);
+      } else {
+        result = LogicSimulator.gate(node.type, (node.operands || [node.left, node.right]).map(value));
+      }
+      values.set(node, result);
+      return result;
+    };
+    this.networks.forEach(value);
+    return values;
+  }
+
+  /**
+   * Output of a gate of `type` for its input values, e.g. gate('NAND', [1, 1]) = 0
+   */
+  static gate(type, inputs) {
+    if (type === 'IMPLIES') return inputs[0] === 1 && inputs[1] === 0 ? 0 : 1;
+    if (type === 'IFF') type = 'XNOR';
+    const base = GateFlattener.BASE[type];
+    if (!base) throw new Error(`Unknown gate type: ${type}`);
+    let result;
+    if (base === 'AND') result = inputs.every(v => v === 1) ? 1 : 0;
+    else if (base === 'OR') result = inputs.some(v => v === 1) ? 1 : 0;
+    else result = inputs.reduce((parity, v) => parity ^ v, 0);
+    return type === base ? result : 1 - result;
+  }
+}
+
+// Export for use in other files
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = LogicSimulator;
+}
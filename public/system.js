@@ -0,0 +1,191 @@
+/**
+ * Multi-output Boolean systems
+ * Parses several named equations ("S = a^b^c; Cout = ab + c(a^b)") that
+ * share one set of inputs and are evaluated together.
+ */
+
+class BooleanSystem {
+  /**
+   * Statements are separated by ';' or newlines and each has the form
+   * "name = expression". Options are passed through to BooleanExpression
+   * (identifierMode). Syntax errors from every statement are collected and
+   * thrown together as one BooleanSyntaxError with offsets into the full text.
+   */
+  constructor(source, options = {}) {
+    this.originalExpression = source;
+    this.identifierMode = options.identifierMode === 'multi' ? 'multi' : 'single';
+
+    const statements = BooleanSystem.splitStatements(source);
+    const diagnostics = [];
+    const parsed = [];
+    const names = new Set();
+
+    statements.forEach(stmt => {
+      const assignment = stmt.text.match(BooleanSystem.ASSIGNMENT);
+      if (!assignment) {
+        const lead = stmt.text.length - stmt.text.trimStart().length;
+        diagnostics.push({
+          message: "Expected an output name followed by '='",
+          start: stmt.start + lead,
+          end: stmt.start + stmt.text.trimEnd().length,
+          expected: ['name ='],
+          hint: 'write each equation as "name = expression"'
+        });
+        return;
+      }
+
+      const name = assignment[1];
+      const nameStart = stmt.start + assignment.index + assignment[0].indexOf(name);
+      if (names.has(name)) {
+        diagnostics.push({
+          message: `Output '${name}' is defined more than once`,
+          start: nameStart,
+          end: nameStart + name.length,
+          expected: [],
+          hint: 'give each output a unique name'
+        });
+      }
+      names.add(name);
+
+      const rhsStart = stmt.start + assignment[0].length;
+      try {
+        const expr = new BooleanExpression(source.substring(rhsStart, stmt.end), {
+          ...options,
+          sourceOffset: rhsStart
+        });
+        parsed.push({ name, expr, rhsStart, rhsEnd: stmt.end });
+      } catch (error) {
+        if (!error.diagnostics) throw error;
+        diagnostics.push(...error.diagnostics);
+      }
+    });
+
+    if (parsed.length === 0 && diagnostics.length === 0) {
+      diagnostics.push({
+        message: 'No equations found',
+        start: 0,
+        end: source.length,
+        expected: ['name ='],
+        hint: 'write each equation as "name = expression"'
+      });
+    }
+    if (diagnostics.length > 0) {
+      throw new BooleanSyntaxError(source, diagnostics);
+    }
+
+    // Shared inputs: every output gets a truth table over the union of variables
+    this.variables = [...new Set(parsed.flatMap(p => p.expr.variables))]
+      .sort(BooleanExpression.compareNames);
+    this.expressions = parsed.map(p => new BooleanExpression(
+      source.substring(p.rhsStart, p.rhsEnd),
+      { ...options, variables: this.variables, name: p.name }
+    ));
+    this.outputs = this.expressions.map(e => e.outputs[0]);
+    this.ast = this.outputs[0].ast;
+  }
+
+  /**
+   * Split source into statements on ';' and newlines, keeping offsets.
+   * Blank statements (e.g. a trailing ';') are dropped.
+   */
+  static splitStatements(source) {
+    const statements = [];
+    const separator = /[;\n]/g;
+    let start = 0;
+    let match;
+    while ((match = separator.exec(source)) !== null) {
+      statements.push({ text: source.substring(start, match.index), start, end: match.index });
+      start = match.index + 1;
+    }
+    statements.push({ text: source.substring(start), start, end: source.length });
+    return statements.filter(s => s.text.trim() !== '');
+  }
+
+  /**
+   * Number of truth table rows (2^n)
+   */
+  get rowCount() {
+    return Math.pow(2, this.variables.length);
+  }
+
+  /**
+   * One row, combining the equations' rows (all share the same row order)
+   * into outputs[] in the order of this.outputs
+   */
+  row(index) {
+    const rows = this.expressions.map(e => e.row(index));
+    const combined = {};
+    this.variables.forEach(v => { combined[v] = rows[0][v]; });
+    combined.outputs = rows.map(r => r.output);
+    combined.output = combined.outputs[0];
+    return combined;
+  }
+
+  /**
+   * Just the output values of row `index` (no row object), for fast scans
+   */
+  outputsAt(index) {
+    return this.expressions.map(e => e.outputsAt(index)[0]);
+  }
+
+  /**
+   * Rows start..end-1 one at a time, without keeping the whole table
+   */
+  * rows(start = 0, end = this.rowCount) {
+    for (let i = start; i < end; i++) yield this.row(i);
+  }
+
+  /**
+   * The whole truth table, built on first use
+   */
+  get truthTable() {
+    if (!this.cachedTruthTable) this.cachedTruthTable = this.generateTruthTable();
+    return this.cachedTruthTable;
+  }
+
+  /**
+   * Generate the whole truth table
+   */
+  generateTruthTable() {
+    return [...this.rows()];
+  }
+
+  /**
+   * Name of a variable as shown in diagrams and tables
+   */
+  displayName(name) {
+    return this.expressions[0].displayName(name);
+  }
+
+  /**
+   * Convert every equation to LaTeX, one "name = ..." per line
+   */
+  toLatex() {
+    return this.expressions
+      .map(e => `${e.latexName(e.outputs[0].name)} = ${e.toLatex()}`)
+      .join(' \\\\ ');
+  }
+
+  /**
+   * Get the system in standard notation
+   */
+  toString() {
+    return this.expressions.map(e => `${e.outputs[0].name} = ${e.toString()}`).join('; ');
+  }
+
+  /**
+   * Whether the input looks like one or more named equations rather than
+   * a single bare expression.
+   */
+  static isSystem(source) {
+    return /[;\n]/.test(source.trim()) || BooleanSystem.ASSIGNMENT.test(source);
+  }
+}
+
+// "name =" at the start of a statement; '=' must not begin '=>' (implication)
+BooleanSystem.ASSIGNMENT = /^\s*([A-Za-z_][A-Za-z0-9_]*(?:\[\d+\])?)\s*=(?![>=])/;
+
+// Export for use in other files
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = BooleanSystem;
+}
@@ -0,0 +1,148 @@
+/**
+ * Timing simulation
+ * Event-driven simulation of a gate circuit (the GateDag nodes the block
+ * diagram draws) with a delay per gate type. Input vectors are applied one
+ * per period; a gate re-evaluates whenever one of its inputs changes and its
+ * new output takes effect after the gate's delay. Delays are transport
+ * delays, so pulses shorter than a gate's delay pass through and glitches
+ * show up on the nets they reach.
+ */
+
+class TimingSimulator {
+  /**
+   * networks: one circuit node per output; delays: { NOT: 1, AND: 2, ... }
+   */
+  constructor(networks, delays = TimingSimulator.DEFAULT_DELAYS) {
+    this.networks = networks;
+    this.delays = delays;
+    // Every node, each after the nodes feeding it, and the gates each one feeds
+    this.nodes = [];
+    this.fanout = new Map();
+    const visit = node => {
+      if (this.fanout.has(node)) return;
+      this.fanout.set(node, []);
+      TimingSimulator.inputsOf(node).forEach(input => {
+        visit(input);
+        const gates = this.fanout.get(input);
+        if (!gates.includes(node)) gates.push(node);
+      });
+      this.nodes.push(node);
+    };
+    networks.forEach(visit);
+  }
+
+  /**
+   * Nodes feeding a node: none for inputs and constants
+   */
+  static inputsOf(node) {
+    if (node.type === 'VAR' || node.type === 'CONST') return [];
+    if (node.type === 'NOT') return [node.operand];
+    return node.operands || [node.left, node.right];
+  }
+
+  /**
+   * Propagation delay of a node (0 for inputs and constants)
+   */
+  delay(node) {
+    if (node.type === 'VAR' || node.type === 'CONST') return 0;
+    const delay = this.delays[node.type];
+    if (!(delay >= 0)) throw new Error(`No delay for gate type: ${node.type}`);
+    return delay;
+  }
+
+  /**
+   * Apply vectors ({ variable: 0|1 } each) at times 0, period, 2·period, …
+   * starting from the circuit settled on the first one. Returns { traces,
+   * end }: traces maps every node to its changes, [{ time, value }, ...],
+   * the first at time 0; end is when the last vector's period is over or
+   * the last event happened, whichever is later.
+   */
+  run(vectors, period) {
+    if (!vectors.length) throw new Error('No input vectors to simulate');
+    if (!(period > 0)) throw new Error(`Period must be positive: ${period}`);
+    const values = new LogicSimulator(this.networks).evaluate(vectors[0]);
+    const traces = new Map();
+    this.nodes.forEach(node => traces.set(node, [{ time: 0, value: values.get(node) }]));
+
+    // Output changes waiting to happen, by time, and those times in order
+    const pending = new Map();
+    const times = [];
+    const schedule = (time, node, value) => {
+      if (!pending.has(time)) {
+        pending.set(time, new Map());
+        let lo = 0;
+        let hi = times.length;
+        while (lo < hi) {
+          const mid = (lo + hi) >> 1;
+          if (times[mid] < time) lo = mid + 1;
+          else hi = mid;
+        }
+        times.splice(lo, 0, time);
+      }
+      pending.get(time).set(node, value);
+    };
+
+    const inputs = this.nodes.filter(node => node.type === 'VAR');
+    vectors.forEach((vector, k) => {
+      if (k > 0) inputs.forEach(node => schedule(k * period, node, vector[node.value]));
+    });
+
+    let last = 0;
+    while (times.length) {
+      const time = times.shift();
+      const changes = pending.get(time);
+      pending.delete(time);
+      // Apply every change due now, then re-evaluate the gates they feed once each
+      const affected = new Set();
+      changes.forEach((value, node) => {
+        if (values.get(node) === value) return;
+        values.set(node, value);
+        traces.get(node).push({ time, value });
+        last = time;
+        this.fanout.get(node).forEach(gate => affected.add(gate));
+      });
+      affected.forEach(gate => {
+        const value = gate.type === 'NOT'
+          ? 1 - values.get(gate.operand)
+          : LogicSimulator.gate(gate.type, TimingSimulator.inputsOf(gate).map(input => values.get(input)));
+        schedule(time + this.delay(gate), gate, value);
+      });
+    }
+    return { traces, end: Math.max(vectors.length * period, last) };
+  }
+
+  /**
+   * Longest path by total delay from an input (or constant) to an output:
+   * { delay, nodes, output }, nodes running from the input to the output's
+   * root and output being the index of that output
+   */
+  criticalPath() {
+    const arrival = new Map();
+    const via = new Map();
+    this.nodes.forEach(node => {
+      let from = null;
+      TimingSimulator.inputsOf(node).forEach(input => {
+        if (from === null || arrival.get(input) > arrival.get(from)) from = input;
+      });
+      arrival.set(node, (from === null ? 0 : arrival.get(from)) + this.delay(node));
+      via.set(node, from);
+    });
+
+    let output = 0;
+    this.networks.forEach((root, i) => {
+      if (arrival.get(root) > arrival.get(this.networks[output])) output = i;
+    });
+    const nodes = [];
+    for (let node = this.networks[output]; node !== null; node = via.get(node)) nodes.unshift(node);
+    return { delay: arrival.get(this.networks[output]), nodes, output };
+  }
+}
+
+// Delay of each gate type in time units: inverting CMOS gates are the
+// fastest, AND and OR add an inverter stage and XOR takes two levels
+TimingSimulator.DEFAULT_DELAYS = { NOT: 1, NAND: 1, NOR: 1, AND: 2, OR: 2, XOR: 3, XNOR: 3 };
+
+// Export for use in other files
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = TimingSimulator;
+}
@@ -0,0 +1,135 @@
+/**
+ * Universal gate conversion
+ * Rewrites an expression's AST into an equivalent network of only NAND or
+ * only NOR gates. Inverters are gates with both inputs tied together, which
+ * the AST records by making `left` and `right` the same node.
+ */
+
+class UniversalGateConverter {
+  /**
+   * gate: 'NAND' or 'NOR'
+   */
+  constructor(gate) {
+    if (gate !== 'NAND' && gate !== 'NOR') throw new Error(`Not a universal gate: ${gate}`);
+    this.gate = gate;
+    // Sizes of the networks built so far, by node
+    this.sizes = new WeakMap();
+  }
+
+  /**
+   * Equivalent AST using only this.gate (plus the inputs and constants)
+   */
+  convert(ast) {
+    return this.build(ast).pos;
+  }
+
+  /**
+   * Networks for a node and for its complement: { pos, neg }. Carrying both
+   * lets an inversion be absorbed by the gate that consumes it instead of
+   * costing an inverter, and each is replaced by the inverted other when
+   * that is smaller.
+   */
+  build(node) {
+    let pair;
+    if (node.type === 'VAR') {
+      pair = { pos: node, neg: this.invert(node) };
+    } else if (node.type === 'CONST') {
+      pair = { pos: node, neg: { type: 'CONST', value: 1 - node.value } };
+    } else if (node.type === 'NOT') {
+      const { pos, neg } = this.build(node.operand);
+      return { pos: neg, neg: pos };
+    } else {
+      let a = this.build(node.left);
+      const b = this.build(node.right);
+      let type = node.type;
+      // A → B = A' + B, A ↔ B = A ⊙ B
+      if (type === 'IMPLIES') {
+        a = { pos: a.neg, neg: a.pos };
+        type = 'OR';
+      }
+      if (type === 'IFF') type = 'XNOR';
+
+      // The gate's own function is the complement of `native`
+      const native = this.gate === 'NAND' ? 'AND' : 'OR';
+      if (type === 'AND' || type === 'OR' || type === 'NAND' || type === 'NOR') {
+        const base = { NAND: 'AND', NOR: 'OR' }[type] || type;
+        const inverted = type !== base;
+        let out;
+        if (base === native) {
+          // AND = (A NAND B)'
+          const g = this.make(a.pos, b.pos);
+          out = { pos: this.invert(g), neg: g };
+        } else {
+          // De Morgan: A + B = A' NAND B'
+          const g = this.make(a.neg, b.neg);
+          out = { pos: g, neg: this.invert(g) };
+        }
+        pair = inverted ? { pos: out.neg, neg: out.pos } : out;
+      } else if (type === 'XOR' || type === 'XNOR') {
+        // Two-level forms: with NAND, A ⊕ B = (A NAND B') NAND (A' NAND B);
+        // with NOR, A ⊕ B = (A NOR B) NOR (A' NOR B')
+        const mixed = this.make(this.make(a.pos, b.neg), this.make(a.neg, b.pos));
+        const same = this.make(this.make(a.pos, b.pos), this.make(a.neg, b.neg));
+        const xor = this.gate === 'NAND' ? { pos: mixed, neg: same } : { pos: same, neg: mixed };
+        pair = type === 'XOR' ? xor : { pos: xor.neg, neg: xor.pos };
+      } else {
+        throw new Error(`Unknown AST node type: ${node.type}`);
+      }
+    }
+
+    // Fold an inverter into the other polarity where that is cheaper
+    const pos = this.cheaper(pair.pos, this.invert(pair.neg));
+    const neg = this.cheaper(pair.neg, this.invert(pair.pos));
+    return { pos, neg };
+  }
+
+  /**
+   * Gate node over two inputs
+   */
+  make(left, right) {
+    return { type: this.gate, left, right, operator: this.gate.toLowerCase() };
+  }
+
+  /**
+   * Complement of a network: an inverter (tied-input gate), except that
+   * inverting an inverter returns its input and constants just flip
+   */
+  invert(node) {
+    if (node.type === 'CONST') return { type: 'CONST', value: 1 - node.value };
+    if (UniversalGateConverter.isInverter(node)) return node.left;
+    return this.make(node, node);
+  }
+
+  cheaper(a, b) {
+    return this.size(b) < this.size(a) ? b : a;
+  }
+
+  /**
+   * Gate count of a network (tied inputs count once)
+   */
+  size(node) {
+    if (node.type === 'VAR' || node.type === 'CONST') return 0;
+    let size = this.sizes.get(node);
+    if (size === undefined) {
+      size = UniversalGateConverter.isInverter(node)
+        ? 1 + this.size(node.left)
+        : 1 + this.size(node.left) + this.size(node.right);
+      this.sizes.set(node, size);
+    }
+    return size;
+  }
+
+  /**
+   * Is this a gate with all its inputs tied together, i.e. an inverter?
+   * Works on binary nodes and on GateFlattener's n-ary ones.
+   */
+  static isInverter(node) {
+    const inputs = node.operands || [node.left, node.right];
+    return inputs[0] !== undefined && inputs.every(input => input === inputs[0]);
+  }
+}
+
+// Export for use in other files
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = UniversalGateConverter;
+}
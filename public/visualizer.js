@@ -7,44 +7,386 @@ class Visualizer {
     this.expr = booleanExpression;
     this.ast = booleanExpression.ast;
     this.variables = booleanExpression.variables;
-    this.truthTable = booleanExpression.truthTable;
+    // [{ name, ast }] — one entry per output; truth table rows carry outputs[] in this order
+    this.outputs = booleanExpression.outputs;
+    // Input assignment the gate diagram simulates, as a truth table row index
+    this.simulatedRow = 0;
   }
 
   /**
-   * Measure gate tree to determine leaf count and depth for spacing.
+   * The expression's full truth table (built on first use; large views
+   * page through expr.row() instead)
    */
-  measureGateTree(ast) {
-    if (!ast) return { leaves: 1, depth: 0 };
-    if (ast.type === 'VAR') return { leaves: 1, depth: 0 };
-    if (ast.type === 'NOT') {
-      const child = this.measureGateTree(ast.operand);
-      return { leaves: child.leaves, depth: child.depth + 1 };
-    }
-    const left = this.measureGateTree(ast.left);
-    const right = this.measureGateTree(ast.right);
-    return {
-      leaves: left.leaves + right.leaves,
-      depth: Math.max(left.depth, right.depth) + 1
+  get truthTable() {
+    return this.expr.truthTable;
+  }
+
+  /**
+   * Rewrite operators that have no gate symbol into their gate equivalents:
+   *   A → B  =  A' + B   (OR with an inverted first input)
+   *   A ↔ B  =  A ⊙ B    (XNOR)
+   */
+  gateEquivalent(ast) {
+    if (ast.type === 'IMPLIES') {
+      return { type: 'OR', left: { type: 'NOT', operand: ast.left }, right: ast.right };
+    }
+    if (ast.type === 'IFF') {
+      return { type: 'XNOR', left: ast.left, right: ast.right };
+    }
+    return ast;
+  }
+
+  /**
+   * Inputs of a gate node: the operands of an n-ary gate (see GateFlattener),
+   * or left and right of a binary one
+   */
+  gateInputs(ast) {
+    return ast.operands || [ast.left, ast.right];
+  }
+
+  /**
+   * Inputs a gate node draws wires from: a NOT's operand, the one input of
+   * a tied-input inverter, otherwise every input
+   */
+  drawnInputs(ast) {
+    if (ast.type === 'NOT') return [ast.operand];
+    const inputs = this.gateInputs(ast);
+    return UniversalGateConverter.isInverter(ast) ? [inputs[0]] : inputs;
+  }
+
+  /**
+   * Lay out gate networks (GateDag nodes) with LayeredLayout: one terminal
+   * per input used, one node per distinct gate and one sink per output.
+   * Returns the layout and what each of its real nodes draws:
+   * { kind: 'input' | 'gate' | 'output', ast, name }.
+   */
+  layoutGateNetworks(networks) {
+    const layout = new LayeredLayout();
+    const items = [];
+    const ids = new Map();
+    const add = (item, shape) => {
+      const id = layout.addNode(shape);
+      items[id] = item;
+      return id;
+    };
+
+    // Terminals first, in variable order, so the columns start out in that order
+    const used = new Set();
+    const collect = node => {
+      if (used.has(node)) return;
+      used.add(node);
+      if (node.type !== 'VAR' && node.type !== 'CONST') this.drawnInputs(node).forEach(collect);
+    };
+    networks.forEach(collect);
+    const terminals = [...used].filter(node => node.type === 'VAR' || node.type === 'CONST');
+    terminals.sort((a, b) => this.terminalOrder(a) - this.terminalOrder(b));
+    terminals.forEach(node => ids.set(node, add({ kind: 'input', ast: node }, { height: node.type === 'VAR' ? 30 : 140 })));
+
+    const visit = node => {
+      if (ids.has(node)) return ids.get(node);
+      const inputs = node.type === 'NOT' ? [node.operand] : this.gateInputs(node);
+      const sources = inputs.map(visit);
+      const id = add({ kind: 'gate', ast: node }, this.gateShape(node));
+      sources.forEach(source => layout.connect(source, id));
+      ids.set(node, id);
+      return id;
+    };
+    networks.forEach((ast, i) => {
+      const source = visit(ast);
+      const sink = add({ kind: 'output', name: this.outputs[i].name, output: i }, { height: 30, pins: [0], sink: true });
+      layout.connect(source, sink);
+    });
+    return { layout: layout.layout(), items };
+  }
+
+  /**
+   * Input terminals top to bottom: variables in order, then 0, then 1
+   */
+  terminalOrder(node) {
+    return node.type === 'VAR' ? this.variables.indexOf(node.value) : this.variables.length + node.value;
+  }
+
+  /**
+   * Height a gate needs and its input pin offsets from its centre, top to
+   * bottom: the leads of the gate images for two inputs, evenly spaced pins
+   * on a taller vector symbol for more
+   */
+  gateShape(ast) {
+    if (ast.type === 'NOT') return { height: 70, pins: [0] };
+    const n = this.gateInputs(ast).length;
+    if (n > 2) {
+      const pins = Array.from({ length: n }, (_, i) => (i - (n - 1) / 2) * 20);
+      return { height: Math.max(90, (n - 1) * 20 + 30), pins };
+    }
+    const lead = { AND: 23, OR: 21, NAND: 21.5, NOR: 19, XOR: 18.5, XNOR: 17 }[ast.type];
+    return { height: 90, pins: [-lead, lead] };
+  }
+
+  /**
+   * Gates in a set of networks, each shared gate counted once, by type:
+   * { total, counts: { AND: 2, ... } }
+   */
+  countGates(networks) {
+    const counts = {};
+    const seen = new Set();
+    const visit = node => {
+      if (node.type === 'VAR' || node.type === 'CONST' || seen.has(node)) return;
+      seen.add(node);
+      counts[node.type] = (counts[node.type] || 0) + 1;
+      this.drawnInputs(node).forEach(visit);
+    };
+    networks.forEach(visit);
+    return { total: Object.values(counts).reduce((sum, k) => sum + k, 0), counts };
+  }
+
+  /**
+   * Output networks for the block diagram, as written or converted to a
+   * NAND-only or NOR-only network when `gates` is 'NAND' or 'NOR'
+   */
+  gateNetworks(gates = null, maxFanIn = GateFlattener.DEFAULT_MAX_FAN_IN) {
+    if (!gates) return this.circuitNetworks(this.outputs.map(output => output.ast), maxFanIn);
+    const converter = new UniversalGateConverter(gates);
+    return this.circuitNetworks(this.outputs.map(output => converter.convert(output.ast)), maxFanIn, gates);
+  }
+
+  /**
+   * Circuit for output ASTs: associative chains merged into multi-input
+   * gates no wider than maxFanIn, then equal subexpressions shared across
+   * all outputs (GateDag nodes)
+   */
+  circuitNetworks(asts, maxFanIn = GateFlattener.DEFAULT_MAX_FAN_IN, gates = null) {
+    const flattener = new GateFlattener(maxFanIn, gates);
+    const dag = new GateDag();
+    return asts.map(ast => dag.intern(flattener.flatten(ast)));
+  }
+
+  /**
+   * Gate counts for the block diagram as written and, when `gates` is 'NAND'
+   * or 'NOR', after conversion, e.g. "Gates: 4 (AND 2, OR 1, NOT 1) → NAND only: 6".
+   * With gate delays, also the longest path through the drawn circuit.
+   */
+  renderGateCounts(containerElement, gates = null, maxFanIn = GateFlattener.DEFAULT_MAX_FAN_IN, delays = null) {
+    const { total, counts } = this.countGates(this.gateNetworks(null, maxFanIn));
+    const parts = Object.entries(counts).map(([type, k]) => `${type} ${k}`);
+    let text = `Gates: ${parts.length ? `${total} (${parts.join(', ')})` : '0'}`;
+    if (gates) {
+      text += ` → ${gates} only: ${this.countGates(this.gateNetworks(gates, maxFanIn)).total}`;
+    }
+    if (delays) {
+      const path = new TimingSimulator(this.gateNetworks(gates, maxFanIn), delays).criticalPath();
+      text += ` · Longest path: ${path.delay} (${this.describePath(path)})`;
+    }
+    containerElement.textContent = text;
+  }
+
+  /**
+   * A TimingSimulator path as text, e.g. "A → NOT → AND → OR → F"
+   */
+  describePath({ nodes, output }) {
+    const names = nodes.map(node => {
+      if (node.type === 'VAR') return this.expr.displayName(node.value);
+      return node.type === 'CONST' ? String(node.value) : node.type;
+    });
+    return [...names, this.outputs[output].name].join(' → ');
+  }
+
+  /**
+   * Input vectors for the timing simulation as bit strings in variable
+   * order: 'counter' counts up through the rows, 'gray' steps through them
+   * in Gray code order (one input changing at a time) and 'custom' reads one
+   * vector per line of `text`. Returns { codes, total }, codes holding at
+   * most Visualizer.MAX_WAVEFORM_VECTORS of the total.
+   */
+  waveformStimulus(stimulus, text = '') {
+    const n = this.variables.length;
+    if (stimulus === 'custom') {
+      const codes = text.split('\n').map(line => line.replace(/[\s,]/g, '')).filter(Boolean);
+      if (!codes.length) throw new Error('Enter at least one input vector');
+      codes.forEach((code, i) => {
+        if (code.length !== n || /[^01]/.test(code)) {
+          const names = this.joinNames(this.variables);
+          throw new Error(`Vector ${i + 1} should be ${n} bits, one per input (${names}): ${code}`);
+        }
+      });
+      return { codes: codes.slice(0, Visualizer.MAX_WAVEFORM_VECTORS), total: codes.length };
+    }
+    const total = Math.pow(2, n);
+    const codes = [];
+    for (let i = 0; i < Math.min(total, Visualizer.MAX_WAVEFORM_VECTORS); i++) {
+      const value = stimulus === 'gray' ? i ^ (i >> 1) : i;
+      codes.push(n ? value.toString(2).padStart(n, '0') : '');
+    }
+    return { codes, total };
+  }
+
+  /**
+   * Timing diagram of the block diagram's circuit: every input, internal
+   * net and output over time, with the input vectors applied one per period
+   * and the stretches where a net changes more than once in a period
+   * (glitches) shaded. The longest path, vector count and output glitches
+   * go into infoElement.
+   * options: gates and maxFanIn as for renderGateDiagram; delays: gate
+   * delays by type; stimulus and vectors: as for waveformStimulus; period:
+   * time each vector is held (default: the longest path plus 2).
+   */
+  renderWaveforms(svgElement, infoElement, options = {}) {
+    svgElement.innerHTML = '';
+    const ns = 'http://www.w3.org/2000/svg';
+
+    const networks = this.gateNetworks(options.gates || null, options.maxFanIn || GateFlattener.DEFAULT_MAX_FAN_IN);
+    const simulator = new TimingSimulator(networks, options.delays || TimingSimulator.DEFAULT_DELAYS);
+    const path = simulator.criticalPath();
+    const period = options.period || Math.max(1, path.delay) + 2;
+    const { codes, total } = this.waveformStimulus(options.stimulus || 'counter', options.vectors);
+    const vectors = codes.map(code => {
+      const vector = {};
+      this.variables.forEach((v, j) => { vector[v] = Number(code[j]); });
+      return vector;
+    });
+    const { traces, end } = simulator.run(vectors, period);
+
+    // Rows: inputs in variable order, internal nets in circuit order (named
+    // by gate type and number), then the outputs
+    const rows = simulator.nodes
+      .filter(node => node.type === 'VAR')
+      .sort((a, b) => this.terminalOrder(a) - this.terminalOrder(b))
+      .map(node => ({ name: this.expr.displayName(node.value), node, kind: 'input' }));
+    const roots = new Set(networks);
+    const numbers = {};
+    simulator.nodes.forEach(node => {
+      if (node.type === 'VAR' || node.type === 'CONST' || roots.has(node)) return;
+      numbers[node.type] = (numbers[node.type] || 0) + 1;
+      rows.push({ name: `${node.type} ${numbers[node.type]}`, node, kind: 'net' });
+    });
+    networks.forEach((node, i) => rows.push({ name: this.outputs[i].name, node, kind: 'output' }));
+
+    const labelW = 30 + Math.max(...rows.map(row => row.name.length)) * 8;
+    const scale = Math.min(40, Math.max(4, 1000 / end));
+    const rowH = 40;
+    const top = 40;
+    const swing = 22;
+    const x = time => labelW + time * scale;
+    const canvasW = Math.max(1200, x(end) + 40);
+    const canvasH = Math.max(300, top + rows.length * rowH + 40);
+    svgElement.setAttribute('viewBox', `0 0 ${canvasW} ${canvasH}`);
+
+    const bg = document.createElementNS(ns, 'rect');
+    bg.setAttribute('width', String(canvasW));
+    bg.setAttribute('height', String(canvasH));
+    bg.setAttribute('fill', 'white');
+    bg.setAttribute('stroke', '#ddd');
+    bg.setAttribute('stroke-width', '1');
+    svgElement.appendChild(bg);
+
+    const g = document.createElementNS(ns, 'g');
+    const text = (tx, ty, content, attrs = {}) => {
+      const el = document.createElementNS(ns, 'text');
+      el.setAttribute('x', String(tx));
+      el.setAttribute('y', String(ty));
+      el.setAttribute('font-size', '12');
+      Object.entries(attrs).forEach(([name, value]) => el.setAttribute(name, value));
+      el.textContent = content;
+      g.appendChild(el);
     };
+
+    // A dashed line and the applied vector at each period, times along the bottom
+    const bottom = top + rows.length * rowH;
+    const showCodes = period * scale >= codes[0].length * 8 + 6;
+    vectors.forEach((vector, k) => {
+      const vx = x(k * period);
+      const line = document.createElementNS(ns, 'line');
+      line.setAttribute('x1', String(vx));
+      line.setAttribute('y1', String(top - 10));
+      line.setAttribute('x2', String(vx));
+      line.setAttribute('y2', String(bottom));
+      line.setAttribute('stroke', '#ccc');
+      line.setAttribute('stroke-dasharray', '4,4');
+      g.appendChild(line);
+      if (showCodes) text(vx + 3, top - 16, codes[k], { fill: '#888', 'font-family': 'monospace' });
+      text(vx, bottom + 18, String(k * period), { fill: '#888', 'text-anchor': 'middle' });
+    });
+
+    const glitches = [];
+    rows.forEach((row, i) => {
+      const low = top + i * rowH + rowH - 8;
+      const changes = traces.get(row.node);
+      text(10, low - swing / 2 + 4, row.name, row.kind === 'output' ? { 'font-weight': 'bold' } : {});
+
+      // Glitches: more changes within a period than its start and end values account for
+      vectors.forEach((vector, k) => {
+        const start = k * period;
+        const stop = k === vectors.length - 1 ? Infinity : start + period;
+        const inside = changes.filter((change, c) => c > 0 && change.time >= start && change.time < stop);
+        if (!inside.length) return;
+        const before = changes.filter(change => change.time < start).pop() || changes[0];
+        const after = inside[inside.length - 1];
+        if (inside.length <= (before.value !== after.value ? 1 : 0)) return;
+        const shade = document.createElementNS(ns, 'rect');
+        shade.setAttribute('x', String(x(inside[0].time) - 3));
+        shade.setAttribute('y', String(low - swing - 4));
+        shade.setAttribute('width', String(x(after.time) - x(inside[0].time) + 6));
+        shade.setAttribute('height', String(swing + 8));
+        shade.setAttribute('fill', Visualizer.GLITCH_COLOR);
+        g.appendChild(shade);
+        if (row.kind === 'output') glitches.push(`${row.name} at t = ${inside[0].time}`);
+      });
+
+      const points = [];
+      changes.forEach((change, c) => {
+        if (c > 0) points.push([x(change.time), low - changes[c - 1].value * swing]);
+        points.push([x(change.time), low - change.value * swing]);
+      });
+      points.push([x(end), low - changes[changes.length - 1].value * swing]);
+      const wave = document.createElementNS(ns, 'polyline');
+      wave.setAttribute('points', points.map(point => point.join(',')).join(' '));
+      wave.setAttribute('fill', 'none');
+      wave.setAttribute('stroke', { input: '#1976d2', net: '#555', output: '#000000' }[row.kind]);
+      wave.setAttribute('stroke-width', row.kind === 'output' ? '2.5' : '1.5');
+      g.appendChild(wave);
+    });
+
+    svgElement.appendChild(g);
+    this.setupZoomPan(svgElement, g);
+
+    const count = codes.length < total ? `first ${codes.length} of ${total} vectors` : `${codes.length} vector${codes.length === 1 ? '' : 's'}`;
+    infoElement.textContent = `Longest path: ${path.delay} (${this.describePath(path)}) · ${count}, period ${period} · ` +
+      (glitches.length ? `Output glitches: ${glitches.join(', ')}` : 'No output glitches');
   }
 
   /**
-   * Render logic gate block diagram from AST — dynamic sizing
+   * Render logic gate block diagram from AST — dynamic sizing.
+   * Laid out in columns by LayeredLayout: input terminals on the left, each
+   * distinct gate once, outputs on the right. Wires run straight or turn on
+   * their own track in the channel between two columns, with a junction dot
+   * wherever a net branches.
+   * options.gates: 'NAND' or 'NOR' draws the universal-gate network instead;
+   * options.networks: one AST per output to draw in place of the outputs';
+   * options.maxFanIn: widest gate drawn, wider ones become balanced trees;
+   * options.simulate: colour every net by its value for this.simulatedRow
+   * and let a click on an input terminal toggle it, calling
+   * options.onSimulate(row) with the new row;
+   * options.delays: gate delays by type ({ NOT: 1, AND: 2, ... }), to
+   * highlight the longest path under them.
    */
-  renderGateDiagram(svgElement) {
+  renderGateDiagram(svgElement, options = {}) {
     svgElement.innerHTML = '';
     const ns = 'http://www.w3.org/2000/svg';
 
-    const treeMeasure = this.measureGateTree(this.ast);
-    const leafCount = Math.max(treeMeasure.leaves, 1);
-    const treeDepth = Math.max(treeMeasure.depth, 1);
+    const maxFanIn = options.maxFanIn || GateFlattener.DEFAULT_MAX_FAN_IN;
+    const networks = options.networks
+      ? this.circuitNetworks(options.networks, maxFanIn)
+      : this.gateNetworks(options.gates, maxFanIn);
+    const { layout, items } = this.layoutGateNetworks(networks);
 
-    const leafSlotH = 110;
-    const totalHeight = leafCount * leafSlotH;
-    const totalWidth = treeDepth * 280 + 400;
+    // Columns: nodes span x - 60 … x + 60, channels are as wide as their tracks need
+    const longestName = Math.max(1, ...this.variables.map(v => this.expr.displayName(v).length));
+    const channelWidth = channel => Math.max(80, (channel.tracks + 1) * 16);
+    const columnX = [70 + longestName * 9 + 16];
+    layout.channels.forEach((channel, i) => columnX.push(columnX[i] + 120 + channelWidth(channel)));
 
-    const canvasW = Math.max(1200, totalWidth + 200);
-    const canvasH = Math.max(600, totalHeight + 200);
+    const canvasW = Math.max(1200, columnX[columnX.length - 1] + 160);
+    const canvasH = Math.max(600, layout.height + 200);
+    layout.shift((canvasH - layout.height) / 2);
 
     svgElement.setAttribute('viewBox', `0 0 ${canvasW} ${canvasH}`);
 
@@ -59,33 +401,285 @@ class Visualizer {
     const g = document.createElementNS(ns, 'g');
     g.setAttribute('id', 'zoomGroup');
 
-    const startX = 100;
-    const centerY = canvasH / 2;
-    const halfSpan = (leafCount * leafSlotH) / 2;
+    // Longest path: a halo under its gates and wires, which are found from
+    // the next real node along it after each real node on it
+    const nextOnPath = new Map();
+    const halos = document.createElementNS(ns, 'g');
+    g.appendChild(halos);
+    if (options.delays) {
+      const { nodes, output } = new TimingSimulator(networks, options.delays).criticalPath();
+      const ids = nodes.map(ast => items.findIndex(item => item.ast === ast));
+      ids.push(items.findIndex(item => item.kind === 'output' && item.output === output));
+      ids.forEach((id, i) => nextOnPath.set(id, ids[i + 1]));
+    }
+    // Is the wire from net `source` into layout node `target` on the path?
+    const onPath = (source, target) => {
+      const next = nextOnPath.get(source);
+      if (next === undefined) return false;
+      const node = layout.nodes[target];
+      return node.dummy ? layout.nodes[next].layer > node.layer : target === next;
+    };
+    const halo = points => {
+      const path = document.createElementNS(ns, 'polyline');
+      path.setAttribute('points', points.map(point => point.join(',')).join(' '));
+      path.setAttribute('fill', 'none');
+      path.setAttribute('stroke', Visualizer.PATH_COLOR);
+      path.setAttribute('stroke-width', '12');
+      path.setAttribute('stroke-linecap', 'round');
+      path.setAttribute('stroke-linejoin', 'round');
+      halos.appendChild(path);
+    };
 
-    const finalX = this.renderGateTree(g, this.ast, startX, centerY, 0, centerY - halfSpan, centerY + halfSpan);
+    // Wires in one group per net, keyed by the real node driving it, so a
+    // net can be coloured as a whole; terminals and output labels go in the
+    // group of the net they start or end
+    const nets = new Map();
+    const netGroup = id => {
+      const node = layout.nodes[id];
+      const source = node.dummy ? node.net : id;
+      if (!nets.has(source)) {
+        const group = document.createElementNS(ns, 'g');
+        g.appendChild(group);
+        nets.set(source, group);
+      }
+      return nets.get(source);
+    };
 
-    const outputX = finalX + 60;
-    const line = document.createElementNS(ns, 'line');
-    line.setAttribute('x1', finalX);
-    line.setAttribute('y1', String(centerY));
-    line.setAttribute('x2', outputX);
-    line.setAttribute('y2', String(centerY));
-    line.setAttribute('stroke', '#000000');
-    line.setAttribute('stroke-width', '3.5');
-    g.appendChild(line);
-
-    const outputLabel = document.createElementNS(ns, 'text');
-    outputLabel.setAttribute('x', outputX + 10);
-    outputLabel.setAttribute('y', String(centerY + 5));
-    outputLabel.setAttribute('font-size', '12');
-    outputLabel.textContent = 'Output';
-    g.appendChild(outputLabel);
+    // Nodes, remembering where each input wire ends
+    const pinPoints = layout.nodes.map(node => {
+      const x = columnX[node.layer];
+      if (node.dummy) return [{ x: x - 60, y: node.y }];
+      const item = items[node.id];
+      if (nextOnPath.has(node.id)) {
+        if (item.kind === 'gate') {
+          const box = document.createElementNS(ns, 'rect');
+          box.setAttribute('x', x - 58);
+          box.setAttribute('y', node.y - node.height / 2);
+          box.setAttribute('width', '124');
+          box.setAttribute('height', String(node.height));
+          box.setAttribute('rx', '10');
+          box.setAttribute('fill', Visualizer.PATH_COLOR);
+          halos.appendChild(box);
+        } else if (item.kind === 'input') {
+          halo([[x + 10, node.y], [x + 60, node.y]]);
+        } else {
+          halo([[x - 60, node.y], [x, node.y]]);
+        }
+      }
+      const parent = item.kind === 'input' ? netGroup(node.id) : item.kind === 'output' ? netGroup(node.sources[0]) : g;
+      return this.drawCircuitNode(parent, item, x, node.y, node.pins);
+    });
+
+    // Wires: through the columns at dummies, and across each channel
+    layout.nodes.forEach(node => {
+      if (!node.dummy) return;
+      const span = [[columnX[node.layer] - 60, node.y], [columnX[node.layer] + 60, node.y]];
+      this.drawWire(netGroup(node.id), span);
+      if (onPath(node.net, node.id)) halo(span);
+    });
+    layout.channels.forEach((channel, layer) => {
+      const left = columnX[layer] + 60;
+      const width = channelWidth(channel);
+      channel.nets.forEach(net => {
+        const wires = netGroup(net.source);
+        const ends = net.targets.map(t => pinPoints[t.node][layout.nodes[t.node].pinOf[t.input]]);
+        const source = layout.nodes[net.source];
+        const pathEnd = ends.find((end, i) => onPath(source.dummy ? source.net : net.source, net.targets[i].node));
+        if (net.track === null) {
+          ends.forEach(end => this.drawWire(wires, [[left, net.y], [end.x, end.y]]));
+          if (pathEnd) halo([[left, net.y], [pathEnd.x, pathEnd.y]]);
+          return;
+        }
+        const trackX = left + (net.track + 1) * width / (channel.tracks + 1);
+        if (pathEnd) halo([[left, net.y], [trackX, net.y], [trackX, pathEnd.y], [pathEnd.x, pathEnd.y]]);
+        this.drawWire(wires, [[left, net.y], [trackX, net.y]]);
+        this.drawWire(wires, [[trackX, net.top], [trackX, net.bottom]]);
+        ends.forEach(end => this.drawWire(wires, [[trackX, end.y], [end.x, end.y]]));
+
+        // A dot where three or more wire directions meet on the track
+        const level = (a, b) => Math.abs(a - b) <= LayeredLayout.EPSILON;
+        [net.y, ...ends.map(end => end.y)].forEach((y, i, ys) => {
+          if (ys.findIndex(other => level(other, y)) !== i) return;
+          const directions = (level(y, net.y) ? 1 : 0) + (ends.some(end => level(end.y, y)) ? 1 : 0) +
+            (net.top < y - LayeredLayout.EPSILON ? 1 : 0) + (net.bottom > y + LayeredLayout.EPSILON ? 1 : 0);
+          if (directions >= 3) this.drawJunction(wires, trackX, y);
+        });
+      });
+    });
+
+    if (options.simulate) this.simulateGateDiagram(networks, layout, items, columnX, nets, options.onSimulate);
 
     svgElement.appendChild(g);
     this.setupZoomPan(svgElement, g);
   }
 
+  /**
+   * Make a drawn gate diagram live: each net (a group in `nets`, by driving
+   * node id) is coloured by its value for this.simulatedRow, with the value
+   * written where it leaves its source, and clicking a variable's terminal
+   * flips that input and repaints
+   */
+  simulateGateDiagram(networks, layout, items, columnX, nets, onSimulate) {
+    const ns = 'http://www.w3.org/2000/svg';
+    const simulator = new LogicSimulator(networks);
+    const labels = new Map();
+    nets.forEach((group, id) => {
+      const node = layout.nodes[id];
+      const label = document.createElementNS(ns, 'text');
+      label.setAttribute('x', columnX[node.layer] + 64);
+      label.setAttribute('y', String(node.y - 8));
+      label.setAttribute('font-size', '12');
+      label.setAttribute('font-weight', 'bold');
+      group.appendChild(label);
+      labels.set(id, label);
+    });
+
+    const paint = () => {
+      const values = simulator.evaluate(this.expr.row(this.simulatedRow));
+      nets.forEach((group, id) => {
+        const value = values.get(items[id].ast);
+        const color = Visualizer.SIGNAL_COLORS[value];
+        group.querySelectorAll('line').forEach(line => line.setAttribute('stroke', color));
+        group.querySelectorAll('circle').forEach(dot => dot.setAttribute('fill', color));
+        labels.get(id).setAttribute('fill', color);
+        labels.get(id).textContent = String(value);
+      });
+    };
+
+    nets.forEach((group, id) => {
+      const { ast } = items[id];
+      if (ast.type !== 'VAR') return;
+      group.style.cursor = 'pointer';
+      const title = document.createElementNS(ns, 'title');
+      title.textContent = `Click to toggle ${this.expr.displayName(ast.value)}`;
+      group.appendChild(title);
+      group.addEventListener('click', () => {
+        this.toggleSimulatedInput(ast.value);
+        paint();
+        if (onSimulate) onSimulate(this.simulatedRow);
+      });
+    });
+    paint();
+  }
+
+  /**
+   * Flip one input of the simulated assignment (variables[j] is bit n-1-j of the row)
+   */
+  toggleSimulatedInput(variable) {
+    const weight = 2 ** (this.variables.length - 1 - this.variables.indexOf(variable));
+    this.simulatedRow += this.expr.row(this.simulatedRow)[variable] ? -weight : weight;
+  }
+
+  /**
+   * Mark the K-map cells of one truth table row (in every output's map) as current
+   */
+  highlightKMapCell(containerElement, index) {
+    // K-map cell keys are the input bits in variable order, i.e. the row index in binary
+    containerElement.querySelectorAll('td[data-key]').forEach(td => {
+      td.classList.toggle('current', parseInt(td.dataset.key, 2) === index);
+    });
+  }
+
+  /**
+   * Draw one laid-out node centred at (x, y): an input terminal (variable
+   * box or tie-high / tie-low source) with its lead, a gate, or an output
+   * label. Returns the end point of each input pin, top to bottom.
+   */
+  drawCircuitNode(svg, item, x, y, pins) {
+    const ns = 'http://www.w3.org/2000/svg';
+    if (item.kind === 'output') {
+      this.drawWire(svg, [[x - 60, y], [x, y]]);
+      const outputLabel = document.createElementNS(ns, 'text');
+      outputLabel.setAttribute('x', x + 10);
+      outputLabel.setAttribute('y', String(y + 5));
+      outputLabel.setAttribute('font-size', '12');
+      outputLabel.textContent = item.name;
+      svg.appendChild(outputLabel);
+      return [{ x: x - 60, y }];
+    }
+
+    const { ast } = item;
+    if (item.kind === 'input') {
+      if (ast.type === 'CONST') {
+        if (ast.value === 1) {
+          this.drawVDDSymbol(svg, x, y);
+        } else {
+          this.drawGNDSymbol(svg, x, y + 40);
+        }
+        this.drawWire(svg, [[x, y], [x + 60, y]]);
+        return [];
+      }
+
+      // Box grows leftward for long names so its right edge (the wire) stays fixed
+      const name = this.expr.displayName(ast.value);
+      const boxW = Math.max(50, name.length * 9 + 16);
+      const rect = document.createElementNS(ns, 'rect');
+      rect.setAttribute('x', x + 10 - boxW);
+      rect.setAttribute('y', y - 15);
+      rect.setAttribute('width', String(boxW));
+      rect.setAttribute('height', '30');
+      rect.setAttribute('fill', 'white');
+      rect.setAttribute('stroke', '#999');
+      rect.setAttribute('stroke-width', '1');
+      rect.setAttribute('rx', '3');
+      svg.appendChild(rect);
+
+      const text = document.createElementNS(ns, 'text');
+      text.setAttribute('x', x + 10 - boxW / 2);
+      text.setAttribute('y', y + 5);
+      text.setAttribute('text-anchor', 'middle');
+      text.setAttribute('font-size', '13');
+      text.setAttribute('font-weight', 'bold');
+      text.textContent = name;
+      svg.appendChild(text);
+
+      this.drawWire(svg, [[x + 10, y], [x + 60, y]]);
+      return [];
+    }
+
+    if (ast.type === 'NOT') {
+      this.drawNotGate(svg, x, y);
+      return [{ x: x - 60, y }];
+    }
+    if (pins.length > 2) return this.drawMultiInputGate(svg, ast.type, x, y, pins);
+    const draw = {
+      AND: this.drawAndGate, OR: this.drawOrGate, NAND: this.drawNandGate,
+      NOR: this.drawNorGate, XOR: this.drawXorGate, XNOR: this.drawXnorGate
+    }[ast.type];
+    draw.call(this, svg, x, y);
+    return pins.map(offset => ({ x: x - 50, y: y + offset }));
+  }
+
+  /**
+   * Draw a wire through a list of [x, y] points
+   */
+  drawWire(svg, points) {
+    const ns = 'http://www.w3.org/2000/svg';
+    for (let i = 1; i < points.length; i++) {
+      const line = document.createElementNS(ns, 'line');
+      line.setAttribute('x1', points[i - 1][0]);
+      line.setAttribute('y1', points[i - 1][1]);
+      line.setAttribute('x2', points[i][0]);
+      line.setAttribute('y2', points[i][1]);
+      line.setAttribute('stroke', '#000000');
+      line.setAttribute('stroke-width', '3.5');
+      svg.appendChild(line);
+    }
+  }
+
+  /**
+   * Junction dot where a wire branches
+   */
+  drawJunction(svg, x, y) {
+    const ns = 'http://www.w3.org/2000/svg';
+    const dot = document.createElementNS(ns, 'circle');
+    dot.setAttribute('cx', x);
+    dot.setAttribute('cy', y);
+    dot.setAttribute('r', '5');
+    dot.setAttribute('fill', '#000');
+    svg.appendChild(dot);
+  }
+
   /**
    * Setup zoom and pan functionality for SVG - centers zoom on mouse position
    */
@@ -153,85 +747,75 @@ class Visualizer {
   }
 
   /**
-   * Recursively render gate tree with subtree-aware vertical spacing.
-   * Each subtree gets vertical band [yMin, yMax] proportional to its leaf count.
+   * Draw a gate with more than two inputs as a vector symbol in the style of
+   * the gate images, its body growing with the input count. Spans the same
+   * x - 50 … x + 60 as the images. pins: input offsets from the centre, as
+   * gateShape gives them; returns where each input wire ends, top to
+   * bottom, on the back edge or curve.
    */
-  renderGateTree(svg, ast, x, y, depth, yMin, yMax) {
+  drawMultiInputGate(svg, type, x, y, pins) {
     const ns = 'http://www.w3.org/2000/svg';
-    const hSpacing = 200;
-
-    if (ast.type === 'VAR') {
-      const rect = document.createElementNS(ns, 'rect');
-      rect.setAttribute('x', x - 25);
-      rect.setAttribute('y', y - 15);
-      rect.setAttribute('width', '50');
-      rect.setAttribute('height', '30');
-      rect.setAttribute('fill', 'white');
-      rect.setAttribute('stroke', '#999');
-      rect.setAttribute('stroke-width', '1');
-      rect.setAttribute('rx', '3');
-      svg.appendChild(rect);
-
-      const text = document.createElementNS(ns, 'text');
-      text.setAttribute('x', x);
-      text.setAttribute('y', y + 5);
-      text.setAttribute('text-anchor', 'middle');
-      text.setAttribute('font-size', '13');
-      text.setAttribute('font-weight', 'bold');
-      text.textContent = ast.value.toUpperCase();
-      svg.appendChild(text);
-
-      const line = document.createElementNS(ns, 'line');
-      line.setAttribute('x1', x + 25);
-      line.setAttribute('y1', y);
-      line.setAttribute('x2', x + 75);
-      line.setAttribute('y2', y);
-      line.setAttribute('stroke', '#000000');
-      line.setAttribute('stroke-width', '3.5');
-      svg.appendChild(line);
+    const h = Math.max(90, pins[pins.length - 1] - pins[0] + 30);
+    const top = y - h / 2;
+    const bottom = y + h / 2;
+    const tip = x + 48;
+    const back = x - 50;
+    const base = GateFlattener.BASE[type];
+    const pinYs = pins.map(offset => y + offset);
+
+    const shape = (d, fill) => {
+      const path = document.createElementNS(ns, 'path');
+      path.setAttribute('d', d);
+      path.setAttribute('fill', fill);
+      path.setAttribute('stroke', '#000000');
+      path.setAttribute('stroke-width', '3');
+      path.setAttribute('stroke-linejoin', 'round');
+      svg.appendChild(path);
+    };
 
-      return x + 75;
+    let ends;
+    if (base === 'AND') {
+      const rx = 40;
+      shape(`M ${back} ${top} H ${tip - rx} A ${rx} ${h / 2} 0 0 1 ${tip - rx} ${bottom} H ${back} Z`, 'white');
+      ends = pinYs.map(pinY => ({ x: back, y: pinY }));
+    } else {
+      // OR body: a concave back (quadratic curve bulging `depth` into the body) and two arcs meeting at the tip
+      const depth = 12;
+      const curveX = (backX, pinY) => {
+        const t = (pinY - top) / h;
+        return backX + 4 * depth * t * (1 - t);
+      };
+      shape(`M ${back} ${top} Q ${x + 8} ${top} ${tip} ${y} Q ${x + 8} ${bottom} ${back} ${bottom} ` +
+        `Q ${back + 2 * depth} ${y} ${back} ${top} Z`, 'white');
+      let wireBack = back;
+      if (base === 'XOR') {
+        // Second back curve; the inputs end on it
+        wireBack = back - 10;
+        shape(`M ${wireBack} ${top} Q ${wireBack + 2 * depth} ${y} ${wireBack} ${bottom}`, 'none');
+      }
+      ends = pinYs.map(pinY => ({ x: curveX(wireBack, pinY), y: pinY }));
     }
 
-    if (ast.type === 'NOT') {
-      const inputX = this.renderGateTree(svg, ast.operand, x, y, depth + 1, yMin, yMax);
-      const gateX = inputX + hSpacing;
-      this.drawNotGate(svg, gateX, y);
-      this.connectLineOrthogonal(svg, inputX, y, gateX - 60, y);
-      return gateX + 60;
+    if (type !== base) {
+      const bubble = document.createElementNS(ns, 'circle');
+      bubble.setAttribute('cx', tip + 6);
+      bubble.setAttribute('cy', y);
+      bubble.setAttribute('r', '6');
+      bubble.setAttribute('fill', 'white');
+      bubble.setAttribute('stroke', '#000000');
+      bubble.setAttribute('stroke-width', '3');
+      svg.appendChild(bubble);
+    } else {
+      const lead = document.createElementNS(ns, 'line');
+      lead.setAttribute('x1', tip);
+      lead.setAttribute('y1', y);
+      lead.setAttribute('x2', x + 60);
+      lead.setAttribute('y2', y);
+      lead.setAttribute('stroke', '#000000');
+      lead.setAttribute('stroke-width', '3.5');
+      svg.appendChild(lead);
     }
-
-    // Binary gates: split vertical band proportionally by leaf count
-    const drawBinaryGate = (drawFn, topPinOff, bottomPinOff) => {
-      const leftMeasure = this.measureGateTree(ast.left);
-      const rightMeasure = this.measureGateTree(ast.right);
-      const totalLeaves = leftMeasure.leaves + rightMeasure.leaves;
-      const leftFraction = leftMeasure.leaves / totalLeaves;
-
-      const splitY = yMin + leftFraction * (yMax - yMin);
-      const leftCenterY = (yMin + splitY) / 2;
-      const rightCenterY = (splitY + yMax) / 2;
-
-      const leftX = this.renderGateTree(svg, ast.left, x, leftCenterY, depth + 1, yMin, splitY);
-      const rightX = this.renderGateTree(svg, ast.right, x, rightCenterY, depth + 1, splitY, yMax);
-
-      const gateX = Math.max(leftX, rightX) + hSpacing;
-      drawFn.call(this, svg, gateX, y);
-
-      this.connectLineOrthogonal(svg, leftX, leftCenterY, gateX - 50, y + topPinOff);
-      this.connectLineOrthogonal(svg, rightX, rightCenterY, gateX - 50, y + bottomPinOff);
-
-      return gateX + 60;
-    };
-
-    if (ast.type === 'AND')  return drawBinaryGate(this.drawAndGate,  -23, 23);
-    if (ast.type === 'OR')   return drawBinaryGate(this.drawOrGate,   -21, 21);
-    if (ast.type === 'NAND') return drawBinaryGate(this.drawNandGate, -21.5, 21.5);
-    if (ast.type === 'NOR')  return drawBinaryGate(this.drawNorGate,  -19, 19);
-    if (ast.type === 'XOR')  return drawBinaryGate(this.drawXorGate,  -18.5, 18.5);
-    if (ast.type === 'XNOR') return drawBinaryGate(this.drawXnorGate, -17, 17);
-
-    return x;
+    return ends;
   }
 
   /**
@@ -309,58 +893,6 @@ class Visualizer {
     svg.appendChild(g);
   }
 
-  /**
-   * Helper: draw orthogonal connecting path (horizontal then vertical)
-   */
-  connectLineOrthogonal(svg, x1, y1, x2, y2) {
-    const ns = 'http://www.w3.org/2000/svg';
-    // Place vertical segment 75% toward destination to keep wires close to their gate
-    const midX = x1 + (x2 - x1) * 0.75;
-
-    if (Math.abs(y1 - y2) < 1) {
-      // Straight horizontal — no bend needed
-      const line = document.createElementNS(ns, 'line');
-      line.setAttribute('x1', x1);
-      line.setAttribute('y1', y1);
-      line.setAttribute('x2', x2);
-      line.setAttribute('y2', y2);
-      line.setAttribute('stroke', '#000000');
-      line.setAttribute('stroke-width', '3.5');
-      svg.appendChild(line);
-      return;
-    }
-
-    // Horizontal line to turn point
-    const line1 = document.createElementNS(ns, 'line');
-    line1.setAttribute('x1', x1);
-    line1.setAttribute('y1', y1);
-    line1.setAttribute('x2', midX);
-    line1.setAttribute('y2', y1);
-    line1.setAttribute('stroke', '#000000');
-    line1.setAttribute('stroke-width', '3.5');
-    svg.appendChild(line1);
-    
-    // Vertical line to destination row
-    const line2 = document.createElementNS(ns, 'line');
-    line2.setAttribute('x1', midX);
-    line2.setAttribute('y1', y1);
-    line2.setAttribute('x2', midX);
-    line2.setAttribute('y2', y2);
-    line2.setAttribute('stroke', '#000000');
-    line2.setAttribute('stroke-width', '3.5');
-    svg.appendChild(line2);
-    
-    // Horizontal line to gate input
-    const line3 = document.createElementNS(ns, 'line');
-    line3.setAttribute('x1', midX);
-    line3.setAttribute('y1', y2);
-    line3.setAttribute('x2', x2);
-    line3.setAttribute('y2', y2);
-    line3.setAttribute('stroke', '#000000');
-    line3.setAttribute('stroke-width', '3.5');
-    svg.appendChild(line3);
-  }
-
   // ============================================================
   // CMOS LOGIC: Correct PDN/PUN with Duality
   // ============================================================
@@ -383,6 +915,7 @@ class Visualizer {
    * see an inverted signal directly.
    */
   prepareForCMOS(ast) {
+    ast = this.gateEquivalent(ast);
     let coreFn = ast;
     let needsOutputInverter = true;
 
@@ -415,6 +948,9 @@ class Visualizer {
   expandClean(node, invertedInputs) {
     if (!node) return node;
     if (node.type === 'VAR') return node;
+    if (node.type === 'IMPLIES' || node.type === 'IFF') {
+      return this.expandClean(this.gateEquivalent(node), invertedInputs);
+    }
 
     if (node.type === 'AND' || node.type === 'OR') {
       return {
@@ -427,8 +963,11 @@ class Visualizer {
     if (node.type === 'NOT') {
       const inner = node.operand;
       if (inner.type === 'NOT') return this.expandClean(inner.operand, invertedInputs);
+      if (inner.type === 'IMPLIES' || inner.type === 'IFF') {
+        return this.expandClean({ type: 'NOT', operand: this.gateEquivalent(inner) }, invertedInputs);
+      }
       if (inner.type === 'VAR') {
-        invertedInputs.add(inner.value.toUpperCase());
+        invertedInputs.add(this.expr.displayName(inner.value));
         return { type: 'VAR', value: inner.value, isInverted: true };
       }
       if (inner.type === 'AND') {
@@ -514,26 +1053,25 @@ class Visualizer {
     // If isInverted, the gate is driven by an input inverter sub-circuit
     // so we label with overline (e.g. A̅) — NOT a red bubble.
     if (node.type === 'VAR') {
-      const gate = node.isInverted
-        ? node.value.toUpperCase() + '\u0305'
-        : node.value.toUpperCase();
+      const name = this.expr.displayName(node.value);
+      const gate = node.isInverted ? this.overline(name) : name;
       return { type: 'device', deviceType: 'nmos', gate };
     }
 
+    // A chain of ANDs (ORs) is one series (parallel) group, not nested pairs
+    const children = type => [node.left, node.right].flatMap(child => {
+      const tree = this.buildPDNTree(child);
+      return tree && tree.type === type ? tree.children : [tree];
+    });
+
     // OR → parallel connection in PDN (either path can pull down)
     if (node.type === 'OR') {
-      return {
-        type: 'parallel',
-        children: [this.buildPDNTree(node.left), this.buildPDNTree(node.right)]
-      };
+      return { type: 'parallel', children: children('parallel') };
     }
 
     // AND → series connection in PDN (both paths must conduct to pull down)
     if (node.type === 'AND') {
-      return {
-        type: 'series',
-        children: [this.buildPDNTree(node.left), this.buildPDNTree(node.right)]
-      };
+      return { type: 'series', children: children('series') };
     }
 
     return null;
@@ -620,11 +1158,17 @@ class Visualizer {
     return { width: 1, depth: 1 };
   }
 
-  renderCMOSDiagram(svgElement) {
+  renderCMOSDiagram(svgElement, outputIndex = 0) {
+    const { name: outputName, ast } = this.outputs[outputIndex];
+    if (ast.type === 'CONST') {
+      this.renderCMOSConstant(svgElement, ast.value, outputName);
+      return;
+    }
+
     svgElement.innerHTML = '';
     const ns = 'http://www.w3.org/2000/svg';
     // Prepare: strip outer complement, expand, track inverted inputs
-    const { coreFn, needsOutputInverter, invertedInputs } = this.prepareForCMOS(this.ast);
+    const { coreFn, needsOutputInverter, invertedInputs } = this.prepareForCMOS(ast);
     const pdnTree = this.buildPDNTree(coreFn);
     const punTree = this.dualizePDNtoPUN(pdnTree);
 
@@ -840,7 +1384,7 @@ class Visualizer {
       finalLabel.setAttribute('y', outputY + 6);
       finalLabel.setAttribute('font-size', '18');
       finalLabel.setAttribute('font-weight', 'bold');
-      finalLabel.textContent = 'Output';
+      finalLabel.textContent = outputName;
       g.appendChild(finalLabel);
     } else {
       // No output inverter — direct output from main network
@@ -867,7 +1411,7 @@ class Visualizer {
       finalLabel.setAttribute('y', outputY + 6);
       finalLabel.setAttribute('font-size', '18');
       finalLabel.setAttribute('font-weight', 'bold');
-      finalLabel.textContent = 'Output';
+      finalLabel.textContent = outputName;
       g.appendChild(finalLabel);
     }
 
@@ -876,19 +1420,77 @@ class Visualizer {
   }
 
   /**
-   * Recursively render a CMOS tree (PDN or PUN structure)
-   * Returns { topX, topY, bottomX, bottomY } for connection points
+   * Render a constant function: no transistors, the output is simply
+   * tied to VDD (1) or GND (0).
    */
-  renderCMOSTree(group, node, x, y, hSpacing, vSpacing) {
+  renderCMOSConstant(svgElement, value, outputName) {
+    svgElement.innerHTML = '';
     const ns = 'http://www.w3.org/2000/svg';
-    
-    if (!node) return { topX: x, topY: y, bottomX: x, bottomY: y };
+    const canvasW = 900;
+    const canvasH = 450;
 
-    // Single device (transistor)
-    if (node.type === 'device') {
-      this.drawCMOSTransistor(group, x, y, node.deviceType.toUpperCase(), node.gate);
-      return { topX: x, topY: y - 50, bottomX: x, bottomY: y + 50 };
-    }
+    svgElement.setAttribute('viewBox', `0 0 ${canvasW} ${canvasH}`);
+
+    const bg = document.createElementNS(ns, 'rect');
+    bg.setAttribute('width', String(canvasW));
+    bg.setAttribute('height', String(canvasH));
+    bg.setAttribute('fill', 'white');
+    svgElement.appendChild(bg);
+
+    const g = document.createElementNS(ns, 'g');
+    g.setAttribute('id', 'cmosGroup');
+
+    const tieX = 300;
+    const outputY = canvasH / 2;
+    if (value === 1) {
+      this.drawVDDSymbol(g, tieX, outputY);
+    } else {
+      this.drawGNDSymbol(g, tieX, outputY + 40);
+    }
+
+    const finalX = tieX + 300;
+    const outLine = document.createElementNS(ns, 'line');
+    outLine.setAttribute('x1', tieX);
+    outLine.setAttribute('y1', outputY);
+    outLine.setAttribute('x2', finalX);
+    outLine.setAttribute('y2', outputY);
+    outLine.setAttribute('stroke', '#000');
+    outLine.setAttribute('stroke-width', '3');
+    g.appendChild(outLine);
+
+    const finalCircle = document.createElementNS(ns, 'circle');
+    finalCircle.setAttribute('cx', finalX);
+    finalCircle.setAttribute('cy', outputY);
+    finalCircle.setAttribute('r', '8');
+    finalCircle.setAttribute('fill', '#000');
+    g.appendChild(finalCircle);
+
+    const finalLabel = document.createElementNS(ns, 'text');
+    finalLabel.setAttribute('x', finalX + 20);
+    finalLabel.setAttribute('y', outputY + 6);
+    finalLabel.setAttribute('font-size', '18');
+    finalLabel.setAttribute('font-weight', 'bold');
+    finalLabel.textContent = outputName;
+    g.appendChild(finalLabel);
+
+    svgElement.appendChild(g);
+    this.setupZoomPan(svgElement, g);
+  }
+
+  /**
+   * Recursively render a CMOS tree (PDN or PUN structure)
+   * Returns { topX, topY, bottomX, bottomY } for connection points
+   */
+  renderCMOSTree(group, node, x, y, hSpacing, vSpacing) {
+    const ns = 'http://www.w3.org/2000/svg';
+    
+    if (!node) return { topX: x, topY: y, bottomX: x, bottomY: y };
+
+    // Single device (transistor)
+    if (node.type === 'device') {
+      this.drawCMOSTransistor(group, x, y, node.deviceType.toUpperCase(), node.gate);
+      return { topX: x, topY: y - 50, bottomX: x, bottomY: y + 50 };
+    }
 
     // Series: stack children vertically, connect in chain
     if (node.type === 'series') {
@@ -1006,6 +1608,22 @@ class Visualizer {
     return { topX: x, topY: y, bottomX: x, bottomY: y };
   }
 
+  /**
+   * Overline every character of a label with U+0305 (A → A̅, en → e̅n̅)
+   */
+  overline(label) {
+    return label.split('').map(ch => ch + '\u0305').join('');
+  }
+
+  /**
+   * Join variable names into an axis label: "AB" for single letters,
+   * "clk, en" once any name is longer than one character.
+   */
+  joinNames(vars) {
+    const names = vars.map(v => this.expr.displayName(v));
+    return names.every(n => n.length === 1) ? names.join('') : names.join(', ');
+  }
+
   /**
    * Draw VDD power symbol
    */
@@ -1104,10 +1722,13 @@ class Visualizer {
     group.appendChild(image);
 
     if (label) {
+      // Combining overlines (U+0305) take no horizontal space
+      const visibleLen = label.replace(/\u0305/g, '').length;
+      const labelW = Math.max(50, visibleLen * 10 + 14);
       const labelBg = document.createElementNS(ns, 'rect');
-      labelBg.setAttribute('x', x - imgWidth / 2 - 55);
+      labelBg.setAttribute('x', x - imgWidth / 2 - 5 - labelW);
       labelBg.setAttribute('y', y - 12);
-      labelBg.setAttribute('width', '50');
+      labelBg.setAttribute('width', String(labelW));
       labelBg.setAttribute('height', '24');
       labelBg.setAttribute('fill', 'white');
       labelBg.setAttribute('stroke', '#999');
@@ -1116,7 +1737,7 @@ class Visualizer {
       group.appendChild(labelBg);
 
       const labelText = document.createElementNS(ns, 'text');
-      labelText.setAttribute('x', x - imgWidth / 2 - 30);
+      labelText.setAttribute('x', x - imgWidth / 2 - 5 - labelW / 2);
       labelText.setAttribute('y', y + 5);
       labelText.setAttribute('font-size', '14');
       labelText.setAttribute('font-weight', 'bold');
@@ -1190,64 +1811,282 @@ class Visualizer {
     const lbl = document.createElementNS(ns, 'text');
     lbl.setAttribute('x', x + 82); lbl.setAttribute('y', y + 5);
     lbl.setAttribute('font-size', '14'); lbl.setAttribute('font-weight', 'bold');
-    lbl.textContent = varName + '\u0305';
+    lbl.textContent = this.overline(varName);
     group.appendChild(lbl);
   }
 
   /**
-   * Render truth table
+   * CSS class for a table cell value: 1, 0 or 'X' (don't-care)
    */
-  renderTruthTable(containerElement) {
-    containerElement.innerHTML = '';
-
-    if (!this.truthTable || this.truthTable.length === 0) {
-      containerElement.innerHTML = '<p>No truth table data</p>';
-      return;
-    }
-
-    const table = document.createElement('table');
-    table.className = 'truth-table';
+  cellClass(value) {
+    if (value === 'X') return 'dontcare';
+    return value === 1 ? 'high' : 'low';
+  }
 
-    // Create header
+  /**
+   * Header row of the truth table: inputs, then one column per output
+   */
+  buildTruthTableHeader() {
     const thead = document.createElement('thead');
     const headerRow = document.createElement('tr');
-
-    this.variables.forEach(v => {
+    const names = [...this.variables.map(v => this.expr.displayName(v)), ...this.outputs.map(o => o.name)];
+    names.forEach(name => {
       const th = document.createElement('th');
-      th.textContent = v.toUpperCase();
+      th.textContent = name;
       headerRow.appendChild(th);
     });
-
-    const outputTh = document.createElement('th');
-    outputTh.textContent = 'Output';
-    headerRow.appendChild(outputTh);
-
     thead.appendChild(headerRow);
-    table.appendChild(thead);
+    return thead;
+  }
 
-    // Create body
-    const tbody = document.createElement('tbody');
-    this.truthTable.forEach((row, idx) => {
-      const tr = document.createElement('tr');
+  /**
+   * One truth table row element, generated from the expression on demand
+   */
+  buildTruthTableRow(index) {
+    const row = this.expr.row(index);
+    const tr = document.createElement('tr');
+    tr.dataset.row = index;
 
-      this.variables.forEach(v => {
-        const td = document.createElement('td');
-        td.textContent = row[v];
-        td.className = row[v] === 1 ? 'high' : 'low';
-        tr.appendChild(td);
-      });
+    this.variables.forEach(v => {
+      const td = document.createElement('td');
+      td.textContent = row[v];
+      td.className = this.cellClass(row[v]);
+      tr.appendChild(td);
+    });
 
+    row.outputs.forEach(value => {
       const outputTd = document.createElement('td');
-      outputTd.textContent = row.output;
-      outputTd.className = row.output === 1 ? 'high' : 'low';
+      outputTd.textContent = value;
+      outputTd.className = this.cellClass(value);
       outputTd.style.fontWeight = 'bold';
       tr.appendChild(outputTd);
-
-      tbody.appendChild(tr);
     });
 
+    return tr;
+  }
+
+  /**
+   * Complete truth table element for rows start..end-1 (for copying)
+   */
+  buildTruthTable(start = 0, end = this.expr.rowCount) {
+    const table = document.createElement('table');
+    table.className = 'truth-table';
+    table.appendChild(this.buildTruthTableHeader());
+    const tbody = document.createElement('tbody');
+    for (let i = start; i < end; i++) tbody.appendChild(this.buildTruthTableRow(i));
     table.appendChild(tbody);
-    containerElement.appendChild(table);
+    return table;
+  }
+
+  /**
+   * Render the truth table as a virtualized list: only the rows in view
+   * are in the DOM and they are generated from the expression as the table
+   * scrolls, so millions of rows scroll as smoothly as a few.
+   * options.controls (default true): "jump to row" and "only rows where
+   *   output = 1" controls above the table.
+   * options.rowClass(index): extra class name for a row, e.g. to highlight it.
+   * Returns { showRow(index) }, which marks a row current and scrolls to it.
+   */
+  renderTruthTable(containerElement, options = {}) {
+    containerElement.innerHTML = '';
+    const rowCount = this.expr.rowCount;
+    const rowClass = options.rowClass || (() => '');
+
+    // Rows shown: every row, or the indexes of the rows passing the filter
+    let shown = null;
+    let current = -1;
+    const shownCount = () => (shown ? shown.length : rowCount);
+    const indexAt = position => (shown ? shown[position] : position);
+
+    const viewport = document.createElement('div');
+    viewport.className = 'truth-table-viewport';
+    const table = document.createElement('table');
+    table.className = 'truth-table';
+    table.appendChild(this.buildTruthTableHeader());
+    const tbody = document.createElement('tbody');
+    table.appendChild(tbody);
+    viewport.appendChild(table);
+
+    const spacer = () => {
+      const tr = document.createElement('tr');
+      tr.className = 'truth-table-spacer';
+      const td = document.createElement('td');
+      td.colSpan = this.variables.length + this.outputs.length;
+      tr.appendChild(td);
+      return { tr, td };
+    };
+    const above = spacer();
+    const below = spacer();
+
+    let rowHeight = Visualizer.TRUTH_TABLE_ROW_HEIGHT;
+    const viewHeight = () => viewport.clientHeight || Visualizer.TRUTH_TABLE_HEIGHT;
+    // Browsers cap element heights, so very long tables scroll through a
+    // shorter spacer with the position scaled
+    const fullHeight = () => shownCount() * rowHeight;
+    const scrollHeight = () => Math.min(fullHeight(), Visualizer.MAX_SCROLL_HEIGHT);
+    const scale = () => {
+      const range = scrollHeight() - viewHeight();
+      return range > 0 ? (fullHeight() - viewHeight()) / range : 1;
+    };
+
+    const draw = () => {
+      const scrollTop = viewport.scrollTop;
+      const offset = scrollTop * scale();
+      const first = Math.min(Math.floor(offset / rowHeight), Math.max(0, shownCount() - 1));
+      const visible = Math.ceil(viewHeight() / rowHeight) + Visualizer.TRUTH_TABLE_OVERSCAN;
+      const last = Math.min(shownCount(), first + visible);
+
+      tbody.innerHTML = '';
+      const top = Math.max(0, scrollTop - (offset - first * rowHeight));
+      above.td.style.height = `${top}px`;
+      tbody.appendChild(above.tr);
+      for (let position = first; position < last; position++) {
+        const index = indexAt(position);
+        const tr = this.buildTruthTableRow(index);
+        const extra = [rowClass(index), index === current ? 'current' : ''].filter(Boolean).join(' ');
+        if (extra) tr.className = extra;
+        tbody.appendChild(tr);
+      }
+      below.td.style.height = `${Math.max(0, scrollHeight() - top - (last - first) * rowHeight)}px`;
+      tbody.appendChild(below.tr);
+      if (shownCount() === 0) {
+        const empty = spacer();
+        empty.td.textContent = 'No rows match';
+        tbody.insertBefore(empty.tr, below.tr);
+      }
+    };
+
+    // Scroll so the row at `position` (in the shown rows) is at the top
+    const scrollToPosition = position => {
+      viewport.scrollTop = (position * rowHeight) / scale();
+      draw();
+    };
+
+    // Mark a row current and scroll to it; with a filter on, to the first
+    // shown row at or after it
+    const showRow = index => {
+      current = index;
+      let position = index;
+      if (shown) {
+        let lo = 0;
+        let hi = shown.length;
+        while (lo < hi) {
+          const mid = (lo + hi) >> 1;
+          if (shown[mid] < index) lo = mid + 1;
+          else hi = mid;
+        }
+        position = Math.min(lo, Math.max(0, shown.length - 1));
+      }
+      scrollToPosition(position);
+    };
+
+    let pending = false;
+    viewport.addEventListener('scroll', () => {
+      if (pending) return;
+      pending = true;
+      requestAnimationFrame(() => {
+        pending = false;
+        draw();
+      });
+    });
+
+    if (options.controls !== false) {
+      const controls = document.createElement('div');
+      controls.className = 'table-buttons truth-table-controls';
+
+      const jumpInput = document.createElement('input');
+      jumpInput.type = 'number';
+      jumpInput.min = '0';
+      jumpInput.max = String(rowCount - 1);
+      jumpInput.placeholder = 'Row / minterm';
+      const jumpBtn = document.createElement('button');
+      jumpBtn.textContent = 'Jump';
+      const jump = () => {
+        const index = Math.floor(Number(jumpInput.value));
+        if (jumpInput.value === '' || !(index >= 0 && index < rowCount)) return;
+        showRow(index);
+      };
+      jumpBtn.addEventListener('click', jump);
+      jumpInput.addEventListener('keypress', e => {
+        if (e.key === 'Enter') jump();
+      });
+
+      const filterLabel = document.createElement('label');
+      const filterBox = document.createElement('input');
+      filterBox.type = 'checkbox';
+      filterLabel.appendChild(filterBox);
+      filterLabel.appendChild(document.createTextNode(' Only rows where '));
+      let outputSelect = null;
+      if (this.outputs.length > 1) {
+        outputSelect = document.createElement('select');
+        this.outputs.forEach((output, idx) => {
+          const option = document.createElement('option');
+          option.value = String(idx);
+          option.textContent = output.name;
+          outputSelect.appendChild(option);
+        });
+        filterLabel.appendChild(outputSelect);
+      } else {
+        filterLabel.appendChild(document.createTextNode(this.outputs[0].name));
+      }
+      filterLabel.appendChild(document.createTextNode(' = 1'));
+
+      const status = document.createElement('span');
+      status.className = 'truth-table-status';
+      const updateStatus = () => {
+        status.textContent = shown
+          ? `${shown.length} of ${rowCount} rows`
+          : `${rowCount} row${rowCount === 1 ? '' : 's'}`;
+      };
+
+      const applyFilter = () => {
+        if (filterBox.checked) {
+          const outputIndex = outputSelect ? Number(outputSelect.value) : 0;
+          shown = [];
+          for (let index = 0; index < rowCount; index++) {
+            if (this.expr.outputsAt(index)[outputIndex] === 1) shown.push(index);
+          }
+        } else {
+          shown = null;
+        }
+        updateStatus();
+        scrollToPosition(0);
+      };
+      filterBox.addEventListener('change', applyFilter);
+      if (outputSelect) outputSelect.addEventListener('change', () => { if (filterBox.checked) applyFilter(); });
+
+      [jumpInput, jumpBtn, filterLabel, status].forEach(el => controls.appendChild(el));
+      updateStatus();
+      containerElement.appendChild(controls);
+    }
+
+    containerElement.appendChild(viewport);
+    draw();
+    // Measure the real row height once rows are laid out
+    const sample = tbody.querySelector('tr[data-row]');
+    const measured = sample ? sample.getBoundingClientRect().height : 0;
+    if (measured > 0 && measured !== rowHeight) {
+      rowHeight = measured;
+      draw();
+    }
+    return { showRow };
+  }
+
+  /**
+   * The truth table as CSV, generated in chunks of rows so no single string
+   * holds the whole table (pass the chunks to a Blob)
+   */
+  * csvChunks() {
+    const header = [...this.variables.map(v => this.expr.displayName(v)), ...this.outputs.map(o => o.name)];
+    yield header.join(',') + '\n';
+    const rowCount = this.expr.rowCount;
+    for (let start = 0; start < rowCount; start += Visualizer.CSV_CHUNK_ROWS) {
+      let chunk = '';
+      for (const row of this.expr.rows(start, Math.min(rowCount, start + Visualizer.CSV_CHUNK_ROWS))) {
+        chunk += this.variables.map(v => row[v]).concat(row.outputs).join(',') + '\n';
+      }
+      yield chunk;
+    }
   }
 
   /**
@@ -1268,15 +2107,16 @@ class Visualizer {
    * Build a single K-map table for given row/col variables and a prefix key
    * rowVars: array of variable names for the row axis
    * colVars: array of variable names for the column axis
-   * prefix: fixed bit string prepended to each lookup key
+   * prefix: fixed bit string of the sub-map variables, which follow the row
+   * and column variables in each key
    * valueMap: full truth table lookup { binaryKey → 0|1 }
    */
   buildKMapTable(rowVars, colVars, prefix, valueMap) {
     const rowGray = this.grayCode(rowVars.length);
     const colGray = this.grayCode(colVars.length);
 
-    const rowLabel = rowVars.map(v => v.toUpperCase()).join('');
-    const colLabel = colVars.map(v => v.toUpperCase()).join('');
+    const rowLabel = this.joinNames(rowVars);
+    const colLabel = this.joinNames(colVars);
 
     const table = document.createElement('table');
     table.className = 'kmap-table';
@@ -1302,9 +2142,10 @@ class Visualizer {
       row.appendChild(rowTh);
       colGray.forEach(c => {
         const td = document.createElement('td');
-        const key = prefix + r + c;
+        const key = this.kmapKey(r, c, prefix);
         td.textContent = valueMap[key];
-        td.className = valueMap[key] === 1 ? 'high' : 'low';
+        td.className = this.cellClass(valueMap[key]);
+        td.dataset.key = key;
         row.appendChild(td);
       });
       table.appendChild(row);
@@ -1314,28 +2155,49 @@ class Visualizer {
   }
 
   /**
-   * Render Karnaugh Map (K-map)
+   * Render Karnaugh Map (K-map), one map per output
    * 2-4 vars: single table
    * 5+ vars: grid of labeled 4×4 sub-maps (standard textbook layout)
    */
   renderKMap(containerElement) {
     containerElement.innerHTML = '';
 
-    const numVars = this.variables.length;
-    const vars = this.variables;  // already sorted
-
-    if (numVars < 2) {
+    if (this.variables.length < 2) {
       containerElement.innerHTML = '<p>K-maps require at least 2 variables.</p>';
       return;
     }
+    if (this.variables.length > Visualizer.MAX_KMAP_VARIABLES) {
+      containerElement.innerHTML = `<p>K-maps are drawn for up to ${Visualizer.MAX_KMAP_VARIABLES} variables.</p>`;
+      return;
+    }
 
-    // Create a lookup: binary-key → output value
-    const valueMap = {};
-    this.truthTable.forEach(row => {
-      const key = vars.map(v => row[v]).join('');
-      valueMap[key] = row.output;
+    if (this.outputs.length === 1) {
+      const map = this.buildKMap(0);
+      map.dataset.output = '0';
+      containerElement.appendChild(map);
+      return;
+    }
+
+    this.outputs.forEach((output, idx) => {
+      const section = document.createElement('div');
+      section.className = 'kmap-output';
+      const label = document.createElement('div');
+      label.className = 'kmap-output-label';
+      label.textContent = output.name;
+      section.appendChild(label);
+      const map = this.buildKMap(idx);
+      map.dataset.output = String(idx);
+      section.appendChild(map);
+      containerElement.appendChild(section);
     });
+  }
 
+  /**
+   * Variables on the K-map's row and column axes and those selecting a
+   * sub-map, in variable order, so a cell's key (row bits, column bits,
+   * sub-map bits) is its truth table row index in binary
+   */
+  kmapAxes() {
     // Decide variable split:
     // Row vars: first floor(innerVars/2) bits  (max 2 for ≤4 total inner)
     // Col vars: remaining inner bits            (max 2 for ≤4 total inner)
@@ -1343,6 +2205,8 @@ class Visualizer {
     //
     // Standard textbook: inner map is always 4 vars (2 row + 2 col)
     // except for 2 vars (1+1) and 3 vars (1+2)
+    const numVars = this.variables.length;
+    const vars = this.variables;
     let rowVars, colVars, outerVars;
 
     if (numVars <= 4) {
@@ -1359,15 +2223,37 @@ class Visualizer {
       colVars = vars.slice(2, 4);
       outerVars = vars.slice(4);
     }
+    return { rowVars, colVars, outerVars };
+  }
+
+  /**
+   * Lookup key of a K-map cell from its row, column and sub-map Gray codes
+   */
+  kmapKey(r, c, prefix) {
+    return r + c + prefix;
+  }
+
+  /**
+   * Build the K-map element (table or grid of sub-maps) for one output
+   */
+  buildKMap(outputIndex) {
+    const vars = this.variables;  // already sorted
+
+    // Create a lookup: binary-key → output value
+    const valueMap = {};
+    this.truthTable.forEach(row => {
+      const key = vars.map(v => row[v]).join('');
+      valueMap[key] = row.outputs[outputIndex];
+    });
+
+    const { rowVars, colVars, outerVars } = this.kmapAxes();
 
     if (outerVars.length === 0) {
       // Simple single table (2-4 vars)
-      const table = this.buildKMapTable(rowVars, colVars, '', valueMap);
-      containerElement.appendChild(table);
+      return this.buildKMapTable(rowVars, colVars, '', valueMap);
     } else {
       // Multiple sub-maps in a grid
       const outerGray = this.grayCode(outerVars.length);
-      const outerLabel = outerVars.map(v => v.toUpperCase()).join('');
 
       // Determine grid layout (standard textbook):
       // outerVars=1 → 1 row × 2 cols
@@ -1399,7 +2285,7 @@ class Visualizer {
           label.className = 'kmap-submap-label';
           const parts = [];
           for (let i = 0; i < outerVars.length; i++) {
-            parts.push(outerVars[i].toUpperCase() + '=' + prefix[i]);
+            parts.push(this.expr.displayName(outerVars[i]) + '=' + prefix[i]);
           }
           label.textContent = parts.join(', ');
           subDiv.appendChild(label);
@@ -1410,11 +2296,1275 @@ class Visualizer {
         });
       });
 
-      containerElement.appendChild(wrapper);
+      return wrapper;
+    }
+  }
+
+  /**
+   * Shared ROBDD of every output, built from the ASTs (no truth table).
+   * Cached so sifting carries over between renders. Returns { bdd, roots }.
+   */
+  buildBDD() {
+    if (!this.bdd) {
+      const bdd = new BDD(this.variables);
+      this.bdd = { bdd, roots: this.outputs.map(output => bdd.fromAst(output.ast)) };
+    }
+    return this.bdd;
+  }
+
+  /**
+   * Reorder the BDD's variables by sifting; returns { before, after, order }
+   */
+  siftBDD() {
+    const { bdd, roots } = this.buildBDD();
+    return bdd.sift(roots);
+  }
+
+  /**
+   * Draw the BDD, one row per variable in the current order: solid edges
+   * for variable = 1, dashed for variable = 0, output names above their
+   * roots. Node counts and the tautology / satisfiability / equivalence
+   * results go into infoElement.
+   */
+  renderBDD(svgElement, infoElement) {
+    svgElement.innerHTML = '';
+    const ns = 'http://www.w3.org/2000/svg';
+    const { bdd, roots } = this.buildBDD();
+    const n = this.variables.length;
+
+    // Nodes per level in depth-first order, which keeps most edges uncrossed
+    const nodes = bdd.reachable(roots);
+    const rows = Array.from({ length: n + 1 }, () => []);
+    nodes.forEach(node => rows[bdd.level(node)].push(node));
+    rows[n].sort((a, b) => a - b);
+
+    const slotW = 70;
+    const rowH = 80;
+    const top = 90;
+    const widest = Math.max(...rows.map(row => row.length), roots.length);
+    const canvasW = Math.max(1200, widest * slotW + 200);
+    const canvasH = Math.max(600, top + (n + 1) * rowH + 60);
+    svgElement.setAttribute('viewBox', `0 0 ${canvasW} ${canvasH}`);
+
+    const bg = document.createElementNS(ns, 'rect');
+    bg.setAttribute('width', String(canvasW));
+    bg.setAttribute('height', String(canvasH));
+    bg.setAttribute('fill', 'white');
+    bg.setAttribute('stroke', '#ddd');
+    bg.setAttribute('stroke-width', '1');
+    svgElement.appendChild(bg);
+
+    const g = document.createElementNS(ns, 'g');
+    const position = {};
+    rows.forEach((row, level) => {
+      const left = (canvasW - row.length * slotW) / 2 + slotW / 2;
+      row.forEach((node, i) => {
+        position[node] = { x: left + i * slotW, y: top + level * rowH };
+      });
+    });
+
+    // Level labels down the left side
+    bdd.order.forEach((v, level) => {
+      const label = document.createElementNS(ns, 'text');
+      label.setAttribute('x', '30');
+      label.setAttribute('y', String(top + level * rowH + 5));
+      label.setAttribute('font-size', '13');
+      label.setAttribute('fill', '#888');
+      label.textContent = this.expr.displayName(bdd.variables[v]);
+      g.appendChild(label);
+    });
+
+    const line = (x1, y1, x2, y2, dashed) => {
+      const el = document.createElementNS(ns, 'line');
+      el.setAttribute('x1', String(x1));
+      el.setAttribute('y1', String(y1));
+      el.setAttribute('x2', String(x2));
+      el.setAttribute('y2', String(y2));
+      el.setAttribute('stroke', '#000000');
+      el.setAttribute('stroke-width', '1.5');
+      if (dashed) el.setAttribute('stroke-dasharray', '6,4');
+      g.appendChild(el);
+    };
+
+    // Edges first so nodes are drawn over them
+    nodes.forEach(node => {
+      if (node <= 1) return;
+      const from = position[node];
+      line(from.x, from.y, position[bdd.low[node]].x, position[bdd.low[node]].y, true);
+      line(from.x, from.y, position[bdd.high[node]].x, position[bdd.high[node]].y, false);
+    });
+
+    // Output names above their roots; outputs with the same function share one
+    const rootNames = {};
+    roots.forEach((root, i) => {
+      if (!rootNames[root]) rootNames[root] = [];
+      rootNames[root].push(this.outputs[i].name);
+    });
+    Object.keys(rootNames).forEach(root => {
+      const { x, y } = position[root];
+      line(x, top - 45, x, y, false);
+      const label = document.createElementNS(ns, 'text');
+      label.setAttribute('x', String(x));
+      label.setAttribute('y', String(top - 52));
+      label.setAttribute('text-anchor', 'middle');
+      label.setAttribute('font-size', '13');
+      label.setAttribute('font-weight', 'bold');
+      label.textContent = rootNames[root].join(', ');
+      g.appendChild(label);
+    });
+
+    nodes.forEach(node => {
+      const { x, y } = position[node];
+      let shape;
+      if (node <= 1) {
+        shape = document.createElementNS(ns, 'rect');
+        shape.setAttribute('x', String(x - 16));
+        shape.setAttribute('y', String(y - 16));
+        shape.setAttribute('width', '32');
+        shape.setAttribute('height', '32');
+      } else {
+        shape = document.createElementNS(ns, 'circle');
+        shape.setAttribute('cx', String(x));
+        shape.setAttribute('cy', String(y));
+        shape.setAttribute('r', '18');
+      }
+      shape.setAttribute('fill', 'white');
+      shape.setAttribute('stroke', '#000000');
+      shape.setAttribute('stroke-width', '2');
+      g.appendChild(shape);
+
+      const text = document.createElementNS(ns, 'text');
+      text.setAttribute('x', String(x));
+      text.setAttribute('y', String(y + 5));
+      text.setAttribute('text-anchor', 'middle');
+      text.setAttribute('font-size', '13');
+      text.textContent = node <= 1 ? String(node) : this.expr.displayName(bdd.variables[bdd.nodeVar[node]]);
+      g.appendChild(text);
+    });
+
+    svgElement.appendChild(g);
+    this.setupZoomPan(svgElement, g);
+
+    if (infoElement) this.renderBDDInfo(infoElement);
+  }
+
+  /**
+   * Node counts per output and level, and what the diagram says about each
+   * output: tautology, unsatisfiable, or how many assignments satisfy it
+   */
+  renderBDDInfo(containerElement) {
+    containerElement.innerHTML = '';
+    const { bdd, roots } = this.buildBDD();
+    const stats = bdd.stats(roots);
+    const total = Math.pow(2, this.variables.length);
+    const names = this.variables.map(v => this.expr.displayName(v));
+
+    const addNote = text => {
+      const p = document.createElement('p');
+      p.className = 'minimize-note';
+      p.textContent = text;
+      containerElement.appendChild(p);
+    };
+
+    const count = (k, word) => `${k} ${word}${k === 1 ? '' : 's'}`;
+    addNote(`${count(stats.nodes, 'node')} (terminals included), order ${stats.levels.map(l => this.expr.displayName(l.variable)).join(' < ') || '—'}`);
+    addNote(`Nodes per level: ${stats.levels.map(l => `${this.expr.displayName(l.variable)} ${l.nodes}`).join(', ') || '—'}`);
+
+    roots.forEach((root, i) => {
+      const name = this.outputs[i].name;
+      let verdict;
+      if (bdd.isTautology(root)) {
+        verdict = 'tautology (true for every input)';
+      } else if (!bdd.isSatisfiable(root)) {
+        verdict = 'unsatisfiable (false for every input)';
+      } else {
+        const example = bdd.anySat(root);
+        const assignment = this.variables.map((v, j) => `${names[j]}=${example[v]}`).join(', ');
+        verdict = `satisfied by ${bdd.satCount(root)} of ${total} assignments, e.g. ${assignment}`;
+      }
+      addNote(`${name}: ${count(bdd.size([root]), 'node')} — ${verdict}`);
+    });
+
+    // Equal functions are the same node
+    for (let i = 0; i < roots.length; i++) {
+      for (let j = i + 1; j < roots.length; j++) {
+        if (bdd.equivalent(roots[i], roots[j])) {
+          addNote(`${this.outputs[i].name} and ${this.outputs[j].name} are equivalent.`);
+        }
+      }
+    }
+  }
+
+  /**
+   * Render an EquivalenceChecker result: the verdict, the distinguishing
+   * assignments, and both truth tables and K-maps side by side with the
+   * rows and cells where the expressions differ highlighted. `this` draws
+   * the checker's left expression.
+   */
+  renderComparison(containerElement, checker) {
+    containerElement.innerHTML = '';
+    const other = new Visualizer(checker.right);
+    const [leftName, rightName] = [checker.left, checker.right].map(e => e.outputs[0].name);
+    const names = vars => vars.map(v => this.expr.displayName(v)).join(', ');
+
+    const addNote = (text, className = 'minimize-note') => {
+      const p = document.createElement('p');
+      p.className = className;
+      p.textContent = text;
+      containerElement.appendChild(p);
+    };
+
+    const total = this.expr.rowCount;
+    const assignments = `${total} input assignment${total === 1 ? '' : 's'}`;
+    if (checker.equivalent) {
+      addNote(`✓ Equivalent: ${leftName} = ${rightName} on all ${assignments}.`, 'compare-verdict');
+    } else {
+      addNote(`✗ Not equivalent: they differ on ${checker.differences.length} of ${assignments}.`, 'compare-verdict mismatch');
+    }
+    if (checker.onlyLeft.length) addNote(`Only ${leftName} uses ${names(checker.onlyLeft)}.`);
+    if (checker.onlyRight.length) addNote(`Only ${rightName} uses ${names(checker.onlyRight)}.`);
+
+    // Distinguishing assignments, e.g. "A=1, B=0: F=1, G=0"
+    if (!checker.equivalent) {
+      const list = document.createElement('ul');
+      list.className = 'compare-counterexamples';
+      checker.differences.slice(0, Visualizer.MAX_COUNTEREXAMPLES).forEach(rowIndex => {
+        const c = checker.counterexample(rowIndex);
+        const inputs = this.variables.map(v => `${this.expr.displayName(v)}=${c.inputs[v]}`).join(', ');
+        const item = document.createElement('li');
+        const code = document.createElement('code');
+        code.textContent = `${inputs || '(no inputs)'}: ${leftName}=${c.left}, ${rightName}=${c.right}`;
+        item.appendChild(code);
+        list.appendChild(item);
+      });
+      containerElement.appendChild(list);
+      const hidden = checker.differences.length - Visualizer.MAX_COUNTEREXAMPLES;
+      if (hidden > 0) addNote(`…and ${hidden} more.`);
+    }
+
+    const differing = new Set(checker.differences);
+    const side = (view, title) => {
+      const column = document.createElement('div');
+      column.className = 'compare-side';
+      const label = document.createElement('div');
+      label.className = 'kmap-output-label';
+      label.textContent = title;
+      column.appendChild(label);
+
+      const table = document.createElement('div');
+      view.renderTruthTable(table, {
+        controls: false,
+        rowClass: index => (differing.has(index) ? 'differs' : '')
+      });
+      column.appendChild(table);
+
+      const kmap = document.createElement('div');
+      view.renderKMap(kmap);
+      // K-map cell keys are the input bits in variable order, i.e. the row index in binary
+      kmap.querySelectorAll('td[data-key]').forEach(td => {
+        if (differing.has(parseInt(td.dataset.key, 2))) td.classList.add('differs');
+      });
+      column.appendChild(kmap);
+      return column;
+    };
+
+    const columns = document.createElement('div');
+    columns.className = 'compare-columns';
+    columns.appendChild(side(this, `${leftName} = ${checker.left.originalExpression.trim()}`));
+    columns.appendChild(side(other, `${rightName} = ${checker.right.originalExpression.trim()}`));
+    containerElement.appendChild(columns);
+  }
+
+  /**
+   * Minimal SOP and POS for one output: exact (Quine–McCluskey + Petrick)
+   * up to QuineMcCluskey.MAX_VARIABLES inputs, heuristic (Espresso) above.
+   * Results are cached: the working is reused when the tab is re-shown.
+   * The POS is only worked out the first time it is read.
+   */
+  minimize(outputIndex) {
+    if (!this.minimized) this.minimized = [];
+    if (!this.minimized[outputIndex]) {
+      if (this.variables.length > QuineMcCluskey.MAX_VARIABLES) {
+        this.minimized[outputIndex] = this.heuristicMinimize(outputIndex);
+        return this.minimized[outputIndex];
+      }
+      const minterms = [];
+      const dontCares = [];
+      this.truthTable.forEach((row, idx) => {
+        const value = row.outputs[outputIndex];
+        if (value === 1) minterms.push(idx);
+        else if (value === 'X') dontCares.push(idx);
+      });
+      const qm = new QuineMcCluskey(this.variables, minterms, dontCares, {
+        names: this.variables.map(v => this.expr.displayName(v)),
+        identifierMode: this.expr.identifierMode
+      });
+      let pos = null;
+      this.minimized[outputIndex] = {
+        qm,
+        sop: qm.minimizeSOP(),
+        // Only worked out once something shows it
+        get pos() {
+          if (!pos) pos = qm.minimizePOS();
+          return pos;
+        }
+      };
+    }
+    return this.minimized[outputIndex];
+  }
+
+  /**
+   * Static hazards of one output as written and a hazard-free SOP:
+   * { hazards, written, terms, added, text, addedText }. The SOP extends
+   * the expression itself when it is written as a sum of products
+   * (`written`), otherwise its first minimal SOP, with consensus terms
+   * (`added`, as text in `addedText`). Cached like minimize().
+   */
+  hazardReport(outputIndex) {
+    if (!this.hazardReports) this.hazardReports = [];
+    if (!this.hazardReports[outputIndex]) {
+      const output = this.outputs[outputIndex];
+      // Hazards belong to the expression as typed, before constant folding
+      // turns e.g. x·1 into x
+      const analyzer = new HazardAnalyzer(this.variables, output.parsedAst || output.ast, output.dontCares || []);
+      const { qm, sop } = this.minimize(outputIndex);
+      const written = analyzer.writtenSOP();
+      const start = written || sop.covers[0].map(p => p.term);
+      const { terms, added } = analyzer.hazardFreeCover(start, sop.primeImplicants.map(p => p.term));
+      this.hazardReports[outputIndex] = {
+        hazards: analyzer.hazards(),
+        written: written !== null,
+        terms,
+        added,
+        text: terms.length ? qm.coverToText(terms.map(term => ({ term })), 'sop') : '0',
+        addedText: added.map(term => qm.termToText(term, 'sop'))
+      };
+    }
+    return this.hazardReports[outputIndex];
+  }
+
+  /**
+   * Static hazards of every output: each single-input change that can
+   * glitch, with its two cells marked on the K-maps in kmapElement (as
+   * drawn by renderKMap; hovering a change highlights its pair), and a
+   * hazard-free SOP with the consensus terms it needs
+   */
+  renderHazards(containerElement, kmapElement) {
+    containerElement.innerHTML = '';
+    kmapElement.querySelectorAll('td.hazard').forEach(td => td.classList.remove('hazard', 'hazard-pair'));
+
+    if (this.variables.length > HazardAnalyzer.MAX_VARIABLES) {
+      const p = document.createElement('p');
+      p.className = 'minimize-note';
+      p.textContent = `Hazards are checked for every single-input change, up to ${HazardAnalyzer.MAX_VARIABLES} variables.`;
+      containerElement.appendChild(p);
+      return;
+    }
+
+    this.outputs.forEach((output, idx) => {
+      const section = document.createElement('div');
+      section.className = 'minimize-output';
+      const heading = document.createElement('div');
+      heading.className = 'kmap-output-label';
+      heading.textContent = this.outputs.length > 1 ? `${output.name} — static hazards` : 'Static hazards';
+      section.appendChild(heading);
+
+      const addNote = text => {
+        const p = document.createElement('p');
+        p.className = 'minimize-note';
+        p.textContent = text;
+        section.appendChild(p);
+      };
+
+      // The minimal SOP behind the hazard-free cover can still be too large
+      let report;
+      try {
+        report = this.hazardReport(idx);
+      } catch (error) {
+        addNote(error.message);
+        containerElement.appendChild(section);
+        return;
+      }
+
+      // The two K-map cells of a change (key = row index in binary)
+      const map = kmapElement.querySelector(`[data-output="${idx}"]`);
+      const cells = change => (map ? [...map.querySelectorAll('td[data-key]')] : [])
+        .filter(td => [change.from, change.to].includes(parseInt(td.dataset.key, 2)));
+
+      if (report.hazards.length === 0) {
+        addNote(`No static hazards: no single input change can make ${output.name} glitch as written.`);
+      } else {
+        const list = document.createElement('ul');
+        list.className = 'minimize-results';
+        report.hazards.forEach(change => {
+          const inputs = this.expr.row(change.from);
+          const held = this.variables
+            .filter(v => v !== change.variable)
+            .map(v => `${this.expr.displayName(v)}=${inputs[v]}`);
+          const item = document.createElement('li');
+          item.className = 'hazard-change';
+          const kind = document.createElement('span');
+          kind.className = 'simplify-law';
+          kind.textContent = `Static-${change.value}`;
+          item.appendChild(kind);
+          const code = document.createElement('code');
+          code.textContent = `${this.expr.displayName(change.variable)} changes${held.length ? ` with ${held.join(', ')}` : ''}: ` +
+            `${output.name} stays ${change.value} but can glitch to ${1 - change.value}`;
+          item.appendChild(code);
+
+          const pair = cells(change);
+          pair.forEach(td => td.classList.add('hazard'));
+          item.addEventListener('mouseenter', () => pair.forEach(td => td.classList.add('hazard-pair')));
+          item.addEventListener('mouseleave', () => pair.forEach(td => td.classList.remove('hazard-pair')));
+          list.appendChild(item);
+        });
+        section.appendChild(list);
+        if (map) addNote('The cells of each change are outlined on the K-map; hover a change to highlight its pair.');
+      }
+
+      const statics0 = report.hazards.some(change => change.value === 0);
+      if (report.added.length || report.hazards.length) {
+        const base = report.written ? 'the expression as written' : 'the minimal SOP';
+        const list = document.createElement('ul');
+        list.className = 'minimize-results';
+        const item = document.createElement('li');
+        const title = document.createElement('span');
+        title.className = 'simplify-law';
+        title.textContent = report.added.length
+          ? `Hazard-free SOP — ${base} plus the consensus term${report.added.length === 1 ? '' : 's'} ${report.addedText.join(', ')}`
+          : `Hazard-free SOP — ${base} needs no consensus terms`;
+        item.appendChild(title);
+        const code = document.createElement('code');
+        code.className = 'simplify-expression';
+        code.textContent = `${output.name} = ${report.text}`;
+        item.appendChild(code);
+        list.appendChild(item);
+        section.appendChild(list);
+        if (statics0) addNote('A sum of products (no term with both x and x\') has no static-0 hazards.');
+      }
+      containerElement.appendChild(section);
+    });
+  }
+
+  /**
+   * Espresso results for one output, built from cube lists (the output's
+   * minterm lists or its AST) rather than the truth table. Reports carry
+   * heuristic: true, one expression, its cost and a lower bound on terms.
+   */
+  heuristicMinimize(outputIndex) {
+    if (!this.heuristics) this.heuristics = [];
+    if (!this.heuristics[outputIndex]) {
+      const output = this.outputs[outputIndex];
+      const espresso = new Espresso(this.variables.length);
+      let onSet;
+      let dontCares = [];
+      if (output.minterms) {
+        onSet = espresso.mintermCover(output.minterms);
+        dontCares = espresso.mintermCover(output.dontCares);
+      } else {
+        onSet = espresso.astCover(output.ast, this.variables);
+      }
+
+      // Only used to format terms; no minterm lists needed
+      const formatter = new QuineMcCluskey(this.variables, [], [], {
+        names: this.variables.map(v => this.expr.displayName(v)),
+        identifierMode: this.expr.identifierMode
+      });
+      const report = (form, result) => ({
+        form,
+        heuristic: true,
+        expressions: [result.terms.length
+          ? formatter.coverToText(result.terms.map(term => ({ term })), form)
+          : (form === 'sop' ? '0' : '1')],
+        ...result
+      });
+      let pos = null;
+      this.heuristics[outputIndex] = {
+        sop: report('sop', espresso.minimize(onSet, dontCares)),
+        // The off-set is only built and minimized once something shows the
+        // POS, with a time budget of its own
+        get pos() {
+          if (!pos) {
+            const offEspresso = new Espresso(espresso.numVars);
+            pos = report('pos', offEspresso.minimize(offEspresso.complement([...onSet, ...dontCares]), dontCares));
+          }
+          return pos;
+        }
+      };
+    }
+    return this.heuristics[outputIndex];
+  }
+
+  /**
+   * One line comparing a heuristic result with the exact minimum when it is
+   * known, otherwise with the lower bound on the number of terms
+   */
+  describeHeuristic(report, exact) {
+    const count = (n, word) => `${n} ${word}${n === 1 ? '' : 's'}`;
+    const { terms, literals } = report.cost;
+    const text = `Espresso: ${count(terms, 'term')}, ${count(literals, 'literal')} in ${report.elapsed} ms`;
+    if (exact) {
+      const best = exact.covers[0];
+      const bestLiterals = best.reduce((sum, p) => sum + p.literals, 0);
+      if (terms === best.length && literals === bestLiterals) {
+        return text + ' — same cost as the exact minimum.';
+      }
+      return text + ` — the exact minimum has ${count(best.length, 'term')}, ${count(bestLiterals, 'literal')}.`;
+    }
+    if (terms === report.lowerBound) {
+      return text + ' — every cover needs this many terms, so the term count is optimal.';
+    }
+    return text + ` — every cover needs at least ${count(report.lowerBound, 'term')}, so this is at most ${terms - report.lowerBound} above the best.`;
+  }
+
+  /**
+   * Render minimal SOP/POS forms for every output. Exact results come with
+   * the full working: grouping tables, prime implicants, cover chart and
+   * Petrick's expression; heuristic results with their distance from the
+   * best cover. onUse(outputIndex, form, alternative) is called when a
+   * result is picked.
+   */
+  renderMinimization(containerElement, onUse) {
+    containerElement.innerHTML = '';
+
+    this.outputs.forEach((output, idx) => {
+      const section = document.createElement('div');
+      section.className = 'minimize-output';
+
+      let results;
+      try {
+        results = this.minimize(idx);
+      } catch (error) {
+        section.textContent = `${output.name}: ${error.message}`;
+        containerElement.appendChild(section);
+        return;
+      }
+
+      ['sop', 'pos'].forEach(form => {
+        // The POS is worked out here, so it can still fail on its own
+        let report;
+        try {
+          report = results[form];
+        } catch (error) {
+          const p = document.createElement('p');
+          p.className = 'minimize-note';
+          p.textContent = `${output.name} (${form === 'sop' ? 'sum of products' : 'product of sums'}): ${error.message}`;
+          section.appendChild(p);
+          return;
+        }
+        let title = report.form === 'sop' ? 'Minimal sum of products' : 'Minimal product of sums';
+        if (report.heuristic) title += ' (heuristic)';
+        const heading = document.createElement('div');
+        heading.className = 'kmap-output-label';
+        heading.textContent = this.outputs.length > 1 ? `${output.name} — ${title}` : title;
+        section.appendChild(heading);
+
+        // Every minimal alternative, each usable as the new input
+        const list = document.createElement('ul');
+        list.className = 'minimize-results';
+        report.expressions.slice(0, Visualizer.MAX_ALTERNATIVES).forEach((text, alt) => {
+          const item = document.createElement('li');
+          const code = document.createElement('code');
+          code.textContent = `${output.name} = ${text}`;
+          item.appendChild(code);
+          const useBtn = document.createElement('button');
+          useBtn.textContent = 'Use';
+          useBtn.title = 'Replace the input with this result and redraw every view';
+          useBtn.addEventListener('click', () => onUse(idx, report.form, alt));
+          item.appendChild(useBtn);
+          list.appendChild(item);
+        });
+        section.appendChild(list);
+
+        const addNote = text => {
+          const p = document.createElement('p');
+          p.className = 'minimize-note';
+          p.textContent = text;
+          section.appendChild(p);
+        };
+        const hidden = report.expressions.length - Visualizer.MAX_ALTERNATIVES;
+        if (hidden > 0) {
+          addNote(`…and ${hidden} more minimal form${hidden > 1 ? 's' : ''}.`);
+        }
+
+        if (report.heuristic) {
+          addNote(this.describeHeuristic(report, null));
+          return;
+        }
+
+        // Small enough for both: show how the heuristic compares
+        try {
+          addNote(this.describeHeuristic(this.heuristicMinimize(idx)[report.form], report));
+        } catch (error) {
+          addNote(`Espresso: ${error.message}`);
+        }
+
+        if (report.targets.length > 0) {
+          section.appendChild(this.buildMinimizationWorking(report, results.qm));
+        }
+      });
+
+      containerElement.appendChild(section);
+    });
+  }
+
+  /**
+   * Collapsible Quine–McCluskey working for one report
+   */
+  buildMinimizationWorking(report, qm) {
+    const details = document.createElement('details');
+    details.className = 'minimize-working';
+    const summary = document.createElement('summary');
+    const kind = report.form === 'sop' ? 'minterms' : 'maxterms';
+    summary.textContent = `Working (${report.primeImplicants.length} prime implicants of the ${kind})`;
+    details.appendChild(summary);
+
+    const addNote = text => {
+      const p = document.createElement('p');
+      p.className = 'minimize-note';
+      p.textContent = text;
+      details.appendChild(p);
+    };
+
+    const listName = report.form === 'sop' ? 'm' : 'M';
+    addNote(`Cover ${listName}(${report.targets.join(', ')})` +
+      (report.dontCares.length ? ` using don't-cares d(${report.dontCares.join(', ')})` : ''));
+
+    // Grouping tables: one per merging pass, ✓ marks implicants that merged
+    report.groupingTables.forEach(table => {
+      addNote(`Pass ${table.pass}`);
+      const el = this.buildMinimizationTable(['1s', 'Covers', 'Term', '']);
+      table.groups.forEach(group => {
+        group.rows.forEach((row, i) => {
+          this.addMinimizationRow(el, [
+            i === 0 ? String(group.ones) : '',
+            row.covers.join(','),
+            row.term,
+            row.combined ? '✓' : ''
+          ], i === 0 ? 'group-start' : '');
+        });
+      });
+      details.appendChild(el);
+    });
+
+    // Prime implicants as terms of the expression being built
+    addNote('Prime implicants');
+    const piTable = this.buildMinimizationTable(['', 'Term', 'Covers', report.form === 'sop' ? 'Product' : 'Sum']);
+    report.primeImplicants.forEach(pi => {
+      const tr = this.addMinimizationRow(piTable, [
+        pi.label + (pi.essential ? '*' : ''),
+        pi.term,
+        pi.covers.join(','),
+        qm.termToText(pi.term, report.form)
+      ], pi.essential ? 'essential' : '');
+      tr.title = pi.essential ? 'Essential prime implicant' : '';
+    });
+    details.appendChild(piTable);
+
+    // Cover chart: ⊗ marks a column covered by a single prime implicant
+    addNote('Prime implicant chart (* essential)');
+    const chart = this.buildMinimizationTable(['', ...report.chart.columns.map(String)]);
+    const counts = {};
+    report.chart.rows.forEach(row => row.marks.forEach(m => { counts[m] = (counts[m] || 0) + 1; }));
+    report.chart.rows.forEach((row, i) => {
+      const pi = report.primeImplicants[i];
+      const cells = report.chart.columns.map(m => {
+        if (!row.marks.includes(m)) return '';
+        return counts[m] === 1 ? '⊗' : '×';
+      });
+      this.addMinimizationRow(chart, [row.label + (pi.essential ? '*' : ''), ...cells], pi.essential ? 'essential' : '');
+    });
+    details.appendChild(chart);
+
+    if (report.essential.length) {
+      addNote(`Essential: ${report.essential.join(', ')}`);
+    }
+    if (report.petrick) {
+      addNote(`Petrick's method on the remaining columns: ${report.petrick}`);
+    }
+    const covers = report.covers.map(cover => cover.map(p => p.label).join(' + ') || '—');
+    addNote(`Minimal cover${covers.length > 1 ? 's' : ''}: ${covers.join('  |  ')}`);
+
+    return details;
+  }
+
+  /**
+   * Table with a header row for the minimization working
+   */
+  buildMinimizationTable(headers) {
+    const table = document.createElement('table');
+    table.className = 'qm-table';
+    const headerRow = document.createElement('tr');
+    headers.forEach(text => {
+      const th = document.createElement('th');
+      th.textContent = text;
+      headerRow.appendChild(th);
+    });
+    table.appendChild(headerRow);
+    return table;
+  }
+
+  /**
+   * Append a row of text cells; returns the row
+   */
+  addMinimizationRow(table, cells, className) {
+    const tr = document.createElement('tr');
+    if (className) tr.className = className;
+    cells.forEach(text => {
+      const td = document.createElement('td');
+      td.textContent = text;
+      tr.appendChild(td);
+    });
+    table.appendChild(tr);
+    return tr;
+  }
+
+  /**
+   * The BooleanExpression an output is derived from: the matching equation
+   * of a system, or the canonical sum of products of a function given as
+   * minterms or a table
+   */
+  outputExpression(outputIndex) {
+    if (this.expr.expressions) return this.expr.expressions[outputIndex];
+    if (this.expr instanceof BooleanFunction) {
+      const output = this.outputs[outputIndex];
+      return new BooleanExpression(this.expr.sopText(output), {
+        identifierMode: this.expr.identifierMode,
+        variables: this.variables,
+        name: output.name
+      });
+    }
+    return this.expr;
+  }
+
+  /**
+   * Algebraic derivation for one output, checked against the truth table.
+   * Cached like minimize(). Returns { simplifier, derivation, check }.
+   */
+  simplify(outputIndex) {
+    if (!this.simplified) this.simplified = [];
+    if (!this.simplified[outputIndex]) {
+      const simplifier = new AlgebraicSimplifier(this.outputExpression(outputIndex));
+      const derivation = simplifier.simplify();
+      const check = simplifier.verify(derivation.result, this.expr.rows(), outputIndex);
+      this.simplified[outputIndex] = { simplifier, derivation, check };
+    }
+    return this.simplified[outputIndex];
+  }
+
+  /**
+   * Render the step-by-step simplification of every output: each step names
+   * the law, shows the subexpression it rewrote and the whole expression
+   * with the result highlighted, plus its LaTeX. onUse(outputIndex) replaces
+   * the input with the result; onCopy(text) copies a LaTeX derivation.
+   */
+  renderSimplification(containerElement, onUse, onCopy) {
+    containerElement.innerHTML = '';
+
+    this.outputs.forEach((output, idx) => {
+      const section = document.createElement('div');
+      section.className = 'minimize-output';
+      const heading = document.createElement('div');
+      heading.className = 'kmap-output-label';
+      heading.textContent = this.outputs.length > 1 ? `${output.name} — Algebraic simplification` : 'Algebraic simplification';
+      section.appendChild(heading);
+
+      const addNote = (text, className = 'minimize-note') => {
+        const p = document.createElement('p');
+        p.className = className;
+        p.textContent = text;
+        section.appendChild(p);
+        return p;
+      };
+
+      let result;
+      try {
+        result = this.simplify(idx);
+      } catch (error) {
+        addNote(error.message);
+        containerElement.appendChild(section);
+        return;
+      }
+      const { simplifier, derivation, check } = result;
+      const expression = simplifier.expression;
+
+      const list = document.createElement('ol');
+      list.className = 'simplify-steps';
+      list.start = 0;
+      const addStep = (law, pattern, ast, focus, from, to) => {
+        const item = document.createElement('li');
+        const lawLabel = document.createElement('div');
+        lawLabel.className = 'simplify-law';
+        lawLabel.textContent = law;
+        if (pattern) lawLabel.title = pattern;
+        item.appendChild(lawLabel);
+        if (from) {
+          const rewrite = document.createElement('div');
+          rewrite.className = 'simplify-rewrite';
+          rewrite.textContent = `${simplifier.format(from).text} = ${simplifier.format(to).text}`;
+          item.appendChild(rewrite);
+        }
+        item.appendChild(this.buildHighlightedCode(`${output.name} = `, simplifier.format(ast, focus)));
+        const latex = document.createElement('code');
+        latex.className = 'simplify-latex';
+        latex.textContent = expression.toLatex(ast, focus);
+        item.appendChild(latex);
+        list.appendChild(item);
+      };
+      addStep('Given', null, derivation.start, new Set(), null, null);
+      derivation.steps.forEach(step => addStep(step.law, step.pattern, step.ast, step.focus, step.from, step.to));
+      section.appendChild(list);
+
+      if (derivation.steps.length === 0) {
+        addNote('No law makes the expression any simpler.');
+      }
+      if (!derivation.complete) {
+        addNote(`Stopped after ${derivation.steps.length} steps: the expression grew too large to finish by hand.`);
+      }
+
+      if (check.equivalent) {
+        const count = (n, word) => `${n} ${word}${n === 1 ? '' : 's'}`;
+        const skipped = check.skipped ? ` (${count(check.skipped, "don't-care row")} skipped)` : '';
+        addNote(`✓ Agrees with the truth table on ${count(check.checked, 'row')}${skipped}.`, 'simplify-check');
+      } else {
+        addNote(`✗ Differs from the truth table at row ${check.row}: expected ${check.expected}, got ${check.actual}.`, 'simplify-check mismatch');
+      }
+
+      const buttons = document.createElement('div');
+      buttons.className = 'table-buttons';
+      const useBtn = document.createElement('button');
+      useBtn.textContent = 'Use result';
+      useBtn.title = 'Replace the input with the simplified expression and redraw every view';
+      useBtn.disabled = !check.equivalent;
+      useBtn.addEventListener('click', () => onUse(idx));
+      buttons.appendChild(useBtn);
+      const copyBtn = document.createElement('button');
+      copyBtn.textContent = 'Copy LaTeX';
+      copyBtn.title = 'Copy the whole derivation as a LaTeX aligned block';
+      copyBtn.addEventListener('click', () => onCopy(simplifier.toLatex(derivation, output.name)));
+      buttons.appendChild(copyBtn);
+      section.appendChild(buttons);
+
+      containerElement.appendChild(section);
+    });
+  }
+
+  /**
+   * <code> element for formatted text, wrapping the marked ranges in <mark>
+   */
+  buildHighlightedCode(prefix, formatted) {
+    const code = document.createElement('code');
+    code.className = 'simplify-expression';
+    code.appendChild(document.createTextNode(prefix));
+    // Marks never overlap partially: keep only the outermost ones
+    const marks = formatted.marks
+      .filter(([s, e]) => !formatted.marks.some(([s2, e2]) => s2 <= s && e <= e2 && (s2 !== s || e2 !== e)))
+      .sort((a, b) => a[0] - b[0]);
+    let pos = 0;
+    marks.forEach(([start, end]) => {
+      if (start < pos) return;
+      code.appendChild(document.createTextNode(formatted.text.substring(pos, start)));
+      const mark = document.createElement('mark');
+      mark.textContent = formatted.text.substring(start, end);
+      code.appendChild(mark);
+      pos = end;
+    });
+    code.appendChild(document.createTextNode(formatted.text.substring(pos)));
+    return code;
+  }
+
+  /**
+   * Reed–Muller expansions of one output: { reedMuller, positive, best }
+   * (best is null above ReedMuller.MAX_POLARITY_VARIABLES), or null when the
+   * truth table is too large to transform. Cached like minimize().
+   */
+  reedMuller(outputIndex) {
+    if (this.variables.length > ReedMuller.MAX_VARIABLES) return null;
+    if (!this.reedMullers) this.reedMullers = [];
+    if (!this.reedMullers[outputIndex]) {
+      const reedMuller = ReedMuller.fromExpression(this.outputExpression(outputIndex));
+      this.reedMullers[outputIndex] = {
+        reedMuller,
+        positive: reedMuller.expansion(0),
+        best: reedMuller.bestPolarity()
+      };
+    }
+    return this.reedMullers[outputIndex];
+  }
+
+  /**
+   * Render the algebraic normal form (positive-polarity Reed–Muller
+   * expansion) and the fixed-polarity expansion with the fewest terms of
+   * every output, as text and LaTeX, and draw the chosen one ('positive' or
+   * 'best') as an XOR-of-ANDs gate diagram in svgElement
+   */
+  renderReedMuller(containerElement, svgElement, form = 'positive') {
+    containerElement.innerHTML = '';
+    const name = v => this.expr.displayName(v);
+    const separator = this.expr.identifierMode === 'multi' ? ' ' : '';
+    const count = (k, word) => `${k} ${word}${k === 1 ? '' : 's'}`;
+
+    if (this.variables.length > ReedMuller.MAX_VARIABLES) {
+      const p = document.createElement('p');
+      p.className = 'minimize-note';
+      p.textContent = `The Reed–Muller expansion is computed from the truth table, up to ${ReedMuller.MAX_VARIABLES} variables.`;
+      containerElement.appendChild(p);
+      svgElement.innerHTML = '';
+      return;
+    }
+
+    const networks = this.outputs.map((output, idx) => {
+      const { reedMuller, positive, best } = this.reedMuller(idx);
+      const expression = this.outputExpression(idx);
+      const section = document.createElement('div');
+      section.className = 'minimize-output';
+      const heading = document.createElement('div');
+      heading.className = 'kmap-output-label';
+      heading.textContent = this.outputs.length > 1 ? `${output.name} — Reed–Muller expansion` : 'Reed–Muller expansion';
+      section.appendChild(heading);
+
+      const list = document.createElement('ul');
+      list.className = 'minimize-results';
+      const addForm = (label, expansion, note) => {
+        const item = document.createElement('li');
+        item.className = 'anf-form';
+        const title = document.createElement('span');
+        title.className = 'simplify-law';
+        title.textContent = `${label} — ${count(expansion.terms.length, 'term')}${note ? `, ${note}` : ''}`;
+        item.appendChild(title);
+        const code = document.createElement('code');
+        code.className = 'simplify-expression';
+        code.textContent = `${output.name} = ${reedMuller.toText(expansion, name, separator)}`;
+        item.appendChild(code);
+        const latex = document.createElement('code');
+        latex.className = 'simplify-latex';
+        latex.textContent = expression.toLatex(reedMuller.toAst(expansion));
+        item.appendChild(latex);
+        list.appendChild(item);
+      };
+
+      addForm('Algebraic normal form (positive polarity)', positive);
+      if (best) {
+        const complemented = reedMuller.complemented(best.polarity).map(name);
+        const note = complemented.length ? `complemented ${complemented.join(', ')}` : 'all variables plain';
+        addForm(`Fewest terms over all ${best.polarities} polarities`, best, note);
+      }
+      section.appendChild(list);
+
+      if (!best) {
+        const p = document.createElement('p');
+        p.className = 'minimize-note';
+        p.textContent = `The fixed-polarity search tries every polarity, up to ${ReedMuller.MAX_POLARITY_VARIABLES} variables.`;
+        section.appendChild(p);
+      }
+      if (output.dontCares && output.dontCares.length) {
+        const p = document.createElement('p');
+        p.className = 'minimize-note';
+        p.textContent = "Don't-cares are taken as 0.";
+        section.appendChild(p);
+      }
+      containerElement.appendChild(section);
+
+      return reedMuller.toAst(form === 'best' && best ? best : positive);
+    });
+
+    svgElement.setAttribute('viewBox', '0 0 1200 600');
+    this.renderGateDiagram(svgElement, { networks });
+  }
+
+  /**
+   * Every output in one notation (a key of ExpressionPrinter.STYLES). A
+   * single expression is printed bare; systems and functions get one
+   * "name = …" line per output ("assign name = …;" in Verilog).
+   */
+  formatExpression(style) {
+    const named = this.expr.expressions || this.expr instanceof BooleanFunction;
+    const lines = this.outputs.map((output, idx) => {
+      const expression = this.outputExpression(idx);
+      const text = new ExpressionPrinter(style, expression).print(output.parsedAst || expression.parsedAst);
+      if (!named) return text;
+      if (style === 'verilog') return `assign ${output.name} = ${text};`;
+      if (style === 'programming') return `${output.name} = ${text};`;
+      if (style === 'latex') return `${expression.latexName(output.name)} = ${text}`;
+      return `${output.name} = ${text}`;
+    });
+    if (style === 'standard') return lines.join('; ');
+    return lines.join(style === 'latex' ? ' \\\\\n' : '\n');
+  }
+
+  /**
+   * FunctionProperties of one output, or null above
+   * FunctionProperties.MAX_VARIABLES inputs. Cached like minimize().
+   */
+  functionProperties(outputIndex) {
+    if (this.variables.length > FunctionProperties.MAX_VARIABLES) return null;
+    if (!this.properties) this.properties = [];
+    if (!this.properties[outputIndex]) {
+      this.properties[outputIndex] = FunctionProperties.fromExpression(this.outputExpression(outputIndex));
+    }
+    return this.properties[outputIndex];
+  }
+
+  /**
+   * Render the property report of every output: Post's classes (with
+   * whether the function alone is functionally complete), symmetry groups,
+   * the unateness of each variable, and the inputs it doesn't depend on
+   */
+  renderFunctionProperties(containerElement) {
+    containerElement.innerHTML = '';
+    const name = v => this.expr.displayName(v);
+    const names = vars => vars.map(name).join(', ');
+    // "A, B or C"
+    const either = items => (items.length > 1 ? `${items.slice(0, -1).join(', ')} or ${items[items.length - 1]}` : String(items[0]));
+
+    if (this.variables.length > FunctionProperties.MAX_VARIABLES) {
+      const p = document.createElement('p');
+      p.className = 'minimize-note';
+      p.textContent = `Properties are read from the truth table, up to ${FunctionProperties.MAX_VARIABLES} variables.`;
+      containerElement.appendChild(p);
+      return;
+    }
+
+    this.outputs.forEach((output, idx) => {
+      const props = this.functionProperties(idx);
+      const section = document.createElement('div');
+      section.className = 'minimize-output';
+      const heading = document.createElement('div');
+      heading.className = 'kmap-output-label';
+      heading.textContent = this.outputs.length > 1 ? `${output.name} — Properties` : 'Properties';
+      section.appendChild(heading);
+
+      const addNote = (text, className = 'minimize-note') => {
+        const p = document.createElement('p');
+        p.className = className;
+        p.textContent = text;
+        section.appendChild(p);
+      };
+
+      // Inputs the output ignores, e.g. B in AB + AB'
+      if (props.irrelevant.length) {
+        const one = props.irrelevant.length === 1;
+        addNote(`${output.name} doesn't depend on ${names(props.irrelevant)}: the output is the same whichever value ${one ? 'it takes' : 'they take'}.`, 'properties-unused');
+      }
+
+      const zeros = this.variables.map(() => 0).join(',');
+      const ones = this.variables.map(() => 1).join(',');
+      const linear = props.linear && [
+        ...(props.linear.constant ? ['1'] : []),
+        ...props.linear.variables.map(name)
+      ].join(' ⊕ ');
+      let symmetry;
+      if (props.symmetric) {
+        symmetry = this.variables.length > 1
+          ? (props.onesCounts().length ? `1 when the number of 1 inputs is ${either(props.onesCounts())}` : 'Constant 0')
+          : '';
+      } else {
+        symmetry = props.symmetryGroups.length
+          ? `Symmetric in ${props.symmetryGroups.map(group => `{${names(group)}}`).join(', ')}`
+          : 'No two variables can be swapped';
+      }
+
+      const table = this.buildMinimizationTable(['Property', '', 'Detail']);
+      const addRow = (label, holds, detail) => {
+        this.addMinimizationRow(table, [label, holds ? 'yes' : 'no', detail], holds ? 'essential' : '');
+      };
+      addRow('Preserves 0', props.preservesZero, `${output.name}(${zeros}) = ${props.values[0]}`);
+      addRow('Preserves 1', props.preservesOne, `${output.name}(${ones}) = ${props.values[props.mask]}`);
+      addRow('Monotone', props.monotone, props.monotone ? 'No input rising from 0 to 1 makes the output fall' : `The output can fall when ${either(this.variables.filter((v, j) => ['negative', 'binate'].includes(props.unateness[j])).map(name))} rises`);
+      addRow('Self-dual', props.selfDual, props.selfDual ? 'Complementing every input complements the output' : 'Complementing every input doesn\'t always complement the output');
+      addRow('Linear (affine)', !!props.linear, linear ? `${output.name} = ${linear}` : 'Its algebraic normal form has an AND term');
+      addRow('Symmetric', props.symmetric, symmetry);
+      section.appendChild(table);
+
+      const unateness = document.createElement('ul');
+      unateness.className = 'properties-unateness';
+      this.variables.forEach((v, j) => {
+        const item = document.createElement('li');
+        const label = {
+          positive: 'positive unate (raising it never lowers the output)',
+          negative: 'negative unate (raising it never raises the output)',
+          binate: 'binate',
+          independent: 'not used'
+        }[props.unateness[j]];
+        item.textContent = `${name(v)}: ${label}`;
+        if (props.unateness[j] === 'independent') item.className = 'properties-unused';
+        unateness.appendChild(item);
+      });
+      section.appendChild(unateness);
+
+      const classes = [
+        [props.preservesZero, '0-preserving'],
+        [props.preservesOne, '1-preserving'],
+        [props.monotone, 'monotone'],
+        [props.selfDual, 'self-dual'],
+        [props.linear, 'linear']
+      ].filter(([holds]) => holds).map(([, label]) => label);
+      const list = classes.length > 1 ? `${classes.slice(0, -1).join(', ')} and ${classes[classes.length - 1]}` : classes[0];
+      addNote(props.complete
+        ? 'Functionally complete on its own: it is in none of Post\'s five classes, so every function can be built from it alone.'
+        : `Not functionally complete on its own: every function built from it alone is ${list}.`);
+
+      containerElement.appendChild(section);
+    });
+  }
+
+  /**
+   * SAT analysis of one output from its Tseitin CNF, independent of the
+   * truth table size. Cached like minimize(). Returns { analyzer, result }
+   * (see SatAnalyzer.analyze); counting models can take seconds, so the
+   * panel only does it on request.
+   */
+  analyzeSatisfiability(outputIndex) {
+    if (!this.satAnalyses) this.satAnalyses = [];
+    if (!this.satAnalyses[outputIndex]) {
+      const analyzer = new SatAnalyzer(this.outputs[outputIndex].ast, this.variables);
+      this.satAnalyses[outputIndex] = { analyzer, result: analyzer.analyze() };
     }
+    return this.satAnalyses[outputIndex];
+  }
+
+  /**
+   * Render the satisfiability panel: per output, whether it is a tautology,
+   * a contradiction or satisfiable, a model and a counterexample, and
+   * buttons counting the satisfying assignments and listing them as cubes
+   */
+  renderSatAnalysis(containerElement) {
+    containerElement.innerHTML = '';
+    const total = Math.pow(2, this.variables.length);
+    const count = (k, word) => `${k.toLocaleString()} ${word}${k === 1 ? '' : 's'}`;
+    const assignment = inputs => this.variables.map(v => `${this.expr.displayName(v)}=${inputs[v]}`).join(', ') || '(no inputs)';
+
+    this.outputs.forEach((output, idx) => {
+      const section = document.createElement('div');
+      section.className = 'minimize-output';
+      const heading = document.createElement('div');
+      heading.className = 'kmap-output-label';
+      heading.textContent = this.outputs.length > 1 ? `${output.name} — Satisfiability` : 'Satisfiability';
+      section.appendChild(heading);
+
+      const addNote = (text, className = 'minimize-note') => {
+        const p = document.createElement('p');
+        p.className = className;
+        p.textContent = text;
+        section.appendChild(p);
+        return p;
+      };
+
+      const { analyzer, result } = this.analyzeSatisfiability(idx);
+      const verdicts = {
+        tautology: 'Tautology: true for every input assignment.',
+        contradiction: 'Contradiction: false for every input assignment.',
+        satisfiable: 'Satisfiable, but not a tautology.',
+        unknown: `Undecided: the solver gave up after ${count(SatSolver.MAX_CONFLICTS, 'conflict')}.`
+      };
+      addNote(verdicts[result.status], `sat-verdict ${result.status}`);
+
+      const countNote = models => {
+        const prefix = models.exact ? '' : 'at least ';
+        const suffix = models.exact ? '' : ` (counting stopped after ${count(SatAnalyzer.MAX_COUNT_BRANCHES, 'branch')})`;
+        return `Satisfying assignments: ${prefix}${models.count.toLocaleString()} of ${total.toLocaleString()}${suffix}.`;
+      };
+      if (result.status === 'tautology' || result.status === 'contradiction') {
+        addNote(countNote({ count: result.status === 'tautology' ? total : 0, exact: true }));
+      }
+      if (result.model) addNote(`Model: ${assignment(result.model)}`, 'sat-assignment');
+      if (result.counterexample) {
+        addNote(`Counterexample: ${assignment(result.counterexample)}`, 'sat-assignment');
+      }
+
+      const { stats } = result;
+      addNote(`CNF: ${count(stats.variables, 'variable')} (${count(this.variables.length, 'input')}), ${count(stats.clauses, 'clause')}; ` +
+        `${count(stats.decisions, 'decision')}, ${count(stats.conflicts, 'conflict')}.`);
+
+      if (result.model) {
+        const buttons = document.createElement('div');
+        buttons.className = 'table-buttons';
+        if (result.status === 'satisfiable') {
+          const countBtn = document.createElement('button');
+          countBtn.textContent = 'Count models';
+          countBtn.title = 'Count the satisfying assignments by splitting on inputs (may take a few seconds)';
+          buttons.appendChild(countBtn);
+          countBtn.addEventListener('click', () => {
+            countBtn.disabled = true;
+            const p = document.createElement('p');
+            p.className = 'minimize-note';
+            p.textContent = countNote(analyzer.count());
+            section.insertBefore(p, buttons);
+          });
+        }
+        const listBtn = document.createElement('button');
+        listBtn.textContent = 'List all models';
+        listBtn.title = 'Enumerate satisfying assignments as cubes; missing inputs may take either value';
+        buttons.appendChild(listBtn);
+        section.appendChild(buttons);
+
+        listBtn.addEventListener('click', () => {
+          listBtn.disabled = true;
+          const { cubes, complete } = analyzer.models();
+          const list = document.createElement('ul');
+          list.className = 'sat-models';
+          cubes.forEach(cube => {
+            const item = document.createElement('li');
+            const code = document.createElement('code');
+            const fixed = this.variables.filter(v => v in cube);
+            const free = this.variables.length - fixed.length;
+            code.textContent = fixed.map(v => `${this.expr.displayName(v)}=${cube[v]}`).join(', ') || '(any input)';
+            item.appendChild(code);
+            if (free > 0) item.appendChild(document.createTextNode(` — ${count(Math.pow(2, free), 'assignment')}`));
+            list.appendChild(item);
+          });
+          buttons.after(list);
+          const note = complete
+            ? `${count(cubes.length, 'cube')} covering every model.`
+            : `Stopped after ${count(cubes.length, 'cube')}; more models exist.`;
+          const p = document.createElement('p');
+          p.className = 'minimize-note';
+          p.textContent = note;
+          list.after(p);
+        });
+      }
+
+      containerElement.appendChild(section);
+    });
   }
 }
 
+// Minimal alternatives listed per form before the rest are summarized
+Visualizer.MAX_ALTERNATIVES = 8;
+
+// Distinguishing assignments listed before the rest are summarized
+Visualizer.MAX_COUNTEREXAMPLES = 16;
+
+// Truth table view: expected row height and viewport height (px), and rows
+// drawn past the bottom edge
+Visualizer.TRUTH_TABLE_ROW_HEIGHT = 36;
+Visualizer.TRUTH_TABLE_HEIGHT = 480;
+Visualizer.TRUTH_TABLE_OVERSCAN = 4;
+
+// Tallest scrollable spacer (px); browsers cap element heights near 2^24-2^25
+Visualizer.MAX_SCROLL_HEIGHT = 8000000;
+
+// Rows per CSV chunk
+Visualizer.CSV_CHUNK_ROWS = 4096;
+
+// Largest truth table copied as an HTML table
+Visualizer.MAX_HTML_COPY_ROWS = 65536;
+
+// K-maps are drawn up to this many variables
+Visualizer.MAX_KMAP_VARIABLES = 10;
+
+// Wire colours for a simulated 0 and 1
+Visualizer.SIGNAL_COLORS = ['#757575', '#2e7d32'];
+
+// Halo behind the longest path on the gate diagram
+Visualizer.PATH_COLOR = '#ffe082';
+
+// Shading behind a glitch on the waveforms
+Visualizer.GLITCH_COLOR = '#ffcdd2';
+
+// Input vectors simulated at most on the waveform tab
+Visualizer.MAX_WAVEFORM_VECTORS = 64;
+
 // Export for use in other files
 if (typeof module !== 'undefined' && module.exports) {
   module.exports = Visualizer;
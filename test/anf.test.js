@@ -0,0 +1,67 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { truthTable, random, randomExpression, randomRows } = require('./helpers');
+
+const weight = m => { let w = 0; for (; m; m &= m - 1) w++; return w; };
+
+test('every fixed-polarity expansion evaluates to the function', () => {
+  const next = random(17);
+  for (let numVars = 1; numVars <= 5; numVars++) {
+    const variables = 'abcde'.slice(0, numVars).split('');
+    for (let k = 0; k < 20; k++) {
+      const onSet = randomRows(next, numVars);
+      const values = Array.from({ length: Math.pow(2, numVars) }, (_, row) => (onSet.includes(row) ? 1 : 0));
+      const rm = new ReedMuller(variables, values);
+      for (let polarity = 0; polarity < values.length; polarity++) {
+        const expansion = rm.expansion(polarity);
+        assert.deepStrictEqual(truthTable(rm.toAst(expansion), variables), values, `polarity ${polarity}`);
+        // The text form parses back to the same function
+        const parsed = new BooleanExpression(rm.toText(expansion), { variables });
+        assert.deepStrictEqual(truthTable(parsed.ast, variables), values, rm.toText(expansion));
+      }
+    }
+  }
+});
+
+test('positive-polarity coefficients follow the subset definition', () => {
+  const next = random(170);
+  const values = Array.from({ length: 32 }, () => (next() < 0.5 ? 1 : 0));
+  const rm = new ReedMuller('abcde'.split(''), values);
+  rm.anf.forEach((coefficient, m) => {
+    let expected = 0;
+    values.forEach((value, row) => { if ((row & m) === row) expected ^= value; });
+    assert.strictEqual(coefficient, expected, `monomial ${m}`);
+  });
+});
+
+test('the best polarity has the fewest terms of all polarities', () => {
+  const next = random(1700);
+  for (let numVars = 1; numVars <= 6; numVars++) {
+    const variables = 'abcdef'.slice(0, numVars).split('');
+    for (let k = 0; k < 15; k++) {
+      const source = randomExpression(next, variables, 1 + Math.floor(next() * 8));
+      const rm = ReedMuller.fromExpression(new BooleanExpression(source, { variables }));
+      let best = null;
+      for (let polarity = 0; polarity < Math.pow(2, numVars); polarity++) {
+        const size = rm.expansion(polarity).terms.length;
+        if (!best || size < best.size || (size === best.size && weight(polarity) < weight(best.polarity))) {
+          best = { polarity, size };
+        }
+      }
+      const found = rm.bestPolarity();
+      assert.strictEqual(found.terms.length, best.size, source);
+      assert.strictEqual(weight(found.polarity), weight(best.polarity), source);
+      assert.strictEqual(found.polarities, Math.pow(2, numVars));
+    }
+  }
+});
+
+test('known expansions', () => {
+  const text = source => {
+    const rm = ReedMuller.fromExpression(new BooleanExpression(source));
+    return rm.toText(rm.expansion(0));
+  };
+  assert.strictEqual(text('a | b'), 'a ⊕ b ⊕ ab');
+  assert.strictEqual(text("a'"), '1 ⊕ a');
+  assert.strictEqual(text('a & !a'), '0');
+});
@@ -0,0 +1,90 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { inputsOf, truthTable, random, randomExpression } = require('./helpers');
+
+// Value of a node under inputs { name: 0|1 }, following low/high edges
+function follow(bdd, node, inputs) {
+  while (node > 1) node = inputs[bdd.variables[bdd.nodeVar[node]]] ? bdd.high[node] : bdd.low[node];
+  return node;
+}
+
+const tableOf = (bdd, node) => Array.from({ length: Math.pow(2, bdd.variables.length) },
+  (_, row) => follow(bdd, node, inputsOf(bdd.variables, row)));
+
+// Every reachable node is reduced and tests its variables in order
+function checkReduced(bdd, roots) {
+  const seen = new Set();
+  bdd.reachable(roots).filter(node => node > 1).forEach(node => {
+    assert.notStrictEqual(bdd.low[node], bdd.high[node], `node ${node} is redundant`);
+    const key = `${bdd.nodeVar[node]},${bdd.low[node]},${bdd.high[node]}`;
+    assert.ok(!seen.has(key), `node ${node} is a duplicate`);
+    seen.add(key);
+    [bdd.low[node], bdd.high[node]].forEach(child => assert.ok(bdd.level(child) > bdd.level(node)));
+  });
+}
+
+test('diagrams of random expressions match their truth tables', () => {
+  const next = random(12);
+  for (let numVars = 1; numVars <= 6; numVars++) {
+    const variables = 'abcdef'.slice(0, numVars).split('');
+    for (let k = 0; k < 30; k++) {
+      const source = randomExpression(next, variables, 1 + Math.floor(next() * 10), ['&', '|', '^', '⊼', '⊽', '->', '<->']);
+      const expression = new BooleanExpression(source, { variables });
+      const expected = truthTable(expression.ast, variables);
+      const ones = expected.filter(v => v === 1).length;
+
+      const bdd = new BDD(variables);
+      const f = bdd.fromAst(expression.ast);
+      assert.deepStrictEqual(tableOf(bdd, f), expected, source);
+      checkReduced(bdd, [f]);
+      assert.strictEqual(bdd.satCount(f), ones, source);
+      assert.strictEqual(bdd.isTautology(f), ones === expected.length);
+      assert.strictEqual(bdd.isSatisfiable(f), ones > 0);
+
+      const model = bdd.anySat(f);
+      if (ones === 0) assert.strictEqual(model, null);
+      else assert.strictEqual(follow(bdd, f, model), 1, `${source}: anySat gave a non-model`);
+    }
+  }
+});
+
+test('equivalent expressions share one node', () => {
+  const variables = ['a', 'b', 'c', 'd'];
+  const bdd = new BDD(variables);
+  const node = source => bdd.fromAst(new BooleanExpression(source, { variables }).ast);
+  assert.strictEqual(node("a b + a' c + b c"), node("a b + a' c"));
+  assert.strictEqual(node('!(a & b)'), node('!a | !b'));
+  assert.ok(bdd.equivalent(node('a -> b'), node('!a | b')));
+  assert.ok(!bdd.equivalent(node('a ^ b'), node('a | b')));
+  assert.strictEqual(node('a & !a'), BDD.FALSE);
+  assert.strictEqual(node('d | !d'), BDD.TRUE);
+});
+
+test('sifting keeps every function and never grows the diagram', () => {
+  const next = random(120);
+  for (let k = 0; k < 20; k++) {
+    const variables = 'abcdefg'.split('');
+    const sources = [0, 1].map(() => randomExpression(next, variables, 4 + Math.floor(next() * 8)));
+    const bdd = new BDD(variables);
+    const roots = sources.map(source => bdd.fromAst(new BooleanExpression(source, { variables }).ast));
+    const tables = roots.map(root => tableOf(bdd, root));
+
+    const { before, after, order } = bdd.sift(roots);
+    assert.ok(after <= before, `${sources}: grew from ${before} to ${after}`);
+    assert.strictEqual(bdd.size(roots), after);
+    assert.deepStrictEqual([...order].sort(), [...variables].sort());
+    roots.forEach((root, i) => assert.deepStrictEqual(tableOf(bdd, root), tables[i], sources[i]));
+    checkReduced(bdd, roots);
+  }
+});
+
+test('the interleaved order shrinks a comparator', () => {
+  // a1 b1 + a2 b2 + a3 b3 is exponential with the a's first, linear interleaved
+  const variables = ['a1', 'a2', 'a3', 'b1', 'b2', 'b3'];
+  const expression = new BooleanExpression('a1 b1 + a2 b2 + a3 b3', { variables, identifierMode: 'multi' });
+  const bdd = new BDD(variables);
+  const f = bdd.fromAst(expression.ast);
+  const { before, after } = bdd.sift([f]);
+  assert.strictEqual(before, 16);
+  assert.strictEqual(after, 8);
+});
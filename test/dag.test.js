@@ -0,0 +1,61 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { truthTable, random, randomExpression } = require('./helpers');
+
+// Every node reachable from the roots, each listed once
+function nodesOf(roots) {
+  const nodes = new Set();
+  const visit = node => {
+    if (nodes.has(node)) return;
+    nodes.add(node);
+    if (node.type === 'NOT') visit(node.operand);
+    else if (node.operands) node.operands.forEach(visit);
+  };
+  roots.forEach(visit);
+  return [...nodes];
+}
+
+test('interned circuits keep their functions and hold no duplicate nodes', () => {
+  const next = random(21);
+  for (let numVars = 1; numVars <= 4; numVars++) {
+    const variables = 'abcd'.slice(0, numVars).split('');
+    for (let k = 0; k < 40; k++) {
+      // Outputs over the same inputs share one table, as in the block diagram
+      const dag = new GateDag();
+      const flattener = new GateFlattener(2 + (k % 3));
+      const sources = [0, 1, 2].map(() => randomExpression(next, variables, Math.floor(next() * 8), ['&', '|', '^', '⊼', '⊽', '->', '<->']));
+      const asts = sources.map(source => new BooleanExpression(source, { variables }).ast);
+      const roots = asts.map(ast => dag.intern(flattener.flatten(ast)));
+      roots.forEach((root, i) => {
+        assert.deepStrictEqual(truthTable(root, variables), truthTable(asts[i], variables), sources[i]);
+      });
+
+      // Two nodes with the same type and the same inputs (in any order) would be one
+      const nodes = nodesOf(roots);
+      const id = new Map(nodes.map((node, i) => [node, i]));
+      const keys = nodes.map(node => {
+        if (node.type === 'VAR' || node.type === 'CONST') return `${node.type} ${node.value}`;
+        if (node.type === 'NOT') return `NOT ${id.get(node.operand)}`;
+        return `${node.type} ${node.operands.map(input => id.get(input)).sort((a, b) => a - b).join(',')}`;
+      });
+      assert.strictEqual(new Set(keys).size, nodes.length, sources.join('; '));
+    }
+  }
+});
+
+test('commuted subexpressions become one gate', () => {
+  const dag = new GateDag();
+  const { ast } = new BooleanExpression('(a ^ b) c + (b ^ a) d');
+  const [left, right] = dag.intern(ast).operands;
+  assert.strictEqual(left.operands[0], right.operands[0]);
+  // The first one interned keeps its input order
+  assert.deepStrictEqual(left.operands[0].operands.map(input => input.value), ['a', 'b']);
+  assert.strictEqual(dag.intern(new BooleanExpression('a').ast), left.operands[0].operands[0]);
+});
+
+test('implications keep their input order', () => {
+  const dag = new GateDag();
+  const [forward, backward] = dag.intern(new BooleanExpression('(a -> b) & (b -> a)').ast).operands;
+  assert.notStrictEqual(forward, backward);
+  assert.strictEqual(forward.operands[0], backward.operands[1]);
+});
@@ -0,0 +1,46 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { evaluate, inputsOf, random, randomExpression } = require('./helpers');
+
+test('differences of random pairs match their truth tables', () => {
+  const next = random(11);
+  for (let k = 0; k < 120; k++) {
+    // Sides over overlapping variable sets, up to seven inputs in all
+    const leftVars = 'abcde'.slice(0, 1 + Math.floor(next() * 5)).split('');
+    const rightVars = 'cdefg'.slice(0, 1 + Math.floor(next() * 5)).split('');
+    const left = randomExpression(next, leftVars, Math.floor(next() * 6));
+    const right = randomExpression(next, rightVars, Math.floor(next() * 6));
+    const checker = new EquivalenceChecker(left, right);
+
+    const variables = checker.variables;
+    const expected = [];
+    for (let row = 0; row < Math.pow(2, variables.length); row++) {
+      const inputs = inputsOf(variables, row);
+      if (evaluate(checker.left.ast, inputs) !== evaluate(checker.right.ast, inputs)) expected.push(row);
+    }
+    assert.deepStrictEqual(checker.differences, expected, `${left} vs ${right}`);
+    assert.strictEqual(checker.equivalent, expected.length === 0);
+
+    expected.slice(0, 4).forEach(row => {
+      const { inputs, left: l, right: r } = checker.counterexample(row);
+      assert.strictEqual(l, evaluate(checker.left.ast, inputs));
+      assert.strictEqual(r, evaluate(checker.right.ast, inputs));
+      assert.notStrictEqual(l, r);
+    });
+  }
+});
+
+test('equivalent forms are recognised', () => {
+  assert.ok(new EquivalenceChecker("a b + a' c + b c", "a b + a' c").equivalent);
+  assert.ok(new EquivalenceChecker('!(a & b)', '!a | !b').equivalent);
+  assert.ok(new EquivalenceChecker('a -> b', "a' + b").equivalent);
+  assert.ok(!new EquivalenceChecker('a ^ b', 'a | b').equivalent);
+});
+
+test('variables only one side uses are listed', () => {
+  const checker = new EquivalenceChecker('a b + a b\'', 'a + c c\'');
+  assert.ok(checker.equivalent);
+  assert.deepStrictEqual(checker.variables, ['a', 'b', 'c']);
+  assert.deepStrictEqual(checker.onlyLeft, ['b']);
+  assert.deepStrictEqual(checker.onlyRight, ['c']);
+});
@@ -0,0 +1,84 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { truthTable, termCovers, random, randomExpression, randomRows } = require('./helpers');
+
+const rowsOf = numVars => Array.from({ length: Math.pow(2, numVars) }, (_, row) => row);
+
+// Rows covered by a cover, as a sorted list
+const coveredRows = (espresso, cover) =>
+  rowsOf(espresso.numVars).filter(row => cover.some(c => termCovers(espresso.cubeToTerm(c), row)));
+
+function checkResult(numVars, result, onSet, dontCares) {
+  const care = new Set([...onSet, ...dontCares]);
+  const rows = rowsOf(numVars);
+  const implicant = term => rows.every(row => !termCovers(term, row) || care.has(row));
+  onSet.forEach(row => assert.ok(result.terms.some(term => termCovers(term, row)), `misses row ${row}`));
+  result.terms.forEach(term => {
+    assert.ok(implicant(term), `${term} covers an off-set row`);
+    // Expanded as far as it goes: freeing any literal hits the off-set
+    term.split('').forEach((bit, j) => {
+      if (bit !== '-') assert.ok(!implicant(term.slice(0, j) + '-' + term.slice(j + 1)), `${term} is not prime`);
+    });
+  });
+  assert.strictEqual(result.cost.terms, result.terms.length);
+
+  // The lower bound holds against the exact minimum
+  const variables = 'abcdef'.slice(0, numVars).split('');
+  const exact = new QuineMcCluskey(variables, onSet, dontCares).minimizeSOP();
+  assert.ok(result.lowerBound <= exact.covers[0].length, 'lower bound above the exact minimum');
+  assert.ok(result.terms.length >= exact.covers[0].length);
+}
+
+test('minimized minterm covers are prime covers of random functions', () => {
+  const next = random(9);
+  for (let numVars = 1; numVars <= 6; numVars++) {
+    for (let k = 0; k < 30; k++) {
+      const espresso = new Espresso(numVars);
+      const onSet = randomRows(next, numVars);
+      const dontCares = randomRows(next, numVars, 0.1).filter(row => !onSet.includes(row));
+      const result = espresso.minimize(espresso.mintermCover(onSet), espresso.mintermCover(dontCares));
+      checkResult(numVars, result, onSet, dontCares);
+    }
+  }
+});
+
+test('covers built from expressions match their truth tables', () => {
+  const next = random(90);
+  for (let numVars = 1; numVars <= 6; numVars++) {
+    const variables = 'abcdef'.slice(0, numVars).split('');
+    for (let k = 0; k < 30; k++) {
+      const source = randomExpression(next, variables, 1 + Math.floor(next() * 8), ['&', '|', '^', '⊼', '->']);
+      const expression = new BooleanExpression(source, { variables });
+      const values = truthTable(expression.ast, variables);
+      const onSet = rowsOf(numVars).filter(row => values[row] === 1);
+
+      const espresso = new Espresso(numVars);
+      const cover = espresso.astCover(expression.ast, variables);
+      assert.deepStrictEqual(coveredRows(espresso, cover), onSet, source);
+      assert.deepStrictEqual(coveredRows(espresso, espresso.complement(cover)),
+        rowsOf(numVars).filter(row => values[row] === 0), source);
+      checkResult(numVars, espresso.minimize(cover), onSet, []);
+    }
+  }
+});
+
+test('covers with more than MAX_CUBES cubes are refused', () => {
+  // 12-input parity needs 2048 cubes, 13-input parity 4096
+  const names = n => Array.from({ length: n }, (_, i) => `x${i}`);
+  const small = new BooleanExpression(names(12).join(' ^ '), { identifierMode: 'multi' });
+  assert.strictEqual(new Espresso(12).astCover(small.ast, small.variables).length, 2048);
+  const large = new BooleanExpression(names(13).join(' ^ '), { identifierMode: 'multi' });
+  assert.throws(() => new Espresso(13).astCover(large.ast, large.variables), /too large to minimize/);
+});
+
+test('minimization gives up once its time budget is spent', () => {
+  const espresso = new Espresso(4);
+  const onSet = espresso.mintermCover([0, 3, 5, 6, 9, 10, 12, 15]);
+  const budget = Espresso.MAX_MILLISECONDS;
+  Espresso.MAX_MILLISECONDS = -1;
+  try {
+    assert.throws(() => espresso.minimize(onSet), /took longer than -1 ms/);
+  } finally {
+    Espresso.MAX_MILLISECONDS = budget;
+  }
+});
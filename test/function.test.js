@@ -0,0 +1,182 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { inputsOf, truthTable, random, randomRows } = require('./helpers');
+
+// Random output over numVars inputs: disjoint minterm and don't-care lists
+function randomOutput(next, numVars, name) {
+  const minterms = randomRows(next, numVars, 0.4);
+  const dontCares = randomRows(next, numVars, 0.2).filter(row => !minterms.includes(row));
+  return { name, minterms, dontCares };
+}
+
+// Every problem in a source, as [message, start, end]
+function diagnosticsOf(source) {
+  try {
+    BooleanFunction.fromMintermNotation(source);
+  } catch (error) {
+    assert.ok(error instanceof BooleanSyntaxError, `${source}: ${error.message}`);
+    return error.diagnostics.map(d => [d.message, d.start, d.end]);
+  }
+  assert.fail(`${source} parsed`);
+}
+
+// Minterm and maxterm notation
+
+test('Σm and ΠM lists give the rows they name, with don\'t-cares as X', () => {
+  const next = random(6);
+  const spellings = { sum: ['Σm', '∑m', 'sum m', 'm'], product: ['ΠM', '∏M', 'prod M', 'M'] };
+  for (let numVars = 1; numVars <= 4; numVars++) {
+    const variables = 'abcd'.slice(0, numVars).split('');
+    for (let k = 0; k < 30; k++) {
+      const outputs = ['F', 'G'].slice(0, 1 + (k % 2)).map(name => ({ ...randomOutput(next, numVars, name), form: next() < 0.5 ? 'sum' : 'product' }));
+      const source = outputs.map(o => {
+        const listed = o.form === 'sum' ? o.minterms
+          : Array.from({ length: Math.pow(2, numVars) }, (_, row) => row).filter(row => !o.minterms.includes(row) && !o.dontCares.includes(row));
+        const symbol = spellings[o.form][Math.floor(next() * 4)];
+        const dc = o.dontCares.length ? ` + d(${o.dontCares.join(', ')})` : '';
+        return `${o.name}(${variables.map(v => v.toUpperCase()).join(',')}) = ${symbol}(${listed.join(',')})${dc}`;
+      }).join('; ');
+      assert.ok(BooleanFunction.isMintermNotation(source), source);
+      const fn = BooleanFunction.fromMintermNotation(source);
+      assert.deepStrictEqual(fn.variables, variables);
+
+      assert.strictEqual(fn.truthTable.length, Math.pow(2, numVars));
+      fn.truthTable.forEach((values, row) => {
+        const expected = outputs.map(o => (o.dontCares.includes(row) ? 'X' : o.minterms.includes(row) ? 1 : 0));
+        assert.deepStrictEqual(values.outputs, expected, `${source} at row ${row}`);
+      });
+      // The drawn canonical form covers the minterms; don't-cares go to whichever side it leaves them
+      fn.outputs.forEach((output, i) => {
+        truthTable(output.ast, variables).forEach((value, row) => {
+          if (outputs[i].dontCares.includes(row)) assert.strictEqual(value, output.form === 'product' ? 1 : 0, source);
+          else assert.strictEqual(value, outputs[i].minterms.includes(row) ? 1 : 0, source);
+        });
+      });
+      // Printed notation reads back as the same function
+      assert.deepStrictEqual(BooleanFunction.fromMintermNotation(fn.toString()).outputs.map(o => [o.minterms, o.dontCares]),
+        fn.outputs.map(o => [o.minterms, o.dontCares]), source);
+    }
+  }
+});
+
+test('the variable list keeps its written order and names', () => {
+  const fn = BooleanFunction.fromMintermNotation('F(x1,x_2,s[3]) = Σm(3)');
+  assert.deepStrictEqual(fn.variables, ['x1', 'x_2', 's[3]']);
+  // Minterm 3 is 011: the first variable is the most significant
+  assert.deepStrictEqual(fn.truthTable[3], { x1: 0, x_2: 1, 's[3]': 1, outputs: [1], output: 1 });
+  const multi = BooleanFunction.fromMintermNotation('F(clk,en) = m(3), d(0)', { identifierMode: 'multi' });
+  assert.deepStrictEqual(multi.variables, ['clk', 'en']);
+  assert.strictEqual(multi.toString(), 'F(clk,en) = Σm(3) + d(0)');
+  assert.ok(!BooleanFunction.isMintermNotation('F = a + b'));
+});
+
+test('minterm notation errors point at the offending text', () => {
+  assert.deepStrictEqual(diagnosticsOf('F(A,B) = Σm(1,4)'), [['Index 4 is out of range', 14, 15]]);
+  assert.deepStrictEqual(diagnosticsOf('F(A,B) = Σm(1,2) + d(2)'), [["Index 2 is both a minterm and a don't-care", 21, 22]]);
+  assert.deepStrictEqual(diagnosticsOf('F(A,B,C) = ΠM(1) + d(1, 9)'), [
+    ["Index 1 is both a maxterm and a don't-care", 21, 22],
+    ['Index 9 is out of range', 24, 25]
+  ]);
+  assert.deepStrictEqual(diagnosticsOf('F(A,A) = Σm(1)'), [["Variable 'A' is listed twice", 4, 5]]);
+  assert.deepStrictEqual(diagnosticsOf('F(A,B) = ΣM(1)'), [["'ΣM' mixes a sum with maxterms (or a product with minterms)", 9, 11]]);
+  assert.deepStrictEqual(diagnosticsOf('F(A,B) = Σm(1); G(A,C) = Σm(0)'), [["'G' lists different variables from the first function", 15, 30]]);
+  assert.deepStrictEqual(diagnosticsOf('F(A,B) = Σm(1,'), [['Expected a minterm index but found end of statement', 14, 14]]);
+  assert.deepStrictEqual(diagnosticsOf('F(A,B) Σm(1)'), [["Expected '=' but found 'Σ'", 7, 8]]);
+  assert.deepStrictEqual(diagnosticsOf('F(A,B) = Σm(1) + (2)'), [["Expected don't-cares d(...) but found '('", 17, 18]]);
+  assert.deepStrictEqual(diagnosticsOf('F(A,B) = (1)'), [["Expected Σm or ΠM but found '('", 9, 10]]);
+  // Every statement is checked
+  assert.deepStrictEqual(diagnosticsOf('F(A,B) = Σm(7); G(A,B) = Σm(1,'), [
+    ['Index 7 is out of range', 12, 13],
+    ['Expected a minterm index but found end of statement', 30, 30]
+  ]);
+});
+
+// Pasted truth tables
+
+// A truth table as pasted text: CSV, tab-separated, or the HTML "Copy Table" puts on the clipboard
+function tableText(format, header, rows) {
+  const lines = header ? [header, ...rows] : rows;
+  if (format === 'csv') return lines.map(cells => cells.join(',')).join('\n');
+  if (format === 'tsv') return lines.map(cells => cells.join('\t')).join('\r\n');
+  const cell = (tag, text) => `<${tag} style="border: 1px solid #000; padding: 4px 8px;">${text}</${tag}>`;
+  const trs = lines.map((cells, i) => `<tr>${cells.map(text => cell(header && i === 0 ? 'th' : 'td', text)).join('')}</tr>`);
+  return `<html><body><!--StartFragment--><table border="1">${trs.join('\n')}</table><!--EndFragment--></body></html>`;
+}
+
+test('pasted tables rebuild the function in any format and row order', () => {
+  const next = random(7);
+  ['csv', 'tsv', 'html'].forEach(format => {
+    for (let numVars = 1; numVars <= 4; numVars++) {
+      for (let k = 0; k < 12; k++) {
+        const names = ['F', 'G', 'H'].slice(0, 1 + (k % 3));
+        const outputs = names.map(name => randomOutput(next, numVars, name));
+        const variables = 'abcd'.slice(0, numVars).split('');
+        const header = k % 2 ? [...variables.map(v => v.toUpperCase()), ...names] : null;
+        const rows = Array.from({ length: Math.pow(2, numVars) }, (_, row) => [
+          ...variables.map(v => String(inputsOf(variables, row)[v])),
+          ...outputs.map(o => (o.dontCares.includes(row) ? 'X-?x'[Math.floor(next() * 4)] : o.minterms.includes(row) ? '1' : '0'))
+        ]);
+        // Rows in any order
+        const shuffled = rows.map(cells => ({ cells, key: next() })).sort((a, b) => a.key - b.key).map(r => r.cells);
+        const text = tableText(format, header, shuffled);
+        const fn = BooleanFunction.fromTable(text);
+
+        assert.deepStrictEqual(fn.variables, variables, text);
+        const expectedNames = header ? names : names.length === 1 ? ['F'] : names.map((_, i) => `F${i + 1}`);
+        assert.deepStrictEqual(fn.outputs.map(o => o.name), expectedNames);
+        assert.deepStrictEqual(fn.outputs.map(o => [o.minterms, o.dontCares]), outputs.map(o => [o.minterms, o.dontCares]), text);
+
+        // The expression it produces types back in as the same function, don't-cares as 0
+        const system = new BooleanSystem(fn.toExpression());
+        outputs.forEach((o, i) => {
+          const values = truthTable(system.outputs[i].ast, variables);
+          values.forEach((value, row) => assert.strictEqual(value, o.minterms.includes(row) ? 1 : 0, fn.toExpression()));
+        });
+      }
+    }
+  });
+});
+
+test('header names choose the identifier mode', () => {
+  const single = BooleanFunction.fromTable('A,B,Out\n0,0,0\n0,1,1\n1,0,1\n1,1,0');
+  assert.deepStrictEqual(single.variables, ['a', 'b']);
+  assert.strictEqual(single.identifierMode, 'single');
+  assert.strictEqual(single.outputs[0].name, 'Out');
+
+  const multi = BooleanFunction.fromTable('clk\ten\tq\n0\t0\t0\n0\t1\t0\n1\t0\t0\n1\t1\t1');
+  assert.deepStrictEqual(multi.variables, ['clk', 'en']);
+  assert.strictEqual(multi.identifierMode, 'multi');
+  assert.strictEqual(multi.toExpression(), 'q = clk en');
+
+  // Semicolons and spaces separate cells too
+  assert.deepStrictEqual(BooleanFunction.fromTable('0;0\n1;1').outputs[0].minterms, [1]);
+  assert.deepStrictEqual(BooleanFunction.fromTable('0 1\n1 0').outputs[0].minterms, [0]);
+});
+
+test('malformed tables are refused with the row and column at fault', () => {
+  assert.throws(() => BooleanFunction.fromTable(''), /The table is empty/);
+  assert.throws(() => BooleanFunction.fromTable('0,0\n0,1\n1,0'), /Expected 2\^n data rows \(2, 4, 8, \.\.\.\) but found 3/);
+  assert.throws(() => BooleanFunction.fromTable('0,1\n1,0\n0,0\n1,1'), /4 rows need 2 input columns plus at least one output column, but the table has 2 columns/);
+  assert.throws(() => BooleanFunction.fromTable('A,B,F\n0,0,1\n0,1\n1,0,1\n1,1,0'), /Row 3 has 2 cells, expected 3/);
+  assert.throws(() => BooleanFunction.fromTable('A,B,F\n0,0,1\n0,2,1\n1,0,1\n1,1,0'), /Row 3, column B: inputs must be 0 or 1 but found '2'/);
+  assert.throws(() => BooleanFunction.fromTable('A,B,F\n0,0,1\n0,0,1\n1,0,1\n1,1,0'), /Row 3 repeats the input combination of row 2/);
+  assert.throws(() => BooleanFunction.fromTable('A,B,F\n0,0,1\n0,1,y\n1,0,1\n1,1,0'), /Row 3, column F: outputs must be 0, 1 or X but found 'y'/);
+  assert.throws(() => BooleanFunction.fromTable('A,a,F\n0,0,1\n0,1,0\n1,0,1\n1,1,0'), /Input column 'a' appears twice/);
+});
+
+// Rows on demand
+
+test('rows of a large function are looked up one at a time', () => {
+  const variables = Array.from({ length: 20 }, (_, i) => `X${i}`);
+  const fn = BooleanFunction.fromMintermNotation(`F(${variables.join(',')}) = Σm(5, 1048575) + d(7)`, { identifierMode: 'multi' });
+  assert.strictEqual(fn.rowCount, Math.pow(2, 20));
+  assert.deepStrictEqual([...fn.rows(4, 8)].map(row => row.output), [0, 1, 0, 'X']);
+  assert.deepStrictEqual(fn.outputsAt(1048575), [1]);
+  const row = fn.row(5);
+  variables.forEach(v => assert.strictEqual(row[v], inputsOf(variables, 5)[v]));
+  assert.strictEqual(fn.cachedTruthTable, undefined);
+
+  const small = BooleanFunction.fromMintermNotation('F(A,B) = Σm(1,2)');
+  assert.strictEqual(small.truthTable, small.truthTable);
+  assert.deepStrictEqual(small.truthTable, [...small.rows()]);
+});
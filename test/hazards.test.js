@@ -0,0 +1,90 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { inputsOf, truthTable, termCovers, random, randomExpression } = require('./helpers');
+
+const VARIABLES = ['a', 'b', 'c', 'd'];
+
+// Random sum of products over distinct variables per product, as text
+function randomSOP(next) {
+  return Array.from({ length: 1 + Math.floor(next() * 4) }, () => {
+    const picked = VARIABLES.filter(() => next() < 0.5);
+    const product = picked.length ? picked : [VARIABLES[Math.floor(next() * VARIABLES.length)]];
+    return product.map(v => (next() < 0.5 ? `${v}'` : v)).join('');
+  }).join(' + ');
+}
+
+// Every change of one input between two rows with the same output value
+function changesOf(values) {
+  const changes = [];
+  values.forEach((value, from) => {
+    VARIABLES.forEach((variable, j) => {
+      const weight = Math.pow(2, VARIABLES.length - 1 - j);
+      if (Math.floor(from / weight) % 2 === 0 && values[from + weight] === value) {
+        changes.push({ variable, from, to: from + weight, value });
+      }
+    });
+  });
+  return changes;
+}
+
+// The SOP of a hazard-free cover, parsed and checked like any other input
+function hazardsOf(terms) {
+  const qm = new QuineMcCluskey(VARIABLES, []);
+  const text = terms.length ? qm.coverToText(terms.map(term => ({ term })), 'sop') : '0';
+  const expression = new BooleanExpression(text, { variables: VARIABLES });
+  return { text, values: truthTable(expression.ast, VARIABLES), hazards: new HazardAnalyzer(VARIABLES, expression.ast).hazards() };
+}
+
+test('a written SOP has a static-1 hazard exactly where no product spans the change', () => {
+  const next = random(25);
+  for (let k = 0; k < 150; k++) {
+    const source = randomSOP(next);
+    const expression = new BooleanExpression(source, { variables: VARIABLES });
+    const analyzer = new HazardAnalyzer(VARIABLES, expression.parsedAst);
+    const terms = analyzer.writtenSOP();
+    assert.ok(terms, `${source} is not read as a sum of products`);
+
+    const expected = changesOf(truthTable(expression.parsedAst, VARIABLES))
+      .filter(change => change.value === 1 && !terms.some(term => termCovers(term, change.from) && termCovers(term, change.to)));
+    assert.deepStrictEqual(analyzer.hazards(), expected, source);
+  }
+});
+
+test('hazard-free covers keep the function and remove every static-1 hazard', () => {
+  const next = random(250);
+  for (let k = 0; k < 150; k++) {
+    const source = k % 2 ? randomSOP(next) : randomExpression(next, VARIABLES, 1 + Math.floor(next() * 7), ['&', '|', '^', '⊼', '->']);
+    const expression = new BooleanExpression(source, { variables: VARIABLES });
+    const values = truthTable(expression.parsedAst, VARIABLES);
+    const analyzer = new HazardAnalyzer(VARIABLES, expression.parsedAst);
+    const minterms = values.map((value, row) => (value ? row : -1)).filter(row => row >= 0);
+    const sop = new QuineMcCluskey(VARIABLES, minterms).minimizeSOP();
+
+    const written = analyzer.writtenSOP();
+    const start = written || sop.covers[0].map(p => p.term);
+    const { terms, added } = analyzer.hazardFreeCover(start, sop.primeImplicants.map(p => p.term));
+    // Every starting term is kept, consensus terms follow
+    assert.deepStrictEqual(terms, [...start, ...added], source);
+
+    const result = hazardsOf(terms);
+    assert.deepStrictEqual(result.values, values, `${source} => ${result.text}`);
+    assert.deepStrictEqual(result.hazards.filter(change => change.value === 1), [], `${source} => ${result.text}`);
+  }
+});
+
+test('changes into or out of a don\'t-care are not checked', () => {
+  const expression = new BooleanExpression("a b + a' c", { variables: ['a', 'b', 'c'] });
+  const all = new HazardAnalyzer(['a', 'b', 'c'], expression.ast).hazards();
+  assert.deepStrictEqual(all.map(change => [change.from, change.to]), [[3, 7]]);
+  assert.deepStrictEqual(new HazardAnalyzer(['a', 'b', 'c'], expression.ast, [7]).hazards(), []);
+});
+
+test('ternary simulation propagates unknowns', () => {
+  const { parsedAst } = new BooleanExpression("a + a'");
+  assert.strictEqual(HazardAnalyzer.ternary(parsedAst, { a: 'X' }), 'X');
+  const and = new BooleanExpression('a & b').parsedAst;
+  assert.strictEqual(HazardAnalyzer.ternary(and, { a: 'X', b: 0 }), 0);
+  assert.strictEqual(HazardAnalyzer.ternary(and, { a: 'X', b: 1 }), 'X');
+  const inputs = new HazardAnalyzer(VARIABLES, parsedAst).inputs(0b1010);
+  assert.deepStrictEqual(inputs, inputsOf(VARIABLES, 0b1010));
+});
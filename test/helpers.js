@@ -0,0 +1,144 @@
+/**
+ * Test setup
+ * Loads the modules in public/ as globals, in index.html's script order, so
+ * they see each other the way they do in the browser. Also holds the
+ * brute-force references results are checked against: a plain recursive
+ * evaluator and helpers over row indexes and QuineMcCluskey-style terms.
+ */
+
+const path = require('path');
+
+const load = file => require(path.join(__dirname, '..', 'public', file));
+
+global.BooleanExpression = load('parser.js');
+global.BooleanSyntaxError = global.BooleanExpression.BooleanSyntaxError;
+global.CompiledEvaluator = global.BooleanExpression.CompiledEvaluator;
+global.ExpressionPrinter = global.BooleanExpression.ExpressionPrinter;
+global.BooleanSystem = load('system.js');
+global.BooleanFunction = load('function.js');
+global.QuineMcCluskey = load('minimizer.js');
+global.Espresso = load('espresso.js');
+global.AlgebraicSimplifier = load('simplifier.js');
+global.EquivalenceChecker = load('equivalence.js');
+global.BDD = load('bdd.js');
+global.UniversalGateConverter = load('universal.js');
+global.GateFlattener = load('nary.js');
+global.GateDag = load('dag.js');
+global.LayeredLayout = load('layout.js');
+global.LogicSimulator = load('simulation.js');
+global.TimingSimulator = load('timing.js');
+global.HazardAnalyzer = load('hazards.js');
+global.ReedMuller = load('anf.js');
+global.FunctionProperties = load('properties.js');
+global.SatAnalyzer = load('sat.js');
+global.SatSolver = global.SatAnalyzer.SatSolver;
+global.Visualizer = load('visualizer.js');
+
+/**
+ * Value (0 or 1) of an AST under inputs { variable: 0|1 }. N-ary gates
+ * ({ type, operands }) are folded pairwise, inverting once at the end.
+ */
+function evaluate(node, inputs) {
+  switch (node.type) {
+    case 'VAR': return inputs[node.value];
+    case 'CONST': return node.value;
+    case 'NOT': return 1 - evaluate(node.operand, inputs);
+  }
+  if (node.operands) {
+    const base = { NAND: 'AND', NOR: 'OR', XNOR: 'XOR' }[node.type] || node.type;
+    const value = node.operands.map(operand => evaluate(operand, inputs)).reduce((a, b) => {
+      switch (base) {
+        case 'AND': return a & b;
+        case 'OR': return a | b;
+        case 'XOR': return a ^ b;
+        default: throw new Error(`Unknown gate type: ${node.type}`);
+      }
+    });
+    return base === node.type ? value : 1 - value;
+  }
+  const a = evaluate(node.left, inputs);
+  const b = evaluate(node.right, inputs);
+  switch (node.type) {
+    case 'AND': return a & b;
+    case 'OR': return a | b;
+    case 'XOR': return a ^ b;
+    case 'NAND': return 1 - (a & b);
+    case 'NOR': return 1 - (a | b);
+    case 'XNOR':
+    case 'IFF': return 1 - (a ^ b);
+    case 'IMPLIES': return (1 - a) | b;
+    default: throw new Error(`Unknown AST node type: ${node.type}`);
+  }
+}
+
+/**
+ * Inputs { variable: 0|1 } of a row index, variables[0] most significant
+ */
+function inputsOf(variables, row) {
+  const inputs = {};
+  variables.forEach((v, j) => {
+    inputs[v] = Math.floor(row / Math.pow(2, variables.length - 1 - j)) % 2;
+  });
+  return inputs;
+}
+
+/**
+ * Output of every row of an AST over `variables`, in row order
+ */
+function truthTable(ast, variables) {
+  const values = [];
+  for (let row = 0; row < Math.pow(2, variables.length); row++) {
+    values.push(evaluate(ast, inputsOf(variables, row)));
+  }
+  return values;
+}
+
+/**
+ * Does a term ('1', '0' or '-' per variable) cover a row index?
+ */
+function termCovers(term, row) {
+  return term.split('').every((bit, j) =>
+    bit === '-' || Number(bit) === Math.floor(row / Math.pow(2, term.length - 1 - j)) % 2);
+}
+
+/**
+ * Seeded pseudo-random numbers in [0, 1), so every run sees the same cases
+ */
+function random(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * A random expression over `variables` with `size` binary operators, as
+ * source text the parser accepts
+ */
+function randomExpression(next, variables, size, operators = ['&', '|', '^']) {
+  if (size === 0) {
+    const v = variables[Math.floor(next() * variables.length)];
+    return next() < 0.3 ? `!${v}` : v;
+  }
+  const left = Math.floor(next() * size);
+  const op = operators[Math.floor(next() * operators.length)];
+  const text = `(${randomExpression(next, variables, left, operators)} ${op} ${randomExpression(next, variables, size - 1 - left, operators)})`;
+  return next() < 0.15 ? `!${text}` : text;
+}
+
+/**
+ * Random set of row indexes out of 2^numVars, each taken with probability p
+ */
+function randomRows(next, numVars, p = 0.5) {
+  const rows = [];
+  for (let row = 0; row < Math.pow(2, numVars); row++) {
+    if (next() < p) rows.push(row);
+  }
+  return rows;
+}
+
+module.exports = { evaluate, inputsOf, truthTable, termCovers, random, randomExpression, randomRows };
@@ -0,0 +1,128 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { random, randomExpression } = require('./helpers');
+
+const EPSILON = 1e-6;
+
+// Layout of random circuits, shaped the way the block diagram shapes them:
+// terminals, gates with a pin per input and a sink per output
+function randomLayout(next, variables, outputs) {
+  const dag = new GateDag();
+  const flattener = new GateFlattener(2 + Math.floor(next() * 3));
+  const networks = Array.from({ length: outputs }, () => {
+    const source = randomExpression(next, variables, 1 + Math.floor(next() * 8), ['&', '|', '^', '⊼', '->']);
+    return dag.intern(flattener.flatten(new BooleanExpression(source, { variables }).ast));
+  });
+  const layout = new LayeredLayout();
+  const ids = new Map();
+  const visit = node => {
+    if (ids.has(node)) return ids.get(node);
+    let id;
+    if (node.type === 'VAR' || node.type === 'CONST') {
+      id = layout.addNode({ height: 30 });
+    } else {
+      const inputs = node.type === 'NOT' ? [node.operand] : node.operands;
+      const sources = inputs.map(visit);
+      const pins = inputs.map((input, i) => (i - (inputs.length - 1) / 2) * 20);
+      id = layout.addNode({ height: 20 * inputs.length + 20, pins, commutative: next() < 0.8 });
+      sources.forEach(source => layout.connect(source, id));
+    }
+    ids.set(node, id);
+    return id;
+  };
+  networks.forEach(root => {
+    const source = visit(root);
+    layout.connect(source, layout.addNode({ height: 30, pins: [0], sink: true }));
+  });
+  return layout.layout();
+}
+
+test('random circuits lay out left to right without overlaps', () => {
+  const next = random(22);
+  for (let k = 0; k < 60; k++) {
+    const variables = 'abcde'.slice(0, 1 + (k % 5)).split('');
+    const layout = randomLayout(next, variables, 1 + (k % 3));
+    const { nodes, layers } = layout;
+    const last = layers.length - 1;
+
+    // Each node sits in the column listing it, sinks alone in the last one
+    layers.forEach((ids, layer) => ids.forEach(id => assert.strictEqual(nodes[id].layer, layer)));
+    assert.strictEqual(layers.flat().length, nodes.length);
+    nodes.forEach(node => assert.strictEqual(node.layer === last, node.sink, `node ${node.id}`));
+
+    // Every input comes from the previous column, through dummies back to the node it was connected to
+    nodes.filter(node => !node.dummy).forEach(node => node.inputs.forEach((input, i) => {
+      let source = nodes[node.sources[i]];
+      assert.ok(nodes[input].layer < node.layer);
+      assert.strictEqual(source.layer, node.layer - 1);
+      while (source.dummy) {
+        assert.strictEqual(source.net, input);
+        source = nodes[source.sources[0]];
+      }
+      assert.strictEqual(source.id, input);
+    }));
+
+    // Columns keep their order with at least the minimum gap, inside the drawing
+    layers.forEach(ids => ids.forEach((id, i) => {
+      const node = nodes[id];
+      assert.ok(node.y - node.height / 2 >= -EPSILON && node.y + node.height / 2 <= layout.height + EPSILON);
+      if (i > 0) assert.ok(node.y - nodes[ids[i - 1]].y >= layout.separation(nodes[ids[i - 1]], node) - EPSILON);
+    }));
+
+    // Each node uses every pin once; commutative ones in the order of their sources
+    nodes.forEach(node => {
+      assert.deepStrictEqual(node.pinOf.slice().sort((a, b) => a - b), node.sources.map((source, i) => i));
+      if (!node.commutative) return;
+      const positions = node.sources.map((source, input) => input)
+        .sort((a, b) => node.pinOf[a] - node.pinOf[b])
+        .map(input => nodes[node.sources[input]].position);
+      positions.slice(1).forEach((position, i) => assert.ok(position >= positions[i], `node ${node.id} pins`));
+    });
+    assert.strictEqual(layout.crossings, layout.countCrossings());
+  }
+});
+
+test('every wire is routed once, turning wires on tracks of their own', () => {
+  const next = random(220);
+  for (let k = 0; k < 60; k++) {
+    const layout = randomLayout(next, 'abcd'.slice(0, 1 + (k % 4)).split(''), 1 + (k % 3));
+    const { nodes, channels } = layout;
+    assert.strictEqual(channels.length, layout.layers.length - 1);
+
+    const wires = nodes.flatMap(node => node.sources.map((source, input) => `${source}>${node.id}.${input}`));
+    const routed = [];
+    channels.forEach((channel, layer) => {
+      channel.nets.forEach(net => {
+        assert.strictEqual(nodes[net.source].layer, layer);
+        assert.strictEqual(net.y, nodes[net.source].y);
+        net.targets.forEach(target => {
+          routed.push(`${net.source}>${target.node}.${target.input}`);
+          assert.strictEqual(target.y, nodes[target.node].y + layout.pinOffset(nodes[target.node], target.input));
+          assert.ok(target.y >= net.top && target.y <= net.bottom);
+        });
+        assert.strictEqual(net.track === null, net.bottom - net.top <= LayeredLayout.EPSILON);
+      });
+      const tracks = channel.nets.filter(net => net.track !== null).map(net => net.track).sort((a, b) => a - b);
+      assert.deepStrictEqual(tracks, Array.from({ length: channel.tracks }, (_, i) => i));
+    });
+    assert.deepStrictEqual(routed.sort(), wires.sort());
+  }
+});
+
+test('crossed wires are uncrossed and level wires run straight', () => {
+  // a feeds the lower gate and b the upper one as added; reordering a column fixes it
+  const layout = new LayeredLayout();
+  const a = layout.addNode({ height: 30 });
+  const b = layout.addNode({ height: 30 });
+  const first = layout.addNode({ height: 40, pins: [0] });
+  const second = layout.addNode({ height: 40, pins: [0] });
+  layout.connect(b, first);
+  layout.connect(a, second);
+  [first, second].forEach(gate => layout.connect(gate, layout.addNode({ height: 30, pins: [0], sink: true })));
+  layout.layout();
+  assert.strictEqual(layout.crossings, 0);
+  layout.channels.forEach(channel => {
+    assert.strictEqual(channel.tracks, 0);
+    channel.nets.forEach(net => assert.strictEqual(net.track, null));
+  });
+});
@@ -0,0 +1,98 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { truthTable, termCovers, random, randomRows } = require('./helpers');
+
+const VARIABLES = ['a', 'b', 'c', 'd'];
+
+// Every prime implicant of the function, found by trying all 3^n terms
+function bruteForcePrimes(numVars, onSet, dontCares) {
+  const care = new Set([...onSet, ...dontCares]);
+  const rows = Array.from({ length: Math.pow(2, numVars) }, (_, row) => row);
+  const implicant = term => rows.every(row => !termCovers(term, row) || care.has(row));
+  const terms = [];
+  for (let code = 0; code < Math.pow(3, numVars); code++) {
+    let term = '';
+    for (let j = 0, rest = code; j < numVars; j++, rest = Math.floor(rest / 3)) term += '01-'[rest % 3];
+    if (rows.some(row => termCovers(term, row) && onSet.includes(row)) && implicant(term)) terms.push(term);
+  }
+  const widen = (term, j) => term.slice(0, j) + '-' + term.slice(j + 1);
+  return terms.filter(term => term.split('').every((bit, j) => bit === '-' || !implicant(widen(term, j))));
+}
+
+// Fewest terms, then fewest literals, of any cover of onSet by the primes
+function bruteForceCost(primes, onSet) {
+  const literals = term => term.split('').filter(bit => bit !== '-').length;
+  for (let size = 0; size <= primes.length; size++) {
+    let best = Infinity;
+    const choose = (from, chosen) => {
+      if (chosen.length === size) {
+        if (onSet.every(row => chosen.some(term => termCovers(term, row)))) {
+          best = Math.min(best, chosen.reduce((sum, term) => sum + literals(term), 0));
+        }
+        return;
+      }
+      for (let i = from; i < primes.length; i++) choose(i + 1, [...chosen, primes[i]]);
+    };
+    choose(0, []);
+    if (best < Infinity) return { terms: size, literals: best };
+  }
+  throw new Error('No cover');
+}
+
+function checkFunction(numVars, onSet, dontCares) {
+  const variables = VARIABLES.slice(0, numVars);
+  const qm = new QuineMcCluskey(variables, onSet, dontCares);
+  const offSet = Array.from({ length: Math.pow(2, numVars) }, (_, row) => row)
+    .filter(row => !onSet.includes(row) && !dontCares.includes(row));
+
+  const sop = qm.minimizeSOP();
+  const expected = bruteForceCost(bruteForcePrimes(numVars, onSet, dontCares), onSet);
+  sop.covers.forEach(cover => {
+    const terms = cover.map(p => p.term);
+    onSet.forEach(row => assert.ok(terms.some(term => termCovers(term, row)), `SOP misses row ${row}`));
+    offSet.forEach(row => assert.ok(!terms.some(term => termCovers(term, row)), `SOP covers row ${row}`));
+    const literals = cover.reduce((sum, p) => sum + p.literals, 0);
+    assert.deepStrictEqual({ terms: terms.length, literals }, expected);
+  });
+
+  const pos = qm.minimizePOS();
+  pos.covers.forEach(cover => {
+    const terms = cover.map(p => p.term);
+    offSet.forEach(row => assert.ok(terms.some(term => termCovers(term, row)), `POS misses maxterm ${row}`));
+    onSet.forEach(row => assert.ok(!terms.some(term => termCovers(term, row)), `POS covers minterm ${row}`));
+  });
+
+  // The printed forms parse back to the same function
+  [sop, pos].forEach(report => report.expressions.forEach(text => {
+    const parsed = new BooleanExpression(text, { variables });
+    const values = truthTable(parsed.ast, variables);
+    onSet.forEach(row => assert.strictEqual(values[row], 1, `${text} at row ${row}`));
+    offSet.forEach(row => assert.strictEqual(values[row], 0, `${text} at row ${row}`));
+  }));
+}
+
+test('minimal SOP and POS match brute force on random functions', () => {
+  const next = random(8);
+  for (let numVars = 1; numVars <= 4; numVars++) {
+    for (let k = 0; k < 40; k++) {
+      const onSet = randomRows(next, numVars);
+      const dontCares = randomRows(next, numVars, 0.15).filter(row => !onSet.includes(row));
+      checkFunction(numVars, onSet, dontCares);
+    }
+  }
+});
+
+test('constant functions minimize to 0 and 1', () => {
+  const zero = new QuineMcCluskey(['a', 'b'], []);
+  assert.deepStrictEqual(zero.minimizeSOP().expressions, ['0']);
+  const one = new QuineMcCluskey(['a', 'b'], [0, 1, 2, 3]);
+  assert.deepStrictEqual(one.minimizeSOP().expressions, ['1']);
+});
+
+test('every minimal alternative of a cyclic function is listed', () => {
+  // m(0,1,2,5,6,7) has two minimal covers of three terms each
+  const report = new QuineMcCluskey(['a', 'b', 'c'], [0, 1, 2, 5, 6, 7]).minimizeSOP();
+  assert.strictEqual(report.covers.length, 2);
+  report.covers.forEach(cover => assert.strictEqual(cover.length, 3));
+  assert.deepStrictEqual(report.essential, []);
+});
@@ -0,0 +1,96 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { truthTable, random, randomExpression } = require('./helpers');
+
+const OPERATORS = ['&', '|', '^', '⊼', '⊽', '->', '<->'];
+
+// Every gate of an n-ary network, shared gates listed once
+function gatesOf(ast) {
+  const gates = new Set();
+  const visit = node => {
+    if (node.type === 'VAR' || node.type === 'CONST' || gates.has(node)) return;
+    gates.add(node);
+    if (node.type === 'NOT') visit(node.operand);
+    else node.operands.forEach(visit);
+  };
+  visit(ast);
+  return [...gates];
+}
+
+// Gates between an input and the output, at most
+const depth = node => (node.operands ? 1 + Math.max(...node.operands.map(depth)) : 0);
+
+test('flattened networks keep the function within the fan-in limit', () => {
+  const next = random(20);
+  for (let numVars = 1; numVars <= 5; numVars++) {
+    const variables = 'abcde'.slice(0, numVars).split('');
+    for (let k = 0; k < 30; k++) {
+      const source = randomExpression(next, variables, Math.floor(next() * 10), OPERATORS);
+      const { ast } = new BooleanExpression(source, { variables });
+      const expected = truthTable(ast, variables);
+      [2, 3, 4, Infinity].forEach(maxFanIn => {
+        const flat = new GateFlattener(maxFanIn).flatten(ast);
+        assert.deepStrictEqual(truthTable(flat, variables), expected, `${source} at fan-in ${maxFanIn}`);
+        gatesOf(flat).forEach(gate => {
+          if (gate.type === 'NOT') return;
+          assert.ok(GateFlattener.BASE[gate.type], `${source}: ${gate.type}`);
+          assert.ok(gate.operands.length >= 2 && gate.operands.length <= maxFanIn, `${source}: ${gate.operands.length} inputs`);
+        });
+      });
+    }
+  }
+});
+
+test('universal networks stay universal when flattened and split', () => {
+  const next = random(200);
+  const variables = ['a', 'b', 'c', 'd'];
+  for (let k = 0; k < 60; k++) {
+    const source = randomExpression(next, variables, 1 + Math.floor(next() * 8), OPERATORS);
+    const { ast } = new BooleanExpression(source, { variables });
+    const expected = truthTable(ast, variables);
+    ['NAND', 'NOR'].forEach(gate => {
+      const maxFanIn = 2 + (k % 3);
+      const flat = new GateFlattener(maxFanIn, gate).flatten(new UniversalGateConverter(gate).convert(ast));
+      assert.deepStrictEqual(truthTable(flat, variables), expected, `${source} in ${gate}`);
+      gatesOf(flat).forEach(node => {
+        assert.strictEqual(node.type, gate, `${source} in ${gate}`);
+        assert.ok(node.operands.length <= maxFanIn, `${source} in ${gate}`);
+      });
+    });
+  }
+});
+
+test('associative chains collapse into one gate', () => {
+  const flatten = (source, maxFanIn = Infinity) => new GateFlattener(maxFanIn).flatten(new BooleanExpression(source).ast);
+  const and = flatten('a b c d e');
+  assert.strictEqual(and.type, 'AND');
+  assert.deepStrictEqual(and.operands.map(operand => operand.value), ['a', 'b', 'c', 'd', 'e']);
+
+  // Each ↔ inverts the parity once
+  assert.strictEqual(flatten('(a ^ b) <-> c').type, 'XNOR');
+  assert.strictEqual(flatten('(a <-> b) <-> c').type, 'XOR');
+
+  const implies = flatten('a -> (b | c)');
+  assert.strictEqual(implies.type, 'OR');
+  assert.deepStrictEqual(implies.operands.map(operand => operand.type), ['NOT', 'VAR', 'VAR']);
+
+  // Five inputs at fan-in 2 split into a balanced tree of depth three
+  const split = flatten('a b c d e', 2);
+  assert.strictEqual(depth(split), 3);
+  assert.strictEqual(gatesOf(split).length, 4);
+  assert.throws(() => new GateFlattener(1), /Fan-in must be at least 2: 1/);
+});
+
+test('tied inverter inputs stay one node', () => {
+  // !(a b c) in NAND: the inverter on a ⊼ b feeds the outer NAND, and collapses into it
+  const converted = new UniversalGateConverter('NAND').convert(new BooleanExpression('!(a b c)').ast);
+  const wide = new GateFlattener(Infinity, 'NAND').flatten(converted);
+  assert.strictEqual(wide.type, 'NAND');
+  assert.deepStrictEqual(wide.operands.map(operand => operand.value), ['a', 'b', 'c']);
+
+  // a b c in NAND ends in an inverter, whose two inputs are the same flattened gate
+  const inverted = new GateFlattener(Infinity, 'NAND').flatten(new UniversalGateConverter('NAND').convert(new BooleanExpression('a b c').ast));
+  assert.ok(UniversalGateConverter.isInverter(inverted));
+  assert.strictEqual(inverted.operands[0], inverted.operands[1]);
+  assert.strictEqual(inverted.operands[0].operands.length, 3);
+});
@@ -0,0 +1,364 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { evaluate, inputsOf, truthTable, random, randomExpression } = require('./helpers');
+
+const OPERATORS = ['&', '|', '^', '⊼', '⊽', '⊙', '->', '<->'];
+
+// Identifiers
+
+test('multi-character names are read whole and match the same function over single letters', () => {
+  const names = ['clk', 'en', 'sel[2]', 'x_0', 'A1', 'data10', 'data2'];
+  const letters = 'abcdefg'.split('');
+  const next = random(1);
+  for (let k = 0; k < 100; k++) {
+    const used = names.slice(0, 1 + Math.floor(next() * names.length));
+    const source = randomExpression(next, used, Math.floor(next() * 8), OPERATORS);
+    const expression = new BooleanExpression(source, { identifierMode: 'multi' });
+    const reference = new BooleanExpression(source.replace(/[A-Za-z_][A-Za-z0-9_]*(\[\d+\])?/g, name => letters[names.indexOf(name)]));
+    const renamed = expression.variables.map(name => letters[names.indexOf(name)]);
+    assert.deepStrictEqual(renamed.slice().sort(), reference.variables, source);
+    assert.deepStrictEqual(truthTable(expression.ast, expression.variables), truthTable(reference.ast, renamed), source);
+  }
+});
+
+test('variables sort in natural order', () => {
+  const { variables } = new BooleanExpression('data10 data2 sel[10] sel[2] clk A1 x_0', { identifierMode: 'multi' });
+  assert.deepStrictEqual(variables, ['A1', 'clk', 'data2', 'data10', 'sel[2]', 'sel[10]', 'x_0']);
+});
+
+test('single-letter mode splits adjacent letters but keeps indexes', () => {
+  const read = source => new BooleanExpression(source).variables;
+  assert.deepStrictEqual(read('AB'), ['a', 'b']);
+  assert.deepStrictEqual(read('a1b2'), ['a1', 'b2']);
+  assert.deepStrictEqual(read('x_0 s[2]'), ['s[2]', 'x_0']);
+  assert.deepStrictEqual(read('A and a'), ['a']);
+  assert.deepStrictEqual(read('a nand b'), ['a', 'b']);
+  assert.strictEqual(new BooleanExpression('AB').ast.type, 'AND');
+
+  // Multi-letter mode is case-sensitive and needs a separator between names
+  const multi = new BooleanExpression('ab A a', { identifierMode: 'multi' });
+  assert.deepStrictEqual(multi.variables, ['A', 'a', 'ab']);
+  assert.strictEqual(multi.displayName('ab'), 'ab');
+  assert.strictEqual(new BooleanExpression('ab').displayName('a'), 'A');
+});
+
+// Constants
+
+test('constant folding keeps the function and leaves no constant behind', () => {
+  const hasConstant = node => node.type === 'CONST' ||
+    (node.type === 'NOT' ? hasConstant(node.operand) : node.left !== undefined && (hasConstant(node.left) || hasConstant(node.right)));
+  const next = random(2);
+  for (let k = 0; k < 300; k++) {
+    const variables = ['a', 'b', 'c'];
+    const source = randomExpression(next, [...variables, '0', '1'], Math.floor(next() * 8), OPERATORS);
+    const expression = new BooleanExpression(source, { variables });
+    const expected = truthTable(expression.parsedAst, variables);
+    assert.deepStrictEqual(truthTable(expression.ast, variables), expected, source);
+    if (expression.ast.type === 'CONST') {
+      assert.ok(expected.every(value => value === expression.ast.value), source);
+    } else {
+      assert.ok(!hasConstant(expression.ast), `${source} folds to ${JSON.stringify(expression.ast)}`);
+    }
+  }
+});
+
+test('identities and annihilators fold', () => {
+  const fold = source => new BooleanExpression(source).ast;
+  const a = { type: 'VAR', value: 'a' };
+  const notA = { type: 'NOT', operand: a, operator: "'" };
+  assert.deepStrictEqual(fold('A + 1'), { type: 'CONST', value: 1 });
+  assert.deepStrictEqual(fold('A · 0'), { type: 'CONST', value: 0 });
+  assert.deepStrictEqual(fold('A 1'), a);
+  assert.deepStrictEqual(fold('A + 0'), a);
+  assert.deepStrictEqual(fold('A ⊕ 1'), notA);
+  assert.deepStrictEqual(fold('A ⊙ 0'), notA);
+  assert.deepStrictEqual(fold('0 ⊼ A'), { type: 'CONST', value: 1 });
+  assert.deepStrictEqual(fold("(1 + 0)'"), { type: 'CONST', value: 0 });
+  // Constants are not inputs
+  assert.deepStrictEqual(new BooleanExpression('A + 1').variables, ['a']);
+  assert.deepStrictEqual(new BooleanExpression('1').variables, []);
+});
+
+// Syntax errors
+
+test('syntax errors point at the offending text', () => {
+  const diagnosticsOf = source => {
+    try {
+      new BooleanExpression(source);
+    } catch (error) {
+      assert.ok(error instanceof BooleanSyntaxError, `${source}: ${error.message}`);
+      return error.diagnostics.map(({ message, start, end, hint }) => ({ message, start, end, hint }));
+    }
+    assert.fail(`${source} parsed`);
+  };
+  assert.deepStrictEqual(diagnosticsOf('(a + b'), [
+    { message: "Expected ')' but found end of expression", start: 6, end: 6, hint: "missing ')' to close '(' opened at column 1" }
+  ]);
+  assert.deepStrictEqual(diagnosticsOf('a + * b'), [
+    { message: "Expected an operand but found '*'", start: 4, end: 5, hint: "'+' at column 3 needs an operand on its right" }
+  ]);
+  assert.deepStrictEqual(diagnosticsOf('a b)'), [
+    { message: "Unmatched ')'", start: 3, end: 4, hint: "remove it or add a matching '(' before it" }
+  ]);
+  assert.deepStrictEqual(diagnosticsOf('a $ b'), [
+    { message: "Unknown character '$'", start: 2, end: 3, hint: 'remove it or use one of the operators listed under "?"' }
+  ]);
+  assert.deepStrictEqual(diagnosticsOf('a + 2'), [
+    { message: "Invalid constant '2'", start: 4, end: 5, hint: 'only the constants 0 and 1 are allowed' }
+  ]);
+  assert.deepStrictEqual(diagnosticsOf('a +'), [
+    { message: 'Unexpected end of expression', start: 3, end: 3, hint: "'+' at column 3 needs an operand on its right" }
+  ]);
+  assert.deepStrictEqual(diagnosticsOf('()'), [
+    { message: "Expected an operand but found ')'", start: 1, end: 2, hint: "'(' at column 1 is empty" }
+  ]);
+});
+
+test('the parser recovers and reports every error in text order', () => {
+  let error;
+  try {
+    new BooleanExpression('a b) + (c $ d');
+  } catch (e) {
+    error = e;
+  }
+  assert.deepStrictEqual(error.diagnostics.map(d => [d.message, d.start]), [
+    ["Unmatched ')'", 3],
+    ["Unknown character '$'", 10],
+    ["Expected ')' but found end of expression", 13]
+  ]);
+  assert.strictEqual(error.message, "Unmatched ')' at column 4 (+2 more)");
+  assert.strictEqual(error.formatCaret(error.diagnostics[0]),
+    "a b) + (c $ d\n   ^ Unmatched ')' (remove it or add a matching '(' before it)");
+  assert.strictEqual(error.formatCaret({ message: 'Here', start: 2, end: 5, hint: '' }), 'a b) + (c $ d\n  ^~~ Here');
+});
+
+test('a stray character is reported where it was typed', () => {
+  const next = random(3);
+  for (let k = 0; k < 100; k++) {
+    const source = randomExpression(next, ['a', 'b', 'c', 'd'], 1 + Math.floor(next() * 6), OPERATORS);
+    // Between two characters, but not splitting a two-character arrow
+    const cuts = [...source].map((c, i) => i).filter(i => !/[-<=]/.test(source[i - 1]));
+    const at = cuts[Math.floor(next() * cuts.length)];
+    const broken = `${source.slice(0, at)}$${source.slice(at)}`;
+    assert.throws(() => new BooleanExpression(broken), error =>
+      error.diagnostics.some(d => d.message === "Unknown character '$'" && d.start === at && d.end === at + 1), broken);
+  }
+});
+
+// Implication and equivalence
+
+test('implication is right-associative and binds looser than OR', () => {
+  const table = source => truthTable(new BooleanExpression(source, { variables: ['a', 'b', 'c'] }).parsedAst, ['a', 'b', 'c']);
+  assert.deepStrictEqual(table('a -> b -> c'), table('a -> (b -> c)'));
+  assert.notDeepStrictEqual(table('a -> b -> c'), table('(a -> b) -> c'));
+  assert.deepStrictEqual(table('a | b -> c'), table('(a | b) -> c'));
+  assert.deepStrictEqual(table('a -> b <-> c'), table('(a -> b) <-> c'));
+  assert.deepStrictEqual(table('a <-> b -> c'), table('a <-> (b -> c)'));
+  assert.deepStrictEqual(table('a <-> b <-> c'), table('(a <-> b) <-> c'));
+
+  const ast = new BooleanExpression('a -> b -> c').parsedAst;
+  assert.strictEqual(ast.left.value, 'a');
+  assert.strictEqual(ast.right.type, 'IMPLIES');
+});
+
+test('every spelling of implication and equivalence parses alike', () => {
+  const table = source => truthTable(new BooleanExpression(source).parsedAst, ['a', 'b']);
+  ['a -> b', 'a => b', 'a → b', 'a ⇒ b', 'a implies b', 'A IMPLIES B'].forEach(source => {
+    assert.strictEqual(new BooleanExpression(source).parsedAst.type, 'IMPLIES', source);
+    assert.deepStrictEqual(table(source), [1, 1, 0, 1], source);
+  });
+  ['a <-> b', 'a <=> b', 'a ↔ b', 'a ⇔ b', 'a iff b'].forEach(source => {
+    assert.strictEqual(new BooleanExpression(source).parsedAst.type, 'IFF', source);
+    assert.deepStrictEqual(table(source), [1, 0, 0, 1], source);
+  });
+});
+
+test('constants fold through implication and equivalence', () => {
+  const fold = source => new BooleanExpression(source).ast;
+  const a = { type: 'VAR', value: 'a' };
+  const notA = { type: 'NOT', operand: a, operator: "'" };
+  assert.deepStrictEqual(fold('1 -> A'), a);
+  assert.deepStrictEqual(fold('A -> 0'), notA);
+  assert.deepStrictEqual(fold('0 -> A'), { type: 'CONST', value: 1 });
+  assert.deepStrictEqual(fold('A <-> 1'), a);
+  assert.deepStrictEqual(fold('A <-> 0'), notA);
+});
+
+// Rows on demand
+
+test('rows come one at a time without building the table', () => {
+  const variables = Array.from({ length: 20 }, (_, i) => `x${i}`);
+  const expression = new BooleanExpression(`${variables.join(' ^ ')} | x0 x19`, { identifierMode: 'multi' });
+  assert.strictEqual(expression.rowCount, Math.pow(2, 20));
+  const picked = [0, 1, 12345, Math.pow(2, 19), Math.pow(2, 20) - 1];
+  picked.forEach(index => {
+    const inputs = inputsOf(variables, index);
+    const row = expression.row(index);
+    variables.forEach(v => assert.strictEqual(row[v], inputs[v]));
+    assert.deepStrictEqual(row.outputs, [evaluate(expression.ast, inputs)]);
+    assert.deepStrictEqual(expression.outputsAt(index), row.outputs);
+  });
+  const page = [...expression.rows(1000, 1010)];
+  assert.deepStrictEqual(page, Array.from({ length: 10 }, (_, i) => expression.row(1000 + i)));
+  assert.strictEqual(expression.cachedTruthTable, undefined);
+});
+
+test('the full table is every row in order, built once', () => {
+  const variables = ['a', 'b', 'c', 'd'];
+  const expression = new BooleanExpression("a b' + c ⊕ d", { variables });
+  const expected = truthTable(expression.ast, variables);
+  const table = expression.truthTable;
+  assert.strictEqual(expression.truthTable, table);
+  assert.deepStrictEqual(table, [...expression.rows()]);
+  assert.deepStrictEqual(table.map(row => row.output), expected);
+});
+
+// Compiled evaluation
+
+test('compiled evaluator matches the truth table of random expressions', () => {
+  const next = random(14);
+  for (let numVars = 1; numVars <= 8; numVars++) {
+    const variables = 'abcdefgh'.slice(0, numVars).split('');
+    for (let k = 0; k < 25; k++) {
+      const source = randomExpression(next, variables, 1 + Math.floor(next() * 10), OPERATORS);
+      const expression = new BooleanExpression(source, { variables });
+      const expected = truthTable(expression.parsedAst, variables);
+      const evaluator = expression.evaluator;
+
+      assert.strictEqual(evaluator.countOnes(), expected.filter(v => v === 1).length, source);
+      expected.forEach((value, row) => {
+        assert.strictEqual(evaluator.evaluate(row), value, `${source} at row ${row}`);
+        assert.deepStrictEqual(expression.outputsAt(row), [value]);
+      });
+      // Constant folding keeps the function
+      assert.deepStrictEqual(truthTable(expression.ast, variables), expected, source);
+    }
+  }
+});
+
+test('rows of a block are the bits of evaluateBlock', () => {
+  const variables = 'abcdefg'.split('');
+  const expression = new BooleanExpression('(a ^ c) & !(b | g) | d & e & f', { variables });
+  const expected = truthTable(expression.parsedAst, variables);
+  for (let base = 0; base < expression.rowCount; base += 32) {
+    const word = expression.evaluator.evaluateBlock(base);
+    for (let k = 0; k < 32; k++) assert.strictEqual((word >>> k) & 1, expected[base + k]);
+  }
+});
+
+test('blocks past the last row are padded with 0', () => {
+  const expression = new BooleanExpression('a | !a', { variables: ['a', 'b'] });
+  assert.strictEqual(expression.evaluator.evaluateBlock(0), 0b1111);
+});
+
+test('row() gives the inputs and output of a row', () => {
+  const expression = new BooleanExpression("a b' + c", { variables: ['a', 'b', 'c'] });
+  for (let index = 0; index < 8; index++) {
+    const row = expression.row(index);
+    const inputs = inputsOf(['a', 'b', 'c'], index);
+    assert.deepStrictEqual({ a: row.a, b: row.b, c: row.c }, inputs);
+    assert.strictEqual(row.output, evaluate(expression.ast, inputs));
+  }
+});
+
+test('the compiled evaluator refuses more than MAX_VARIABLES inputs', () => {
+  const variables = Array.from({ length: CompiledEvaluator.MAX_VARIABLES + 1 }, (_, i) => `x${i}`);
+  const expression = new BooleanExpression(variables.join(' ^ '), { identifierMode: 'multi' });
+  assert.throws(() => expression.evaluator, new RegExp(`at most ${CompiledEvaluator.MAX_VARIABLES} variables`));
+});
+
+test('rows past 2^31 are interpreted instead of compiled', () => {
+  const variables = Array.from({ length: 34 }, (_, i) => `x${i}`);
+  const expression = new BooleanExpression(`${variables.join(' ^ ')} | x0 & x33`, { identifierMode: 'multi' });
+  [0, 1, Math.pow(2, 31), Math.pow(2, 31) + 7, Math.pow(2, 33) + 1, Math.pow(2, 34) - 1].forEach(index => {
+    const inputs = inputsOf(expression.variables, index);
+    const row = expression.row(index);
+    expression.variables.forEach(v => assert.strictEqual(row[v], inputs[v]));
+    assert.strictEqual(row.output, evaluate(expression.ast, inputs), `row ${index}`);
+  });
+});
+
+// Printing
+
+// Every notation on the inverted gates and on complemented products and sums
+const PRINTED = {
+  'a ⊼ b': { standard: 'A ↑ B', textbook: '(̅A̅B̅)̅', programming: '!(A && B)', verilog: '~(A & B)', python: 'not (A and B)', unicode: 'A ↑ B', latex: '\\overline{A \\cdot B}' },
+  'a ⊽ b': { standard: 'A ↓ B', textbook: '(̅A̅+̅B̅)̅', programming: '!(A || B)', verilog: '~(A | B)', python: 'not (A or B)', unicode: 'A ↓ B', latex: '\\overline{A + B}' },
+  'a ⊙ b': { standard: 'A ⊙ B', textbook: '(̅A̅⊕̅B̅)̅', programming: 'A == B', verilog: '~(A ^ B)', python: 'A == B', unicode: 'A ⊙ B', latex: '\\overline{A \\oplus B}' },
+  "(a b)'": { standard: "(AB)'", textbook: '(̅A̅B̅)̅', programming: '!(A && B)', verilog: '~(A & B)', python: 'not (A and B)', unicode: '¬(A ∧ B)', latex: '\\overline{A \\cdot B}' },
+  "a' b'": { standard: "A'B'", textbook: 'A̅B̅', programming: '!A && !B', verilog: '~A & ~B', python: 'not A and not B', unicode: '¬A ∧ ¬B', latex: '\\overline{A} \\cdot \\overline{B}' },
+  "(a + b)'": { standard: "(A + B)'", textbook: '(̅A̅+̅B̅)̅', programming: '!(A || B)', verilog: '~(A | B)', python: 'not (A or B)', unicode: '¬(A ∨ B)', latex: '\\overline{A + B}' },
+  "a' + b'": { standard: "A' + B'", textbook: 'A̅ + B̅', programming: '!A || !B', verilog: '~A | ~B', python: 'not A or not B', unicode: '¬A ∨ ¬B', latex: '\\overline{A} + \\overline{B}' },
+  '!!a': { standard: "A''", textbook: 'A̅̅', programming: '!!A', verilog: '~~A', python: 'not not A', unicode: '¬¬A', latex: '\\overline{\\overline{A}}' }
+};
+
+// Standard text for textbook text: every run of overlined names or
+// parenthesised groups becomes one complement per name or group
+function unbar(text) {
+  const chars = text.match(/[^̅]̅*/gu).map(c => ({ c: c[0], bars: c.length - 1 }));
+  const decode = (list, level) => {
+    let out = '';
+    for (let i = 0; i < list.length;) {
+      if (list[i].bars <= level) {
+        out += list[i++].c;
+        continue;
+      }
+      let end = i;
+      if (list[i].c === '(') {
+        for (let depth = 0; ; end++) {
+          depth += list[end].c === '(' ? 1 : list[end].c === ')' ? -1 : 0;
+          if (depth === 0) break;
+        }
+        end++;
+      } else {
+        end = i + list.slice(i).map(x => x.c).join('').match(/^([A-Z](_?\d+)?(\[\d+\])?|[01])/)[0].length;
+      }
+      out += `(${decode(list.slice(i, end), level + 1)})'`;
+      i = end;
+    }
+    return out;
+  };
+  return decode(chars, 0);
+}
+
+test('every notation prints the inverted gates and complemented groups apart', () => {
+  Object.entries(PRINTED).forEach(([source, texts]) => {
+    const expression = new BooleanExpression(source);
+    Object.keys(ExpressionPrinter.STYLES).forEach(style => {
+      assert.strictEqual(new ExpressionPrinter(style, expression).print(expression.parsedAst), texts[style], `${source} in ${style}`);
+    });
+  });
+  // A complemented product and a product of complements never print alike
+  Object.keys(ExpressionPrinter.STYLES).forEach(style => {
+    assert.notStrictEqual(PRINTED["(a b)'"][style], PRINTED["a' b'"][style], style);
+    assert.notStrictEqual(PRINTED["(a + b)'"][style], PRINTED["a' + b'"][style], style);
+  });
+});
+
+test('printed expressions read back as the same function', () => {
+  const next = random(19);
+  const variables = ['a', 'b', 'c', 'd'];
+  const names = variables.map(v => v.toUpperCase());
+  // Programming and Verilog text run as JavaScript, whose operators bind the same way
+  const run = (text, row) => Number(new Function(...names, `return ${text};`)(...names.map(v => inputsOf(names, row)[v]))) & 1;
+  for (let k = 0; k < 200; k++) {
+    const source = randomExpression(next, variables, 1 + Math.floor(next() * 7), OPERATORS);
+    const expression = new BooleanExpression(source, { variables });
+    const expected = truthTable(expression.parsedAst, variables);
+    const print = style => new ExpressionPrinter(style, expression).print(expression.parsedAst);
+
+    // Unicode uses the input syntax's precedence, with ¬, ∧ and ∨ for its !, & and |
+    const reparsed = {
+      standard: print('standard'),
+      unicode: print('unicode').replace(/¬/g, '!').replace(/∧/g, '&').replace(/∨/g, '|'),
+      textbook: unbar(print('textbook'))
+    };
+    Object.entries(reparsed).forEach(([style, text]) => {
+      const { parsedAst } = new BooleanExpression(text, { variables });
+      assert.deepStrictEqual(truthTable(parsedAst, variables), expected, `${source} in ${style}: ${print(style)}`);
+    });
+    ['programming', 'verilog'].forEach(style => {
+      expected.forEach((value, row) => assert.strictEqual(run(print(style), row), value, `${source} in ${style}: ${print(style)}`));
+    });
+  }
+});
@@ -0,0 +1,95 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { inputsOf, truthTable, random, randomExpression, randomRows } = require('./helpers');
+
+// The properties read straight off their definitions
+function bruteForce(variables, values) {
+  const n = variables.length;
+  const rows = values.map((value, row) => row);
+  const at = inputs => values[variables.reduce((row, v) => row * 2 + inputs[v], 0)];
+
+  const below = (x, y) => (x & y) === x;
+  const monotone = rows.every(x => rows.every(y => !below(x, y) || values[x] <= values[y]));
+  const mask = values.length - 1;
+  const selfDual = rows.every(x => values[x ^ mask] === 1 - values[x]);
+
+  let linear = null;
+  for (let code = 0; code < Math.pow(2, n + 1) && !linear; code++) {
+    const used = variables.filter((v, j) => (code >> j) & 1);
+    const constant = (code >> n) & 1;
+    if (rows.every(row => values[row] === used.reduce((sum, v) => sum ^ inputsOf(variables, row)[v], constant))) {
+      linear = { constant, variables: used };
+    }
+  }
+
+  const unateness = variables.map(v => {
+    const steps = rows.map(row => inputsOf(variables, row)).filter(inputs => inputs[v] === 0)
+      .map(inputs => at({ ...inputs, [v]: 1 }) - at(inputs));
+    const rises = steps.includes(1);
+    const falls = steps.includes(-1);
+    return rises && falls ? 'binate' : rises ? 'positive' : falls ? 'negative' : 'independent';
+  });
+
+  const swapSymmetric = (a, b) => rows.every(row => {
+    const inputs = inputsOf(variables, row);
+    return at({ ...inputs, [a]: inputs[b], [b]: inputs[a] }) === values[row];
+  });
+
+  return { monotone, selfDual, linear, unateness, swapSymmetric };
+}
+
+test('properties of random functions match their definitions', () => {
+  const next = random(18);
+  for (let numVars = 1; numVars <= 4; numVars++) {
+    const variables = 'abcd'.slice(0, numVars).split('');
+    for (let k = 0; k < 60; k++) {
+      // Sparse and dense functions too, so monotone and constant cases come up
+      const onSet = randomRows(next, numVars, [0.1, 0.5, 0.9][k % 3]);
+      const values = Array.from({ length: Math.pow(2, numVars) }, (_, row) => (onSet.includes(row) ? 1 : 0));
+      const props = new FunctionProperties(variables, values);
+      const expected = bruteForce(variables, values);
+
+      assert.strictEqual(props.preservesZero, values[0] === 0);
+      assert.strictEqual(props.preservesOne, values[values.length - 1] === 1);
+      assert.strictEqual(props.monotone, expected.monotone, `monotone ${values}`);
+      assert.strictEqual(props.selfDual, expected.selfDual, `self-dual ${values}`);
+      assert.deepStrictEqual(props.linear, expected.linear, `linear ${values}`);
+      assert.deepStrictEqual(props.unateness, expected.unateness, `unateness ${values}`);
+      assert.deepStrictEqual(props.irrelevant, variables.filter((v, j) => expected.unateness[j] === 'independent'));
+      assert.strictEqual(props.complete,
+        !props.preservesZero && !props.preservesOne && !expected.monotone && !expected.selfDual && !expected.linear);
+
+      // Variables in one group swap freely; variables in different groups don't
+      const groupOf = v => props.symmetryGroups.findIndex(group => group.includes(v));
+      variables.forEach((a, i) => variables.slice(i + 1).forEach(b => {
+        const together = groupOf(a) !== -1 && groupOf(a) === groupOf(b);
+        assert.strictEqual(together, expected.swapSymmetric(a, b), `${a}, ${b} in ${values}`);
+      }));
+    }
+  }
+});
+
+test('NAND and NOR are complete on their own, AND and XOR are not', () => {
+  const complete = source => FunctionProperties.fromExpression(new BooleanExpression(source)).complete;
+  assert.strictEqual(complete('a ⊼ b'), true);
+  assert.strictEqual(complete('a ⊽ b'), true);
+  assert.strictEqual(complete('a & b'), false);
+  assert.strictEqual(complete('a ^ b'), false);
+});
+
+test('a symmetric function lists its ones counts', () => {
+  const props = FunctionProperties.fromExpression(new BooleanExpression('a b + b c + a c'));
+  assert.strictEqual(props.symmetric, true);
+  assert.deepStrictEqual(props.onesCounts(), [2, 3]);
+});
+
+test('an expression\'s properties are those of its truth table', () => {
+  const next = random(180);
+  for (let k = 0; k < 40; k++) {
+    const variables = 'abcdefgh'.slice(0, 1 + (k % 8)).split('');
+    const expression = new BooleanExpression(randomExpression(next, variables, 1 + Math.floor(next() * 10), ['&', '|', '^', '⊼']), { variables });
+    const values = truthTable(expression.parsedAst, variables);
+    assert.deepStrictEqual([...expression.evaluator.values()], values);
+    assert.deepStrictEqual(FunctionProperties.fromExpression(expression), new FunctionProperties(variables, values));
+  }
+});
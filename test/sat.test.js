@@ -0,0 +1,123 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { evaluate, inputsOf, truthTable, random, randomExpression } = require('./helpers');
+
+const satisfies = (clause, values) => clause.some(lit => (lit > 0 ? values[lit] === 1 : values[-lit] === 0));
+
+// Random 3-CNF over variables 1..numVars
+function randomCNF(next, numVars, numClauses) {
+  return Array.from({ length: numClauses }, () => {
+    const clause = [];
+    while (clause.length < 3) {
+      const v = 1 + Math.floor(next() * numVars);
+      if (clause.some(lit => Math.abs(lit) === v)) continue;
+      clause.push(next() < 0.5 ? v : -v);
+    }
+    return clause;
+  });
+}
+
+// Does some assignment satisfy every clause (and the assumptions)?
+function bruteForceSatisfiable(numVars, clauses, assumptions = []) {
+  for (let row = 0; row < Math.pow(2, numVars); row++) {
+    const values = [0];
+    for (let v = 1; v <= numVars; v++) values.push((row >> (v - 1)) & 1);
+    if ([...clauses, ...assumptions.map(lit => [lit])].every(clause => satisfies(clause, values))) return true;
+  }
+  return false;
+}
+
+test('the solver agrees with brute force on random 3-CNF', () => {
+  const next = random(15);
+  let sat = 0;
+  for (let k = 0; k < 150; k++) {
+    const numVars = 6 + Math.floor(next() * 7);
+    const clauses = randomCNF(next, numVars, Math.round(numVars * (3.5 + next() * 1.5)));
+    const assumptions = next() < 0.5 ? [] : [next() < 0.5 ? 1 : -1, next() < 0.5 ? 2 : -2];
+    const solver = new SatSolver(numVars);
+    clauses.forEach(clause => solver.addClause(clause));
+    const result = solver.solve(assumptions);
+    assert.strictEqual(result, bruteForceSatisfiable(numVars, clauses, assumptions));
+    if (result) {
+      sat++;
+      const values = Array.from(solver.model, value => (value === 1 ? 1 : 0));
+      clauses.forEach(clause => assert.ok(satisfies(clause, values), `model breaks [${clause}]`));
+      assumptions.forEach(lit => assert.ok(satisfies([lit], values), `model breaks assumption ${lit}`));
+    }
+  }
+  // Both outcomes were exercised
+  assert.ok(sat > 20 && sat < 130, `${sat} of 150 satisfiable`);
+});
+
+test('analysis of random expressions matches their truth tables', () => {
+  const next = random(150);
+  for (let numVars = 1; numVars <= 7; numVars++) {
+    const variables = 'abcdefg'.slice(0, numVars).split('');
+    for (let k = 0; k < 25; k++) {
+      const source = randomExpression(next, variables, Math.floor(next() * 10), ['&', '|', '^', '⊼', '⊽', '->', '<->']);
+      const expression = new BooleanExpression(source, { variables });
+      const values = truthTable(expression.parsedAst, variables);
+      const ones = values.filter(v => v === 1).length;
+
+      const analyzer = new SatAnalyzer(expression.parsedAst, variables);
+      const result = analyzer.analyze();
+      const status = ones === 0 ? 'contradiction' : ones === values.length ? 'tautology' : 'satisfiable';
+      assert.strictEqual(result.status, status, source);
+      if (result.model) assert.strictEqual(evaluate(expression.parsedAst, result.model), 1, source);
+      if (result.counterexample) assert.strictEqual(evaluate(expression.parsedAst, result.counterexample), 0, source);
+      assert.strictEqual(result.model === null, ones === 0);
+      // A contradiction needs no counterexample: every assignment is one
+      if (ones > 0) assert.strictEqual(result.counterexample === null, ones === values.length);
+
+      assert.deepStrictEqual(analyzer.count(), { count: ones, exact: true }, source);
+
+      // Listed cubes are disjoint and cover exactly the models
+      const { cubes, complete } = analyzer.models();
+      assert.ok(complete);
+      values.forEach((value, row) => {
+        const inputs = inputsOf(variables, row);
+        const hits = cubes.filter(cube => Object.keys(cube).every(v => cube[v] === inputs[v])).length;
+        assert.strictEqual(hits, value, `${source}: row ${row} is in ${hits} cubes`);
+      });
+    }
+  }
+});
+
+test('listing stops at the limit', () => {
+  const expression = new BooleanExpression('a ^ b ^ c ^ d');
+  const { cubes, complete } = new SatAnalyzer(expression.ast, expression.variables).models(3);
+  assert.strictEqual(cubes.length, 3);
+  assert.strictEqual(complete, false);
+});
+
+test('expressions far past truth table sizes are decided', () => {
+  // (x0 ^ x1 ^ ... ^ x59) & !(x0 ^ x1 ^ ... ^ x59) is a contradiction
+  const names = Array.from({ length: 60 }, (_, i) => `x${i}`).join(' ^ ');
+  const expression = new BooleanExpression(`(${names}) & !(${names})`, { identifierMode: 'multi' });
+  assert.strictEqual(new SatAnalyzer(expression.ast, expression.variables).analyze().status, 'contradiction');
+  const wide = new BooleanExpression(`(${names}) | x0 | !x59`, { identifierMode: 'multi' });
+  const result = new SatAnalyzer(wide.ast, wide.variables).analyze();
+  assert.strictEqual(result.status, 'satisfiable');
+  assert.strictEqual(evaluate(wide.ast, result.model), 1);
+});
+
+test('restart intervals grow by half each time', () => {
+  // Seven pigeons in six holes: unsatisfiable, and hard enough for several restarts
+  const holes = 6;
+  const at = (pigeon, hole) => pigeon * holes + hole + 1;
+  const solver = new SatSolver((holes + 1) * holes);
+  for (let pigeon = 0; pigeon <= holes; pigeon++) solver.addClause(Array.from({ length: holes }, (_, hole) => at(pigeon, hole)));
+  for (let hole = 0; hole < holes; hole++) {
+    for (let p = 0; p <= holes; p++) {
+      for (let q = p + 1; q <= holes; q++) solver.addClause([-at(p, hole), -at(q, hole)]);
+    }
+  }
+  assert.strictEqual(solver.solve(), false);
+
+  // Restarts fall at 100, 250, 475, 812, ... conflicts; the last conflict proves unsatisfiability instead
+  const { conflicts, restarts } = solver.stats;
+  let expected = 0;
+  for (let interval = SatSolver.RESTART_INTERVAL, restartAt = interval; restartAt < conflicts; interval = Math.floor(interval * 1.5), restartAt += interval) expected++;
+  assert.ok(expected >= 3, `${conflicts} conflicts`);
+  assert.strictEqual(restarts, expected);
+});
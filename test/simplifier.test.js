@@ -0,0 +1,56 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { truthTable, random, randomExpression } = require('./helpers');
+
+// Literals (VAR leaves) of an AST
+const literals = node => {
+  if (node.type === 'VAR') return 1;
+  if (node.type === 'CONST') return 0;
+  if (node.type === 'NOT') return literals(node.operand);
+  return literals(node.left) + literals(node.right);
+};
+
+test('every step of a derivation keeps the function', () => {
+  const next = random(10);
+  for (let numVars = 1; numVars <= 4; numVars++) {
+    const variables = 'abcd'.slice(0, numVars).split('');
+    for (let k = 0; k < 40; k++) {
+      const source = randomExpression(next, variables, 1 + Math.floor(next() * 6), ['&', '|', '^', '⊼', '⊽', '->', '<->']);
+      const expression = new BooleanExpression(source, { variables });
+      const expected = truthTable(expression.parsedAst, variables);
+      const simplifier = new AlgebraicSimplifier(expression);
+      const derivation = simplifier.simplify();
+
+      derivation.steps.forEach((step, i) => {
+        assert.deepStrictEqual(truthTable(step.ast, variables), expected, `${source}: step ${i + 1} (${step.law})`);
+      });
+      assert.deepStrictEqual(truthTable(derivation.result, variables), expected, source);
+      assert.deepStrictEqual(simplifier.verify(derivation.result, expression.truthTable),
+        { equivalent: true, checked: expected.length, skipped: 0 });
+    }
+  }
+});
+
+test('textbook identities simplify all the way', () => {
+  [
+    ["a b + a b'", 1],
+    ["a + a' b", 2],
+    ["a b + a' c + b c", 4],
+    ["(a + b)(a + b')", 1],
+    ["!(!a & !b)", 2],
+    ["a a' + b", 1],
+    ["a + 1", 0],
+    ["a b c + a b c'", 2]
+  ].forEach(([source, expected]) => {
+    const derivation = new AlgebraicSimplifier(new BooleanExpression(source)).simplify();
+    assert.ok(derivation.complete !== false, source);
+    assert.strictEqual(literals(derivation.result), expected, source);
+  });
+});
+
+test('verify reports the first row that differs', () => {
+  const expression = new BooleanExpression('a & b');
+  const simplifier = new AlgebraicSimplifier(expression);
+  const wrong = new BooleanExpression('a | b').ast;
+  assert.deepStrictEqual(simplifier.verify(wrong, expression.truthTable), { equivalent: false, row: 1, expected: 0, actual: 1 });
+});
@@ -0,0 +1,49 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { evaluate, inputsOf, random, randomExpression } = require('./helpers');
+
+test('every net of a circuit takes its brute-force value', () => {
+  const next = random(23);
+  for (let numVars = 1; numVars <= 4; numVars++) {
+    const variables = 'abcd'.slice(0, numVars).split('');
+    for (let k = 0; k < 30; k++) {
+      const dag = new GateDag();
+      const flattener = new GateFlattener(2 + (k % 3), k % 2 ? 'NAND' : null);
+      const converter = new UniversalGateConverter('NAND');
+      const sources = [0, 1].map(() => randomExpression(next, variables, 1 + Math.floor(next() * 8), ['&', '|', '^', '⊼', '⊽', '->', '<->']));
+      const asts = sources.map(source => new BooleanExpression(source, { variables }).ast);
+      const networks = asts.map(ast => dag.intern(flattener.flatten(k % 2 ? converter.convert(ast) : ast)));
+      const simulator = new LogicSimulator(networks);
+
+      for (let row = 0; row < Math.pow(2, numVars); row++) {
+        const inputs = inputsOf(variables, row);
+        const values = simulator.evaluate(inputs);
+        values.forEach((value, node) => assert.strictEqual(value, evaluate(node, inputs), `${sources.join('; ')} at row ${row}`));
+        networks.forEach((root, i) => assert.strictEqual(values.get(root), evaluate(asts[i], inputs), sources[i]));
+      }
+    }
+  }
+});
+
+test('gates compute their truth tables over any number of inputs', () => {
+  for (let count = 1; count <= 4; count++) {
+    for (let row = 0; row < Math.pow(2, count); row++) {
+      const inputs = Array.from({ length: count }, (_, j) => Math.floor(row / Math.pow(2, j)) % 2);
+      const ones = inputs.filter(v => v === 1).length;
+      assert.strictEqual(LogicSimulator.gate('AND', inputs), ones === count ? 1 : 0);
+      assert.strictEqual(LogicSimulator.gate('NAND', inputs), ones === count ? 0 : 1);
+      assert.strictEqual(LogicSimulator.gate('OR', inputs), ones > 0 ? 1 : 0);
+      assert.strictEqual(LogicSimulator.gate('NOR', inputs), ones > 0 ? 0 : 1);
+      assert.strictEqual(LogicSimulator.gate('XOR', inputs), ones % 2);
+      assert.strictEqual(LogicSimulator.gate('XNOR', inputs), 1 - (ones % 2));
+    }
+  }
+  assert.deepStrictEqual([[0, 0], [0, 1], [1, 0], [1, 1]].map(inputs => LogicSimulator.gate('IMPLIES', inputs)), [1, 1, 0, 1]);
+  assert.deepStrictEqual([[0, 0], [0, 1], [1, 0], [1, 1]].map(inputs => LogicSimulator.gate('IFF', inputs)), [1, 0, 0, 1]);
+});
+
+test('missing inputs and unknown gates are refused', () => {
+  const simulator = new LogicSimulator([new BooleanExpression('a & b').ast]);
+  assert.throws(() => simulator.evaluate({ a: 1 }), /No value for input: b/);
+  assert.throws(() => LogicSimulator.gate('MUX', [0, 1]), /Unknown gate type: MUX/);
+});
@@ -0,0 +1,116 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { evaluate, inputsOf, truthTable, random, randomExpression } = require('./helpers');
+
+const OPERATORS = ['&', '|', '^', '⊼', '->', '<->'];
+
+// Every problem in a source, as [message, start, end]
+function diagnosticsOf(source) {
+  try {
+    new BooleanSystem(source);
+  } catch (error) {
+    assert.ok(error instanceof BooleanSyntaxError, `${source}: ${error.message}`);
+    return error.diagnostics.map(d => [d.message, d.start, d.end]);
+  }
+  assert.fail(`${source} parsed`);
+}
+
+// Systems of equations
+
+test('every output of a random system matches its own equation over the shared inputs', () => {
+  const next = random(5);
+  const pool = ['a', 'b', 'c', 'd', 'e'];
+  for (let k = 0; k < 80; k++) {
+    // Equations over overlapping subsets of the inputs, separated by ';' or newlines
+    const equations = Array.from({ length: 1 + Math.floor(next() * 3) }, (_, i) => {
+      const used = pool.filter(() => next() < 0.5);
+      const source = randomExpression(next, used.length ? used : ['c'], Math.floor(next() * 6), OPERATORS);
+      return { name: `F${i}`, source, used: new BooleanExpression(source).variables };
+    });
+    const text = equations.map(e => `${e.name} = ${e.source}`).join(next() < 0.5 ? '; ' : '\n');
+    const system = new BooleanSystem(text);
+
+    const variables = pool.filter(v => equations.some(e => e.used.includes(v)));
+    assert.deepStrictEqual(system.variables, variables, text);
+    assert.deepStrictEqual(system.outputs.map(o => o.name), equations.map(e => e.name));
+    assert.strictEqual(system.truthTable.length, Math.pow(2, variables.length));
+
+    const expected = equations.map(e => truthTable(new BooleanExpression(e.source).parsedAst, variables));
+    system.truthTable.forEach((row, index) => {
+      variables.forEach(v => assert.strictEqual(row[v], inputsOf(variables, index)[v]));
+      assert.deepStrictEqual(row.outputs, expected.map(values => values[index]), `${text} at row ${index}`);
+      assert.strictEqual(row.output, row.outputs[0]);
+    });
+  }
+});
+
+test('a full adder adds', () => {
+  const system = new BooleanSystem('S = a^b^c; Cout = ab + c(a^b)');
+  assert.deepStrictEqual(system.variables, ['a', 'b', 'c']);
+  system.truthTable.forEach(row => {
+    const sum = row.a + row.b + row.c;
+    assert.deepStrictEqual(row.outputs, [sum % 2, Math.floor(sum / 2)]);
+  });
+});
+
+test('names and options carry through to each equation', () => {
+  const system = new BooleanSystem('sum = clk ^ en\ncarry = clk en', { identifierMode: 'multi' });
+  assert.deepStrictEqual(system.variables, ['clk', 'en']);
+  assert.strictEqual(system.displayName('clk'), 'clk');
+  assert.deepStrictEqual(system.outputs.map(o => o.name), ['sum', 'carry']);
+  system.expressions.forEach(e => assert.deepStrictEqual(e.variables, ['clk', 'en']));
+  // An equation that ignores an input still has a column for it
+  const ast = new BooleanSystem('F = a; G = b').outputs[0].ast;
+  assert.deepStrictEqual(truthTable(ast, ['a', 'b']), [0, 0, 1, 1]);
+  assert.strictEqual(evaluate(ast, { a: 1, b: 0 }), 1);
+});
+
+test('statements split on semicolons and newlines', () => {
+  assert.deepStrictEqual(new BooleanSystem('F = a;\n G = b; ;').outputs.map(o => o.name), ['F', 'G']);
+  assert.strictEqual(BooleanSystem.isSystem('F = a'), true);
+  assert.strictEqual(BooleanSystem.isSystem('a\nb'), true);
+  assert.strictEqual(BooleanSystem.isSystem('a + b'), false);
+  // '=>' is implication, not an assignment
+  assert.strictEqual(BooleanSystem.isSystem('a => b'), false);
+  assert.strictEqual(new BooleanSystem('F = a => b').outputs[0].ast.type, 'IMPLIES');
+});
+
+test('errors in every statement are reported against the whole text', () => {
+  assert.deepStrictEqual(diagnosticsOf('a + b; G = c'), [["Expected an output name followed by '='", 0, 5]]);
+  assert.deepStrictEqual(diagnosticsOf('F = a; F = b'), [["Output 'F' is defined more than once", 7, 8]]);
+  assert.deepStrictEqual(diagnosticsOf('F = a +; G = (b'), [
+    ['Unexpected end of expression', 7, 7],
+    ["Expected ')' but found end of expression", 15, 15]
+  ]);
+  assert.deepStrictEqual(diagnosticsOf(' ; '), [['No equations found', 0, 3]]);
+
+  // Hints give columns in the whole text too
+  assert.throws(() => new BooleanSystem('F = a\nG = (b'),
+    error => error.diagnostics[0].hint === "missing ')' to close '(' opened at column 11");
+});
+
+// Rows on demand
+
+test('rows of a system come one at a time without building the table', () => {
+  const variables = Array.from({ length: 20 }, (_, i) => `x${i}`);
+  const system = new BooleanSystem(`F = ${variables.join(' & ')}\nG = x0 ^ x19`, { identifierMode: 'multi' });
+  assert.strictEqual(system.rowCount, Math.pow(2, 20));
+  const last = system.rowCount - 1;
+  assert.deepStrictEqual(system.outputsAt(last), [1, 0]);
+  assert.deepStrictEqual(system.outputsAt(1), [0, 1]);
+  assert.deepStrictEqual([...system.rows(last - 1, last + 1)].map(row => row.outputs), [[0, 1], [1, 0]]);
+  variables.forEach(v => assert.strictEqual(system.row(1)[v], inputsOf(variables, 1)[v]));
+  assert.strictEqual(system.cachedTruthTable, undefined);
+
+  const small = new BooleanSystem('S = a^b^c; Cout = ab + c(a^b)');
+  assert.strictEqual(small.truthTable, small.truthTable);
+  assert.deepStrictEqual(small.truthTable, [...small.rows()]);
+  small.truthTable.forEach((row, index) => assert.deepStrictEqual(small.outputsAt(index), row.outputs));
+});
+
+// Printing
+
+test('a system prints one equation per output', () => {
+  assert.strictEqual(new BooleanSystem('S = a^b^c; Cout = ab + c(a^b)').toString(), 'S = A ⊕ B ⊕ C; Cout = AB + C(A ⊕ B)');
+  assert.strictEqual(new BooleanSystem('sum = clk ^ en\ncarry = clk en', { identifierMode: 'multi' }).toString(), 'sum = clk ⊕ en; carry = clk en');
+});
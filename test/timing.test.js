@@ -0,0 +1,81 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { evaluate, inputsOf, random, randomExpression } = require('./helpers');
+
+// Circuit nodes for output ASTs, built the way the gate diagram builds them
+function circuit(asts, maxFanIn = GateFlattener.DEFAULT_MAX_FAN_IN) {
+  const flattener = new GateFlattener(maxFanIn);
+  const dag = new GateDag();
+  return asts.map(ast => dag.intern(flattener.flatten(ast)));
+}
+
+// Value of a trace at `time`: the last change at or before it
+const valueAt = (trace, time) => trace.filter(change => change.time <= time).pop().value;
+
+// Longest input-to-output delay, by walking every path
+function longestPath(simulator, node) {
+  const inputs = TimingSimulator.inputsOf(node);
+  return simulator.delay(node) + Math.max(0, ...inputs.map(input => longestPath(simulator, input)));
+}
+
+test('outputs settle to the truth table value of every vector', () => {
+  const next = random(24);
+  for (let numVars = 1; numVars <= 5; numVars++) {
+    const variables = 'abcde'.slice(0, numVars).split('');
+    for (let k = 0; k < 20; k++) {
+      const sources = [0, 1].map(() => randomExpression(next, variables, 1 + Math.floor(next() * 8), ['&', '|', '^', '⊼', '⊽', '->']));
+      const asts = sources.map(source => new BooleanExpression(source, { variables }).ast);
+      const networks = circuit(asts, 2 + Math.floor(next() * 3));
+      const simulator = new TimingSimulator(networks);
+      const slowest = Math.max(...networks.map(root => longestPath(simulator, root)));
+      assert.strictEqual(simulator.criticalPath().delay, slowest, sources.join('; '));
+
+      // One period is long enough for every output to settle
+      const period = slowest + 1;
+      const vectors = Array.from({ length: 8 }, () => inputsOf(variables, Math.floor(next() * Math.pow(2, numVars))));
+      const { traces, end } = simulator.run(vectors, period);
+      assert.ok(end >= vectors.length * period);
+      vectors.forEach((vector, i) => {
+        const settled = (i + 1) * period - 1;
+        asts.forEach((ast, j) => {
+          assert.strictEqual(valueAt(traces.get(networks[j]), settled), evaluate(ast, vector), `${sources[j]} at vector ${i}`);
+        });
+      });
+    }
+  }
+});
+
+test('the critical path runs from an input to the slowest output', () => {
+  const variables = ['a', 'b', 'c'];
+  const networks = circuit(['a', "a' b ^ c"].map(source => new BooleanExpression(source, { variables }).ast));
+  const path = new TimingSimulator(networks).criticalPath();
+  assert.strictEqual(path.output, 1);
+  assert.strictEqual(path.nodes[0].type, 'VAR');
+  assert.strictEqual(path.nodes[path.nodes.length - 1], networks[1]);
+  // NOT (1) → AND (2) → XOR (3)
+  assert.strictEqual(path.delay, 6);
+  path.nodes.slice(1).forEach((node, i) => assert.ok(TimingSimulator.inputsOf(node).includes(path.nodes[i])));
+});
+
+test('a static-1 hazard glitches when its input changes', () => {
+  // a b + a' c with b = c = 1: the inverter delays a' behind a
+  const variables = ['a', 'b', 'c'];
+  const [root] = circuit([new BooleanExpression("a b + a' c", { variables }).ast]);
+  const { traces } = new TimingSimulator([root]).run([{ a: 1, b: 1, c: 1 }, { a: 0, b: 1, c: 1 }], 10);
+  const output = traces.get(root);
+  assert.deepStrictEqual(output.map(change => change.value), [1, 0, 1]);
+  // a falls at 10, the AND with a follows at 12 and the OR at 14; a' rises at 11, its AND at 13, the OR at 15
+  assert.deepStrictEqual(output.map(change => change.time), [0, 14, 15]);
+
+  // With the consensus term b c the output holds
+  const [fixed] = circuit([new BooleanExpression("a b + a' c + b c", { variables }).ast]);
+  const held = new TimingSimulator([fixed]).run([{ a: 1, b: 1, c: 1 }, { a: 0, b: 1, c: 1 }], 10).traces.get(fixed);
+  assert.deepStrictEqual(held, [{ time: 0, value: 1 }]);
+});
+
+test('bad runs are refused', () => {
+  const simulator = new TimingSimulator(circuit([new BooleanExpression('a & b').ast]));
+  assert.throws(() => simulator.run([], 10), /No input vectors/);
+  assert.throws(() => simulator.run([{ a: 0, b: 0 }], 0), /Period must be positive/);
+  assert.throws(() => new TimingSimulator(simulator.networks, { NOT: 1 }).criticalPath(), /No delay for gate type: AND/);
+});
@@ -0,0 +1,56 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { truthTable, random, randomExpression } = require('./helpers');
+
+// Gate types of an AST's internal nodes, and its gate count with shared nodes counted once
+function gatesOf(ast) {
+  const seen = new Set();
+  const types = new Set();
+  const visit = node => {
+    if (node.type === 'VAR' || node.type === 'CONST' || seen.has(node)) return;
+    seen.add(node);
+    types.add(node.type);
+    visit(node.left);
+    visit(node.right);
+  };
+  visit(ast);
+  return { types: [...types], count: seen.size };
+}
+
+test('converted networks keep the function and use only the chosen gate', () => {
+  const next = random(16);
+  for (let numVars = 1; numVars <= 4; numVars++) {
+    const variables = 'abcd'.slice(0, numVars).split('');
+    for (let k = 0; k < 40; k++) {
+      const source = randomExpression(next, variables, Math.floor(next() * 7), ['&', '|', '^', '⊼', '⊽', '->', '<->']);
+      const { ast } = new BooleanExpression(source, { variables });
+      const expected = truthTable(ast, variables);
+      ['NAND', 'NOR'].forEach(gate => {
+        const converted = new UniversalGateConverter(gate).convert(ast);
+        assert.deepStrictEqual(truthTable(converted, variables), expected, `${source} in ${gate}`);
+        gatesOf(converted).types.forEach(type => assert.strictEqual(type, gate, `${source} in ${gate}`));
+      });
+    }
+  }
+});
+
+test('inversions are absorbed rather than stacked', () => {
+  const convert = (gate, source) => gatesOf(new UniversalGateConverter(gate).convert(new BooleanExpression(source).ast));
+  assert.strictEqual(convert('NAND', '!!a').count, 0);
+  assert.strictEqual(convert('NAND', 'a ⊼ b').count, 1);
+  assert.strictEqual(convert('NAND', 'a & b').count, 2);
+  // OR is a NAND of the inverted inputs
+  assert.strictEqual(convert('NAND', 'a | b').count, 3);
+  assert.strictEqual(convert('NAND', '!a | !b').count, 1);
+  assert.strictEqual(convert('NOR', '!(a | b)').count, 1);
+  // The textbook four-NAND XOR shares A NAND B
+  assert.ok(convert('NAND', 'a ^ b').count <= 5);
+});
+
+test('inverters are gates with tied inputs', () => {
+  const converted = new UniversalGateConverter('NOR').convert(new BooleanExpression('!a').ast);
+  assert.ok(UniversalGateConverter.isInverter(converted));
+  assert.strictEqual(converted.left, converted.right);
+  assert.ok(!UniversalGateConverter.isInverter(new BooleanExpression('a | b').ast));
+  assert.throws(() => new UniversalGateConverter('AND'), /Not a universal gate: AND/);
+});
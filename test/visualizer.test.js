@@ -0,0 +1,34 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { evaluate, inputsOf } = require('./helpers');
+
+// Inputs a K-map cell stands for, read off its row, column and sub-map labels
+function cellInputs(axes, r, c, prefix) {
+  const inputs = {};
+  [[axes.rowVars, r], [axes.colVars, c], [axes.outerVars, prefix]].forEach(([vars, bits]) => {
+    vars.forEach((v, i) => { inputs[v] = Number(bits[i]); });
+  });
+  return inputs;
+}
+
+test('every K-map cell key is the row index of the inputs its labels give', () => {
+  for (let numVars = 2; numVars <= Visualizer.MAX_KMAP_VARIABLES; numVars++) {
+    const variables = 'abcdefghij'.slice(0, numVars).split('');
+    const expression = new BooleanExpression(`${variables.join(' ^ ')} | a & !${variables[numVars - 1]}`, { variables });
+    const view = new Visualizer(expression);
+    const axes = view.kmapAxes();
+    assert.deepStrictEqual([...axes.rowVars, ...axes.colVars, ...axes.outerVars], variables);
+
+    const seen = new Set();
+    view.grayCode(axes.outerVars.length).forEach(prefix => {
+      view.grayCode(axes.rowVars.length).forEach(r => view.grayCode(axes.colVars.length).forEach(c => {
+        const index = parseInt(view.kmapKey(r, c, prefix), 2);
+        const inputs = cellInputs(axes, r, c, prefix);
+        assert.deepStrictEqual(inputsOf(variables, index), inputs, `${numVars} variables, cell ${r} ${c} ${prefix}`);
+        assert.strictEqual(expression.row(index).output, evaluate(expression.ast, inputs));
+        seen.add(index);
+      }));
+    });
+    assert.strictEqual(seen.size, Math.pow(2, numVars));
+  }
+});